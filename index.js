@@ -7,57 +7,42 @@ import Conf from 'conf';
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { cleanCSV } from './src/preclean.js';
+import { cleanCSV, countMalformedRows } from './src/preclean.js';
+import { INPUT_FORMATS, resolveInputOptions, validateInputOptions } from './src/ingest.js';
+import { UNICODE_POLICIES, DEFAULT_UNICODE_POLICY, resolveTextOptions, collectUnicodeColumn, validateTextOptions } from './src/unicode.js';
+import { OUTPUT_FORMATS, outputPathFor } from './src/output.js';
 import { main as runArchitect, createColumnMapping, getAvailableModels } from './src/architect.js';
 import { main as runDedupe } from './src/dedupe.js';
+import { BLOCKING_STRATEGIES } from './src/blocking.js';
+import { SURVIVORSHIP_RULES } from './src/survivorship.js';
 import { main as runCleaner } from './src/cleaner.js';
 import { main as runStitcher } from './src/stitcher.js';
 import { main as runIsosplit } from './src/isosplit.js';
+import { exportSchema, SQL_DIALECTS } from './src/ddl.js';
+import { TOP_VALUES, profileData } from './src/profile.js';
+import { parseConnectionString, describeConnection } from './src/database.js';
+import { estimateRun, estimateStep } from './src/estimate.js';
+import { Budget, checkModelPrices, describeUnpriced, withBudget } from './src/budget.js';
+import { Scheduler, withScheduler } from './src/scheduler.js';
+import { ResponseCache, withCache } from './src/cache.js';
+import { RULES_FILE_NAMES, findRulesFile } from './src/userrules.js';
+import { API_BASE_URL, PROVIDER_NAMES, createProvider } from './src/providers.js';
+import { RunManifest } from './src/manifest.js';
+import { loadConfig, getStepSettings, getProjectModel, getProjectInstructions, getRequestSettings, getCacheSettings, getWorkspacePaths } from './src/project.js';
 
 const projectName = 'dbclean-cli';
 const program = new Command();
 const config = new Conf({ projectName: projectName });
 
-// API Configuration
-const API_BASE_URL = 'https://dbclean-api.dbcleandev.workers.dev';
-
-// Load configuration from config.json
-function loadAppConfig() {
-    try {
-        // Find the package's config.json (bundled with npm package)
-        const packageConfigPath = path.join(path.dirname(import.meta.url.replace('file://', '')), 'config.json');
-        
-        if (fs.existsSync(packageConfigPath)) {
-            const configContent = fs.readFileSync(packageConfigPath, 'utf-8');
-            const config = JSON.parse(configContent);
-            // Store package directory for settings files
-            config._packageDir = path.dirname(packageConfigPath);
-            return config;
-        }
-        
-        throw new Error('config.json not found in package');
-    } catch (error) {
-        console.log(`⚠️  Warning: Could not load config.json: ${error.message}`);
-        // Return default values if config.json doesn't exist
-        return {
-            settings__dir: "settings",
-            settings_exclude_columns_file_path: "exclude_columns.txt",
-            settings_instructions_file_path: "instructions.txt",
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-            data_deduped_file_path: "data_deduped.csv",
-            data_stitched_file_path: "data_stitched.csv",
-            outputs_dir: "outputs",
-            outputs_cleaned_columns_dir: "cleaned_columns",
-            outputs_architect_output_file: "architect_output.txt",
-            outputs_cleaner_changes_analysis_file: "cleaner_changes_analysis.html",
-            outputs_column_mapping_file: "column_mapping.json"
-        };
-    }
+// Bundled config.json, dbclean.yaml and DBCLEAN_* overrides; an invalid project file ends the CLI here
+let appConfig;
+try {
+    appConfig = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
 }
 
-const appConfig = loadAppConfig();
-
 program
   .name(projectName)
   .description('A CLI tool for the DBClean API with credit-based AI processing')
@@ -90,12 +75,16 @@ program
     
     console.log(chalk.bold.cyan('📊 Data Processing Pipeline:'));
     console.log(chalk.yellow('  preclean') + chalk.gray('              Clean CSV data (remove newlines, special chars)'));
+    console.log(chalk.yellow('  profile') + chalk.gray('               Per-column statistics of the input, no API calls'));
     console.log(chalk.yellow('  architect') + chalk.gray('             AI-powered schema design and standardization'));
     console.log(chalk.yellow('  dedupe') + chalk.gray('                AI-powered duplicate detection and removal'));
     console.log(chalk.yellow('  cleaner') + chalk.gray('               AI-powered column-by-column data cleaning'));
     console.log(chalk.yellow('  stitcher') + chalk.gray('              Combine all changes into final CSV'));
     console.log(chalk.yellow('  isosplit') + chalk.gray('              Detect outliers and split data into train/validate/test sets'));
     console.log(chalk.yellow('  run') + chalk.gray('                   Execute complete pipeline (all steps)'));
+    console.log(chalk.yellow('  export-schema') + chalk.gray('         Generate SQL DDL and a load script from the schema'));
+    console.log(chalk.yellow('  cache stats') + chalk.gray('           Show the size of the local AI response cache'));
+    console.log(chalk.yellow('  cache prune') + chalk.gray('           Remove old cached AI responses (--all to clear it)'));
     console.log('');
     
     console.log(chalk.bold.cyan('🎨 Utilities:'));
@@ -116,6 +105,14 @@ program
     console.log(chalk.gray('  • Use ') + chalk.cyan('--instructions') + chalk.gray(' to apply custom cleaning rules'));
     console.log(chalk.gray('  • Use ') + chalk.cyan('--sample-size <n>') + chalk.gray(' for architect processing'));
     console.log(chalk.gray('  • Use ') + chalk.cyan('--detailed') + chalk.gray(' for comprehensive usage reports'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('--provider local --endpoint <url>') + chalk.gray(' to run AI steps on a local model'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('run --resume') + chalk.gray(' to continue a failed run without repeating completed steps'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('run --estimate') + chalk.gray(' to see the tokens and cost of a run before spending any credits'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('--max-cost <usd>') + chalk.gray(' on run, cleaner and dedupe to cap what a run can spend'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('--no-cache') + chalk.gray(' to resend AI requests that already have a cached response'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('--no-rules') + chalk.gray(' on run and cleaner to send every invalid value to the AI, skipping the built-in rules'));
+    console.log(chalk.gray('  • Put column-specific fixes, lookup tables and validators in ') + chalk.cyan('settings/rules.yaml') + chalk.gray(' or ') + chalk.cyan('rules.js'));
+    console.log(chalk.gray('  • Use ') + chalk.cyan('--unicode keep') + chalk.gray(' or ') + chalk.cyan('--unicode transliterate') + chalk.gray(' on preclean and run to keep accented names instead of stripping non-ASCII characters'));
     console.log('');
     
     console.log(chalk.cyan('For specific command help: ') + chalk.yellow('dbclean-cli <command> --help'));
@@ -216,9 +213,18 @@ program
   program
     .command('preclean')
     .description('Clean CSV data by removing newlines, replacing special characters, and handling non-UTF8 chars')
-    .option('--input <path>', `Input CSV file path (default: data.csv)`)
+    .option('--input <path>', `Input file path: csv, tsv, jsonl, xlsx or parquet (default: data.csv)`)
     .option('--output <path>', `Output CSV file path (default: ${appConfig.data_cleaned_file_path})`)
     .option('--exclude <path>', `Path to text file containing column names to exclude from cleaning (default: use bundled exclude file)`)
+    .option('--format <format>', `Input format: ${INPUT_FORMATS.join('|')} (default: from the file extension)`)
+    .option('--delimiter <char>', 'Field delimiter for csv input (use \\t for tabs)')
+    .option('--encoding <name>', 'Text encoding of csv, tsv and jsonl input (default: detected from the file)')
+    .option('--sheet <name|number>', 'Sheet to read from xlsx input (default: the first sheet)')
+    .option('--source <connection>', 'Read the input from a database instead of a file (sqlite:<file>, postgres://..., mysql://...)')
+    .option('--source-table <table>', 'Table to read from the source database')
+    .option('--source-query <sql>', 'Query to read from the source database')
+    .option('--unicode <policy>', `How to treat non-ASCII characters: ${UNICODE_POLICIES.join('|')} (default: ${DEFAULT_UNICODE_POLICY})`)
+    .option('--unicode-column <column=policy>', 'Unicode policy for one column (repeatable)', collectUnicodeColumn)
     .action(async (options) => {
       const spinner = ora('Processing CSV cleaning...').start();
       
@@ -226,8 +232,8 @@ program
         // Use current working directory for data files
         const workingDir = process.cwd();
         // Create data and outputs directories if they don't exist
-        const dataDir = path.join(workingDir, appConfig.data_dir || 'data');
-        const outputsDir = path.join(workingDir, appConfig.outputs_dir || 'outputs');
+        const dataDir = path.resolve(workingDir, appConfig.data_dir || 'data');
+        const outputsDir = path.resolve(workingDir, appConfig.outputs_dir || 'outputs');
         
         // Ensure directories exist
         if (!fs.existsSync(dataDir)) {
@@ -237,23 +243,23 @@ program
           fs.mkdirSync(outputsDir, { recursive: true });
         }
         
-        // Use package directory for settings files
-        const packageSettingsDir = appConfig._packageDir ? 
-          path.join(appConfig._packageDir, appConfig.settings__dir || 'settings') :
-          path.join(path.dirname(import.meta.url.replace('file://', '')), appConfig.settings__dir || 'settings');
+        // Package settings, or the settings_dir from dbclean.yaml
+        const settingsDir = appConfig._settingsDir;
         
-        const originalCsvPath = options.input || path.join(workingDir, 'data.csv');
+        const originalCsvPath = options.input || path.resolve(workingDir, appConfig.input_file_path || 'data.csv');
         const cleanedCsvPath = options.output || path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv');
-        const excludeFilePath = options.exclude || path.join(packageSettingsDir, appConfig.settings_exclude_columns_file_path || 'exclude_columns.txt');
+        const excludeFilePath = options.exclude || appConfig.project.exclude_columns || path.join(settingsDir, appConfig.settings_exclude_columns_file_path || 'exclude_columns.txt');
+        const inputOptions = loadInputOptions(options);
+        const textOptions = loadTextOptions(options);
         
         // Debug output
         console.log(chalk.gray(`📂 Working directory: ${workingDir}`));
         console.log(chalk.gray(`📂 Data directory: ${dataDir}`));
-        console.log(chalk.gray(`⚙️  Package settings directory: ${packageSettingsDir}`));
+        console.log(chalk.gray(`⚙️  Settings directory: ${settingsDir}`));
 
         // Check if input file exists
-        if (!fs.existsSync(originalCsvPath)) {
-          spinner.fail(chalk.red(`❌ Input CSV file not found: ${originalCsvPath}`));
+        if (!inputOptions.source && !fs.existsSync(originalCsvPath)) {
+          spinner.fail(chalk.red(`❌ Input file not found: ${originalCsvPath}`));
           console.log(chalk.cyan(`🔍 Full path checked: ${path.resolve(originalCsvPath)}`));
           console.log(chalk.cyan(`📁 Current working directory: ${process.cwd()}`));
           console.log(chalk.yellow("Please ensure your CSV file exists in the current directory or specify --input <file>."));
@@ -262,11 +268,15 @@ program
 
         spinner.text = 'Cleaning CSV data...';
         
-        const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeFilePath);
+        const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeFilePath, inputOptions, textOptions);
 
         if (cleanedPath) {
           spinner.succeed(chalk.green('✅ Successfully cleaned CSV data!'));
-          console.log(chalk.cyan(`📁 Original file (unchanged): ${originalCsvPath}`));
+          if (inputOptions.source) {
+            console.log(chalk.cyan(`🗄️  Source (unchanged): ${describeConnection(inputOptions.source)}`));
+          } else {
+            console.log(chalk.cyan(`📁 Original file (unchanged): ${originalCsvPath}`));
+          }
           console.log(chalk.cyan(`📁 Cleaned file (new): ${cleanedPath}`));
           console.log(chalk.gray("\n🔄 You can now run other processing commands with the cleaned data."));
         } else {
@@ -278,6 +288,67 @@ program
       }
     });
 
+  // Profile the input data locally
+  program
+    .command('profile')
+    .description('Compute per-column statistics of the input (missing values, distinct values, types, ranges, patterns) with no API calls')
+    .option('--input <path>', `Input file path: csv, tsv, jsonl, xlsx or parquet (default: data.csv)`)
+    .option('--cleaned', `Profile the precleaned data (${appConfig.data_cleaned_file_path}) instead of the input`)
+    .option('--format <format>', `Input format: ${INPUT_FORMATS.join('|')} (default: from the file extension)`)
+    .option('--delimiter <char>', 'Field delimiter for csv input (use \\t for tabs)')
+    .option('--encoding <name>', 'Text encoding of csv, tsv and jsonl input (default: detected from the file)')
+    .option('--sheet <name|number>', 'Sheet to read from xlsx input (default: the first sheet)')
+    .option('--source <connection>', 'Read the input from a database instead of a file (sqlite:<file>, postgres://..., mysql://...)')
+    .option('--source-table <table>', 'Table to read from the source database')
+    .option('--source-query <sql>', 'Query to read from the source database')
+    .option('--top <n>', 'Most frequent values and patterns to report per column', String(TOP_VALUES))
+    .action(async (options) => {
+      try {
+        const top = parseInt(options.top, 10);
+        if (!Number.isInteger(top) || top < 1) {
+          console.log(chalk.red(`❌ --top must be a positive whole number, got '${options.top}'`));
+          return;
+        }
+        if (options.cleaned && (options.input || options.source)) {
+          console.log(chalk.red('❌ Use either --cleaned or --input/--source, not both'));
+          return;
+        }
+
+        const workingDir = process.cwd();
+        const dataDir = path.resolve(workingDir, appConfig.data_dir || 'data');
+        const outputsDir = path.resolve(workingDir, appConfig.outputs_dir || 'outputs');
+        if (!fs.existsSync(outputsDir)) {
+          fs.mkdirSync(outputsDir, { recursive: true });
+        }
+
+        // The precleaned file is always UTF-8 csv, whatever the input settings say
+        const inputPath = options.cleaned
+          ? path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv')
+          : options.input || path.resolve(workingDir, appConfig.input_file_path || 'data.csv');
+        const inputOptions = options.cleaned ? { format: 'csv', encoding: 'utf-8' } : loadInputOptions(options);
+
+        if (!inputOptions.source && !fs.existsSync(inputPath)) {
+          console.log(chalk.red(`❌ Input file not found: ${inputPath}`));
+          console.log(chalk.yellow(options.cleaned ? 'Run preclean first, or profile the input without --cleaned.' : 'Please ensure your input file exists in the current directory or specify --input <file>.'));
+          return;
+        }
+
+        const result = await profileData({
+          inputPath,
+          inputOptions,
+          profilePath: path.join(outputsDir, appConfig.outputs_profile_file || 'profile.json'),
+          profileHtmlPath: path.join(outputsDir, appConfig.outputs_profile_html_file || 'profile.html'),
+          top
+        });
+
+        console.log(chalk.cyan('\n📋 Results:'));
+        console.log(chalk.gray(`   • Profile: outputs/${path.basename(result.profilePath)}`));
+        console.log(chalk.gray(`   • Report: outputs/${path.basename(result.profileHtmlPath)}`));
+      } catch (error) {
+        console.error(chalk.red('❌ Profile failed:', error.message));
+      }
+    });
+
   // Test authentication
 program
   .command('test-auth')
@@ -379,16 +450,13 @@ program
 program
   .command('models')
   .description('List available AI models for processing')
-  .action(async () => {
+  .option('--provider <name>', `AI provider: ${PROVIDER_NAMES.join('|')} (default: dbclean)`)
+  .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)')
+  .action(async (options) => {
     const spinner = ora('Fetching available AI models...').start();
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/models`, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const models = response.data.models || [];
+      const provider = createProvider(providerOptions(options));
+      const models = await provider.listModels();
       if (models.length > 0) {
         spinner.succeed(chalk.green('✅ Available AI models retrieved'));
         
@@ -706,6 +774,266 @@ function handleApiError(error, operation) {
   }
 }
 
+// Helper function to resolve the AI provider for a command
+// Returns null (after explaining why) when the provider cannot be used.
+// requireAuth: false allows the hosted API without credentials (for calls that spend nothing)
+function resolveProvider(options, { requireAuth = true } = {}) {
+  const email = config.get('email');
+  const apiKey = config.get('apiKey');
+
+  let provider;
+  try {
+    provider = createProvider({
+      ...providerOptions(options),
+      email: email,
+      apiKey: apiKey
+    });
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    return null;
+  }
+
+  if (requireAuth && provider.requiresAuth && (!email || !apiKey)) {
+    console.log(chalk.red('❌ Please run `dbclean-cli init` first to set your email and API key'));
+    console.log(chalk.gray('💡 Or use --provider local --endpoint <url> to run against a local model'));
+    return null;
+  }
+
+  return provider;
+}
+
+// Provider settings: CLI options first, then dbclean.yaml
+function providerOptions(options) {
+  const projectProvider = appConfig.project.provider || {};
+  return {
+    provider: options.provider || projectProvider.name,
+    endpoint: options.endpoint || projectProvider.endpoint
+  };
+}
+
+// Custom instructions: from dbclean.yaml when it has any, otherwise the settings
+// instructions file when -i is given. Throws if that file is missing.
+function loadCustomInstructions(useSettingsFile) {
+  const projectInstructions = getProjectInstructions(appConfig);
+  if (projectInstructions) {
+    console.log(chalk.gray(`📄 Loaded custom instructions from: ${projectInstructions.source}`));
+    return projectInstructions.text;
+  }
+  if (!useSettingsFile) {
+    return null;
+  }
+
+  const instructionsFilePath = path.join(appConfig._settingsDir, appConfig.settings_instructions_file_path || 'instructions.txt');
+  if (!fs.existsSync(instructionsFilePath)) {
+    throw new Error(`Instructions file not found: ${instructionsFilePath}`);
+  }
+  const customInstructions = fs.readFileSync(instructionsFilePath, 'utf-8').trim();
+  console.log(chalk.gray(`📄 Loaded custom instructions from: ${instructionsFilePath}`));
+  return customInstructions;
+}
+
+// Dedupe settings: CLI options first, then steps.dedupe in dbclean.yaml
+function resolveDedupeOptions(options = {}, command = null) {
+  const settings = getStepSettings(appConfig, 'dedupe');
+  const mergeFromCli = command && command.getOptionValueSource('merge') === 'cli';
+  return {
+    threshold: options.threshold ?? settings.threshold,
+    strategy: options.strategy || settings.strategy,
+    blocking: options.blocking || settings.blocking,
+    blockingWindow: options.blockingWindow || settings.blocking_window,
+    configPath: options.dedupeConfig,
+    merge: mergeFromCli ? options.merge : (settings.merge ?? true),
+    mergeRule: options.mergeRule || settings.merge_rule
+  };
+}
+
+// Input format options: command line, then steps.preclean in dbclean.yaml. Throws if they are invalid.
+function loadInputOptions(options = {}) {
+  const inputOptions = resolveInputOptions(options, getStepSettings(appConfig, 'preclean'));
+  const errors = validateInputOptions(inputOptions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid input options: ${errors.join('; ')}`);
+  }
+  return inputOptions;
+}
+
+// Unicode policies: command line, then steps.preclean in dbclean.yaml. Throws if they are invalid.
+function loadTextOptions(options = {}) {
+  const textOptions = resolveTextOptions(options, getStepSettings(appConfig, 'preclean'));
+  const errors = validateTextOptions(textOptions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid unicode options: ${errors.join('; ')}`);
+  }
+  return textOptions;
+}
+
+/**
+ * Database sink from the command line, falling back to steps.stitcher in dbclean.yaml.
+ * Returns { sink, sinkTable } (both undefined when no sink is set); throws on an invalid connection string.
+ */
+function loadSinkOptions(options = {}) {
+  const settings = getStepSettings(appConfig, 'stitcher');
+  const sink = options.sink || settings.sink;
+  // A table from dbclean.yaml belongs to the sink from dbclean.yaml
+  const sinkTable = options.sinkTable || (options.sink ? undefined : settings.table);
+  if (sink) {
+    parseConnectionString(sink);
+  }
+  return { sink, sinkTable };
+}
+
+// Model price table in the settings folder, for estimates and --max-cost
+function priceTablePath() {
+  return path.join(appConfig._settingsDir, appConfig.settings_model_prices_file_path || 'model_prices.json');
+}
+
+/**
+ * Spending limits and the confirmation threshold: command line, then budget in dbclean.yaml.
+ * Returns { provider, budget, prices, confirmAbove }; with a limit set, provider is wrapped so every
+ * AI request is checked against the budget before it is sent. Throws on invalid values.
+ */
+async function applyBudget(options, provider, models = []) {
+  const settings = appConfig.project.budget || {};
+  const maxCost = options.maxCost ?? settings.max_cost ?? null;
+  const maxTokens = options.maxTokens ?? settings.max_tokens ?? null;
+  const confirmAbove = options.confirmAbove ?? settings.confirm_above ?? null;
+  if (maxCost !== null && !(maxCost > 0)) {
+    throw new Error('--max-cost must be a positive number of USD');
+  }
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new Error('--max-tokens must be a positive whole number');
+  }
+  if (confirmAbove !== null && !(confirmAbove >= 0)) {
+    throw new Error('--confirm-above must be a non-negative number of USD');
+  }
+  if (maxCost === null && maxTokens === null && confirmAbove === null) {
+    return { provider, budget: null, prices: {}, confirmAbove: null };
+  }
+
+  const { prices, unpriced } = await checkModelPrices({ provider, models, priceTablePath: priceTablePath(), projectPrices: appConfig.project.model_prices });
+  if (maxCost !== null && unpriced.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${describeUnpriced(unpriced, `settings/${appConfig.settings_model_prices_file_path || 'model_prices.json'}`)}`));
+  }
+
+  const budget = maxCost !== null || maxTokens !== null ? new Budget({ maxCost, maxTokens, prices }) : null;
+  return { provider: budget ? withBudget(provider, budget) : provider, budget, prices, confirmAbove };
+}
+
+/**
+ * Request scheduling: command line, then the provider section of dbclean.yaml.
+ * Returns the provider wrapped in one scheduler shared by every step of the command. Throws on invalid values.
+ */
+function applyScheduler(options, provider) {
+  const settings = getRequestSettings(appConfig);
+  const concurrency = options.concurrency ?? settings.concurrency;
+  const requestsPerMinute = options.requestsPerMinute ?? settings.requestsPerMinute;
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error('--concurrency must be a positive whole number');
+  }
+  if (requestsPerMinute !== undefined && !(requestsPerMinute > 0)) {
+    throw new Error('--requests-per-minute must be a positive number');
+  }
+  return withScheduler(provider, new Scheduler({ concurrency, requestsPerMinute, maxRetries: settings.maxRetries }));
+}
+
+// Response cache: on unless --no-cache is given or dbclean.yaml sets cache.enabled: false
+function applyCache(options, provider) {
+  const settings = getCacheSettings(appConfig);
+  if (options.cache === false || !settings.enabled) {
+    return provider;
+  }
+  return withCache(provider, new ResponseCache(settings.dir));
+}
+
+// Tell how many responses a command took from the cache, if any
+function printCacheUsage(provider, indent = '') {
+  if (provider.cache?.hits > 0) {
+    console.log(chalk.gray(`${indent}♻️  ${provider.cache.hits} AI response(s) reused from the cache (use --no-cache to request them again)`));
+  }
+}
+
+// Human-readable size, e.g. 1.2 MB
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// One-line description of the request scheduling, for command overviews
+function describeScheduler(scheduler) {
+  const rate = scheduler.bucket ? `, ${Math.round(60000 / scheduler.bucket.interval)}/min` : '';
+  return `up to ${scheduler.concurrency} at a time${rate}, ${scheduler.maxRetries} retries`;
+}
+
+/**
+ * Ask before a step whose estimated cost is above the confirmation threshold.
+ * Returns false when the user declines, or when there is no terminal to ask and --yes was not given.
+ */
+async function confirmStepCost(step, estimateOptions, guard, assumeYes = false) {
+  if (guard.confirmAbove === null) {
+    return true;
+  }
+  const estimate = await estimateStep(step, { ...estimateOptions, prices: guard.prices });
+  if (estimate.calls === 0 || (estimate.cost !== null && estimate.cost <= guard.confirmAbove)) {
+    return true;
+  }
+
+  // Without a price the cost can't be compared to the threshold, so ask anyway
+  const usage = `${estimate.calls} request(s), ~${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens`;
+  const message = estimate.cost === null
+    ? `${step} has no known price (${usage}), so the $${guard.confirmAbove} confirmation threshold can't be checked`
+    : `${step} is estimated at $${estimate.cost.toFixed(4)} (${usage}), above the $${guard.confirmAbove} confirmation threshold`;
+  if (assumeYes) {
+    console.log(chalk.yellow(`💰 ${message} - continuing (--yes)`));
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    console.log(chalk.red(`❌ ${message}`));
+    console.log(chalk.gray('💡 Pass --yes to continue without confirming'));
+    return false;
+  }
+  const { default: inquirer } = await import('inquirer');
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: `${message}. Continue?`,
+      default: false
+    }
+  ]);
+  return proceed;
+}
+
+// Print the per-step and per-model token and cost estimate from estimateRun
+function printEstimate(estimate) {
+  const formatCost = (cost) => cost === null ? 'price unknown' : `$${cost.toFixed(4)}`;
+
+  console.log(chalk.bold.cyan('\n💰 Estimated AI usage (no AI calls were made)\n'));
+  estimate.steps.forEach(step => {
+    console.log(chalk.cyan(`  ${step.step.padEnd(10)}`) + chalk.gray(` [${step.model}] ${step.calls} request(s), ${step.inputTokens.toLocaleString()} in / ${step.outputTokens.toLocaleString()} out tokens, ${formatCost(step.cost)}`));
+    if (step.note) {
+      console.log(chalk.gray(`             ${step.note}`));
+    }
+  });
+
+  console.log(chalk.cyan('\n  By model:'));
+  Object.entries(estimate.models).forEach(([model, totals]) => {
+    console.log(chalk.gray(`   • ${model}: ${totals.calls} request(s), ${totals.inputTokens.toLocaleString()} in / ${totals.outputTokens.toLocaleString()} out tokens, ${totals.priced ? formatCost(totals.cost) : 'price unknown'}`));
+  });
+
+  const { totals } = estimate;
+  console.log(chalk.bold.green(`\n  Total: ${totals.calls} request(s), ${(totals.inputTokens + totals.outputTokens).toLocaleString()} tokens, ${totals.priced ? formatCost(totals.cost) : totals.cost > 0 ? `at least ${formatCost(totals.cost)} (some prices unknown)` : 'price unknown'}`));
+  if (!totals.priced) {
+    console.log(chalk.gray(`  💡 Add prices (USD per million tokens) to settings/${appConfig.settings_model_prices_file_path || 'model_prices.json'} or model_prices in dbclean.yaml`));
+  }
+  console.log(chalk.gray('  Token counts are approximate (~4 characters per token); schema repair requests are not included.\n'));
+}
+
 // Architect - AI-powered schema design
 program
   .command('architect')
@@ -715,13 +1043,16 @@ program
   .option('-m, --model <model>', 'AI model to use for processing')
   .option('--list-models', 'List available AI models')
   .option('--create-mapping', 'Only create column mapping from existing architect output')
+  .option('--no-cache', 'Send every AI request, even ones with a cached response')
+  .option('--provider <name>', `AI provider: ${PROVIDER_NAMES.join('|')} (default: dbclean)`)
+  .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)')
   .action(async (options) => {
     try {
       // Handle list models option
       if (options.listModels) {
         const spinner = ora('Fetching available AI models...').start();
         try {
-          const models = await getAvailableModels();
+          const models = await getAvailableModels(createProvider(providerOptions(options)));
           if (models.length > 0) {
             spinner.succeed(chalk.green('✅ Available AI models:'));
             models.forEach((model, index) => {
@@ -737,23 +1068,14 @@ program
         return;
       }
 
-      // Handle custom instructions from config-defined file
+      // Custom instructions from dbclean.yaml, or instructions.txt with -i
       let customInstructions = null;
-      if (options.instructions) {
-        // Use package directory for settings files
-        const packageSettingsDir = appConfig._packageDir ? 
-          path.join(appConfig._packageDir, appConfig.settings__dir || 'settings') :
-          path.join(path.dirname(import.meta.url.replace('file://', '')), appConfig.settings__dir || 'settings');
-        const instructionsFilePath = path.join(packageSettingsDir, appConfig.settings_instructions_file_path || 'instructions.txt');
-        
-        try {
-          customInstructions = fs.readFileSync(instructionsFilePath, 'utf-8').trim();
-          console.log(chalk.gray(`📄 Loaded custom instructions from: ${instructionsFilePath}`));
-        } catch (error) {
-          console.log(chalk.red(`❌ Instructions file not found: ${instructionsFilePath}`));
-          console.log(chalk.cyan(`💡 Create an instructions.txt file in the settings directory to use custom instructions`));
-          return;
-        }
+      try {
+        customInstructions = loadCustomInstructions(options.instructions);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.cyan(`💡 Create an instructions.txt file in the settings directory to use custom instructions`));
+        return;
       }
 
       if (options.createMapping) {
@@ -766,23 +1088,22 @@ program
           spinner.fail(chalk.red('❌ Failed to create column mapping'));
         }
       } else {
-        // Get email and API key from config
-        const email = config.get('email');
-        const apiKey = config.get('apiKey');
-        
-        if (!email || !apiKey) {
-          console.log(chalk.red('❌ Please run `dbclean-cli init` first to set your email and API key'));
+        const baseProvider = resolveProvider(options);
+        if (!baseProvider) {
           return;
         }
+        const provider = applyCache(options, applyScheduler(options, baseProvider));
 
-        // Define sample size first
-        const sampleSize = options.sampleSize || 5;
+        // Define sample size and model first (CLI options, then dbclean.yaml)
+        const sampleSize = options.sampleSize || getStepSettings(appConfig, 'architect').sample_size || 5;
+        const model = options.model || getProjectModel(appConfig, 'architect');
 
         // Show pre-processing info
         console.log(chalk.cyan('🚀 Starting AI schema design...'));
         console.log(chalk.gray(`   • Sample size: ${sampleSize} rows`));
-        if (options.model) {
-          console.log(chalk.gray(`   • Model: ${options.model}`));
+        console.log(chalk.gray(`   • Provider: ${provider.name} (${provider.baseUrl})`));
+        if (model) {
+          console.log(chalk.gray(`   • Model: ${model}`));
         }
         if (customInstructions) {
           const preview = customInstructions.length > 100 
@@ -794,8 +1115,9 @@ program
         const spinner = ora('Processing with AI...').start();
         
         try {
-          await runArchitect(sampleSize, customInstructions, email, apiKey, options.model);
+          await runArchitect(sampleSize, customInstructions, null, null, model, provider);
           spinner.succeed(chalk.green('✅ AI schema design completed successfully!'));
+          printCacheUsage(provider);
           
           // Show results
           console.log(chalk.cyan('📋 Results:'));
@@ -820,17 +1142,35 @@ program
   .description('Find and remove duplicate records from CSV data using AI-powered analysis of unique columns')
   .option('-t, --threshold <number>', 'Similarity threshold 0-1 (default: 0.85)', parseFloat)
   .option('-s, --strategy <strategy>', 'Matching strategy: levenshtein|jaccard|combined (default: levenshtein)')
+  .option('-b, --blocking <strategy>', `Candidate generation: ${BLOCKING_STRATEGIES.join('|')} (default: auto)`)
+  .option('--blocking-window <number>', 'Window size for sorted-neighbourhood blocking (default: 10)', parseInt)
+  .option('--dedupe-config <path>', 'Per-column comparator config (default: settings/dedupe_config.json if present)')
+  .option('--merge-rule <rule>', `Default survivorship rule for merged duplicates: ${SURVIVORSHIP_RULES.join('|')} (default: prefer_non_empty)`)
+  .option('--no-merge', 'Drop duplicate rows instead of merging them into a golden record')
   .option('-m, --model <model>', 'AI model to use for deduplication decisions')
   .option('--show-input', 'Display the formatted input that would be sent to AI without making the request')
-  .action(async (options) => {
+  .option('--max-cost <usd>', 'Stop before AI requests would spend more than this many USD', parseFloat)
+  .option('--max-tokens <number>', 'Stop before AI requests would use more than this many tokens', parseInt)
+  .option('--confirm-above <usd>', 'Ask before any AI step estimated to cost more than this many USD', parseFloat)
+  .option('-y, --yes', 'Continue without asking when a step is estimated above --confirm-above')
+  .option('--no-cache', 'Send every AI request, even ones with a cached response')
+  .option('--provider <name>', `AI provider: ${PROVIDER_NAMES.join('|')} (default: dbclean)`)
+  .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)')
+  .action(async (options, command) => {
     try {
       console.log(chalk.cyan('🤖 Starting AI-powered duplicate detection...'));
       
+      // CLI options, then steps.dedupe in dbclean.yaml
+      const dedupeOptions = resolveDedupeOptions(options, command);
+      const model = options.model || getProjectModel(appConfig, 'dedupe');
+      
       // Show configuration
       const dedupeConfig = {
-        threshold: options.threshold || 0.85,
-        strategy: options.strategy || 'levenshtein',
-        model: options.model || 'default',
+        threshold: dedupeOptions.threshold ?? 'default',
+        strategy: dedupeOptions.strategy || 'levenshtein',
+        blocking: dedupeOptions.blocking || 'auto',
+        merge: dedupeOptions.merge ? (dedupeOptions.mergeRule || 'prefer_non_empty') : 'disabled',
+        model: model || 'default',
         showInput: options.showInput || false
       };
       
@@ -838,31 +1178,57 @@ program
       console.log(chalk.gray(`   • AI Model: ${dedupeConfig.model}`));
       console.log(chalk.gray(`   • Threshold: ${dedupeConfig.threshold}`));
       console.log(chalk.gray(`   • Strategy: ${dedupeConfig.strategy}`));
+      console.log(chalk.gray(`   • Blocking: ${dedupeConfig.blocking}`));
+      console.log(chalk.gray(`   • Merge: ${dedupeConfig.merge}`));
       if (dedupeConfig.showInput) {
         console.log(chalk.gray(`   • Show input mode: enabled (no AI request will be made)`));
       }
       console.log(''); // Empty line for spacing
       
-      const spinner = ora('Processing duplicate detection...').start();
+      // Get authentication credentials (only required by the hosted API)
+      const email = config.get('email');
+      const apiKey = config.get('apiKey');
       
-      try {
-        // Get authentication credentials
-        const email = config.get('email');
-        const apiKey = config.get('apiKey');
-        
-        if (!email || !apiKey) {
-          spinner.fail(chalk.red('❌ Authentication required'));
-          console.log(chalk.red('Please run `dbclean-cli init` first to set your email and API key'));
+      const provider = resolveProvider(options);
+      if (!provider) {
+        console.log(chalk.red('❌ AI provider unavailable'));
+        return;
+      }
+
+      // --show-input makes no AI request, so it needs no budget
+      let guard = { provider, budget: null, prices: {}, confirmAbove: null };
+      if (!options.showInput) {
+        try {
+          guard = await applyBudget(options, provider, [model]);
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
           return;
         }
-
+        const { dataDir, outputsDir } = getWorkspacePaths(appConfig);
+        const confirmed = await confirmStepCost('dedupe', {
+          provider,
+          model,
+          csvPath: path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv'),
+          dedupeOptions,
+          columnMappingPath: path.join(outputsDir, appConfig.outputs_column_mapping_file || 'column_mapping.json')
+        }, guard, options.yes);
+        if (!confirmed) {
+          console.log(chalk.yellow('⏹️  Dedupe not started'));
+          return;
+        }
+      }
+      
+      const spinner = ora('Processing duplicate detection...').start();
+      const aiProvider = applyCache(options, applyScheduler(options, guard.provider));
+      
+      try {
         const result = await runDedupe({
-          threshold: options.threshold,
-          strategy: options.strategy,
+          ...dedupeOptions,
           showInput: options.showInput,
           email: email,
           apiKey: apiKey,
-          model: options.model
+          model: model,
+          provider: aiProvider
         });
         
         if (result.success) {
@@ -881,12 +1247,16 @@ program
             console.log(chalk.gray(`   • Original records: ${result.stats.originalCount}`));
             console.log(chalk.gray(`   • Duplicate groups: ${result.stats.duplicateGroups}`));
             console.log(chalk.gray(`   • Duplicates removed: ${result.stats.duplicatesRemoved}`));
+            if (result.stats.recordsMerged > 0) {
+              console.log(chalk.gray(`   • Golden records merged: ${result.stats.recordsMerged} (${result.stats.fieldsFilled} fields filled)`));
+            }
             console.log(chalk.gray(`   • Final record count: ${result.stats.finalCount}`));
             if (result.stats.originalCount > 0) {
               const dedupeRate = ((result.stats.duplicatesRemoved / result.stats.originalCount) * 100).toFixed(2);
               console.log(chalk.gray(`   • Deduplication rate: ${dedupeRate}%`));
             }
             console.log(chalk.gray(`   • Unique columns used: ${result.uniqueColumns.join(', ')}`));
+            printCacheUsage(aiProvider, '   • ');
             
             if (result.outputPath) {
               console.log(chalk.gray(`   • Output file: ${result.outputPath}`));
@@ -894,6 +1264,9 @@ program
             if (result.reportPath) {
               console.log(chalk.gray(`   • Report: ${result.reportPath}`));
             }
+            if (result.lineagePath) {
+              console.log(chalk.gray(`   • Lineage: ${result.lineagePath}`));
+            }
             
             if (result.duplicateGroups === 0) {
               console.log(chalk.green('\n🎉 No duplicates found with current settings!'));
@@ -911,6 +1284,10 @@ program
         spinner.fail(chalk.red('❌ Duplicate detection failed'));
         handleApiError(error, 'Deduplication');
         return;
+      } finally {
+        if (guard.budget) {
+          console.log(chalk.gray(`💰 AI usage: ${guard.budget.summary()}`));
+        }
       }
     } catch (error) {
       console.error(chalk.red('❌ Fatal error:', error.message));
@@ -923,13 +1300,24 @@ program
   .description('Process CSV columns with AI to clean and standardize data')
   .option('-m, --model <model>', 'AI model to use for processing')
   .option('--list-models', 'List available AI models')
+  .option('--resume', 'Keep existing column outputs and only process columns/batches that have none')
+  .option('--concurrency <number>', 'Maximum AI requests in flight at once (default: 4)', parseInt)
+  .option('--requests-per-minute <number>', 'Space AI requests to stay under this rate', parseFloat)
+  .option('--max-cost <usd>', 'Stop before AI requests would spend more than this many USD', parseFloat)
+  .option('--max-tokens <number>', 'Stop before AI requests would use more than this many tokens', parseInt)
+  .option('--confirm-above <usd>', 'Ask before any AI step estimated to cost more than this many USD', parseFloat)
+  .option('-y, --yes', 'Continue without asking when a step is estimated above --confirm-above')
+  .option('--no-rules', 'Send every invalid value to the AI, without trying the built-in cleaning rules first')
+  .option('--no-cache', 'Send every AI request, even ones with a cached response')
+  .option('--provider <name>', `AI provider: ${PROVIDER_NAMES.join('|')} (default: dbclean)`)
+  .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)')
   .action(async (options) => {
     try {
       // Handle list models option
       if (options.listModels) {
         const spinner = ora('Fetching available AI models...').start();
         try {
-          const models = await getAvailableModels();
+          const models = await getAvailableModels(createProvider(providerOptions(options)));
           if (models.length > 0) {
             spinner.succeed(chalk.green('✅ Available AI models:'));
             models.forEach((model, index) => {
@@ -945,26 +1333,51 @@ program
         return;
       }
 
-      // Get email and API key from config
-      const email = config.get('email');
-      const apiKey = config.get('apiKey');
-      
-      if (!email || !apiKey) {
-        console.log(chalk.red('❌ Please run `dbclean-cli init` first to set your email and API key'));
+      const provider = resolveProvider(options);
+      if (!provider) {
+        return;
+      }
+
+      const model = options.model || getProjectModel(appConfig, 'cleaner');
+
+      let guard;
+      let aiProvider;
+      try {
+        guard = await applyBudget(options, provider, [model]);
+        aiProvider = applyCache(options, applyScheduler(options, guard.provider));
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
         return;
       }
 
       console.log(chalk.cyan('🧹 Starting AI data cleaning by columns...'));
-      console.log(chalk.gray(`   • API endpoint: ${process.env.DBCLEAN_API_URL || 'https://dbclean-api.dbcleandev.workers.dev'}`));
-      if (options.model) {
-        console.log(chalk.gray(`   • Model: ${options.model}`));
+      console.log(chalk.gray(`   • Provider: ${provider.name} (${provider.baseUrl})`));
+      console.log(chalk.gray(`   • Requests: ${describeScheduler(aiProvider.scheduler)}`));
+      if (model) {
+        console.log(chalk.gray(`   • Model: ${model}`));
       }
       console.log(''); // Empty line for spacing
+
+      const { dataDir, outputsDir } = getWorkspacePaths(appConfig);
+      const cleanedCsvPath = path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv');
+      const dedupedCsvPath = path.join(dataDir, appConfig.data_deduped_file_path || 'data_deduped.csv');
+      const confirmed = await confirmStepCost('cleaner', {
+        provider,
+        model,
+        csvPath: fs.existsSync(dedupedCsvPath) ? dedupedCsvPath : cleanedCsvPath,
+        columnMappingPath: path.join(outputsDir, appConfig.outputs_column_mapping_file || 'column_mapping.json'),
+        architectOutputPath: path.join(outputsDir, appConfig.outputs_architect_output_file || 'architect_output.txt'),
+        rules: options.rules
+      }, guard, options.yes);
+      if (!confirmed) {
+        console.log(chalk.yellow('⏹️  Cleaner not started'));
+        return;
+      }
       
       const spinner = ora('Processing columns with AI...').start();
       
       try {
-        const success = await runCleaner(email, apiKey, options.model);
+        const success = await runCleaner(null, null, model, aiProvider, options.resume, { rules: options.rules });
         if (success) {
           spinner.succeed(chalk.green('✅ AI data cleaning completed successfully!'));
           
@@ -972,6 +1385,7 @@ program
           console.log(chalk.cyan('📋 Results:'));
           console.log(chalk.gray(`   • Column outputs: outputs/cleaned_columns/outputs/`));
           console.log(chalk.gray(`   • Column logs: outputs/cleaned_columns/logs/`));
+          printCacheUsage(aiProvider, '   • ');
         } else {
           spinner.fail(chalk.red('❌ AI data cleaning failed'));
         }
@@ -979,6 +1393,10 @@ program
         spinner.fail(chalk.red('❌ AI data cleaning failed'));
         handleApiError(error, 'Data cleaning');
         return;
+      } finally {
+        if (guard.budget) {
+          console.log(chalk.gray(`💰 AI usage: ${guard.budget.summary()}`));
+        }
       }
     } catch (error) {
       console.error(chalk.red('❌ Fatal error:', error.message));
@@ -989,7 +1407,10 @@ program
 program
   .command('stitcher')
   .description('Create final stitched CSV by applying architect and cleaner changes')
-  .action(async () => {
+  .option('--output-format <format>', `Also write the stitched data as ${OUTPUT_FORMATS.filter(format => format !== 'csv').join('|')}, typed from column_mapping.json`)
+  .option('--sink <connection>', 'Also write the stitched data into a database (sqlite:<file>, postgres://..., mysql://...)')
+  .option('--sink-table <table>', 'Table to write into, created from column_mapping.json when missing (default: data_stitched)')
+  .action(async (options) => {
     try {
       console.log(chalk.cyan('🧩 Starting stitcher process...'));
       console.log(chalk.gray('   • Applies architect corrections to first rows'));
@@ -1000,13 +1421,21 @@ program
       const spinner = ora('Creating stitched CSV...').start();
       
       try {
-        const success = await runStitcher();
+        const outputFormat = options.outputFormat || appConfig.project.output_format;
+        const sinkOptions = loadSinkOptions(options);
+        const success = await runStitcher({ outputFormat, ...sinkOptions });
         if (success) {
           spinner.succeed(chalk.green('✅ Stitcher process completed successfully!'));
           
           // Show results
           console.log(chalk.cyan('📋 Results:'));
           console.log(chalk.gray(`   • Final CSV: data/data_stitched.csv`));
+          if (outputFormat && outputFormat !== 'csv') {
+            console.log(chalk.gray(`   • Typed output: data/${path.basename(outputPathFor('data_stitched.csv', outputFormat))}`));
+          }
+          if (sinkOptions.sink) {
+            console.log(chalk.gray(`   • Database: ${describeConnection(sinkOptions.sink)} (table ${sinkOptions.sinkTable || 'data_stitched'})`));
+          }
           console.log(chalk.gray(`   • Changes analysis: outputs/cleaner_changes_analysis.html`));
           console.log(chalk.gray(`   • Ready for use!`));
         } else {
@@ -1025,7 +1454,8 @@ program
 program
   .command('isosplit')
   .description('Detect outliers and split data into train/validate/test sets')
-  .action(async () => {
+  .option('--output-format <format>', `Also write the splits as ${OUTPUT_FORMATS.filter(format => format !== 'csv').join('|')}, typed from column_mapping.json`)
+  .action(async (options) => {
     try {
       console.log(chalk.cyan('📊 Starting Isosplit process...'));
       console.log(chalk.gray('   • Detects outliers using Isolation Forest'));
@@ -1035,7 +1465,8 @@ program
       const spinner = ora('Detecting outliers and splitting data...').start();
       
       try {
-        const success = await runIsosplit();
+        const outputFormat = options.outputFormat || appConfig.project.output_format;
+        const success = await runIsosplit({ outputFormat });
         if (success) {
           spinner.succeed(chalk.green('✅ Isosplit process completed successfully!'));
           
@@ -1044,6 +1475,9 @@ program
           console.log(chalk.gray(`   • Train data: data/train.csv`));
           console.log(chalk.gray(`   • Validate data: data/validate.csv`));
           console.log(chalk.gray(`   • Test data: data/test.csv`));
+          if (outputFormat && outputFormat !== 'csv') {
+            console.log(chalk.gray(`   • Typed splits: data/{train,validate,test}${path.extname(outputPathFor('train.csv', outputFormat))}`));
+          }
           console.log(chalk.gray(`   • Ready for use!`));
         } else {
           spinner.fail(chalk.red('❌ Isosplit process failed'));
@@ -1057,11 +1491,115 @@ program
     }
   });
 
+// Export schema - Generate SQL DDL and a load script from column_mapping.json
+program
+  .command('export-schema')
+  .description('Generate CREATE TABLE statements and a load script for data_stitched.csv from column_mapping.json')
+  .option('--dialect <dialect>', `SQL dialect: ${SQL_DIALECTS.join('|')}`, 'postgres')
+  .option('--table <name>', 'Table name, optionally with a schema or dataset (default: data_stitched)')
+  .option('--source <uri>', 'File or gs:// URI the postgres and bigquery load scripts read (default: the stitched CSV)')
+  .option('--no-checks', 'Leave out CHECK constraints derived from the column regexes')
+  .action(async (options) => {
+    try {
+      if (!SQL_DIALECTS.includes(options.dialect)) {
+        console.log(chalk.red(`❌ Unknown SQL dialect '${options.dialect}'. Available: ${SQL_DIALECTS.join(', ')}`));
+        return;
+      }
+
+      console.log(chalk.cyan('🗄️  Exporting schema as SQL...'));
+      console.log('');
+
+      const workingDir = process.cwd();
+      const dataDir = path.resolve(workingDir, appConfig.data_dir || 'data');
+      const outputsDir = path.resolve(workingDir, appConfig.outputs_dir || 'outputs');
+      const result = await exportSchema({
+        columnMappingPath: path.join(outputsDir, appConfig.outputs_column_mapping_file || 'column_mapping.json'),
+        stitchedCsvPath: path.join(dataDir, appConfig.data_stitched_file_path || 'data_stitched.csv'),
+        outputsDir,
+        dialect: options.dialect,
+        table: options.table,
+        source: options.source,
+        checks: options.checks
+      });
+
+      console.log(chalk.cyan('\n📋 Results:'));
+      console.log(chalk.gray(`   • Schema: outputs/${path.basename(result.schemaPath)} (${result.checks} regex CHECK constraints)`));
+      if (result.loadPath) {
+        const rows = result.rowCount !== null ? ` (${result.rowCount} rows)` : '';
+        console.log(chalk.gray(`   • Load script: outputs/${path.basename(result.loadPath)}${rows}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Export schema failed:', error.message));
+    }
+  });
+
+// Cache - Inspect and prune the local cache of AI responses
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect and prune the local cache of AI responses');
+
+cacheCommand
+  .command('stats')
+  .description('Show the number and size of cached AI responses, per step and model')
+  .action(() => {
+    try {
+      const stats = new ResponseCache(getCacheSettings(appConfig).dir).stats();
+      console.log(chalk.cyan('♻️  AI response cache'));
+      console.log(chalk.gray(`   • Location: ${stats.dir}`));
+      console.log(chalk.gray(`   • Entries: ${stats.entries} (${formatBytes(stats.bytes)})`));
+      if (stats.entries === 0) {
+        return;
+      }
+      console.log(chalk.gray(`   • Oldest: ${stats.oldest.toISOString()}`));
+      console.log(chalk.gray(`   • Newest: ${stats.newest.toISOString()}`));
+      for (const [title, group] of [['By step', stats.steps], ['By model', stats.models]]) {
+        console.log(chalk.cyan(`\n${title}:`));
+        for (const [name, totals] of Object.entries(group)) {
+          console.log(chalk.gray(`   • ${name}: ${totals.entries} (${formatBytes(totals.bytes)})`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Cache stats failed:', error.message));
+    }
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Remove cached AI responses older than a number of days (default: 30)')
+  .option('--older-than <days>', 'Remove entries last written more than this many days ago', parseFloat, 30)
+  .option('--all', 'Remove every cached response')
+  .action((options) => {
+    try {
+      if (!options.all && !(options.olderThan >= 0)) {
+        console.log(chalk.red('❌ --older-than must be a non-negative number of days'));
+        return;
+      }
+      const cache = new ResponseCache(getCacheSettings(appConfig).dir);
+      const { removed, bytes } = cache.prune({ olderThanDays: options.olderThan, all: options.all });
+      const scope = options.all ? '' : ` older than ${options.olderThan} day(s)`;
+      console.log(chalk.green(`🧹 Removed ${removed} cached response(s)${scope} (${formatBytes(bytes)}) from ${cache.dir}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Cache prune failed:', error.message));
+    }
+  });
+
 // Run - Execute the full pipeline (preclean → architect → cleaner → stitcher)
 program
   .command('run')
   .description('Run the full data processing pipeline: preclean -> architect -> cleaner -> stitcher -> dedupe -> isosplit')
-  .option('--input <path>', 'Input CSV file path (default: data.csv)')
+  .option('--input <path>', 'Input file path: csv, tsv, jsonl, xlsx or parquet (default: data.csv)')
+  .option('--format <format>', `Input format: ${INPUT_FORMATS.join('|')} (default: from the file extension)`)
+  .option('--delimiter <char>', 'Field delimiter for csv input (use \\t for tabs)')
+  .option('--encoding <name>', 'Text encoding of csv, tsv and jsonl input (default: detected from the file)')
+  .option('--sheet <name|number>', 'Sheet to read from xlsx input (default: the first sheet)')
+  .option('--source <connection>', 'Read the input from a database instead of a file (sqlite:<file>, postgres://..., mysql://...)')
+  .option('--source-table <table>', 'Table to read from the source database')
+  .option('--source-query <sql>', 'Query to read from the source database')
+  .option('--unicode <policy>', `How to treat non-ASCII characters in preclean: ${UNICODE_POLICIES.join('|')} (default: ${DEFAULT_UNICODE_POLICY})`)
+  .option('--unicode-column <column=policy>', 'Unicode policy for one column in preclean (repeatable)', collectUnicodeColumn)
+  .option('--output-format <format>', `Also write the stitched data and splits as ${OUTPUT_FORMATS.filter(format => format !== 'csv').join('|')}`)
+  .option('--sink <connection>', 'Also write the stitched data into a database (sqlite:<file>, postgres://..., mysql://...)')
+  .option('--sink-table <table>', 'Table to write into, created from column_mapping.json when missing (default: data_stitched)')
   .option('-x, --sample-size <number>', 'Number of first rows to process in architect (default: 5)', parseInt)
   .option('-i, --instructions', 'Use custom instructions from instructions.txt file')
   .option('-m, --model <model>', 'AI model to use for both architect and cleaner')
@@ -1073,13 +1611,25 @@ program
   .option('--skip-dedupe', 'Skip the dedupe step (skip duplicate removal)')
   .option('--skip-cleaner', 'Skip the cleaner step (skip column-level cleaning)')
   .option('--skip-isosplit', 'Skip the outlier detection and data splitting step')
+  .option('--resume', 'Skip steps that completed in the previous run with unchanged inputs')
+  .option('--estimate', 'Estimate tokens and cost per step and model without calling the AI')
+  .option('--concurrency <number>', 'Maximum AI requests in flight at once (default: 4)', parseInt)
+  .option('--requests-per-minute <number>', 'Space AI requests to stay under this rate', parseFloat)
+  .option('--max-cost <usd>', 'Stop before AI requests would spend more than this many USD', parseFloat)
+  .option('--max-tokens <number>', 'Stop before AI requests would use more than this many tokens', parseInt)
+  .option('--confirm-above <usd>', 'Ask before any AI step estimated to cost more than this many USD', parseFloat)
+  .option('-y, --yes', 'Continue without asking when a step is estimated above --confirm-above')
+  .option('--no-rules', 'Send every invalid value to the AI, without trying the built-in cleaning rules first')
+  .option('--no-cache', 'Send every AI request, even ones with a cached response')
+  .option('--provider <name>', `AI provider: ${PROVIDER_NAMES.join('|')} (default: dbclean)`)
+  .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)')
   .action(async (options) => {
     try {
       // Handle list models option
       if (options.listModels) {
         const spinner = ora('Fetching available AI models...').start();
         try {
-          const models = await getAvailableModels();
+          const models = await getAvailableModels(createProvider(providerOptions(options)));
           if (models.length > 0) {
             spinner.succeed(chalk.green('✅ Available AI models:'));
             models.forEach((model, index) => {
@@ -1095,42 +1645,73 @@ program
         return;
       }
 
-      // Determine models to use
-      const architectModel = options.modelArchitect || options.model || null;
-      const cleanerModel = options.modelCleaner || options.model || null;
+      // Steps skipped in dbclean.yaml count as --skip-<step>
+      const skipOptions = { preclean: 'skipPreclean', architect: 'skipArchitect', dedupe: 'skipDedupe', cleaner: 'skipCleaner', isosplit: 'skipIsosplit' };
+      for (const [step, option] of Object.entries(skipOptions)) {
+        options[option] = options[option] || getStepSettings(appConfig, step).skip || false;
+      }
+
+      // Determine models to use (CLI options, then dbclean.yaml)
+      const architectModel = options.modelArchitect || options.model || getProjectModel(appConfig, 'architect');
+      const cleanerModel = options.modelCleaner || options.model || getProjectModel(appConfig, 'cleaner');
+      const dedupeModel = options.model || appConfig.project.models?.dedupe || cleanerModel;
+      const dedupeOptions = resolveDedupeOptions();
 
-      // Get email and API key from config
+      // Get email and API key from config (only required by the hosted API)
       const email = config.get('email');
       const apiKey = config.get('apiKey');
       
-      if (!email || !apiKey) {
-        console.log(chalk.red('❌ Please run `dbclean-cli init` first to set your email and API key'));
+      // An estimate makes no paid calls, so it works without credentials
+      let provider = resolveProvider(options, { requireAuth: !options.estimate });
+      if (!provider) {
         return;
       }
 
-      // Handle custom instructions
+      // Custom instructions from dbclean.yaml, or instructions.txt with -i
       let customInstructions = null;
-      if (options.instructions) {
-        // Use package directory for settings files
-        const packageSettingsDir = appConfig._packageDir ? 
-          path.join(appConfig._packageDir, appConfig.settings__dir || 'settings') :
-          path.join(path.dirname(import.meta.url.replace('file://', '')), appConfig.settings__dir || 'settings');
-        const instructionsFilePath = path.join(packageSettingsDir, appConfig.settings_instructions_file_path || 'instructions.txt');
-        
-        try {
-          customInstructions = fs.readFileSync(instructionsFilePath, 'utf-8').trim();
-          console.log(chalk.gray(`📄 Loaded custom instructions from: ${instructionsFilePath}`));
-        } catch (error) {
-          console.log(chalk.red(`❌ Instructions file not found: ${instructionsFilePath}`));
-          console.log(chalk.cyan(`💡 Create an instructions.txt file in the settings directory to use custom instructions`));
-          return;
-        }
+      try {
+        customInstructions = loadCustomInstructions(options.instructions);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.cyan(`💡 Create an instructions.txt file in the settings directory to use custom instructions`));
+        return;
       }
 
-      const sampleSize = options.sampleSize || 5;
+      const sampleSize = options.sampleSize || getStepSettings(appConfig, 'architect').sample_size || 5;
+      const outputFormat = options.outputFormat || appConfig.project.output_format || 'csv';
+      if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        console.log(chalk.red(`❌ Unknown output format '${outputFormat}'. Available: ${OUTPUT_FORMATS.join(', ')}`));
+        return;
+      }
+
+      let inputOptions;
+      let textOptions;
+      let sinkOptions;
+      // Spending limits (an estimate makes no AI requests, so it needs none)
+      let guard = { provider, budget: null, prices: {}, confirmAbove: null };
+      try {
+        inputOptions = loadInputOptions(options);
+        textOptions = loadTextOptions(options);
+        sinkOptions = loadSinkOptions(options);
+        if (!options.estimate) {
+          guard = await applyBudget(options, provider, [architectModel, dedupeModel, cleanerModel]);
+        }
+        // One scheduler for all steps, so concurrency and rate limits hold across the run
+        provider = applyScheduler(options, guard.provider);
+        if (!options.estimate) {
+          provider = applyCache(options, provider);
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return;
+      }
 
       // Show pipeline overview
-      console.log(chalk.bold.blue('\n🚀 Starting Complete DBClean Pipeline\n'));
+      console.log(chalk.bold.blue(options.estimate ? '\n💰 Estimating DBClean Pipeline Cost\n' : '\n🚀 Starting Complete DBClean Pipeline\n'));
+      if (appConfig._projectPath) {
+        console.log(chalk.gray(`Project: ${appConfig._projectPath}`));
+      }
+      console.log(chalk.gray(`AI provider: ${provider.name} (${provider.baseUrl})\n`));
       console.log(chalk.cyan('Pipeline Steps:'));
       if (!options.skipPreclean) {
         console.log(chalk.gray('  1. 🧹 Preclean CSV Data'));
@@ -1144,10 +1725,17 @@ program
       if (!options.skipCleaner) {
         console.log(chalk.gray(`  ${(options.skipPreclean ? 0 : 1) + (options.skipArchitect ? 0 : 1) + (options.skipDedupe ? 0 : 1) + 1}. 🧹 Cleaner column processing${cleanerModel ? ` [${cleanerModel}]` : ''}`));
       }
-      console.log(chalk.gray(`  ${(options.skipPreclean ? 0 : 1) + (options.skipArchitect ? 0 : 1) + (options.skipDedupe ? 0 : 1) + (options.skipCleaner ? 0 : 1) + 1}. 🧩 Stitcher final assembly`));
+      console.log(chalk.gray(`  ${(options.skipPreclean ? 0 : 1) + (options.skipArchitect ? 0 : 1) + (options.skipDedupe ? 0 : 1) + (options.skipCleaner ? 0 : 1) + 1}. 🧩 Stitcher final assembly${sinkOptions.sink ? ` → ${describeConnection(sinkOptions.sink)}` : ''}`));
       if (!options.skipIsosplit) {
         console.log(chalk.gray(`  ${(options.skipPreclean ? 0 : 1) + (options.skipArchitect ? 0 : 1) + (options.skipDedupe ? 0 : 1) + (options.skipCleaner ? 0 : 1) + 1 + 1}. 📊 Isosplit outlier detection and data splitting`));
       }
+      if (!options.estimate) {
+        console.log(chalk.gray(`  ⚡ Requests: ${describeScheduler(provider.scheduler)}`));
+      }
+      if (guard.budget) {
+        const limits = [guard.budget.maxCost !== null && `$${guard.budget.maxCost}`, guard.budget.maxTokens !== null && `${guard.budget.maxTokens.toLocaleString()} tokens`].filter(Boolean);
+        console.log(chalk.gray(`  💰 Budget: ${limits.join(', ')}`));
+      }
       if (customInstructions) {
         const preview = customInstructions.length > 100 
           ? customInstructions.substring(0, 100) + '...'
@@ -1156,6 +1744,138 @@ program
       }
       console.log('');
 
+      // Resolve the files each step reads and writes, for the run manifest
+      const workingDir = process.cwd();
+      const dataDir = path.resolve(workingDir, appConfig.data_dir || 'data');
+      const outputsDir = path.resolve(workingDir, appConfig.outputs_dir || 'outputs');
+      
+      // Package settings, or the settings_dir from dbclean.yaml
+      const settingsDir = appConfig._settingsDir;
+      
+      const originalCsvPath = options.input || path.resolve(workingDir, appConfig.input_file_path || 'data.csv');
+      const cleanedCsvPath = path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv');
+      const dedupedCsvPath = path.join(dataDir, appConfig.data_deduped_file_path || 'data_deduped.csv');
+      const stitchedCsvPath = path.join(dataDir, appConfig.data_stitched_file_path || 'data_stitched.csv');
+      const excludeColumns = appConfig.project.exclude_columns || null;
+      const excludeFilePath = path.join(settingsDir, appConfig.settings_exclude_columns_file_path || 'exclude_columns.txt');
+      const dedupeSettings = getStepSettings(appConfig, 'dedupe');
+      const dedupeConfigPath = dedupeSettings.config
+        ? path.resolve(appConfig._projectDir, dedupeSettings.config)
+        : path.join(settingsDir, appConfig.settings_dedupe_config_file_path || 'dedupe_config.json');
+      const architectOutputPath = path.join(outputsDir, appConfig.outputs_architect_output_file || 'architect_output.txt');
+      const columnMappingPath = path.join(outputsDir, appConfig.outputs_column_mapping_file || 'column_mapping.json');
+      const cleanerOutputsDir = path.join(outputsDir, appConfig.outputs_cleaned_columns_dir || 'cleaned_columns', 'outputs');
+      // Custom cleaning rules; a new or edited rules file reruns the cleaner and stitcher
+      const rulesFilePath = findRulesFile(appConfig) || path.join(settingsDir, RULES_FILE_NAMES[0]);
+      
+      // Typed copies written next to the CSVs when --output-format is not csv
+      const withTypedOutputs = (csvPaths) => outputFormat === 'csv'
+        ? csvPaths
+        : [...csvPaths, ...csvPaths.map(csvPath => outputPathFor(csvPath, outputFormat))];
+      const steps = {
+        preclean: {
+          inputs: inputOptions.source ? [excludeFilePath] : [originalCsvPath, excludeFilePath],
+          outputs: [cleanedCsvPath],
+          options: { excludeColumns, ...inputOptions, ...textOptions, source: inputOptions.source && describeConnection(inputOptions.source) }
+        },
+        architect: {
+          inputs: [cleanedCsvPath],
+          outputs: [architectOutputPath, columnMappingPath],
+          options: { sampleSize, customInstructions, model: architectModel, provider: provider.name }
+        },
+        dedupe: {
+          inputs: [cleanedCsvPath, columnMappingPath, dedupeConfigPath],
+          outputs: [dedupedCsvPath, path.join(outputsDir, 'dedupe_report.txt'), path.join(outputsDir, appConfig.outputs_dedupe_lineage_file || 'dedupe_lineage.json')],
+          options: { ...dedupeSettings, model: dedupeModel, provider: provider.name }
+        },
+        cleaner: {
+          inputs: [cleanedCsvPath, dedupedCsvPath, architectOutputPath, columnMappingPath, rulesFilePath],
+          outputs: [cleanerOutputsDir],
+          options: { model: cleanerModel, provider: provider.name, rules: options.rules !== false && getStepSettings(appConfig, 'cleaner').rules !== false }
+        },
+        stitcher: {
+          inputs: [cleanedCsvPath, dedupedCsvPath, architectOutputPath, columnMappingPath, cleanerOutputsDir, rulesFilePath],
+          outputs: withTypedOutputs([stitchedCsvPath]),
+          options: { outputFormat, sink: sinkOptions.sink && describeConnection(sinkOptions.sink), sinkTable: sinkOptions.sinkTable }
+        },
+        isosplit: {
+          inputs: [stitchedCsvPath, columnMappingPath],
+          outputs: withTypedOutputs(['train.csv', 'validate.csv', 'test.csv'].map(file => path.join(dataDir, file))),
+          options: { outputFormat }
+        }
+      };
+      
+      // Walk the steps without calling the AI and print what the run would cost
+      if (options.estimate) {
+        if (!options.skipPreclean && !inputOptions.source && !fs.existsSync(originalCsvPath)) {
+          console.log(chalk.red(`❌ Required input file not found: ${originalCsvPath}`));
+          return;
+        }
+        try {
+          const estimate = await estimateRun({
+            provider,
+            models: { architect: architectModel, dedupe: dedupeModel, cleaner: cleanerModel },
+            skip: { preclean: options.skipPreclean, architect: options.skipArchitect, dedupe: options.skipDedupe, cleaner: options.skipCleaner },
+            originalCsvPath,
+            cleanedCsvPath,
+            excludeColumns: excludeColumns || excludeFilePath,
+            inputOptions,
+            textOptions,
+            sampleSize,
+            customInstructions,
+            dedupeOptions,
+            columnMappingPath,
+            architectOutputPath,
+            rules: options.rules,
+            priceTablePath: priceTablePath(),
+            projectPrices: appConfig.project.model_prices
+          });
+          printEstimate(estimate);
+        } catch (error) {
+          console.log(chalk.red(`❌ Estimate failed: ${error.message}`));
+        }
+        return;
+      }
+
+      // Load the previous run manifest when resuming, otherwise start a new one
+      const manifestPath = path.join(outputsDir, appConfig.outputs_run_manifest_file || 'run_manifest.json');
+      const manifest = options.resume ? await RunManifest.load(manifestPath) : new RunManifest(manifestPath);
+      if (options.resume && manifest.isEmpty) {
+        console.log(chalk.yellow(`⚠️  No previous run found in ${path.relative(workingDir, manifestPath)} - running all steps\n`));
+      }
+      
+      // A database source can change between runs, so preclean always reads it again
+      const isResumable = (name) => !(name === 'preclean' && inputOptions.source);
+      const skipCompletedStep = async (name) => {
+        if (options.resume && isResumable(name) && await manifest.isUpToDate(name, steps[name])) {
+          console.log(chalk.gray('⏭️  Already completed with the same inputs - skipping (--resume)'));
+          return true;
+        }
+        await manifest.start(name, steps[name]);
+        return false;
+      };
+
+      // Ask before an AI step estimated above --confirm-above; a declined step is left failed for --resume
+      const models = { architect: architectModel, dedupe: dedupeModel, cleaner: cleanerModel };
+      const stoppedForCost = async (name) => {
+        const confirmed = await confirmStepCost(name, {
+          provider,
+          model: models[name],
+          csvPath: name === 'cleaner' && fs.existsSync(dedupedCsvPath) ? dedupedCsvPath : cleanedCsvPath,
+          sampleSize,
+          customInstructions,
+          dedupeOptions,
+          columnMappingPath,
+          architectOutputPath,
+          rules: options.rules
+        }, guard, options.yes);
+        if (!confirmed) {
+          await manifest.fail(name, new Error('Not confirmed: estimated cost above the confirmation threshold'));
+          console.log(chalk.yellow(`⏹️  Stopped before ${name} - rerun with --resume to continue`));
+        }
+        return !confirmed;
+      };
+
       let stepNumber = 1;
 
       // Step 1: Preclean (if not skipped)
@@ -1163,59 +1883,48 @@ program
         console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: Preclean CSV Data`));
         stepNumber++;
         
-        const spinner = ora('Checking for input CSV file...').start();
-        try {
-          // Use current working directory for data files
-          const workingDir = process.cwd();
-          // Create data and outputs directories if they don't exist
-          const dataDir = path.join(workingDir, appConfig.data_dir || 'data');
-          const outputsDir = path.join(workingDir, appConfig.outputs_dir || 'outputs');
-          
-          // Ensure directories exist
-          if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-          }
-          if (!fs.existsSync(outputsDir)) {
-            fs.mkdirSync(outputsDir, { recursive: true });
-          }
-          
-          // Use package directory for settings files
-          const packageSettingsDir = appConfig._packageDir ? 
-            path.join(appConfig._packageDir, appConfig.settings__dir || 'settings') :
-            path.join(path.dirname(import.meta.url.replace('file://', '')), appConfig.settings__dir || 'settings');
-          
-          const originalCsvPath = options.input || path.join(workingDir, 'data.csv');
-          const cleanedCsvPath = path.join(dataDir, appConfig.data_cleaned_file_path || 'data_cleaned.csv');
-          const excludeFilePath = path.join(packageSettingsDir, appConfig.settings_exclude_columns_file_path || 'exclude_columns.txt');
-          
-          // Check if input file exists
-          if (!fs.existsSync(originalCsvPath)) {
-            spinner.fail(chalk.red(`❌ Required input file not found: ${path.basename(originalCsvPath)}`));
-            console.log(chalk.bold.red('\n🚨 DBClean Setup Required\n'));
-            console.log(chalk.yellow('To use DBClean, you need to provide a CSV file for processing:'));
-            console.log(chalk.cyan(`   1. Create or copy your CSV file to: ${originalCsvPath}`));
-            console.log(chalk.cyan(`   2. Make sure it's properly formatted with headers`));
-            console.log(chalk.cyan(`   3. Run the command again\n`));
-            console.log(chalk.gray('Alternative: Use --input <file> to specify a different CSV file'));
-            console.log(chalk.gray('Additional information:'));
-            console.log(chalk.gray(`   • Expected file path: ${originalCsvPath}`));
-            console.log(chalk.gray(`   • Current working directory: ${process.cwd()}`));
-            console.log(chalk.gray('\nFor help, run: dbclean-cli --help'));
-            return;
-          }
-          
-          spinner.text = 'Cleaning CSV data...';
-          const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeFilePath);
-          if (cleanedPath) {
-            spinner.succeed(chalk.green('✅ Preclean completed successfully'));
-          } else {
+        // Check if input file exists
+        if (!inputOptions.source && !fs.existsSync(originalCsvPath)) {
+          console.log(chalk.red(`❌ Required input file not found: ${path.basename(originalCsvPath)}`));
+          console.log(chalk.bold.red('\n🚨 DBClean Setup Required\n'));
+          console.log(chalk.yellow('To use DBClean, you need to provide a data file for processing:'));
+          console.log(chalk.cyan(`   1. Create or copy your CSV file to: ${originalCsvPath}`));
+          console.log(chalk.cyan(`   2. Make sure it's properly formatted with headers`));
+          console.log(chalk.cyan(`   3. Run the command again\n`));
+          console.log(chalk.gray('Alternative: Use --input <file> to specify a different file (csv, tsv, jsonl, xlsx or parquet)'));
+          console.log(chalk.gray('Additional information:'));
+          console.log(chalk.gray(`   • Expected file path: ${originalCsvPath}`));
+          console.log(chalk.gray(`   • Current working directory: ${process.cwd()}`));
+          console.log(chalk.gray('\nFor help, run: dbclean-cli --help'));
+          return;
+        }
+        
+        if (!await skipCompletedStep('preclean')) {
+          const spinner = ora('Cleaning CSV data...').start();
+          try {
+            // Ensure directories exist
+            if (!fs.existsSync(dataDir)) {
+              fs.mkdirSync(dataDir, { recursive: true });
+            }
+            if (!fs.existsSync(outputsDir)) {
+              fs.mkdirSync(outputsDir, { recursive: true });
+            }
+            
+            const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeColumns || excludeFilePath, inputOptions, textOptions);
+            if (cleanedPath) {
+              await manifest.complete('preclean', steps.preclean);
+              spinner.succeed(chalk.green('✅ Preclean completed successfully'));
+            } else {
+              await manifest.fail('preclean');
+              spinner.fail(chalk.red('❌ Preclean failed'));
+              return;
+            }
+          } catch (error) {
+            await manifest.fail('preclean', error);
             spinner.fail(chalk.red('❌ Preclean failed'));
+            console.error(chalk.red(error.message));
             return;
           }
-        } catch (error) {
-          spinner.fail(chalk.red('❌ Preclean failed'));
-          console.error(chalk.red(error.message));
-          return;
         }
       }
 
@@ -1224,14 +1933,21 @@ program
         console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: Architect Schema Design`));
         stepNumber++;
         
-        const spinner = ora('Processing with AI architect...').start();
-        try {
-          await runArchitect(sampleSize, customInstructions, email, apiKey, architectModel);
-          spinner.succeed(chalk.green('✅ Architect completed successfully'));
-        } catch (error) {
-          spinner.fail(chalk.red('❌ Architect failed'));
-          handleApiError(error, 'Schema design');
-          return;
+        if (!await skipCompletedStep('architect')) {
+          if (await stoppedForCost('architect')) {
+            return;
+          }
+          const spinner = ora('Processing with AI architect...').start();
+          try {
+            await runArchitect(sampleSize, customInstructions, email, apiKey, architectModel, provider);
+            await manifest.complete('architect', steps.architect);
+            spinner.succeed(chalk.green('✅ Architect completed successfully'));
+          } catch (error) {
+            await manifest.fail('architect', error);
+            spinner.fail(chalk.red('❌ Architect failed'));
+            handleApiError(error, 'Schema design');
+            return;
+          }
         }
       }
 
@@ -1240,37 +1956,48 @@ program
         console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: AI-Powered Dedupe Removal`));
         stepNumber++;
         
-        const spinner = ora('Processing AI-powered duplicate analysis...').start();
-        try {
-          const result = await runDedupe({
-            threshold: 0.85,  // Default threshold
-            strategy: 'levenshtein',  // Default strategy
-            email: email,
-            apiKey: apiKey,
-            model: cleanerModel  // Use the same model as cleaner if specified
-          });
-          if (result.success) {
-            if (result.skipped) {
-              spinner.succeed(chalk.yellow('✅ Dedupe skipped - no unique columns found'));
-              console.log(chalk.gray('   • No columns marked as unique for deduplication'));
-            } else {
-              spinner.succeed(chalk.green('✅ Dedupe completed successfully'));
-              if (result.stats.duplicatesRemoved > 0) {
-                console.log(chalk.gray(`   • Removed ${result.stats.duplicatesRemoved} duplicates from ${result.stats.originalCount} records`));
-                console.log(chalk.gray(`   • Unique columns used: ${result.uniqueColumns.join(', ')}`));
+        if (!await skipCompletedStep('dedupe')) {
+          if (await stoppedForCost('dedupe')) {
+            return;
+          }
+          const spinner = ora('Processing AI-powered duplicate analysis...').start();
+          try {
+            const result = await runDedupe({
+              ...dedupeOptions,
+              email: email,
+              apiKey: apiKey,
+              model: dedupeModel,  // Same model as cleaner unless dbclean.yaml sets one for dedupe
+              provider: provider
+            });
+            if (result.success) {
+              await manifest.complete('dedupe', steps.dedupe);
+              if (result.skipped) {
+                spinner.succeed(chalk.yellow('✅ Dedupe skipped - no unique columns found'));
+                console.log(chalk.gray('   • No columns marked as unique for deduplication'));
               } else {
-                console.log(chalk.gray('   • No duplicates found'));
-                console.log(chalk.gray(`   • Unique columns used: ${result.uniqueColumns.join(', ')}`));
+                spinner.succeed(chalk.green('✅ Dedupe completed successfully'));
+                if (result.stats.duplicatesRemoved > 0) {
+                  console.log(chalk.gray(`   • Removed ${result.stats.duplicatesRemoved} duplicates from ${result.stats.originalCount} records`));
+                  if (result.stats.recordsMerged > 0) {
+                    console.log(chalk.gray(`   • Merged ${result.stats.recordsMerged} golden records (lineage: outputs/dedupe_lineage.json)`));
+                  }
+                  console.log(chalk.gray(`   • Unique columns used: ${result.uniqueColumns.join(', ')}`));
+                } else {
+                  console.log(chalk.gray('   • No duplicates found'));
+                  console.log(chalk.gray(`   • Unique columns used: ${result.uniqueColumns.join(', ')}`));
+                }
               }
+            } else {
+              await manifest.fail('dedupe');
+              spinner.fail(chalk.red('❌ Dedupe failed'));
+              return;
             }
-          } else {
+          } catch (error) {
+            await manifest.fail('dedupe', error);
             spinner.fail(chalk.red('❌ Dedupe failed'));
+            handleApiError(error, 'Deduplication');
             return;
           }
-        } catch (error) {
-          spinner.fail(chalk.red('❌ Dedupe failed'));
-          handleApiError(error, 'Deduplication');
-          return;
         }
       }
 
@@ -1279,38 +2006,58 @@ program
         console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: Cleaner Column Processing`));
         stepNumber++;
         
-        const spinner = ora('Processing columns with AI cleaner...').start();
-        try {
-          const success = await runCleaner(email, apiKey, cleanerModel);
-          if (success) {
-            spinner.succeed(chalk.green('✅ Cleaner completed successfully'));
-          } else {
+        // An interrupted cleaner run with the same inputs keeps the column outputs it already saved
+        const resumeCleaner = options.resume && await manifest.matchesInputs('cleaner', steps.cleaner);
+        if (!await skipCompletedStep('cleaner')) {
+          if (await stoppedForCost('cleaner')) {
+            return;
+          }
+          const spinner = ora('Processing columns with AI cleaner...').start();
+          try {
+            const success = await runCleaner(email, apiKey, cleanerModel, provider, resumeCleaner, { rules: options.rules });
+            if (success) {
+              await manifest.complete('cleaner', steps.cleaner);
+              spinner.succeed(chalk.green('✅ Cleaner completed successfully'));
+            } else {
+              await manifest.fail('cleaner');
+              spinner.fail(chalk.red('❌ Cleaner failed'));
+              if (guard.budget) {
+                console.log(chalk.gray(`💰 AI usage this run: ${guard.budget.summary()}`));
+              }
+              console.log(chalk.cyan('💡 Run `dbclean run --resume` to continue from the completed columns'));
+              return;
+            }
+          } catch (error) {
+            await manifest.fail('cleaner', error);
             spinner.fail(chalk.red('❌ Cleaner failed'));
+            handleApiError(error, 'Data cleaning');
             return;
           }
-        } catch (error) {
-          spinner.fail(chalk.red('❌ Cleaner failed'));
-          handleApiError(error, 'Data cleaning');
-          return;
         }
       }
 
       // Step 5: Stitcher (always runs)
       console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: Stitcher Final Assembly`));
+      stepNumber++;
       
-      const spinner = ora('Creating final stitched CSV...').start();
-      try {
-        const success = await runStitcher();
-        if (success) {
-          spinner.succeed(chalk.green('✅ Stitcher completed successfully'));
-        } else {
+      if (!await skipCompletedStep('stitcher')) {
+        const spinner = ora('Creating final stitched CSV...').start();
+        try {
+          const success = await runStitcher({ outputFormat, ...sinkOptions });
+          if (success) {
+            await manifest.complete('stitcher', steps.stitcher);
+            spinner.succeed(chalk.green('✅ Stitcher completed successfully'));
+          } else {
+            await manifest.fail('stitcher');
+            spinner.fail(chalk.red('❌ Stitcher failed'));
+            return;
+          }
+        } catch (error) {
+          await manifest.fail('stitcher', error);
           spinner.fail(chalk.red('❌ Stitcher failed'));
+          console.error(chalk.red(error.message));
           return;
         }
-      } catch (error) {
-        spinner.fail(chalk.red('❌ Stitcher failed'));
-        console.error(chalk.red(error.message));
-        return;
       }
 
       // Step 6: Isosplit (if not skipped)
@@ -1318,19 +2065,24 @@ program
         console.log(chalk.bold.cyan(`\n📋 Step ${stepNumber}: Outlier Detection and Data Splitting`));
         stepNumber++;
         
-        const isosplitSpinner = ora('Detecting outliers and splitting data...').start();
-        try {
-          const success = await runIsosplit();
-          if (success) {
-            isosplitSpinner.succeed(chalk.green('✅ Isosplit completed successfully'));
-          } else {
+        if (!await skipCompletedStep('isosplit')) {
+          const isosplitSpinner = ora('Detecting outliers and splitting data...').start();
+          try {
+            const success = await runIsosplit({ outputFormat });
+            if (success) {
+              await manifest.complete('isosplit', steps.isosplit);
+              isosplitSpinner.succeed(chalk.green('✅ Isosplit completed successfully'));
+            } else {
+              await manifest.fail('isosplit');
+              isosplitSpinner.fail(chalk.red('❌ Isosplit failed'));
+              return;
+            }
+          } catch (error) {
+            await manifest.fail('isosplit', error);
             isosplitSpinner.fail(chalk.red('❌ Isosplit failed'));
+            console.error(chalk.red(error.message));
             return;
           }
-        } catch (error) {
-          isosplitSpinner.fail(chalk.red('❌ Isosplit failed'));
-          console.error(chalk.red(error.message));
-          return;
         }
       }
 
@@ -1338,6 +2090,12 @@ program
       console.log(chalk.bold.green('\n🎉 Complete DBClean Pipeline Finished Successfully!\n'));
       console.log(chalk.cyan('📋 Final Results:'));
       console.log(chalk.gray(`   • Cleaned CSV: data/${appConfig.data_cleaned_file_path || 'data_cleaned.csv'}`));
+      if (!options.skipPreclean) {
+        const malformed = await countMalformedRows(outputsDir);
+        if (malformed.repaired > 0 || malformed.quarantined > 0) {
+          console.log(chalk.gray(`   • Malformed rows: ${malformed.repaired} repaired (outputs/${path.basename(malformed.repairsPath)}), ${malformed.quarantined} quarantined (outputs/${path.basename(malformed.quarantinePath)})`));
+        }
+      }
       if (!options.skipDedupe) {
         // Note: dedupe may have been skipped internally due to no unique columns
         console.log(chalk.gray(`   • Deduplicated CSV: data/${appConfig.data_deduped_file_path || 'data_deduped.csv'} (if applicable)`));
@@ -1353,6 +2111,10 @@ program
       console.log(chalk.gray(`   • Train data: data/train.csv`));
       console.log(chalk.gray(`   • Validate data: data/validate.csv`));
       console.log(chalk.gray(`   • Test data: data/test.csv`));
+      if (guard.budget) {
+        console.log(chalk.gray(`   • AI usage: ${guard.budget.summary()}`));
+      }
+      printCacheUsage(provider, '   • ');
       console.log(chalk.bold.cyan('\n🚀 Your data is ready for use!\n'));
 
     } catch (error) {
@@ -1,96 +1,57 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import { createObjectCsvWriter } from 'csv-writer';
-import axios from 'axios';
 import { program } from 'commander';
+import { createProvider } from './providers.js';
+import { readCsvRows, readCsvHeaders } from './csvstream.js';
+import { extractSchemaJson, schemaDesignToDocument, validateSchemaDocument, schemaToColumnMapping, schemaToDesignCsv } from './schema.js';
+import { loadConfig, getWorkspacePaths, getRequestSettings } from './project.js';
+import { ensureScheduled } from './scheduler.js';
+import { loadHeaderRenames } from './preclean.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-// API Configuration
-const API_BASE_URL = 'https://dbclean-api.dbcleandev.workers.dev';
-
-// Load configuration from config.json
-function loadConfig() {
-    try {
-        const possiblePaths = [
-            path.join(process.cwd(), 'config.json'),
-            path.join(__dirname, '..', 'config.json'),
-            path.join(__dirname, 'config.json')
-        ];
-        
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                const config = JSON.parse(configContent);
-                config._configPath = configPath;
-                return config;
-            }
-        }
-        
-        throw new Error('config.json not found in any expected location');
-    } catch (error) {
-        console.log(`⚠️  Warning: Could not load config.json: ${error.message}`);
-        return {
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-            settings__dir: "settings",
-            outputs_dir: "outputs",
-            outputs_architect_output_file: "architect_output.txt"
-        };
-    }
+/**
+ * Paths for the current run, using the working directory (or pipeline workspace) for data and outputs
+ */
+function getPaths() {
+    const config = loadConfig();
+    const { dataDir, outputsDir } = getWorkspacePaths(config);
+    return {
+        CSV_PATH: path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv'),
+        ORIGINAL_CSV_PATH: path.join(dataDir, 'data.csv'),
+        OUTPUT_PATH: path.join(outputsDir, config.outputs_architect_output_file || 'architect_output.txt'),
+        LOG_PATH: path.join(outputsDir, 'architect_log.txt'),
+        COLUMN_MAPPING_PATH: path.join(outputsDir, 'column_mapping.json')
+    };
 }
 
-const config = loadConfig();
-
-// Configure paths using working directory for outputs, package directory for settings
-const workingDir = process.cwd();
-const dataDir = path.join(workingDir, config.data_dir || 'data');
-const outputsDir = path.join(workingDir, config.outputs_dir || 'outputs');
-
-// Ensure directories exist
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-if (!fs.existsSync(outputsDir)) {
-    fs.mkdirSync(outputsDir, { recursive: true });
+/**
+ * A note for the model on headers preclean renamed because they were blank or repeated,
+ * so that e.g. Phone_2 is read as a second Phone column. Null when there are none.
+ */
+function headerRenameNote(renames) {
+    const notable = renames.filter(rename => rename.reason !== 'cleaned');
+    if (notable.length === 0) {
+        return null;
+    }
+    const lines = notable.map(({ column, original, name, reason }) => `- column ${column}: '${original}' is now '${name}' (${reason})`);
+    return `These input headers were renamed to keep every column:\n${lines.join('\n')}`;
 }
 
-const CSV_PATH = path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
-const ORIGINAL_CSV_PATH = path.join(dataDir, 'data.csv');
-const OUTPUT_PATH = path.join(outputsDir, config.outputs_architect_output_file || 'architect_output.txt');
-const LOG_PATH = path.join(outputsDir, 'architect_log.txt');
-const COLUMN_MAPPING_PATH = path.join(outputsDir, 'column_mapping.json');
-
-const DEFAULT_SAMPLE_SIZE = 5;
-
 /**
- * Read CSV file and return array of objects
+ * Record the input header of each column that preclean renamed in the column mapping
  */
-function readCSV(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        let headers = null;
-        
-        fs.createReadStream(filePath)
-            .pipe(csv({ skipEmptyLines: true }))
-            .on('headers', (headerList) => {
-                headers = headerList;
-            })
-            .on('data', (data) => {
-                results.push(data);
-            })
-            .on('end', () => {
-                resolve({ data: results, headers });
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
-    });
+function addOriginalHeaders(columnMapping, renames) {
+    for (const { original, name } of renames) {
+        if (columnMapping[name]) {
+            columnMapping[name].originalHeader = original;
+        }
+    }
+    return columnMapping;
 }
 
+const DEFAULT_SAMPLE_SIZE = 5;
+const MAX_SCHEMA_REPAIR_ATTEMPTS = 2;
+
 /**
  * Get first n rows from CSV file and return as CSV string
  */
@@ -100,18 +61,23 @@ async function getFirstCSVRows(csvPath, n) {
         let actualPath = csvPath;
         if (!fs.existsSync(csvPath)) {
             console.log(`⚠️  Cleaned CSV not found: ${csvPath}`);
-            actualPath = ORIGINAL_CSV_PATH;
+            actualPath = getPaths().ORIGINAL_CSV_PATH;
             console.log(`🔄 Using original CSV: ${actualPath}`);
         }
 
-        const { data, headers } = await readCSV(actualPath);
-        
-        if (n > data.length) {
-            n = data.length;
+        // Stream only the first n rows instead of loading the whole file
+        let headers = [];
+        const sampleData = [];
+        if (n > 0) {
+            for await (const row of readCsvRows(actualPath, { skipEmptyLines: true, onHeaders: (headerList) => { headers = headerList; } })) {
+                sampleData.push(row);
+                if (sampleData.length >= n) {
+                    break;
+                }
+            }
+        } else {
+            headers = await readCsvHeaders(actualPath);
         }
-
-        // Take first n rows
-        const sampleData = data.slice(0, n);
         
         // Add ID column as the first column, starting from 1
         const sampleWithId = sampleData.map((row, index) => ({
@@ -148,62 +114,99 @@ async function getFirstCSVRows(csvPath, n) {
 }
 
 /**
- * Get available models from API
+ * Get available models from the provider (hosted API by default)
  */
-async function getAvailableModels() {
+async function getAvailableModels(provider = null) {
     try {
-        const response = await axios.get(`${API_BASE_URL}/api/models`);
-        return response.data.models || [];
+        return await (provider || createProvider()).listModels();
     } catch (error) {
         console.log('⚠️  Could not fetch available models:', error.message);
         return [];
     }
 }
 
+/**
+ * The schema document of an architect reply and its validation errors: { document, errors, fromDesign }.
+ * Replies from servers that only send <schema_design> are read from it, matching columns by name.
+ */
+function readArchitectSchema(responseText, sourceColumns) {
+    let schema = extractSchemaJson(responseText);
+    const fromDesign = !schema.found;
+    if (fromDesign) {
+        schema = schemaDesignToDocument(responseText, sourceColumns);
+    }
+    const errors = [...schema.errors, ...(schema.document ? validateSchemaDocument(schema.document, sourceColumns) : [])];
+    return { document: schema.document, errors, fromDesign };
+}
+
 /**
  * Main function to process CSV data with AI via API
  */
-async function main(sampleSize = DEFAULT_SAMPLE_SIZE, customInstructions = null, email = null, apiKey = null, model = null) {
+async function main(sampleSize = DEFAULT_SAMPLE_SIZE, customInstructions = null, email = null, apiKey = null, model = null, provider = null) {
+    const config = loadConfig();
     try {
-        // Ensure output directory exists
-        if (!fs.existsSync(outputsDir)) {
-            fs.mkdirSync(outputsDir, { recursive: true });
-        }
+        // Resolving the paths also creates the output directory
+        const { CSV_PATH, OUTPUT_PATH, LOG_PATH } = getPaths();
 
         // Get first rows from CSV
         const userDataCSV = await getFirstCSVRows(CSV_PATH, sampleSize);
 
-        // Custom instructions will be applied silently
+        // Custom instructions will be applied silently, along with any header renames from preclean
+        const renameNote = headerRenameNote(loadHeaderRenames(getWorkspacePaths(config).outputsDir));
+        const instructions = [customInstructions, renameNote].filter(Boolean).join('\n\n');
 
         // Prepare API request payload
         const requestPayload = {
             userData: userDataCSV,
             sampleSize: sampleSize,
-            customInstructions: customInstructions || null,
+            customInstructions: instructions || null,
             model: model || null
         };
 
-        // Add authentication if provided
-        const headers = {
-            'Content-Type': 'application/json'
-        };
+        // Use the hosted API unless a provider was supplied; retries go through the request scheduler
+        const aiProvider = ensureScheduled(provider || createProvider({ email, apiKey }), getRequestSettings(config));
+
+        // Source columns the schema must describe (sample header without the ID column)
+        const sourceColumns = parseCSVLine(userDataCSV.split('\n')[0]).slice(1);
+
+        // Make AI request (silently), asking the model to repair its schema if it fails validation
+        let response = await aiProvider.architect(requestPayload);
+        let responseText = response.result;
+        let schema = readArchitectSchema(responseText, sourceColumns);
+        let schemaErrors = schema.errors;
+        const validationHistory = [];
+
+        // A missing or unparseable <schema_json> is a validation error like any other
+        for (let attempt = 1; schemaErrors.length > 0 && attempt <= MAX_SCHEMA_REPAIR_ATTEMPTS; attempt++) {
+            validationHistory.push({ attempt, errors: schemaErrors });
+            console.log(`⚠️  Architect schema failed validation (${schemaErrors.length} errors), requesting repair ${attempt}/${MAX_SCHEMA_REPAIR_ATTEMPTS}...`);
+
+            response = await aiProvider.architect({
+                ...requestPayload,
+                repair: { previousResponse: responseText, errors: schemaErrors }
+            });
+            responseText = response.result;
+            schema = readArchitectSchema(responseText, sourceColumns);
+            schemaErrors = schema.errors;
+        }
 
-        if (email && apiKey) {
-            headers['X-Email'] = email;
-            headers['X-API-Key'] = apiKey;
+        if (schemaErrors.length > 0) {
+            throw new Error(`Architect schema failed validation after ${MAX_SCHEMA_REPAIR_ATTEMPTS} repair attempts:\n  - ${schemaErrors.join('\n  - ')}`);
         }
 
-        // Make API request to dbclean-api (silently)
-        const response = await axios.post(`${API_BASE_URL}/api/architect/process`, requestPayload, {
-            headers: headers,
-            timeout: 300000 // 5 minute timeout
-        });
+        // Only a reply that passed validation is reused from the response cache
+        response.saveToCache?.();
 
-        const responseData = response.data;
-        const responseText = responseData.result || responseData.response || JSON.stringify(responseData);
+        // Cleaner reads the CSV <schema_design>, so render it from the validated JSON
+        let outputText = responseText.replace(/<schema_design>[\s\S]*?<\/schema_design>\s*/, '').trim();
+        if (schema.fromDesign) {
+            console.log('⚠️  Architect reply has no <schema_json> section - built the schema from its <schema_design>, matching columns by name');
+            outputText += `\n\n<schema_json>\n${JSON.stringify(schema.document, null, 2)}\n</schema_json>`;
+        }
+        outputText += `\n\n<schema_design>\n${schemaToDesignCsv(schema.document, sourceColumns)}\n</schema_design>\n`;
 
         // Write AI response only to main output file
-        fs.writeFileSync(OUTPUT_PATH, responseText, 'utf-8');
+        fs.writeFileSync(OUTPUT_PATH, outputText, 'utf-8');
 
         // Write complete log to separate log file
         const logContent = [
@@ -212,10 +215,16 @@ async function main(sampleSize = DEFAULT_SAMPLE_SIZE, customInstructions = null,
             '\n=== USER DATA ===',
             `<user_data>\n${userDataCSV}\n</user_data>`,
             '\n=== AI RESPONSE ===',
-            responseText
-        ].join('\n');
+            outputText
+        ];
+        if (validationHistory.length > 0) {
+            logContent.push('\n=== SCHEMA VALIDATION HISTORY ===');
+            for (const { attempt, errors } of validationHistory) {
+                logContent.push(`Repair ${attempt} requested for:`, ...errors.map(error => `  - ${error}`));
+            }
+        }
         
-        fs.writeFileSync(LOG_PATH, logContent, 'utf-8');
+        fs.writeFileSync(LOG_PATH, logContent.join('\n'), 'utf-8');
 
         // Save results silently, let CLI handle user feedback
         
@@ -229,7 +238,7 @@ async function main(sampleSize = DEFAULT_SAMPLE_SIZE, customInstructions = null,
             const message = error.response.data?.error || error.response.statusText;
             console.log(`❌ API Error (${status}): ${message}`);
         } else if (error.code === 'ECONNREFUSED') {
-            console.log('❌ Could not connect to API service. Please check if the service is running.');
+            console.log('❌ Could not connect to AI service. Please check if the service is running.');
         } else if (error.code === 'ETIMEDOUT') {
             console.log('❌ Request timed out. The AI processing may take longer than expected.');
         } else if (error.message.includes('not found')) {
@@ -243,9 +252,10 @@ async function main(sampleSize = DEFAULT_SAMPLE_SIZE, customInstructions = null,
 }
 
 /**
- * Create column mapping from architect log file
+ * Create column mapping from the validated <schema_json> document in the architect log file
  */
-async function createColumnMapping(logFilePath = LOG_PATH) {
+async function createColumnMapping(logFilePath = getPaths().LOG_PATH) {
+    const config = loadConfig();
     try {
         // Read the architect log file
         const content = fs.readFileSync(logFilePath, 'utf-8');
@@ -259,140 +269,18 @@ async function createColumnMapping(logFilePath = LOG_PATH) {
 
         const userDataContent = userDataMatch[1].trim();
 
-        // Extract schema_design section
-        const schemaDesignMatch = content.match(/<schema_design>\s*\n(.*?)\n<\/schema_design>/s);
-        if (!schemaDesignMatch) {
-            console.log('❌ Could not find schema_design section in output file');
-            return null;
-        }
-
-        const schemaDesignContent = schemaDesignMatch[1].trim();
-
-        // Parse original column names from user_data (skip ID column)
-        const userDataLines = userDataContent.split('\n');
-        if (userDataLines.length < 1) {
-            console.log('❌ No data found in user_data section');
+        // Columns are mapped by name from the JSON schema, never by position
+        const schema = extractSchemaJson(content);
+        const sourceColumns = parseCSVLine(userDataContent.split('\n')[0]).slice(1);
+        const errors = schema.document ? validateSchemaDocument(schema.document, sourceColumns) : schema.errors;
+        if (errors.length > 0) {
+            console.log('❌ schema_json section failed validation (run architect again):');
+            errors.forEach(error => console.log(`   - ${error}`));
             return null;
         }
 
-        // Get header line (first line of CSV)
-        const headerLine = userDataLines[0];
-        
-        // Parse CSV header properly
-        const originalColumns = parseCSVLine(headerLine);
-        
-        // Remove ID column (first column)
-        if (originalColumns[0] === 'ID') {
-            originalColumns.shift();
-        }
-
-        // Parse column information from schema_design
-        const schemaLines = schemaDesignContent.split('\n');
-        
-        const newColumns = [];
-        const excludedColumns = [];
-        const uniqueColumns = [];
-
-        for (const line of schemaLines) {
-            const trimmedLine = line.trim();
-            if (trimmedLine && trimmedLine !== 'data_title,data_type,data_description,data_example,data_regex') {
-                try {
-                    // Handle EXCLUDE columns
-                    if (trimmedLine.startsWith('```EXCLUDE```')) {
-                        const csvLine = trimmedLine.replace('```EXCLUDE```', '');
-                        const columnInfo = parseSchemaLine(csvLine);
-                        if (columnInfo) {
-                            newColumns.push(columnInfo);
-                            excludedColumns.push(columnInfo.name);
-                        }
-                    }
-                    // Handle UNIQUE columns
-                    else if (trimmedLine.startsWith('```UNIQUE```')) {
-                        const csvLine = trimmedLine.replace('```UNIQUE```', '');
-                        const columnInfo = parseSchemaLine(csvLine);
-                        if (columnInfo) {
-                            newColumns.push(columnInfo);
-                            uniqueColumns.push(columnInfo.name);
-                        }
-                    }
-                    // Handle regular columns
-                    else {
-                        const columnInfo = parseSchemaLine(trimmedLine);
-                        if (columnInfo) {
-                            newColumns.push(columnInfo);
-                        }
-                    }
-                } catch (error) {
-                    const preview = trimmedLine.length > 50 ? trimmedLine.substring(0, 50) + '...' : trimmedLine;
-                    console.log(`⚠️  Could not parse schema line: ${preview} (Error: ${error.message})`);
-                    continue;
-                }
-            }
-        }
-
-        // Create mapping dictionary with exclusion flags and regex
-        const columnMapping = {};
-
-        // Map columns by position (assuming they correspond in order)
-        const minLength = Math.min(originalColumns.length, newColumns.length);
-
-        for (let i = 0; i < minLength; i++) {
-            const originalCol = originalColumns[i];
-            const newColInfo = newColumns[i];
-            const isExcluded = excludedColumns.includes(newColInfo.name);
-            const isUnique = uniqueColumns.includes(newColInfo.name);
-
-            columnMapping[originalCol] = {
-                name: newColInfo.name,
-                isExcluded: isExcluded,
-                unique: isUnique,
-                index: i + 1, // 1-based indexing
-                dataType: newColInfo.dataType,
-                description: newColInfo.description,
-                example: newColInfo.example,
-                regex: newColInfo.regex
-            };
-        }
-
-        // Handle any remaining columns
-        if (originalColumns.length > newColumns.length) {
-            for (let i = newColumns.length; i < originalColumns.length; i++) {
-                const unmappedName = `UNMAPPED_${i}`;
-                columnMapping[originalColumns[i]] = {
-                    name: unmappedName,
-                    isExcluded: false,
-                    unique: false,
-                    index: i + 1, // 1-based indexing
-                    dataType: '',
-                    description: '',
-                    example: '',
-                    regex: ''
-                };
-            }
-        } else if (newColumns.length > originalColumns.length) {
-            for (let i = originalColumns.length; i < newColumns.length; i++) {
-                const missingKey = `MISSING_ORIGINAL_${i}`;
-                const newColInfo = newColumns[i];
-                const isExcluded = excludedColumns.includes(newColInfo.name);
-                const isUnique = uniqueColumns.includes(newColInfo.name);
-                columnMapping[missingKey] = {
-                    name: newColInfo.name,
-                    isExcluded: isExcluded,
-                    unique: isUnique,
-                    index: i + 1, // 1-based indexing
-                    dataType: newColInfo.dataType,
-                    description: newColInfo.description,
-                    example: newColInfo.example,
-                    regex: newColInfo.regex
-                };
-            }
-        }
-
-        // Write mapping to JSON file
-        fs.writeFileSync(COLUMN_MAPPING_PATH, JSON.stringify(columnMapping, null, 2), 'utf-8');
-
-        // Column mapping created silently
-
+        const columnMapping = addOriginalHeaders(schemaToColumnMapping(schema.document, sourceColumns), loadHeaderRenames(getWorkspacePaths(config).outputsDir));
+        fs.writeFileSync(getPaths().COLUMN_MAPPING_PATH, JSON.stringify(columnMapping, null, 2), 'utf-8');
         return columnMapping;
 
     } catch (error) {
@@ -444,47 +332,11 @@ function parseCSVLine(line) {
     return result;
 }
 
-/**
- * Parse a schema line using ^ as regex delimiter for more reliable parsing
- * Format: data_title,data_type,data_description,data_example,data_regex
- */
-function parseSchemaLine(line) {
-    try {
-        // Find the regex part first (starts with ^)
-        const regexMatch = line.match(/,(\^[^,]*(?:,.*)?$)/);
-        let regex = '';
-        let csvPart = line;
-        
-        if (regexMatch) {
-            regex = regexMatch[1].trim();
-            // Remove the regex part from the line for easier CSV parsing
-            csvPart = line.substring(0, line.lastIndexOf(regexMatch[0]));
-        }
-        
-        // Parse the remaining CSV parts
-        const parts = parseCSVLine(csvPart);
-        
-        if (parts.length >= 1) {
-            return {
-                name: parts[0].trim(),
-                dataType: parts.length >= 2 ? parts[1].trim() : '',
-                description: parts.length >= 3 ? parts[2].trim() : '',
-                example: parts.length >= 4 ? parts[3].trim() : '',
-                regex: regex
-            };
-        }
-        
-        return null;
-    } catch (error) {
-        console.log(`⚠️  Could not parse schema line: ${line.substring(0, 50)}... (Error: ${error.message})`);
-        return null;
-    }
-}
-
 /**
  * CLI interface
  */
 async function setupCLI() {
+    const config = loadConfig();
     program
         .name('architect')
         .description('Process first x rows of CSV with Gemini for schema design.')
@@ -495,16 +347,20 @@ async function setupCLI() {
         .option('-i, --instructions', 'Use custom instructions from instructions.txt file (defined in config.json)')
         .option('-m, --model <model>', 'AI model to use for processing')
         .option('--list-models', 'List available AI models')
-        .option('--create-mapping', 'Only create column mapping from existing architect output');
+        .option('--create-mapping', 'Only create column mapping from existing architect output')
+        .option('--provider <name>', 'AI provider: dbclean|local (default: dbclean)')
+        .option('--endpoint <url>', 'Base URL of the provider (e.g. http://localhost:8080 for a local server)');
 
     program.parse();
     const options = program.opts();
 
     try {
+        const provider = createProvider({ provider: options.provider, endpoint: options.endpoint });
+
         // Handle list models option
         if (options.listModels) {
             console.log('🤖 Fetching available AI models...');
-            const models = await getAvailableModels();
+            const models = await getAvailableModels(provider);
             if (models.length > 0) {
                 console.log('✅ Available models:');
                 models.forEach((model, index) => {
@@ -519,9 +375,7 @@ async function setupCLI() {
         // Handle custom instructions from config-defined file
         let customInstructions = null;
         if (options.instructions) {
-            const configDir = config._configPath ? path.dirname(config._configPath) : process.cwd();
-            const settingsDir = path.resolve(configDir, config.settings__dir || 'settings');
-            const instructionsFilePath = path.join(settingsDir, config.settings_instructions_file_path || 'instructions.txt');
+            const instructionsFilePath = path.join(config._settingsDir, config.settings_instructions_file_path || 'instructions.txt');
             
             try {
                 customInstructions = fs.readFileSync(instructionsFilePath, 'utf-8').trim();
@@ -545,7 +399,7 @@ async function setupCLI() {
             }
         } else {
             const sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
-            await main(sampleSize, customInstructions, null, null, options.model);
+            await main(sampleSize, customInstructions, null, null, options.model, provider);
         }
     } catch (error) {
         console.error('❌ Fatal error:', error.message);
@@ -559,7 +413,6 @@ export {
     main,
     createColumnMapping,
     parseCSVLine,
-    parseSchemaLine,
     loadConfig,
     getAvailableModels
 };
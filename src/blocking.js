@@ -0,0 +1,302 @@
+/**
+ * Candidate generation (blocking) for dedupe.
+ *
+ * Comparing every record with every other record is O(n²). Blocking strategies
+ * only pair records that share a cheap key, so calculateSimilarity (and the AI
+ * step) only sees plausible duplicates:
+ * - sorted:   sorted neighbourhood - records within a sliding window after sorting
+ *             by the comparison value (and again by the reversed value)
+ * - phonetic: records sharing the Soundex code of any word
+ * - qgram:    records sharing enough character q-grams to possibly reach the threshold
+ * - minhash:  MinHash signatures over character q-grams, bucketed with LSH bands
+ *
+ * Every strategy returns a Map from a record index to the ascending list of later
+ * indices it should be compared with.
+ */
+
+const BLOCKING_STRATEGIES = ['auto', 'none', 'sorted', 'phonetic', 'qgram', 'minhash'];
+
+// 'auto' keeps the exhaustive scan for small files, where it is fast and exact
+const AUTO_EXHAUSTIVE_LIMIT = 2000;
+
+const DEFAULTS = {
+    window: 10,         // sorted neighbourhood window size
+    qgramSize: 3,
+    bands: 25,          // MinHash LSH: 25 bands x 4 rows = 100 hash functions
+    rows: 4,
+    maxBlockSize: 500   // larger blocks are compared with a sliding window instead of all pairs
+};
+
+/**
+ * Resolve 'auto' to a concrete strategy for the given record count
+ */
+function resolveBlockingStrategy(strategy, recordCount) {
+    const name = strategy || 'auto';
+    if (!BLOCKING_STRATEGIES.includes(name)) {
+        throw new Error(`Unknown blocking strategy '${name}'. Available: ${BLOCKING_STRATEGIES.join(', ')}`);
+    }
+    if (name === 'auto') {
+        return recordCount <= AUTO_EXHAUSTIVE_LIMIT ? 'none' : 'minhash';
+    }
+    return name;
+}
+
+/**
+ * Collects candidate pairs as i -> Set(j) with i < j
+ */
+class CandidatePairs {
+    constructor() {
+        this.pairs = new Map();
+        this.count = 0;
+    }
+
+    add(a, b) {
+        if (a === b) return;
+        const i = Math.min(a, b);
+        const j = Math.max(a, b);
+        let later = this.pairs.get(i);
+        if (!later) {
+            later = new Set();
+            this.pairs.set(i, later);
+        }
+        if (!later.has(j)) {
+            later.add(j);
+            this.count++;
+        }
+    }
+
+    // Pair every member of a block, or use a sliding window when the block is too large
+    addBlock(members, options) {
+        if (members.length > options.maxBlockSize) {
+            this.addWindow(members, options.window);
+            return;
+        }
+        for (let x = 0; x < members.length; x++) {
+            for (let y = x + 1; y < members.length; y++) {
+                this.add(members[x], members[y]);
+            }
+        }
+    }
+
+    addWindow(orderedMembers, window) {
+        for (let x = 0; x < orderedMembers.length; x++) {
+            for (let y = x + 1; y < Math.min(x + window, orderedMembers.length); y++) {
+                this.add(orderedMembers[x], orderedMembers[y]);
+            }
+        }
+    }
+
+    toMap() {
+        const result = new Map();
+        for (const [i, later] of this.pairs) {
+            result.set(i, [...later].sort((a, b) => a - b));
+        }
+        return result;
+    }
+}
+
+/**
+ * American Soundex code of a word (letters only)
+ */
+function soundex(word) {
+    const letters = word.toUpperCase().replace(/[^A-Z]/g, '');
+    if (!letters) return '';
+
+    const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+    let result = letters[0];
+    let previous = codes[letters[0]] || 0;
+
+    for (let i = 1; i < letters.length && result.length < 4; i++) {
+        const letter = letters[i];
+        const code = codes[letter] || 0;
+        if (code && code !== previous) {
+            result += code;
+        }
+        // H and W do not separate letters with the same code; vowels do
+        if (letter !== 'H' && letter !== 'W') {
+            previous = code;
+        }
+    }
+
+    return result.padEnd(4, '0');
+}
+
+/**
+ * Distinct character q-grams of a string (the whole string if it is shorter than q)
+ */
+function qgrams(value, q) {
+    if (value.length <= q) {
+        return new Set([value]);
+    }
+    const grams = new Set();
+    for (let i = 0; i <= value.length - q; i++) {
+        grams.add(value.substring(i, i + q));
+    }
+    return grams;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Deterministic pseudo-random 32-bit integers (mulberry32), so runs are reproducible
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+function sortedNeighbourhood(values, indices, options, candidates) {
+    const reverse = value => [...value].reverse().join('');
+    for (const key of [value => value, reverse]) {
+        const keys = new Map(indices.map(i => [i, key(values[i])]));
+        const ordered = [...indices].sort((a, b) => (keys.get(a) < keys.get(b) ? -1 : keys.get(a) > keys.get(b) ? 1 : a - b));
+        candidates.addWindow(ordered, options.window);
+    }
+}
+
+function phoneticBlocking(values, indices, options, candidates) {
+    const blocks = new Map();
+    for (const i of indices) {
+        const codes = new Set(values[i].split(' ').map(soundex).filter(code => code));
+        for (const code of codes) {
+            if (!blocks.has(code)) blocks.set(code, []);
+            blocks.get(code).push(i);
+        }
+    }
+    for (const members of blocks.values()) {
+        candidates.addBlock(members, options);
+    }
+}
+
+function qgramBlocking(values, indices, options, candidates) {
+    const q = options.qgramSize;
+    const postings = new Map();
+
+    for (const i of indices) {
+        const value = values[i];
+        const grams = qgrams(value, q);
+
+        let skipped = 0;
+        const shared = new Map();
+
+        for (const gram of grams) {
+            const list = postings.get(gram);
+            if (list && list.length > options.maxBlockSize) {
+                skipped++; // too common to be selective
+            } else if (list) {
+                for (const j of list) {
+                    shared.set(j, (shared.get(j) || 0) + 1);
+                }
+            }
+        }
+
+        // q-gram lemma: strings within edit distance d share at least |s| - q + 1 - d*q q-grams
+        for (const [j, count] of shared) {
+            const longest = Math.max(value.length, values[j].length);
+            const distance = Math.floor((1 - options.threshold) * longest);
+            const required = Math.max(1, longest - q + 1 - distance * q - skipped);
+            if (count >= required) {
+                candidates.add(j, i);
+            }
+        }
+
+        for (const gram of grams) {
+            if (!postings.has(gram)) postings.set(gram, []);
+            postings.get(gram).push(i);
+        }
+    }
+}
+
+function minhashBlocking(values, indices, options, candidates) {
+    const { bands, rows, qgramSize } = options;
+    const numHashes = bands * rows;
+    const random = seededRandom(0x5eed);
+    const multipliers = Array.from({ length: numHashes }, () => random() | 1);
+    const offsets = Array.from({ length: numHashes }, () => random());
+
+    // Signatures for all records, stored flat to keep memory predictable
+    const signatures = new Uint32Array(indices.length * numHashes).fill(0xFFFFFFFF);
+    indices.forEach((i, position) => {
+        const base = position * numHashes;
+        for (const gram of qgrams(values[i], qgramSize)) {
+            const hash = fnv1a(gram);
+            for (let h = 0; h < numHashes; h++) {
+                const permuted = (Math.imul(hash, multipliers[h]) + offsets[h]) >>> 0;
+                if (permuted < signatures[base + h]) {
+                    signatures[base + h] = permuted;
+                }
+            }
+        }
+    });
+
+    // Records whose signatures agree on every row of a band land in the same bucket
+    for (let band = 0; band < bands; band++) {
+        const buckets = new Map();
+        indices.forEach((i, position) => {
+            const start = position * numHashes + band * rows;
+            const key = signatures.subarray(start, start + rows).join(',');
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(i);
+        });
+        for (const members of buckets.values()) {
+            if (members.length > 1) {
+                candidates.addBlock(members, options);
+            }
+        }
+    }
+}
+
+/**
+ * Generate candidate pairs for the given comparison values (empty values are never paired).
+ * Returns { pairs: Map<index, laterIndices[]>, count }.
+ */
+function generateCandidatePairs(values, options = {}) {
+    const settings = { ...DEFAULTS, threshold: 0.85, ...options };
+    const indices = [];
+    values.forEach((value, i) => {
+        if (value) indices.push(i);
+    });
+
+    const candidates = new CandidatePairs();
+    switch (settings.strategy) {
+        case 'sorted':
+            sortedNeighbourhood(values, indices, settings, candidates);
+            break;
+        case 'phonetic':
+            phoneticBlocking(values, indices, settings, candidates);
+            break;
+        case 'qgram':
+            qgramBlocking(values, indices, settings, candidates);
+            break;
+        case 'minhash':
+            minhashBlocking(values, indices, settings, candidates);
+            break;
+        default:
+            throw new Error(`Blocking strategy '${settings.strategy}' does not generate candidate pairs`);
+    }
+
+    return { pairs: candidates.toMap(), count: candidates.count };
+}
+
+export {
+    BLOCKING_STRATEGIES,
+    resolveBlockingStrategy,
+    generateCandidatePairs,
+    soundex
+};
@@ -0,0 +1,256 @@
+/**
+ * Token and cost accounting for AI requests, and the spending cap behind --max-cost and --max-tokens.
+ *
+ * withBudget() wraps a provider so that every architect, cleaner and dedupe request
+ * reserves its expected size in the budget before it is sent, and is then charged with the usage the
+ * provider reports (tokens counted here when it reports none). A request that would
+ * go over the budget is never sent: it throws a BudgetExceededError, which the steps
+ * let through so the run stops with its completed work saved for --resume.
+ *
+ * Prices are in USD per million tokens: { "<model>": { "input": 0.1, "output": 0.4 } }.
+ */
+
+import fs from 'fs';
+import { ARCHITECT_OUTPUT_FORMAT, buildArchitectMessages, buildCleanerMessages, buildDedupeMessages } from './prompts.js';
+import { modelName } from './providers.js';
+
+// Estimated size of the server-side prompts of the hosted API
+const PROMPT_TOKENS = 2000;
+
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+    }
+}
+
+/**
+ * Count tokens (rough estimation based on characters)
+ */
+function countTokens(text) {
+    // Rough estimation: 1 token ≈ 4 characters
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Tokens sent for one request: the full chat messages for a local model,
+ * the payload plus the server-side prompt for the hosted API
+ */
+function requestTokens(provider, messages, payloadText) {
+    if (provider.name === 'local') {
+        return countTokens(messages.map(message => message.content).join('\n'));
+    }
+    return countTokens(payloadText) + PROMPT_TOKENS;
+}
+
+/**
+ * Load a price table file, or {} when there is none
+ */
+function loadPriceTable(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid price table ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Prices advertised by the provider's model list (OpenRouter-style pricing.prompt and
+ * pricing.completion in USD per token). Returns {} when the list cannot be fetched or carries no pricing.
+ */
+async function fetchModelPrices(provider) {
+    const prices = {};
+    let entries = [];
+    try {
+        entries = await provider.listModelEntries();
+    } catch (error) {
+        return prices;
+    }
+    for (const entry of entries) {
+        const input = Number(entry?.pricing?.prompt);
+        const output = Number(entry?.pricing?.completion);
+        if (typeof entry === 'object' && Number.isFinite(input) && Number.isFinite(output)) {
+            prices[modelName(entry)] = { input: input * 1e6, output: output * 1e6 };
+        }
+    }
+    return prices;
+}
+
+/**
+ * All known model prices: project prices win over the provider's model list, which wins over the price table file
+ */
+async function loadModelPrices({ provider, priceTablePath = null, projectPrices = null }) {
+    return {
+        ...loadPriceTable(priceTablePath),
+        ...await fetchModelPrices(provider),
+        ...(projectPrices || {})
+    };
+}
+
+/**
+ * Name of the model a request uses, for price lookup
+ */
+function resolveModelName(provider, model) {
+    return model || provider.defaultModel || 'default';
+}
+
+/**
+ * Prices for the models a command will use, and which of them have none.
+ * Returns { prices, unpriced } where unpriced lists the resolved model names without a price.
+ */
+async function checkModelPrices({ provider, models = [], priceTablePath = null, projectPrices = null }) {
+    const prices = await loadModelPrices({ provider, priceTablePath, projectPrices });
+    const unpriced = [...new Set(models.map(model => resolveModelName(provider, model)))].filter(model => !prices[model]);
+    return { prices, unpriced };
+}
+
+/**
+ * Warning for models without a price: their requests reserve nothing against a cost limit,
+ * and count only what the provider reports after they are sent (nothing, for a local server)
+ */
+function describeUnpriced(unpriced, priceFile) {
+    return `No price known for ${unpriced.join(', ')} - --max-cost can't check its requests before they are sent (use --max-tokens, or add prices to ${priceFile})`;
+}
+
+/**
+ * Cumulative usage of one run, with optional limits on cost (USD) and tokens
+ */
+class Budget {
+    constructor({ maxCost = null, maxTokens = null, prices = {} } = {}) {
+        this.maxCost = maxCost ?? null;
+        this.maxTokens = maxTokens ?? null;
+        this.prices = prices;
+        this.spent = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+        this.reserved = { tokens: 0, cost: 0 };
+    }
+
+    get limited() {
+        return this.maxCost !== null || this.maxTokens !== null;
+    }
+
+    get tokens() {
+        return this.spent.inputTokens + this.spent.outputTokens;
+    }
+
+    /**
+     * Cost in USD of the given tokens, or null when the model has no known price
+     */
+    costOf(model, inputTokens, outputTokens) {
+        const price = this.prices[model];
+        return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : null;
+    }
+
+    /**
+     * Reserve room for a request of this size, or throw a BudgetExceededError if it would go over a limit.
+     * Requests still in flight hold their reservation, so concurrent requests cannot overshoot together.
+     */
+    reserve(step, model, inputTokens, outputTokens) {
+        const requestTokens = inputTokens + outputTokens;
+        const usedTokens = this.tokens + this.reserved.tokens;
+        if (this.maxTokens !== null && usedTokens + requestTokens > this.maxTokens) {
+            throw new BudgetExceededError(`Token budget reached: the next ${step} request (~${requestTokens.toLocaleString()} tokens) would exceed the limit of ${this.maxTokens.toLocaleString()} (${usedTokens.toLocaleString()} used or in flight)`);
+        }
+        const requestCost = this.costOf(model, inputTokens, outputTokens) || 0;
+        if (this.maxCost !== null) {
+            const usedCost = this.spent.cost + this.reserved.cost;
+            if (usedCost >= this.maxCost || usedCost + requestCost > this.maxCost) {
+                throw new BudgetExceededError(`Cost budget reached: the next ${step} request (~$${requestCost.toFixed(4)}) would exceed the limit of $${this.maxCost.toFixed(4)} ($${usedCost.toFixed(4)} spent or in flight)`);
+            }
+        }
+        const reservation = { tokens: requestTokens, cost: requestCost };
+        this.reserved.tokens += reservation.tokens;
+        this.reserved.cost += reservation.cost;
+        return reservation;
+    }
+
+    /**
+     * Give back a reservation once its request has finished or failed
+     */
+    release(reservation) {
+        this.reserved.tokens -= reservation.tokens;
+        this.reserved.cost -= reservation.cost;
+    }
+
+    /**
+     * Record a completed request. reportedCost is the provider's own figure, used when it is non-zero.
+     */
+    charge(model, inputTokens, outputTokens, reportedCost = null) {
+        this.spent.requests++;
+        this.spent.inputTokens += inputTokens;
+        this.spent.outputTokens += outputTokens;
+        this.spent.cost += reportedCost > 0 ? reportedCost : this.costOf(model, inputTokens, outputTokens) || 0;
+    }
+
+    summary() {
+        return `${this.spent.requests} request(s), ${this.tokens.toLocaleString()} tokens, $${this.spent.cost.toFixed(4)}`;
+    }
+}
+
+// Request messages, payload text (hosted API) and the data the reply roughly mirrors, per provider method
+const REQUESTS = {
+    architect: (payload) => ({
+        messages: buildArchitectMessages(payload),
+        text: payload.userData + (payload.customInstructions || '') + ARCHITECT_OUTPUT_FORMAT + (payload.repair?.previousResponse || ''),
+        data: payload.userData
+    }),
+    cleaner: (payload) => ({
+        messages: buildCleanerMessages(payload),
+        text: `Schema: ${payload.columnSchema}\nSemantic Diff: ${payload.scopedSemanticDiff}\nData: ${payload.columnData}`,
+        data: payload.columnData
+    }),
+    dedupe: (payload) => ({
+        messages: buildDedupeMessages(payload),
+        text: payload.potentialDuplicates + (payload.uniqueColumns || []).join(','),
+        data: payload.potentialDuplicates
+    })
+};
+
+/**
+ * Wrap a provider so its architect, cleaner and dedupe requests are checked against and charged to the budget
+ */
+function withBudget(provider, budget) {
+    const guarded = Object.create(provider);
+    for (const [method, describeRequest] of Object.entries(REQUESTS)) {
+        guarded[method] = async (payload) => {
+            const model = resolveModelName(provider, payload.model);
+            const { messages, text, data } = describeRequest(payload);
+            const inputTokens = requestTokens(provider, messages, text);
+            const reservation = budget.reserve(method, model, inputTokens, countTokens(data || ''));
+
+            let response;
+            try {
+                response = await provider[method](payload);
+            } finally {
+                budget.release(reservation);
+            }
+            const usage = response.usage || {};
+            budget.charge(
+                model,
+                usage.input_tokens || inputTokens,
+                usage.output_tokens || countTokens(response.result || ''),
+                usage.cost_usd
+            );
+            return response;
+        };
+    }
+    guarded.budget = budget;
+    return guarded;
+}
+
+export {
+    PROMPT_TOKENS,
+    BudgetExceededError,
+    Budget,
+    countTokens,
+    requestTokens,
+    loadPriceTable,
+    fetchModelPrices,
+    loadModelPrices,
+    checkModelPrices,
+    describeUnpriced,
+    resolveModelName,
+    withBudget
+};
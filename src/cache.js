@@ -0,0 +1,186 @@
+/**
+ * Local cache of AI responses.
+ *
+ * withCache() wraps a provider so that an architect, cleaner or dedupe request with the
+ * same provider, endpoint, model and payload as an earlier one is answered from disk
+ * instead of being sent (and billed) again. Entries are content-addressed: each is stored
+ * as <dir>/<first 2 hex chars>/<sha256 of the request>.json.
+ *
+ * The cache lives in paths.cache_dir from dbclean.yaml, else $XDG_CACHE_HOME/dbclean,
+ * else ~/.cache/dbclean, so reruns from any directory can reuse it.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AI_METHODS } from './scheduler.js';
+import { resolveModelName } from './budget.js';
+
+// Bump when the stored format or the key changes, so old entries are no longer matched
+const CACHE_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Methods whose responses are only stored once the caller has checked them (architect replies
+// that fail schema validation would otherwise be replayed, repairs included, on every rerun)
+const CONFIRMED_METHODS = ['architect'];
+
+function defaultCacheDir() {
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'dbclean');
+}
+
+class ResponseCache {
+    constructor(dir = null) {
+        this.dir = dir || defaultCacheDir();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Cache key of a request: SHA-256 of everything that shapes the response
+     */
+    keyFor(provider, method, payload) {
+        return crypto.createHash('sha256').update(JSON.stringify({
+            version: CACHE_VERSION,
+            provider: provider.name,
+            endpoint: provider.baseUrl,
+            method,
+            model: resolveModelName(provider, payload.model),
+            payload
+        })).digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * The cached response for a key, or null (a missing or unreadable entry is a miss)
+     */
+    get(key) {
+        try {
+            const entry = JSON.parse(fs.readFileSync(this.entryPath(key), 'utf-8'));
+            return entry.version === CACHE_VERSION ? entry.response : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set(key, meta, response) {
+        const filePath = this.entryPath(key);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write then rename, so a concurrent reader never sees half an entry
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: CACHE_VERSION,
+            ...meta,
+            createdAt: new Date().toISOString(),
+            response: { result: response.result, usage: response.usage || null }
+        }));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    /**
+     * Every entry file with its size and age: [{ path, bytes, modified }]
+     */
+    listEntries() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        const entries = [];
+        for (const shard of fs.readdirSync(this.dir, { withFileTypes: true })) {
+            if (!shard.isDirectory()) continue;
+            const shardDir = path.join(this.dir, shard.name);
+            for (const name of fs.readdirSync(shardDir)) {
+                if (!name.endsWith('.json')) continue;
+                const filePath = path.join(shardDir, name);
+                const stat = fs.statSync(filePath);
+                entries.push({ path: filePath, bytes: stat.size, modified: stat.mtime });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Entry counts and sizes, in total and per step and model
+     */
+    stats() {
+        const stats = { dir: this.dir, entries: 0, bytes: 0, oldest: null, newest: null, steps: {}, models: {} };
+        for (const entry of this.listEntries()) {
+            stats.entries++;
+            stats.bytes += entry.bytes;
+            if (!stats.oldest || entry.modified < stats.oldest) stats.oldest = entry.modified;
+            if (!stats.newest || entry.modified > stats.newest) stats.newest = entry.modified;
+
+            let meta = {};
+            try {
+                meta = JSON.parse(fs.readFileSync(entry.path, 'utf-8'));
+            } catch (error) {
+                // Unreadable entries still count toward the totals
+            }
+            for (const [group, name] of [['steps', meta.method || 'unknown'], ['models', meta.model || 'unknown']]) {
+                const totals = stats[group][name] || (stats[group][name] = { entries: 0, bytes: 0 });
+                totals.entries++;
+                totals.bytes += entry.bytes;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Remove entries older than olderThanDays, or all of them. Returns { removed, bytes }.
+     */
+    prune({ olderThanDays = null, all = false } = {}) {
+        const cutoff = all ? Infinity : Date.now() - olderThanDays * DAY_MS;
+        const pruned = { removed: 0, bytes: 0 };
+        for (const entry of this.listEntries()) {
+            if (entry.modified.getTime() < cutoff) {
+                fs.rmSync(entry.path, { force: true });
+                pruned.removed++;
+                pruned.bytes += entry.bytes;
+            }
+        }
+        return pruned;
+    }
+}
+
+/**
+ * Wrap a provider so its architect, cleaner and dedupe responses are reused from the cache.
+ * Cached responses come back with cached: true and are not sent, scheduled or charged.
+ * New architect responses are stored only when the caller calls their saveToCache().
+ */
+function withCache(provider, cache) {
+    const cached = Object.create(provider);
+    for (const method of AI_METHODS) {
+        cached[method] = async (payload) => {
+            const key = cache.keyFor(provider, method, payload);
+            const hit = cache.get(key);
+            if (hit) {
+                cache.hits++;
+                return { ...hit, cached: true };
+            }
+
+            cache.misses++;
+            const response = await provider[method](payload);
+            if (!response?.result) {
+                return response;
+            }
+            const save = () => cache.set(key, { method, provider: provider.name, model: resolveModelName(provider, payload.model) }, response);
+            if (CONFIRMED_METHODS.includes(method)) {
+                return { ...response, saveToCache: save };
+            }
+            save();
+            return response;
+        };
+    }
+    cached.cache = cache;
+    return cached;
+}
+
+export {
+    CACHE_VERSION,
+    defaultCacheDir,
+    ResponseCache,
+    withCache
+};
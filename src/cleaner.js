@@ -1,68 +1,20 @@
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import axios from 'axios';
-import csv from 'csv-parser';
+import crypto from 'crypto';
 import chalk from 'chalk';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// API Configuration
-const DBCLEAN_API_URL = process.env.DBCLEAN_API_URL || 'https://dbclean-api.dbcleandev.workers.dev';
+import { createProvider } from './providers.js';
+import { readCsvRows, formatCsvValue, readQuotedCsvValue } from './csvstream.js';
+import { BudgetExceededError, PROMPT_TOKENS, countTokens } from './budget.js';
+import { ensureScheduled } from './scheduler.js';
+import { applyTransforms } from './transforms.js';
+import { loadUserRules } from './userrules.js';
+import { loadConfig, getWorkspacePaths, getRequestSettings, getStepSettings } from './project.js';
 
 // Token limits for batching
 const TOKEN_LIMIT = 500000; // 500k tokens
+const MAX_BATCHES = 20;
 
-// Load configuration from config.json (same logic as architect.js)
-function loadConfig() {
-    try {
-        const possiblePaths = [
-            path.join(process.cwd(), 'config.json'),
-            path.join(__dirname, '..', 'config.json'),
-            path.join(__dirname, 'config.json')
-        ];
-        
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                const config = JSON.parse(configContent);
-                config._configPath = configPath;
-                return config;
-            }
-        }
-        
-        throw new Error('config.json not found in any expected location');
-    } catch (error) {
-        console.log(chalk.yellow(`⚠️  Warning: Could not load config.json: ${error.message}`));
-        return {
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-            data_deduped_file_path: "data_deduped.csv",
-            settings__dir: "settings",
-            outputs_dir: "outputs",
-            outputs_architect_output_file: "architect_output.txt",
-            outputs_column_mapping_file: "column_mapping.json",
-            outputs_cleaned_columns_dir: "cleaned_columns"
-        };
-    }
-}
-
-const config = loadConfig();
-
-// Configure paths using working directory for outputs
-const workingDir = process.cwd();
-const dataDir = path.join(workingDir, config.data_dir || 'data');
-const outputsDir = path.join(workingDir, config.outputs_dir || 'outputs');
-
-// Ensure directories exist
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-if (!fs.existsSync(outputsDir)) {
-    fs.mkdirSync(outputsDir, { recursive: true });
-}
 
 /**
  * Extract schema_design section from architect output
@@ -197,14 +149,6 @@ function extractSemanticDiff(cleanerOutput) {
     return diffMatch ? diffMatch[1].trim() : '';
 }
 
-/**
- * Count tokens (rough estimation based on characters)
- */
-function countTokens(text) {
-    // Rough estimation: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
-}
-
 /**
  * Split array into batches
  */
@@ -225,20 +169,6 @@ function splitIntoBatches(data, numBatches) {
     return batches;
 }
 
-/**
- * Read CSV file and return as array of objects
- */
-async function readCsvFile(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (data) => results.push(data))
-            .on('end', () => resolve(results))
-            .on('error', reject);
-    });
-}
-
 /**
  * Convert array of objects to CSV string
  */
@@ -264,30 +194,54 @@ function arrayToCsv(data) {
 }
 
 /**
- * Make API request to dbclean-api for column processing
+ * Work out how many batches a column's invalid rows need to stay under TOKEN_LIMIT.
+ * Returns { numBatches, tokensPerBatch }; tokensPerBatch is an estimate for the first batch.
  */
-async function callCleanerApi(columnData, columnSchema, scopedSemanticDiff, model = null, email, apiKey) {
+function planColumnBatches(columnData, columnSchema, scopedSemanticDiff) {
+    const batchTokens = (rows) => countTokens(`Schema: ${columnSchema}\nSemantic Diff: ${scopedSemanticDiff}\nData: ${arrayToCsv(rows)}`) + PROMPT_TOKENS;
+    
+    const totalTokens = batchTokens(columnData);
+    if (totalTokens <= TOKEN_LIMIT) {
+        return { numBatches: 1, tokensPerBatch: totalTokens };
+    }
+    
+    let numBatches = 2;
+    let estimatedTokens = totalTokens;
+    while (numBatches <= MAX_BATCHES) {
+        // Estimate tokens per batch from the first batch
+        estimatedTokens = batchTokens(columnData.slice(0, Math.ceil(columnData.length / numBatches)));
+        if (estimatedTokens <= TOKEN_LIMIT || numBatches === MAX_BATCHES) {
+            break;
+        }
+        numBatches++;
+    }
+    
+    return { numBatches, tokensPerBatch: estimatedTokens };
+}
+
+/**
+ * Make AI request for column processing (hosted API unless a provider is given)
+ */
+async function callCleanerApi(columnData, columnSchema, scopedSemanticDiff, model = null, email, apiKey, provider = null) {
     try {
-        const response = await axios.post(`${DBCLEAN_API_URL}/api/cleaner/process`, {
+        const aiProvider = provider || createProvider({ email, apiKey });
+        const response = await aiProvider.cleaner({
             columnData,
             columnSchema,
             scopedSemanticDiff,
             model
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': apiKey,
-                'X-Email': email
-            },
-            timeout: 300000 // 5 minutes timeout
         });
         
         return {
             success: true,
-            result: response.data.result
+            result: response.result
         };
         
     } catch (error) {
+        // A reached budget stops the whole cleaner run, not just this batch
+        if (error instanceof BudgetExceededError) {
+            throw error;
+        }
         return {
             success: false,
             error: error.response?.data?.error || error.message
@@ -296,57 +250,72 @@ async function callCleanerApi(columnData, columnSchema, scopedSemanticDiff, mode
 }
 
 /**
- * Process a single batch of column data with retry logic
+ * Apply a column's custom after rules to the corrected values in a cleaner response.
+ * Lines are keyed by value key; groups maps each key to its rows, and rules see the first of them.
+ * Returns the response with those values replaced and the list of changes made.
  */
-async function processColumnBatch(safeFilename, batchNum, totalBatches, batchData, columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR) {
+function applyAfterRules(result, columnRules, groups = {}) {
+    const changes = [];
+    const rewritten = result.replace(/<semantic_diff>(.*?)<\/semantic_diff>/s, (section, diff) => `<semantic_diff>${diff.split('\n').map(line => {
+        const match = line.trim().match(/^(\d+),(.*)$/);
+        if (!match) {
+            return line;
+        }
+        const [, id, corrected] = match;
+        const quoted = corrected.startsWith('"') ? readQuotedCsvValue(corrected) : null;
+        const value = quoted && quoted.rest.trim() === '' ? quoted.value
+            : corrected.length > 1 && corrected.startsWith('"') && corrected.endsWith('"') ? corrected.slice(1, -1) : corrected;
+        const fix = columnRules.after(value, groups[id]?.[0] ?? id);
+        if (!fix) {
+            return line;
+        }
+        changes.push({ ID: id, rule: fix.rule, original: value, fixed: fix.value });
+        return `${id},${formatCsvValue(fix.value)}`;
+    }).join('\n')}</semantic_diff>`);
+    return { result: rewritten, changes };
+}
+
+/**
+ * Hash of everything a batch's value keys and corrections depend on: the values sent under
+ * each key, the column schema and the examples
+ */
+function hashBatchInputs(batchCsv, columnSchema, scopedSemanticDiff) {
+    return crypto.createHash('sha256').update(JSON.stringify([batchCsv, columnSchema, scopedSemanticDiff])).digest('hex');
+}
+
+/**
+ * Where the inputs hash of an AI output is kept (it doesn't end in _output.txt, so the stitcher skips it)
+ */
+function inputsHashPath(outputPath) {
+    return outputPath.replace(/_output\.txt$/, '_output.inputs');
+}
+
+/**
+ * Remove a column's AI outputs that are not among keep (output filenames), e.g. batches left
+ * over from a resumed run that split the column differently. Their value keys mean nothing now.
+ */
+async function removeStaleOutputs(safeFilename, keep, COLUMN_OUTPUT_DIR) {
+    if (!fs.existsSync(COLUMN_OUTPUT_DIR)) {
+        return;
+    }
+    const batchPrefix = `${safeFilename}_batch_`;
+    for (const filename of await fsp.readdir(COLUMN_OUTPUT_DIR)) {
+        const outputFilename = filename.replace(/_output\.inputs$/, '_output.txt');
+        const isColumnOutput = outputFilename === `${safeFilename}_output.txt` ||
+            (outputFilename.startsWith(batchPrefix) && /^\d+_output\.txt$/.test(outputFilename.slice(batchPrefix.length)));
+        if (isColumnOutput && !keep.includes(outputFilename)) {
+            await fsp.rm(path.join(COLUMN_OUTPUT_DIR, filename), { force: true });
+        }
+    }
+}
+
+/**
+ * Process a single batch of column data
+ */
+async function processColumnBatch(safeFilename, batchNum, totalBatches, batchData, columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR, provider = null, resume = false, columnRules = null, groups = {}) {
     try {
         const { name: columnName, index: columnIndex } = columnInfo;
         
-        // Convert batch to CSV string
-        const batchCsv = arrayToCsv(batchData);
-        
-        // Call API with retry logic
-        const maxRetries = 3;
-        let response;
-        
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                response = await callCleanerApi(batchCsv, columnSchema, scopedSemanticDiff, model, email, apiKey);
-                if (response.success) {
-                    break; // Success, exit retry loop
-                } else {
-                    throw new Error(response.error);
-                }
-            } catch (error) {
-                const errorMsg = error.message;
-                
-                // Check if this is a rate limit error
-                if (errorMsg.includes('429') || errorMsg.toLowerCase().includes('quota') || errorMsg.toLowerCase().includes('rate')) {
-                    if (attempt < maxRetries - 1) { // Not the last attempt
-                        const waitTime = 45000; // 45 seconds
-                        if (totalBatches === 1) {
-                            console.log(chalk.yellow(`⏸️  Rate limit hit for column ${columnIndex}: ${columnName}`));
-                        } else {
-                            console.log(chalk.yellow(`⏸️  Rate limit hit for column ${columnIndex}: ${columnName} (batch ${batchNum}/${totalBatches})`));
-                        }
-                        console.log(chalk.yellow(`⏳ Waiting ${waitTime / 1000} seconds before retrying... (attempt ${attempt + 1}/${maxRetries})`));
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                        continue;
-                    } else {
-                        // Last attempt failed
-                        throw error;
-                    }
-                } else {
-                    // Not a rate limit error, re-raise immediately
-                    throw error;
-                }
-            }
-        }
-        
-        // Create directories
-        await fsp.mkdir(COLUMN_OUTPUT_DIR, { recursive: true });
-        await fsp.mkdir(COLUMN_LOG_DIR, { recursive: true });
-        
         // Determine filename suffix
         let outputFilename, logFilename;
         if (totalBatches === 1) {
@@ -356,10 +325,46 @@ async function processColumnBatch(safeFilename, batchNum, totalBatches, batchDat
             outputFilename = `${safeFilename}_batch_${batchNum}_output.txt`;
             logFilename = `${safeFilename}_batch_${batchNum}_log.txt`;
         }
-        
-        // Save AI output only
         const outputPath = path.join(COLUMN_OUTPUT_DIR, outputFilename);
-        await fsp.writeFile(outputPath, response.result, 'utf8');
+        const inputsPath = inputsHashPath(outputPath);
+        
+        // Convert batch to CSV string
+        const batchCsv = arrayToCsv(batchData);
+        const inputsHash = hashBatchInputs(batchCsv, columnSchema, scopedSemanticDiff);
+        
+        // When resuming, reuse outputs saved by a previous run instead of re-requesting them,
+        // as long as they answer the same values under the same keys
+        if (resume && fs.existsSync(outputPath)) {
+            const batchLabel = totalBatches === 1 ? '' : ` (batch ${batchNum}/${totalBatches})`;
+            const savedHash = fs.existsSync(inputsPath) ? (await fsp.readFile(inputsPath, 'utf8')).trim() : null;
+            if (savedHash === inputsHash) {
+                console.log(chalk.gray(`⏭️  Reusing existing output for column ${columnIndex}: ${columnName}${batchLabel}`));
+                return {
+                    columnName,
+                    result: await fsp.readFile(outputPath, 'utf8'),
+                    outputPath
+                };
+            }
+            console.log(chalk.yellow(`⚠️  Existing output for column ${columnIndex}: ${columnName}${batchLabel} was made for other values - requesting it again`));
+            await fsp.rm(outputPath, { force: true });
+        }
+        
+        // Rate limits and transient errors are retried by the provider's scheduler
+        const response = await callCleanerApi(batchCsv, columnSchema, scopedSemanticDiff, model, email, apiKey, provider);
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        // Custom after rules post-process the AI's corrected values
+        const { result, changes: afterChanges } = columnRules?.hasAfter ? applyAfterRules(response.result, columnRules, groups) : { result: response.result, changes: [] };
+        
+        // Create directories
+        await fsp.mkdir(COLUMN_OUTPUT_DIR, { recursive: true });
+        await fsp.mkdir(COLUMN_LOG_DIR, { recursive: true });
+        
+        // Save AI output only, with the hash of what it answers for resume to check
+        await fsp.writeFile(outputPath, result, 'utf8');
+        await fsp.writeFile(inputsPath, inputsHash, 'utf8');
         
         // Save complete log
         const logPath = path.join(COLUMN_LOG_DIR, logFilename);
@@ -370,7 +375,7 @@ async function processColumnBatch(safeFilename, batchNum, totalBatches, batchDat
             `Index: ${columnIndex}`,
             `Is Excluded: ${columnInfo.isExcluded}`,
             totalBatches > 1 ? `Batch: ${batchNum} of ${totalBatches}` : '',
-            totalBatches > 1 ? `Rows in batch: ${batchData.length}` : '',
+            totalBatches > 1 ? `Values in batch: ${batchData.length}` : '',
             '',
             '=== INPUT ===',
             `Schema: ${columnSchema}`,
@@ -378,7 +383,8 @@ async function processColumnBatch(safeFilename, batchNum, totalBatches, batchDat
             `Data: ${batchCsv}`,
             '',
             '=== AI RESPONSE ===',
-            response.result
+            response.result,
+            afterChanges.length > 0 ? `=== AFTER RULES ===\n${arrayToCsv(afterChanges)}` : ''
         ].filter(line => line !== '').join('\n');
         
         await fsp.writeFile(logPath, logContent, 'utf8');
@@ -391,11 +397,14 @@ async function processColumnBatch(safeFilename, batchNum, totalBatches, batchDat
         
         return {
             columnName,
-            result: response.result,
+            result,
             outputPath
         };
         
     } catch (error) {
+        if (error instanceof BudgetExceededError) {
+            throw error;
+        }
         const { name: columnName = 'UNKNOWN' } = columnInfo || {};
         if (totalBatches === 1) {
             console.log(chalk.red(`❌ Error processing column ${columnName}: ${error.message}`));
@@ -438,55 +447,167 @@ function testRegexMatch(value, regex) {
 }
 
 /**
- * Filter and categorize column data based on regex validation
+ * Stream the CSV once and collect, for every column, the values that fail regex validation.
+ * Only invalid values are kept in memory; valid ones are just counted.
+ * Columns with custom rules (columnRules, see userrules.js) have their transforms applied
+ * to every value, keeping the results that pass validation in ruleFixes, and values their
+ * validate rule rejects count as invalid.
+ */
+async function collectColumnData(filePath, columns) {
+    const columnData = new Map();
+    columns.forEach(({ originalColumnName }) => {
+        columnData.set(originalColumnName, { validCount: 0, invalidData: [], ruleFixes: [] });
+    });
+    
+    let hasIdColumn = false;
+    let rowCount = 0;
+    
+    for await (const row of readCsvRows(filePath, { onHeaders: (headerList) => { hasIdColumn = headerList.includes('ID'); } })) {
+        rowCount++;
+        // Use the ID column if present, otherwise the 1-based row number
+        const id = hasIdColumn ? row.ID : rowCount.toString();
+        
+        for (const { originalColumnName, columnName, regex, columnRules } of columns) {
+            const entry = columnData.get(originalColumnName);
+            const value = row[originalColumnName];
+            const isValid = (candidate) => isEmptyValue(candidate) || (testRegexMatch(candidate, regex) && !columnRules?.invalidReason(candidate, id));
+            
+            if (columnRules?.hasTransforms && !isEmptyValue(value)) {
+                const fix = columnRules.transform(value, id);
+                if (fix && isValid(fix.value)) {
+                    entry.ruleFixes.push({ ID: id, original: value, ...fix });
+                    continue;
+                }
+            }
+            
+            if (isValid(value)) {
+                // Empty values are valid and will be standardized as null
+                entry.validCount++;
+            } else {
+                // Value doesn't match regex - needs cleaning
+                entry.invalidData.push({
+                    ID: id,
+                    [columnName]: value
+                });
+            }
+        }
+    }
+    
+    return { columnData, rowCount };
+}
+
+/**
+ * Rule settings: options.rules (false for --no-rules), then steps.cleaner in dbclean.yaml.
+ * Returns null when the built-in rules are off, otherwise { phoneCountryCode }.
  */
-function filterColumnData(csvData, originalColumnName, columnName, regex) {
-    const validData = [];
-    const invalidData = [];
-    const dataMap = new Map(); // Map to track original values by ID
+function resolveRuleOptions(options = {}) {
+    const config = loadConfig();
+    const settings = getStepSettings(config, 'cleaner');
+    if (options.rules === false || settings.rules === false) {
+        return null;
+    }
+    return { phoneCountryCode: options.phoneCountryCode ?? settings.phone_country_code ?? null };
+}
+
+/**
+ * Save the values the built-in rules fixed as a cleaner output the stitcher applies like any other,
+ * plus a log of which rule fixed each value. Outputs from an earlier run are removed when nothing was fixed.
+ */
+async function writeRuleFixes(safeFilename, columnInfo, originalColumnName, fixed, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR) {
+    // The dot keeps these apart from AI outputs: safe filenames never contain one
+    const outputPath = path.join(COLUMN_OUTPUT_DIR, `${safeFilename}.rules_output.txt`);
+    const logPath = path.join(COLUMN_LOG_DIR, `${safeFilename}.rules_log.txt`);
+    if (fixed.length === 0) {
+        await fsp.rm(outputPath, { force: true });
+        await fsp.rm(logPath, { force: true });
+        return;
+    }
+    
+    await fsp.mkdir(COLUMN_OUTPUT_DIR, { recursive: true });
+    await fsp.mkdir(COLUMN_LOG_DIR, { recursive: true });
     
-    for (const row of csvData) {
-        const id = row.ID;
-        const value = row[originalColumnName];
-        
-        // Store original value in map
-        dataMap.set(id, value);
-        
-        if (isEmptyValue(value)) {
-            // Empty values are valid and will be standardized as null
-            validData.push({
-                ID: id,
-                [columnName]: ''
-            });
-        } else if (testRegexMatch(value, regex)) {
-            // Value matches regex - keep as is
-            validData.push({
-                ID: id,
-                [columnName]: value
-            });
+    const diffLines = fixed.map(fix => `${fix.ID},${formatCsvValue(fix.value)}`);
+    await fsp.writeFile(outputPath, `<semantic_diff>\nID,corrected_value\n${diffLines.join('\n')}\n</semantic_diff>`, 'utf8');
+    
+    const logContent = [
+        '=== COLUMN INFO ===',
+        `Original Name: ${originalColumnName}`,
+        `New Name: ${columnInfo.name}`,
+        `Index: ${columnInfo.index}`,
+        `Data Type: ${columnInfo.dataType}`,
+        `Regex: ${columnInfo.regex}`,
+        '',
+        '=== FIXED BY RULES ===',
+        arrayToCsv(fixed.map(fix => ({ ID: fix.ID, rule: fix.rule, original: fix.original, fixed: fix.value })))
+    ].join('\n');
+    await fsp.writeFile(logPath, logContent, 'utf8');
+}
+
+/**
+ * Collapse invalid entries to one per distinct value, in order of first appearance.
+ * Returns { distinct, groups }: distinct holds { ID, <column>: value, count } per value, where ID
+ * is the value's key (1, 2, ... within the column) and count the number of rows that have it;
+ * groups maps each key to the IDs of those rows.
+ */
+function collapseDistinctValues(entries, columnName) {
+    const byValue = new Map();
+    for (const entry of entries) {
+        const ids = byValue.get(entry[columnName]);
+        if (ids) {
+            ids.push(entry.ID);
         } else {
-            // Value doesn't match regex - needs cleaning
-            invalidData.push({
-                ID: id,
-                [columnName]: value
-            });
+            byValue.set(entry[columnName], [entry.ID]);
         }
     }
     
-    return { validData, invalidData, dataMap };
+    const distinct = [];
+    const groups = {};
+    for (const [value, ids] of byValue) {
+        const key = String(distinct.length + 1);
+        distinct.push({ ID: key, [columnName]: value, count: ids.length });
+        groups[key] = ids;
+    }
+    return { distinct, groups };
+}
+
+/**
+ * Save the rows behind each value key sent to the AI, so the stitcher can apply each correction
+ * to all of them. Groups from an earlier run are removed when no value goes to the AI.
+ */
+async function writeValueGroups(safeFilename, columnInfo, groups, COLUMN_OUTPUT_DIR) {
+    const groupsPath = path.join(COLUMN_OUTPUT_DIR, `${safeFilename}.values.json`);
+    if (Object.keys(groups).length === 0) {
+        await fsp.rm(groupsPath, { force: true });
+        return;
+    }
+    await fsp.mkdir(COLUMN_OUTPUT_DIR, { recursive: true });
+    await fsp.writeFile(groupsPath, JSON.stringify({ column: columnInfo.name, groups }), 'utf8');
+}
+
+/**
+ * Wait for every promise to settle, then rethrow the first rejection (a reached budget),
+ * so no request is left running when the cleaner stops
+ */
+async function settleAll(promises) {
+    const outcomes = await Promise.allSettled(promises);
+    const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+    if (rejected) {
+        throw rejected.reason;
+    }
+    return outcomes.map(outcome => outcome.value);
 }
 
 /**
  * Process a single column with batching if needed
  */
-async function processColumn(originalColumnName, columnInfo, csvData, schemaDesign, semanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR) {
+async function processColumn(originalColumnName, columnInfo, columnValues, schemaDesign, semanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR, provider = null, resume = false, ruleOptions = null, columnRules = null) {
     try {
-        const { name: columnName, index: columnIndex, regex } = columnInfo;
+        const { name: columnName, index: columnIndex } = columnInfo;
         
         console.log(chalk.blue(`🔄 Processing column ${columnIndex}: ${columnName} ('${originalColumnName}')`));
         
-        // Check if column has catch-all regex (^.*$) - skip processing
-        if (regex === '^.*$') {
+        // Columns with a catch-all regex (^.*$) and no custom rules were not validated - skip processing
+        if (!columnValues) {
             console.log(chalk.yellow(`⏭️  Skipping column ${columnIndex}: ${columnName} (regex allows any value)`));
             
             return {
@@ -496,13 +617,37 @@ async function processColumn(originalColumnName, columnInfo, csvData, schemaDesi
             };
         }
         
-        // Filter data based on regex validation
-        const { validData, invalidData, dataMap } = filterColumnData(csvData, originalColumnName, columnName, regex);
+        // Values were validated (and custom rules applied) while streaming the CSV
+        const { validCount, invalidData, ruleFixes } = columnValues;
+        
+        console.log(chalk.blue(`📊 Column validation: ${validCount} valid, ${invalidData.length} need cleaning`));
+        
+        // Create safe filename
+        const safeFilename = columnName.replace(/[^\w\s-]/g, '').trim().replace(/[-\s]+/g, '_');
         
-        console.log(chalk.blue(`📊 Column validation: ${validData.length} valid, ${invalidData.length} need cleaning`));
+        // Try the built-in rules next; only values they can't fix go to the AI
+        const { fixed, residual } = ruleOptions ? applyTransforms(invalidData, columnInfo, { ...ruleOptions, columnRules }) : { fixed: [], residual: invalidData };
+        const allFixed = [...ruleFixes, ...fixed];
+        await writeRuleFixes(safeFilename, columnInfo, originalColumnName, allFixed, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR);
+        const rulesFixed = allFixed.length;
+        if (rulesFixed > 0) {
+            const byRule = {};
+            allFixed.forEach(fix => { byRule[fix.rule] = (byRule[fix.rule] || 0) + 1; });
+            console.log(chalk.blue(`🔧 Column ${columnIndex}: ${columnName} - ${rulesFixed} values fixed by rules (${Object.entries(byRule).map(([rule, count]) => `${rule}: ${count}`).join(', ')})`));
+        }
+        
+        // Each distinct value is sent once with its row count; the stitcher applies its correction to every row that has it
+        const { distinct: columnData, groups } = collapseDistinctValues(residual, columnName);
+        await writeValueGroups(safeFilename, columnInfo, groups, COLUMN_OUTPUT_DIR);
+        if (columnData.length < residual.length) {
+            console.log(chalk.blue(`🔁 Column ${columnIndex}: ${columnName} - ${residual.length} invalid values collapse to ${columnData.length} distinct values`));
+        }
         
         // If no data needs cleaning, skip AI processing
-        if (invalidData.length === 0) {
+        if (columnData.length === 0) {
+            await removeStaleOutputs(safeFilename, [], COLUMN_OUTPUT_DIR);
+        }
+        if (invalidData.length === 0 && rulesFixed === 0) {
             console.log(chalk.green(`✅ Column ${columnIndex}: ${columnName} - all data already valid, no AI processing needed`));
             
             return {
@@ -512,8 +657,16 @@ async function processColumn(originalColumnName, columnInfo, csvData, schemaDesi
             };
         }
         
-        // Create safe filename
-        const safeFilename = columnName.replace(/[^\w\s-]/g, '').trim().replace(/[-\s]+/g, '_');
+        if (columnData.length === 0) {
+            console.log(chalk.green(`✅ Column ${columnIndex}: ${columnName} - all invalid values fixed by rules, no AI processing needed`));
+            
+            return {
+                columnName,
+                result: 'All data fixed by rules',
+                outputPath: path.join(COLUMN_OUTPUT_DIR, `${safeFilename}.rules_output.txt`),
+                rulesFixed
+            };
+        }
         
         // Extract only the relevant column schema
         const columnSchema = extractColumnSchema(schemaDesign, columnName);
@@ -521,68 +674,43 @@ async function processColumn(originalColumnName, columnInfo, csvData, schemaDesi
         // Extract scoped semantic_diff for this column (using only invalid data)
         const scopedSemanticDiff = extractScopedSemanticDiff(semanticDiff, columnName, columnIndex);
         
-        // Use only invalid data for AI processing
-        const columnData = invalidData;
-        
         // Check if we need to split into batches
-        const columnCsv = arrayToCsv(columnData);
-        const baseInput = `Schema: ${columnSchema}\nSemantic Diff: ${scopedSemanticDiff}\nData: ${columnCsv}`;
-        
-        // Count tokens (using a placeholder for token counting since prompt is in cloud)
-        const totalTokens = countTokens(baseInput) + 2000; // Add estimated prompt size
+        const { numBatches, tokensPerBatch } = planColumnBatches(columnData, columnSchema, scopedSemanticDiff);
         
-        if (totalTokens <= TOKEN_LIMIT) {
+        if (numBatches === 1) {
             // Process as single batch
-            console.log(chalk.blue(`📊 Processing ${invalidData.length} invalid rows as single batch (${totalTokens.toLocaleString()} tokens)`));
-            const result = await processColumnBatch(safeFilename, 1, 1, columnData, columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR);
-            return result;
+            await removeStaleOutputs(safeFilename, [`${safeFilename}_output.txt`], COLUMN_OUTPUT_DIR);
+            console.log(chalk.blue(`📊 Processing ${columnData.length} distinct invalid values as single batch (${tokensPerBatch.toLocaleString()} tokens)`));
+            const result = await processColumnBatch(safeFilename, 1, 1, columnData, columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR, provider, resume, columnRules, groups);
+            return result && { ...result, rulesFixed };
         } else {
-            // Need to split into batches
-            let numBatches = 2;
-            let estimatedTokens = totalTokens;
-            
-            while (estimatedTokens > TOKEN_LIMIT) {
-                // Estimate tokens per batch
-                const rowsPerBatch = Math.ceil(columnData.length / numBatches);
-                const sampleBatch = columnData.slice(0, rowsPerBatch);
-                const sampleCsv = arrayToCsv(sampleBatch);
-                const sampleInput = `Schema: ${columnSchema}\nSemantic Diff: ${scopedSemanticDiff}\nData: ${sampleCsv}`;
-                
-                estimatedTokens = countTokens(sampleInput) + 2000; // Add estimated prompt size
-                
-                if (estimatedTokens <= TOKEN_LIMIT) {
-                    break;
-                }
-                
-                numBatches++;
-                if (numBatches > 20) { // Safety limit
-                    console.log(chalk.yellow('⚠️  Too many batches required, using 20 batches'));
-                    break;
-                }
+            if (tokensPerBatch > TOKEN_LIMIT) {
+                console.log(chalk.yellow(`⚠️  Too many batches required, using ${MAX_BATCHES} batches`));
             }
-            
-            console.log(chalk.blue(`📊 Splitting ${invalidData.length} invalid rows into ${numBatches} batches (estimated ${estimatedTokens.toLocaleString()} tokens per batch)`));
+            console.log(chalk.blue(`📊 Splitting ${columnData.length} distinct invalid values into ${numBatches} batches (estimated ${tokensPerBatch.toLocaleString()} tokens per batch)`));
             
             // Split data into batches
             const batches = splitIntoBatches(columnData, numBatches);
+            await removeStaleOutputs(safeFilename, batches.map((batch, i) => `${safeFilename}_batch_${i + 1}_output.txt`), COLUMN_OUTPUT_DIR);
             
-            // Process each batch
-            const results = [];
-            for (let batchNum = 0; batchNum < batches.length; batchNum++) {
-                const result = await processColumnBatch(safeFilename, batchNum + 1, batches.length, batches[batchNum], columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR);
-                if (result) { // If successful
-                    results.push(result);
-                }
-            }
+            // Request all batches at once; the scheduler limits how many are in flight
+            const results = (await settleAll(batches.map((batch, batchNum) =>
+                processColumnBatch(safeFilename, batchNum + 1, batches.length, batch, columnInfo, originalColumnName, columnSchema, scopedSemanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR, provider, resume, columnRules, groups)
+            ))).filter(Boolean);
             
             return {
                 columnName: `${columnName}_batched`,
-                result: `Processed ${results.length} batches of ${invalidData.length} invalid rows`,
-                outputPath: 'Multiple files created'
+                result: `Processed ${results.length} batches of ${columnData.length} distinct invalid values`,
+                outputPath: 'Multiple files created',
+                failedBatches: batches.length - results.length,
+                rulesFixed
             };
         }
         
     } catch (error) {
+        if (error instanceof BudgetExceededError) {
+            throw error;
+        }
         const { name: columnName = 'UNKNOWN' } = columnInfo || {};
         console.log(chalk.red(`❌ Error processing column ${columnName}: ${error.message}`));
         return null;
@@ -590,18 +718,25 @@ async function processColumn(originalColumnName, columnInfo, csvData, schemaDesi
 }
 
 /**
- * Main function to process CSV columns with cleaner
+ * Main function to process CSV columns with cleaner.
+ * With resume, outputs from a previous run are kept and only missing columns/batches are requested.
+ * options = { rules, phoneCountryCode } - see resolveRuleOptions. Custom rules from the
+ * rules file (see userrules.js) always apply.
  */
-export async function main(email = null, apiKey = null, model = null) {
+export async function main(email = null, apiKey = null, model = null, provider = null, resume = false, options = {}) {
+    const config = loadConfig();
     try {
         // Show configuration info
-        if (config._configPath) {
+        if (config._projectPath) {
+            console.log(chalk.gray(`📋 Project config loaded from: ${config._projectPath}`));
+        } else if (config._configPath) {
             console.log(chalk.gray(`📋 Config loaded from: ${config._configPath}`));
         } else {
             console.log(chalk.yellow('📋 Using default configuration (config.json not found)'));
         }
         
-        // Configuration paths
+        // Configuration paths (data and outputs live in the working directory or pipeline workspace)
+        const { dataDir, outputsDir } = getWorkspacePaths(config);
         const ARCHITECT_OUTPUT_PATH = path.join(outputsDir, config.outputs_architect_output_file || 'architect_output.txt');
         const COLUMN_MAPPING_PATH = path.join(outputsDir, config.outputs_column_mapping_file || 'column_mapping.json');
         const CLEANED_CSV_PATH = path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
@@ -609,13 +744,20 @@ export async function main(email = null, apiKey = null, model = null) {
         const COLUMN_OUTPUT_DIR = path.join(outputsDir, config.outputs_cleaned_columns_dir || 'cleaned_columns', 'outputs');
         const COLUMN_LOG_DIR = path.join(outputsDir, config.outputs_cleaned_columns_dir || 'cleaned_columns', 'logs');
         
-        // Clean up previous cleaner outputs
+        // Load custom rules first, so an invalid rules file leaves previous outputs alone
+        const userRules = await loadUserRules(config);
+        
+        // Clean up previous cleaner outputs (unless resuming from them)
         const cleanerColumnsDir = path.join(outputsDir, config.outputs_cleaned_columns_dir || 'cleaned_columns');
-        try {
-            await fsp.rm(cleanerColumnsDir, { recursive: true, force: true });
-            console.log(chalk.green(`🧹 Cleaned up previous cleaner outputs`));
-        } catch (error) {
-            // Directory might not exist, that's okay
+        if (resume) {
+            console.log(chalk.blue(`🔁 Resuming - keeping existing cleaner outputs`));
+        } else {
+            try {
+                await fsp.rm(cleanerColumnsDir, { recursive: true, force: true });
+                console.log(chalk.green(`🧹 Cleaned up previous cleaner outputs`));
+            } catch (error) {
+                // Directory might not exist, that's okay
+            }
         }
         
         // Read architect output to get schema
@@ -657,18 +799,39 @@ export async function main(email = null, apiKey = null, model = null) {
             console.log(chalk.blue('📖 Loading data_cleaned.csv...'));
         }
 
-        console.log(chalk.blue(`📊 Loading CSV data from ${inputDescription}...`));
-        let csvData = await readCsvFile(inputCsvFile);
-        
-        // Add ID column if not present
-        if (!csvData[0] || !csvData[0].ID) {
-            csvData = csvData.map((row, index) => ({
-                ID: (index + 1).toString(),
-                ...row
-            }));
+        // Sort columns by index to process in order
+        const sortedColumns = Object.entries(columnMapping).sort((a, b) => a[1].index - b[1].index);
+        
+        // Custom rules from the rules file, by original column name
+        const columnRules = new Map();
+        if (userRules) {
+            console.log(chalk.blue(`📏 Custom rules loaded from: ${userRules.source}`));
+            for (const [originalColumnName, columnInfo] of sortedColumns) {
+                const rules = userRules.forColumn(columnInfo, originalColumnName);
+                if (rules && !columnInfo.isExcluded) {
+                    columnRules.set(originalColumnName, rules);
+                }
+            }
+            const unmatched = userRules.columnNames.filter(name => !sortedColumns.some(([originalColumnName, columnInfo]) => name === originalColumnName || name === columnInfo.name));
+            if (unmatched.length > 0) {
+                console.log(chalk.yellow(`⚠️  Custom rules for unknown columns ignored: ${unmatched.join(', ')}`));
+            }
         }
         
-        console.log(chalk.green(`✅ Loaded ${csvData.length} rows of data`));
+        // Stream the CSV once, keeping only the values that fail validation
+        const columnsToValidate = sortedColumns
+            .filter(([originalColumnName, columnInfo]) => !columnInfo.isExcluded && (columnInfo.regex !== '^.*$' || columnRules.has(originalColumnName)))
+            .map(([originalColumnName, columnInfo]) => ({
+                originalColumnName,
+                columnName: columnInfo.name,
+                regex: columnInfo.regex,
+                columnRules: columnRules.get(originalColumnName)
+            }));
+        
+        console.log(chalk.blue(`📊 Streaming CSV data from ${inputDescription}...`));
+        const { columnData, rowCount } = await collectColumnData(inputCsvFile, columnsToValidate);
+        
+        console.log(chalk.green(`✅ Validated ${rowCount} rows of data`));
         
         // Process each column
         console.log(chalk.blue('\n🚀 Processing columns...'));
@@ -677,38 +840,74 @@ export async function main(email = null, apiKey = null, model = null) {
         const excludedColumns = [];
         const skippedColumns = [];
         const validColumns = [];
+        const ruleColumns = [];
+        const failedColumns = [];
         
-        // Sort columns by index to process in order
-        const sortedColumns = Object.entries(columnMapping).sort((a, b) => a[1].index - b[1].index);
-        
+        const activeColumns = [];
         for (const [originalColumnName, columnInfo] of sortedColumns) {
             if (columnInfo.isExcluded) {
                 excludedColumns.push(columnInfo.name);
                 console.log(chalk.yellow(`⏭️  Skipping excluded column ${columnInfo.index}: ${columnInfo.name}`));
-                continue;
+            } else {
+                activeColumns.push([originalColumnName, columnInfo]);
+            }
+        }
+        
+        // Columns are requested concurrently; the scheduler limits requests in flight and handles rate limits
+        const aiProvider = ensureScheduled(provider || createProvider({ email, apiKey }), getRequestSettings(config));
+        const ruleOptions = resolveRuleOptions(options);
+        let results;
+        try {
+            results = await settleAll(activeColumns.map(([originalColumnName, columnInfo]) =>
+                processColumn(originalColumnName, columnInfo, columnData.get(originalColumnName), schemaDesign, semanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR, aiProvider, resume, ruleOptions, columnRules.get(originalColumnName))
+            ));
+        } catch (error) {
+            if (!(error instanceof BudgetExceededError)) {
+                throw error;
+            }
+            // Stop before spending more; the outputs saved so far are kept for --resume
+            console.log(chalk.yellow(`💰 ${error.message}`));
+            console.log(chalk.blue(`📁 Column outputs saved so far are in: ${COLUMN_OUTPUT_DIR}`));
+            console.log(chalk.cyan(`💡 Rerun with --resume (and a higher budget) to process the remaining columns/batches`));
+            return false;
+        }
+        
+        let rulesFixed = 0;
+        results.forEach((result, i) => {
+            const columnInfo = activeColumns[i][1];
+            if (!result || result.failedBatches) {
+                failedColumns.push(columnInfo.name);
             }
-            
-            const result = await processColumn(originalColumnName, columnInfo, csvData, schemaDesign, semanticDiff, email, apiKey, model, COLUMN_OUTPUT_DIR, COLUMN_LOG_DIR);
             if (result) { // If successful
+                rulesFixed += result.rulesFixed || 0;
                 if (result.result.includes('regex allows any value')) {
                     skippedColumns.push(result.columnName);
                 } else if (result.result.includes('All data already valid')) {
                     validColumns.push(result.columnName);
+                } else if (result.result.includes('All data fixed by rules')) {
+                    ruleColumns.push(result.columnName);
                 } else {
                     processedColumns.push(result.columnName);
                 }
-                // Small delay between columns to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 1000));
             }
-        }
+        });
         
         console.log(chalk.green('\n🎉 Cleaner pipeline completed successfully!'));
         console.log(chalk.blue(`📁 Column outputs saved in: ${COLUMN_OUTPUT_DIR}`));
         console.log(chalk.blue(`📝 Column logs saved in: ${COLUMN_LOG_DIR}`));
         console.log(chalk.green(`✅ AI cleaned ${processedColumns.length} columns`));
+        if (ruleOptions || columnRules.size > 0) {
+            console.log(chalk.green(`🔧 ${ruleOptions ? 'Built-in' : 'Custom'} rules${ruleOptions && columnRules.size > 0 ? ' and custom rules' : ''} fixed ${rulesFixed} values (${ruleColumns.length} columns needed no AI)`));
+        }
         console.log(chalk.blue(`🔍 ${validColumns.length} columns already had valid data`));
         console.log(chalk.gray(`📋 ${skippedColumns.length} columns skipped (regex ^.*$)`));
         console.log(chalk.yellow(`⏭️  ${excludedColumns.length} columns excluded by configuration`));
+        
+        if (failedColumns.length > 0) {
+            console.log(chalk.red(`❌ ${failedColumns.length} columns could not be fully cleaned: ${failedColumns.join(', ')}`));
+            console.log(chalk.cyan(`💡 Rerun with --resume to retry only the missing columns/batches`));
+            return false;
+        }
         return true;
         
     } catch (error) {
@@ -721,6 +920,23 @@ export async function main(email = null, apiKey = null, model = null) {
     }
 }
 
+export {
+    TOKEN_LIMIT,
+    MAX_BATCHES,
+    arrayToCsv,
+    planColumnBatches,
+    splitIntoBatches,
+    collectColumnData,
+    collapseDistinctValues,
+    resolveRuleOptions,
+    applyAfterRules,
+    extractSchemaDesign,
+    extractSemanticDiff,
+    extractColumnSchema,
+    extractScopedSemanticDiff,
+    isEmptyValue
+};
+
 // CLI support
 if (import.meta.url === `file://${process.argv[1]}`) {
     main().then(success => {
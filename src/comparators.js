@@ -0,0 +1,193 @@
+/**
+ * Per-column comparators for dedupe.
+ *
+ * Each comparator takes two raw cell values and returns a similarity between 0 and 1,
+ * or null when either value is empty (the column is then left out of the weighted score).
+ */
+
+const COMPARATOR_NAMES = ['exact', 'levenshtein', 'jaro_winkler', 'jaccard', 'combined', 'numeric', 'date', 'email', 'phone'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Normalize strings for comparison (case insensitive, punctuation collapsed)
+function normalizeText(value) {
+    return String(value)
+        .toLowerCase()
+        .trim()
+        .replace(/[^\w\s'-]/g, ' ')  // Keep apostrophes and hyphens
+        .replace(/\s+/g, ' ')        // Normalize spaces
+        .trim();
+}
+
+function levenshteinDistance(str1, str2) {
+    // Two rolling rows instead of a full matrix
+    let previous = Array.from({ length: str1.length + 1 }, (_, i) => i);
+    let current = new Array(str1.length + 1);
+
+    for (let j = 1; j <= str2.length; j++) {
+        current[0] = j;
+        for (let i = 1; i <= str1.length; i++) {
+            const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            current[i] = Math.min(
+                current[i - 1] + 1,      // deletion
+                previous[i] + 1,         // insertion
+                previous[i - 1] + cost   // substitution
+            );
+        }
+        [previous, current] = [current, previous];
+    }
+
+    return previous[str1.length];
+}
+
+function levenshteinSimilarity(str1, str2) {
+    const maxLen = Math.max(str1.length, str2.length);
+    if (maxLen === 0) return 1;
+    return 1 - (levenshteinDistance(str1, str2) / maxLen);
+}
+
+function jaroSimilarity(str1, str2) {
+    if (str1 === str2) return 1;
+    if (str1.length === 0 || str2.length === 0) return 0;
+
+    const matchWindow = Math.max(0, Math.floor(Math.max(str1.length, str2.length) / 2) - 1);
+    const matched1 = new Array(str1.length).fill(false);
+    const matched2 = new Array(str2.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < str1.length; i++) {
+        const start = Math.max(0, i - matchWindow);
+        const end = Math.min(i + matchWindow + 1, str2.length);
+        for (let j = start; j < end; j++) {
+            if (!matched2[j] && str1[i] === str2[j]) {
+                matched1[i] = true;
+                matched2[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < str1.length; i++) {
+        if (!matched1[i]) continue;
+        while (!matched2[k]) k++;
+        if (str1[i] !== str2[k]) transpositions++;
+        k++;
+    }
+
+    return (matches / str1.length + matches / str2.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+function jaroWinklerSimilarity(str1, str2, prefixScale = 0.1) {
+    const jaro = jaroSimilarity(str1, str2);
+    let prefix = 0;
+    while (prefix < 4 && prefix < str1.length && prefix < str2.length && str1[prefix] === str2[prefix]) {
+        prefix++;
+    }
+    return jaro + prefix * prefixScale * (1 - jaro);
+}
+
+// Jaccard similarity for word-based comparison
+function jaccardSimilarity(str1, str2) {
+    const set1 = new Set(str1.split(/\s+/).filter(w => w.length > 0));
+    const set2 = new Set(str2.split(/\s+/).filter(w => w.length > 0));
+
+    const intersection = [...set1].filter(x => set2.has(x)).length;
+    const union = new Set([...set1, ...set2]).size;
+
+    return union === 0 ? 0 : intersection / union;
+}
+
+function parseNumber(value) {
+    const number = parseFloat(String(value).replace(/[^\d.eE+-]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+// Canonical email: lowercase, no +tag, and no dots in the local part for Gmail addresses
+function canonicalEmail(value) {
+    const email = String(value).trim().toLowerCase();
+    const at = email.lastIndexOf('@');
+    if (at === -1) return email;
+
+    let local = email.slice(0, at).split('+')[0];
+    let domain = email.slice(at + 1);
+    if (domain === 'googlemail.com') domain = 'gmail.com';
+    if (domain === 'gmail.com') local = local.replace(/\./g, '');
+    return `${local}@${domain}`;
+}
+
+// Canonical phone: digits only, compared on the last 10 digits so country codes don't matter
+function canonicalPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+const comparators = {
+    exact: (a, b) => normalizeText(a) === normalizeText(b) ? 1 : 0,
+    levenshtein: (a, b) => levenshteinSimilarity(normalizeText(a), normalizeText(b)),
+    jaro_winkler: (a, b) => jaroWinklerSimilarity(normalizeText(a), normalizeText(b)),
+    jaccard: (a, b) => jaccardSimilarity(normalizeText(a), normalizeText(b)),
+    combined: (a, b) => {
+        const str1 = normalizeText(a);
+        const str2 = normalizeText(b);
+        return (levenshteinSimilarity(str1, str2) * 0.7) + (jaccardSimilarity(str1, str2) * 0.3);
+    },
+    numeric: (a, b, options) => {
+        const num1 = parseNumber(a);
+        const num2 = parseNumber(b);
+        if (num1 === null || num2 === null) return comparators.exact(a, b);
+        return Math.abs(num1 - num2) <= (options.tolerance || 0) ? 1 : 0;
+    },
+    date: (a, b, options) => {
+        const date1 = Date.parse(String(a).trim());
+        const date2 = Date.parse(String(b).trim());
+        if (isNaN(date1) || isNaN(date2)) return comparators.exact(a, b);
+        return Math.abs(date1 - date2) / MS_PER_DAY <= (options.toleranceDays || 0) ? 1 : 0;
+    },
+    email: (a, b) => canonicalEmail(a) === canonicalEmail(b) ? 1 : 0,
+    phone: (a, b) => canonicalPhone(a) === canonicalPhone(b) ? 1 : 0
+};
+
+/**
+ * Compare two values with the named comparator. Returns null when either value is empty.
+ */
+function compareValues(comparator, a, b, options = {}) {
+    if (isBlank(a) || isBlank(b)) {
+        return null;
+    }
+    const compare = comparators[comparator];
+    if (!compare) {
+        throw new Error(`Unknown comparator '${comparator}'. Available: ${COMPARATOR_NAMES.join(', ')}`);
+    }
+    return compare(a, b, options);
+}
+
+/**
+ * Pick a comparator for a column from its column mapping entry
+ */
+function defaultComparator(mapping = {}, fallback = 'levenshtein') {
+    const name = `${mapping.name || ''}`.toLowerCase();
+    if (mapping.dataType === 'int' || mapping.dataType === 'float') return 'numeric';
+    if (mapping.dataType === 'date' || mapping.dataType === 'datetime') return 'date';
+    if (name.includes('email')) return 'email';
+    if (name.includes('phone') || name.includes('mobile')) return 'phone';
+    return fallback;
+}
+
+export {
+    COMPARATOR_NAMES,
+    compareValues,
+    defaultComparator,
+    normalizeText,
+    levenshteinSimilarity,
+    jaroWinklerSimilarity,
+    jaccardSimilarity
+};
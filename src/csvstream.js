@@ -0,0 +1,128 @@
+/**
+ * Streaming CSV helpers shared by every pipeline stage.
+ *
+ * Rows are read one at a time through an async iterator and written through a
+ * row writer that respects stream backpressure, so memory use stays constant
+ * regardless of file size.
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream';
+import { once } from 'events';
+import csv from 'csv-parser';
+
+/**
+ * Stream a CSV file (a path or a readable text stream) row by row as objects keyed by header.
+ * options.onHeaders is called with the header list before the first row;
+ * any other options are passed through to csv-parser.
+ */
+async function* readCsvRows(source, options = {}) {
+    const { onHeaders, ...parserOptions } = options;
+    const parser = csv(parserOptions);
+
+    if (onHeaders) {
+        parser.on('headers', onHeaders);
+    }
+
+    // pipeline() forwards read errors to the parser and cleans up both streams on early exit
+    const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+    const rows = pipeline(input, parser, () => {});
+
+    for await (const row of rows) {
+        yield row;
+    }
+}
+
+/**
+ * Read only the header row of a CSV file
+ */
+async function readCsvHeaders(filePath) {
+    let headers = [];
+    for await (const _ of readCsvRows(filePath, { onHeaders: (headerList) => { headers = headerList; } })) {
+        break;
+    }
+    return headers;
+}
+
+/**
+ * Quote a CSV value if it contains commas, quotes, or newlines
+ */
+function formatCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r'))) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return String(value);
+}
+
+/**
+ * Read the quoted CSV value at the start of text, undoing "" escapes.
+ * Returns { value, rest } with the text after the closing quote, or null when the quote does not close.
+ */
+function readQuotedCsvValue(text) {
+    let value = '';
+    for (let i = 1; i < text.length; i++) {
+        if (text[i] !== '"') {
+            value += text[i];
+        } else if (text[i + 1] === '"') {
+            value += '"';
+            i++;
+        } else {
+            return { value, rest: text.slice(i + 1) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Format an array of values as a single CSV line (without line terminator)
+ */
+function formatCsvLine(values) {
+    return values.map(formatCsvValue).join(',');
+}
+
+/**
+ * Create a CSV writer that writes the header immediately and then one row per call.
+ * writeRow() accepts an array of values (in header order) or an object keyed by header.
+ */
+function createCsvRowWriter(filePath, headers) {
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf-8' });
+    let rowCount = 0;
+
+    const write = async (line) => {
+        if (!stream.write(line + '\n')) {
+            await once(stream, 'drain');
+        }
+    };
+
+    const headerWritten = write(formatCsvLine(headers));
+
+    return {
+        headers,
+        get rowCount() {
+            return rowCount;
+        },
+        async writeRow(row) {
+            await headerWritten;
+            const values = Array.isArray(row) ? row : headers.map(header => row[header]);
+            await write(formatCsvLine(values));
+            rowCount++;
+        },
+        async close() {
+            await headerWritten;
+            stream.end();
+            await once(stream, 'finish');
+        }
+    };
+}
+
+export {
+    readCsvRows,
+    readCsvHeaders,
+    formatCsvValue,
+    readQuotedCsvValue,
+    formatCsvLine,
+    createCsvRowWriter
+};
@@ -0,0 +1,310 @@
+/**
+ * SQL DDL and load scripts generated from the architect schema.
+ *
+ * column_mapping.json already describes every column of data_stitched.csv
+ * (name, dataType, nullable, unique, regex). This module turns it into a
+ * CREATE TABLE statement for one SQL dialect plus a script that loads the
+ * stitched CSV into that table:
+ * - postgres: CHECK constraints with ~, loaded with psql's \copy
+ * - mysql:    CHECK constraints with REGEXP_LIKE (MySQL 8.0.16+), loaded with INSERT batches
+ * - sqlite:   no regex CHECKs (SQLite has no built-in REGEXP), loaded with INSERT batches
+ * - bigquery: no UNIQUE or CHECK constraints, loaded with LOAD DATA from Cloud Storage
+ *
+ * Regex CHECK constraints are only added to string columns (the column type
+ * already constrains the others) and only for regexes the target engine can run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import chalk from 'chalk';
+import { readCsvRows } from './csvstream.js';
+import { columnTypesFromMapping, coerceValue } from './output.js';
+
+const SQL_DIALECTS = ['postgres', 'mysql', 'sqlite', 'bigquery'];
+
+const COLUMN_TYPES = {
+    postgres: { string: 'TEXT', int: 'BIGINT', float: 'DOUBLE PRECISION', boolean: 'BOOLEAN', date: 'DATE', datetime: 'TIMESTAMP' },
+    mysql: { string: 'TEXT', int: 'BIGINT', float: 'DOUBLE', boolean: 'BOOLEAN', date: 'DATE', datetime: 'DATETIME(3)' },
+    sqlite: { string: 'TEXT', int: 'INTEGER', float: 'REAL', boolean: 'INTEGER', date: 'TEXT', datetime: 'TEXT' },
+    bigquery: { string: 'STRING', int: 'INT64', float: 'FLOAT64', boolean: 'BOOL', date: 'DATE', datetime: 'DATETIME' }
+};
+
+// Regex features that the SQL engines don't share with JavaScript: named groups,
+// lookbehind and Unicode property escapes
+const UNPORTABLE_REGEX = /\(\?<|\\[pPk]\{|\\k</;
+
+// Rows per INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Validate a dialect name (postgres when none is given)
+ */
+function resolveDialect(dialect) {
+    const name = dialect ? String(dialect).toLowerCase() : 'postgres';
+    if (!SQL_DIALECTS.includes(name)) {
+        throw new Error(`Unknown SQL dialect '${dialect}'. Available: ${SQL_DIALECTS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Quote an identifier; dotted names (schema.table, dataset.table) are quoted per part
+ */
+function quoteIdentifier(name, dialect) {
+    const quote = dialect === 'mysql' || dialect === 'bigquery' ? '`' : '"';
+    return String(name).split('.').map(part => quote + part.replaceAll(quote, quote + quote) + quote).join('.');
+}
+
+function quoteString(text, dialect) {
+    // MySQL and BigQuery treat backslashes in string literals as escapes
+    const escaped = dialect === 'mysql' || dialect === 'bigquery' ? String(text).replace(/\\/g, '\\\\') : String(text);
+    return `'${escaped.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Columns of the stitched CSV in order, from column_mapping.json
+ */
+function columnsFromMapping(columnMapping) {
+    return Object.entries(columnMapping)
+        .sort((a, b) => a[1].index - b[1].index)
+        .map(([originalName, column]) => ({
+            name: column.name || originalName,
+            dataType: COLUMN_TYPES.postgres[column.dataType] ? column.dataType : 'string',
+            // Excluded columns were never cleaned, so none of their constraints hold
+            nullable: column.isExcluded || column.nullable !== false,
+            unique: !column.isExcluded && column.unique === true,
+            regex: column.isExcluded ? '' : column.regex || '',
+            description: column.description || ''
+        }));
+}
+
+/**
+ * SQL expression checking a column against the architect regex, or null when the dialect can't run it
+ */
+function regexCheck(column, dialect) {
+    if (column.dataType !== 'string' || !column.regex || UNPORTABLE_REGEX.test(column.regex)) {
+        return null;
+    }
+    try {
+        new RegExp(column.regex);
+    } catch {
+        return null;
+    }
+
+    const name = quoteIdentifier(column.name, dialect);
+    switch (dialect) {
+        case 'postgres':
+            return `${name} ~ ${quoteString(column.regex, dialect)}`;
+        case 'mysql':
+            return `REGEXP_LIKE(${name}, ${quoteString(column.regex, dialect)}, 'c')`;
+        default:
+            return null;
+    }
+}
+
+function columnType(column, dialect) {
+    // MySQL can't index a TEXT column without a prefix length
+    if (dialect === 'mysql' && column.dataType === 'string' && column.unique) {
+        return 'VARCHAR(255)';
+    }
+    return COLUMN_TYPES[dialect][column.dataType];
+}
+
+/**
+ * Build the CREATE TABLE statement for a column mapping.
+ * options = { dialect, table, checks } - checks: false leaves out the regex CHECK constraints.
+ * Returns { sql, checks, skippedChecks }.
+ */
+function generateDDL(columnMapping, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+    const table = options.table || 'data_stitched';
+    const columns = columnsFromMapping(columnMapping);
+
+    let checks = 0;
+    let skippedChecks = 0;
+    const lines = columns.map((column, i) => {
+        let definition = `${quoteIdentifier(column.name, dialect)} ${columnType(column, dialect)}`;
+        if (!column.nullable) {
+            definition += ' NOT NULL';
+        }
+        if (column.unique && dialect !== 'bigquery') {
+            definition += ' UNIQUE';
+        }
+        if (options.checks !== false && column.dataType === 'string' && column.regex) {
+            const check = regexCheck(column, dialect);
+            if (check) {
+                definition += ` CHECK (${check})`;
+                checks++;
+            } else {
+                skippedChecks++;
+            }
+        }
+        const separator = i < columns.length - 1 ? ',' : '';
+        const comment = column.description ? `  -- ${column.description.replace(/\s+/g, ' ')}` : '';
+        return `    ${definition}${separator}${comment}`;
+    });
+
+    const header = [`-- Generated by dbclean export-schema from column_mapping.json (${dialect})`];
+    const uniqueColumns = columns.filter(column => column.unique).map(column => column.name);
+    if (dialect === 'bigquery' && uniqueColumns.length > 0) {
+        header.push(`-- BigQuery does not enforce UNIQUE. Unique columns: ${uniqueColumns.join(', ')}`);
+    }
+
+    const sql = `${header.join('\n')}\nCREATE TABLE ${quoteIdentifier(table, dialect)} (\n${lines.join('\n')}\n);\n`;
+    return { sql, checks, skippedChecks };
+}
+
+/**
+ * SQL literal for a CSV value of the given type. Values that don't parse as their type become NULL.
+ */
+function formatLiteral(text, dataType, dialect) {
+    const { value, valid } = coerceValue(text, dataType);
+    if (value === null || (!valid && dataType !== 'string')) {
+        return { literal: 'NULL', valid };
+    }
+    if (typeof value === 'boolean') {
+        return { literal: dialect === 'sqlite' ? (value ? '1' : '0') : (value ? 'TRUE' : 'FALSE'), valid };
+    }
+    if (typeof value === 'number') {
+        return { literal: String(value), valid };
+    }
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return { literal: quoteString(dataType === 'date' ? iso.slice(0, 10) : iso.slice(0, 23).replace('T', ' '), dialect), valid };
+    }
+    return { literal: quoteString(value, dialect), valid };
+}
+
+async function writeInsertScript(stream, csvPath, columnMapping, dialect, table) {
+    let headers = [];
+    let types = [];
+    let batch = [];
+    let rowCount = 0;
+    let invalidValues = 0;
+
+    const write = async (text) => {
+        if (!stream.write(text)) {
+            await once(stream, 'drain');
+        }
+    };
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const columnList = headers.map(header => quoteIdentifier(header, dialect)).join(', ');
+        await write(`INSERT INTO ${quoteIdentifier(table, dialect)} (${columnList}) VALUES\n${batch.join(',\n')};\n`);
+        batch = [];
+    };
+
+    if (dialect === 'sqlite') {
+        await write('BEGIN TRANSACTION;\n');
+    }
+
+    const onHeaders = (headerList) => {
+        headers = headerList;
+        types = columnTypesFromMapping(headers, columnMapping);
+    };
+    for await (const row of readCsvRows(csvPath, { onHeaders })) {
+        const literals = headers.map((header, i) => {
+            const { literal, valid } = formatLiteral(row[header], types[i], dialect);
+            if (!valid) invalidValues++;
+            return literal;
+        });
+        batch.push(`    (${literals.join(', ')})`);
+        rowCount++;
+        if (batch.length >= INSERT_BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    if (dialect === 'sqlite') {
+        await write('COMMIT;\n');
+    }
+    return { rowCount, invalidValues };
+}
+
+/**
+ * Write the script that loads a stitched CSV into the table.
+ * options = { dialect, table, source } - source is the file or gs:// URI the postgres and
+ * bigquery scripts read (the CSV path by default).
+ * Returns { rowCount, invalidValues } (rowCount is null when the script reads the file itself).
+ */
+async function writeLoadScript(loadPath, csvPath, columnMapping, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+    const table = options.table || 'data_stitched';
+    const source = options.source || path.resolve(csvPath);
+    const columnList = columnsFromMapping(columnMapping).map(column => quoteIdentifier(column.name, dialect)).join(', ');
+
+    const stream = fs.createWriteStream(loadPath, { encoding: 'utf-8' });
+    let result = { rowCount: null, invalidValues: 0 };
+    try {
+        stream.write(`-- Generated by dbclean export-schema: loads ${path.basename(csvPath)} into ${table} (${dialect})\n`);
+        switch (dialect) {
+            case 'postgres':
+                stream.write('-- Run with psql, e.g. psql -d mydb -f load_postgres.sql\n');
+                stream.write(`\\copy ${quoteIdentifier(table, dialect)} (${columnList}) FROM ${quoteString(source, dialect)} WITH (FORMAT csv, HEADER true)\n`);
+                break;
+            case 'bigquery':
+                if (!source.startsWith('gs://')) {
+                    stream.write('-- LOAD DATA reads from Cloud Storage: upload the CSV and regenerate with --source gs://<bucket>/<file>\n');
+                }
+                stream.write(`LOAD DATA INTO ${quoteIdentifier(table, dialect)}\nFROM FILES (\n    format = 'CSV',\n    skip_leading_rows = 1,\n    uris = [${quoteString(source, dialect)}]\n);\n`);
+                break;
+            default:
+                result = await writeInsertScript(stream, csvPath, columnMapping, dialect, table);
+        }
+    } finally {
+        stream.end();
+        await once(stream, 'finish');
+    }
+    return result;
+}
+
+/**
+ * Export the architect schema as SQL: schema_<dialect>.sql and load_<dialect>.sql in outputsDir.
+ * options = { columnMappingPath, stitchedCsvPath, outputsDir, dialect, table, source, checks }
+ * The load script is skipped when the stitched CSV does not exist yet.
+ */
+async function exportSchema(options) {
+    const dialect = resolveDialect(options.dialect);
+    const { columnMappingPath, stitchedCsvPath, outputsDir } = options;
+    const table = options.table || path.basename(stitchedCsvPath, path.extname(stitchedCsvPath));
+
+    if (!fs.existsSync(columnMappingPath)) {
+        throw new Error(`Column mapping not found: ${columnMappingPath}. Run architect first.`);
+    }
+    const columnMapping = JSON.parse(fs.readFileSync(columnMappingPath, 'utf-8'));
+
+    console.log(chalk.blue(`🗄️  Generating ${dialect} DDL for table ${table}...`));
+    const ddl = generateDDL(columnMapping, { dialect, table, checks: options.checks });
+    const schemaPath = path.join(outputsDir, `schema_${dialect}.sql`);
+    fs.writeFileSync(schemaPath, ddl.sql, 'utf-8');
+    console.log(chalk.green(`✅ Schema saved to: ${schemaPath}`));
+    if (ddl.skippedChecks > 0) {
+        console.log(chalk.yellow(`⚠️  ${ddl.skippedChecks} regexes could not be expressed as ${dialect} CHECK constraints`));
+    }
+
+    let loadPath = null;
+    let load = { rowCount: null, invalidValues: 0 };
+    if (fs.existsSync(stitchedCsvPath)) {
+        loadPath = path.join(outputsDir, `load_${dialect}.sql`);
+        load = await writeLoadScript(loadPath, stitchedCsvPath, columnMapping, { dialect, table, source: options.source });
+        console.log(chalk.green(`✅ Load script saved to: ${loadPath}`));
+        if (load.invalidValues > 0) {
+            console.log(chalk.yellow(`⚠️  ${load.invalidValues} values did not match their column type and were written as NULL`));
+        }
+    } else {
+        console.log(chalk.yellow(`⚠️  ${stitchedCsvPath} not found - run stitcher to generate the load script`));
+    }
+
+    return { dialect, table, schemaPath, loadPath, checks: ddl.checks, skippedChecks: ddl.skippedChecks, ...load };
+}
+
+export {
+    SQL_DIALECTS,
+    resolveDialect,
+    quoteIdentifier,
+    generateDDL,
+    writeLoadScript,
+    exportSchema
+};
@@ -1,72 +1,40 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import axios from 'axios';
 import chalk from 'chalk';
+import { createProvider } from './providers.js';
+import { readCsvRows, createCsvRowWriter } from './csvstream.js';
+import { resolveBlockingStrategy, generateCandidatePairs } from './blocking.js';
+import { COMPARATOR_NAMES, compareValues, defaultComparator } from './comparators.js';
+import { validateSurvivorshipConfig, resolveColumnRules, resolveRecencyColumn, mergeGroup } from './survivorship.js';
+import { loadConfig, getWorkspacePaths, getRequestSettings } from './project.js';
+import { BudgetExceededError } from './budget.js';
+import { ensureScheduled } from './scheduler.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-// API Configuration
-const API_BASE_URL = 'https://dbclean-api.dbcleandev.workers.dev';
-
-// Load configuration from config.json
-function loadConfig() {
-    try {
-        const possiblePaths = [
-            path.join(process.cwd(), 'config.json'),
-            path.join(__dirname, '..', 'config.json'),
-            path.join(__dirname, 'config.json')
-        ];
-        
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                const config = JSON.parse(configContent);
-                config._configPath = configPath;
-                return config;
-            }
-        }
-        
-        throw new Error('config.json not found in any expected location');
-    } catch (error) {
-        console.log(`⚠️  Warning: Could not load config.json: ${error.message}`);
-        return {
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-            data_deduped_file_path: "data_deduped.csv",
-            outputs_dir: "outputs"
-        };
-    }
-}
-
-const config = loadConfig();
-
-// Configure paths using working directory for outputs
-const workingDir = process.cwd();
-const dataDir = path.join(workingDir, config.data_dir || 'data');
-const outputsDir = path.join(workingDir, config.outputs_dir || 'outputs');
-
-// Ensure directories exist
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-if (!fs.existsSync(outputsDir)) {
-    fs.mkdirSync(outputsDir, { recursive: true });
+/**
+ * Paths for the current run, using the working directory (or pipeline workspace) for data and outputs
+ */
+function getPaths() {
+    const config = loadConfig();
+    const { dataDir, outputsDir } = getWorkspacePaths(config);
+    return {
+        INPUT_CSV_PATH: path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv'),
+        OUTPUT_CSV_PATH: path.join(dataDir, config.data_deduped_file_path || 'data_deduped.csv'),
+        COLUMN_MAPPING_PATH: path.join(outputsDir, 'column_mapping.json'),
+        DEDUPE_LOG_PATH: path.join(outputsDir, 'dedupe_log.txt'),
+        DEDUPE_REPORT_PATH: path.join(outputsDir, 'dedupe_report.txt'),
+        DEDUPE_LINEAGE_PATH: path.join(outputsDir, config.outputs_dedupe_lineage_file || 'dedupe_lineage.json')
+    };
 }
 
-const INPUT_CSV_PATH = path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
-const OUTPUT_CSV_PATH = path.join(dataDir, config.data_deduped_file_path || 'data_deduped.csv');
-const COLUMN_MAPPING_PATH = path.join(outputsDir, 'column_mapping.json');
-const DEDUPE_LOG_PATH = path.join(outputsDir, 'dedupe_log.txt');
-const DEDUPE_REPORT_PATH = path.join(outputsDir, 'dedupe_report.txt');
+const DEFAULT_THRESHOLD = 0.85;
 
 /**
  * Load full column mapping
  */
 function getColumnMapping() {
     try {
+        const { COLUMN_MAPPING_PATH } = getPaths();
         if (!fs.existsSync(COLUMN_MAPPING_PATH)) {
             console.log(`⚠️  Column mapping file not found: ${COLUMN_MAPPING_PATH}`);
             return null;
@@ -110,6 +78,106 @@ function getUniqueColumns() {
     }
 }
 
+/**
+ * Check comparators, weights and survivorship rules in a dedupe config
+ */
+function validateDedupeConfig(dedupeConfig, source) {
+    for (const [column, settings] of Object.entries(dedupeConfig.columns || {})) {
+        if (settings.comparator && !COMPARATOR_NAMES.includes(settings.comparator)) {
+            throw new Error(`Invalid dedupe config ${source}: unknown comparator '${settings.comparator}' for column '${column}'. Available: ${COMPARATOR_NAMES.join(', ')}`);
+        }
+        if (settings.weight !== undefined && !(typeof settings.weight === 'number' && settings.weight >= 0)) {
+            throw new Error(`Invalid dedupe config ${source}: weight for column '${column}' must be a non-negative number`);
+        }
+    }
+
+    const survivorshipErrors = validateSurvivorshipConfig(dedupeConfig.survivorship);
+    if (survivorshipErrors.length > 0) {
+        throw new Error(`Invalid dedupe config ${source}: ${survivorshipErrors.join('; ')}`);
+    }
+}
+
+/**
+ * Load the dedupe config, if any:
+ * { "threshold": 0.85, "columns": { "<column>": { "comparator", "weight", "threshold", "tolerance", "toleranceDays" } },
+ *   "survivorship": { "default": "<rule>", "recencyColumn": "<column>", "columns": { "<column>": "<rule>" } } }
+ * Column keys may be original or mapped column names.
+ *
+ * Looked up in order: the given file, columns/survivorship under steps.dedupe in dbclean.yaml,
+ * the file named by steps.dedupe.config, then settings/dedupe_config.json.
+ */
+function loadDedupeConfig(configPath = null) {
+    const config = loadConfig();
+    const projectSettings = config.project.steps?.dedupe || {};
+    if (!configPath && (projectSettings.columns || projectSettings.survivorship)) {
+        const dedupeConfig = {
+            threshold: projectSettings.threshold,
+            columns: projectSettings.columns,
+            survivorship: projectSettings.survivorship
+        };
+        validateDedupeConfig(dedupeConfig, config._projectPath);
+        dedupeConfig._path = config._projectPath;
+        return dedupeConfig;
+    }
+
+    const projectConfigPath = projectSettings.config ? path.resolve(config._projectDir, projectSettings.config) : null;
+    const defaultConfigPath = path.join(config._settingsDir, config.settings_dedupe_config_file_path || 'dedupe_config.json');
+    const filePath = configPath || projectConfigPath || defaultConfigPath;
+    if (!fs.existsSync(filePath)) {
+        if (filePath !== defaultConfigPath) {
+            throw new Error(`Dedupe config file not found: ${filePath}`);
+        }
+        return null;
+    }
+
+    let dedupeConfig;
+    try {
+        dedupeConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid dedupe config ${filePath}: ${error.message}`);
+    }
+
+    validateDedupeConfig(dedupeConfig, filePath);
+    dedupeConfig._path = filePath;
+    return dedupeConfig;
+}
+
+/**
+ * Resolve the columns to compare and how: the dedupe config's columns when it defines any,
+ * otherwise the unique columns with a comparator picked from their data type
+ */
+function getComparisonColumns(uniqueColumns, dedupeConfig = null, strategy = 'levenshtein') {
+    const columnMapping = getColumnMapping() || {};
+    const configuredColumns = Object.entries(dedupeConfig?.columns || {});
+
+    const resolveColumn = (name) => {
+        if (columnMapping[name]) {
+            return { originalName: name, mapping: columnMapping[name] };
+        }
+        const match = Object.entries(columnMapping).find(([, mapping]) => mapping.name === name);
+        return match ? { originalName: match[0], mapping: match[1] } : { originalName: name, mapping: {} };
+    };
+
+    const toComparisonColumn = (name, settings = {}) => {
+        const { originalName, mapping } = resolveColumn(name);
+        return {
+            originalName,
+            mappedName: mapping.name || originalName,
+            isExcluded: mapping.isExcluded || false,
+            comparator: settings.comparator || defaultComparator(mapping, strategy),
+            weight: settings.weight ?? 1,
+            threshold: settings.threshold ?? 0,
+            tolerance: settings.tolerance ?? 0,
+            toleranceDays: settings.toleranceDays ?? 0
+        };
+    };
+
+    if (configuredColumns.length > 0) {
+        return configuredColumns.map(([name, settings]) => toComparisonColumn(name, settings));
+    }
+    return uniqueColumns.map(col => toComparisonColumn(col.originalName));
+}
+
 /**
  * Create mapped headers from original headers using column mapping
  */
@@ -138,67 +206,30 @@ function quoteCsvHeader(header) {
 class CSVDeduplicator {
     constructor(options = {}) {
         this.config = {
-            uniqueColumns: options.uniqueColumns || [],  // Columns to use for deduplication
-            threshold: options.threshold || 0.85,        // Similarity threshold
-            strategy: options.strategy || 'levenshtein', // Matching strategy
+            uniqueColumns: options.uniqueColumns || [],  // Columns to compare, with comparator/weight/threshold each
+            threshold: options.threshold ?? DEFAULT_THRESHOLD, // Weighted similarity threshold
+            strategy: options.strategy || 'levenshtein', // Default comparator for text columns
+            blocking: options.blocking || 'auto',        // Candidate generation: auto|none|sorted|phonetic|qgram|minhash
+            blockingWindow: options.blockingWindow || 10, // Window size for sorted neighbourhood and oversized blocks
             showInput: options.showInput || false,       // Show formatted input without sending to AI
+            merge: options.merge !== false,              // Merge each duplicate group into a golden record instead of dropping rows
+            survivorship: options.survivorship || {},    // Survivorship rules per column (see survivorship.js)
             email: options.email || null,
             apiKey: options.apiKey || null,
             model: options.model || null
         };
+        this.provider = options.provider || null;
         this.stats = {
             originalCount: 0,
             duplicateGroups: 0,
             duplicatesRemoved: 0,
-            finalCount: 0
+            finalCount: 0,
+            blocking: null,
+            candidatePairs: 0,
+            recordsMerged: 0,
+            fieldsFilled: 0
         };
-    }
-
-    // Levenshtein distance calculation
-    levenshteinDistance(str1, str2) {
-        const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
-        
-        for (let i = 0; i <= str1.length; i++) {
-            matrix[0][i] = i;
-        }
-        
-        for (let j = 0; j <= str2.length; j++) {
-            matrix[j][0] = j;
-        }
-        
-        for (let j = 1; j <= str2.length; j++) {
-            for (let i = 1; i <= str1.length; i++) {
-                const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-                matrix[j][i] = Math.min(
-                    matrix[j][i - 1] + 1,     // deletion
-                    matrix[j - 1][i] + 1,     // insertion
-                    matrix[j - 1][i - 1] + cost // substitution
-                );
-            }
-        }
-        
-        return matrix[str2.length][str1.length];
-    }
-
-    // Calculate similarity ratio (0-1)
-    similarity(str1, str2) {
-        const maxLen = Math.max(str1.length, str2.length);
-        if (maxLen === 0) return 1;
-        return 1 - (this.levenshteinDistance(str1, str2) / maxLen);
-    }
-
-    // Jaccard similarity for word-based comparison
-    jaccardSimilarity(str1, str2) {
-        const words1 = str1.split(/\s+/).filter(w => w.length > 0);
-        const words2 = str2.split(/\s+/).filter(w => w.length > 0);
-        
-        const set1 = new Set(words1);
-        const set2 = new Set(words2);
-        
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        return union.size === 0 ? 0 : intersection.size / union.size;
+        this.lineage = [];
     }
 
     // Normalize strings for comparison (always case insensitive for better matching)
@@ -217,7 +248,7 @@ class CSVDeduplicator {
         return normalized;
     }
 
-    // Get comparison string based on unique columns
+    // Get comparison string based on unique columns (used as the blocking key)
     getComparisonString(record) {
         const uniqueColumns = this.config.uniqueColumns;
         
@@ -234,20 +265,27 @@ class CSVDeduplicator {
         return values.join(' ');
     }
 
-    // Calculate similarity based on strategy
-    calculateSimilarity(str1, str2) {
-        switch (this.config.strategy) {
-            case 'levenshtein':
-                return this.similarity(str1, str2);
-            case 'jaccard':
-                return this.jaccardSimilarity(str1, str2);
-            case 'combined':
-                const levScore = this.similarity(str1, str2);
-                const jaccardScore = this.jaccardSimilarity(str1, str2);
-                return (levScore * 0.7) + (jaccardScore * 0.3);
-            default:
-                return this.similarity(str1, str2);
+    // Weighted per-column similarity between two records.
+    // A column scoring below its own threshold counts as 0; columns empty in either record are left out.
+    compareRecords(record1, record2) {
+        let weightedScore = 0;
+        let totalWeight = 0;
+        const columnScores = {};
+
+        for (const col of this.config.uniqueColumns) {
+            const score = compareValues(col.comparator || 'levenshtein', record1[col.originalName], record2[col.originalName], col);
+            columnScores[col.mappedName || col.originalName] = score;
+            if (score === null) continue;
+
+            const weight = col.weight ?? 1;
+            weightedScore += (score >= (col.threshold || 0) ? score : 0) * weight;
+            totalWeight += weight;
         }
+
+        return {
+            similarity: totalWeight > 0 ? weightedScore / totalWeight : 0,
+            columnScores
+        };
     }
 
     // Find potential duplicate groups using unique columns
@@ -257,10 +295,31 @@ class CSVDeduplicator {
         
         this.stats.originalCount = records.length;
         
+        // Normalize each record's comparison string once up front
+        const values = records.map(record => this.getComparisonString(record));
+        
+        // Only compare candidate pairs from the blocking strategy ('none' compares every pair)
+        const blocking = resolveBlockingStrategy(this.config.blocking, records.length);
+        let candidates = null;
+        if (blocking !== 'none') {
+            const result = generateCandidatePairs(values, {
+                strategy: blocking,
+                threshold: this.config.threshold,
+                window: this.config.blockingWindow
+            });
+            candidates = result.pairs;
+            this.stats.candidatePairs = result.count;
+        } else {
+            const nonEmpty = values.filter(value => value).length;
+            this.stats.candidatePairs = nonEmpty * (nonEmpty - 1) / 2;
+        }
+        this.stats.blocking = blocking;
+        console.log(`🧱 Blocking: ${blocking} - ${this.stats.candidatePairs.toLocaleString()} candidate pairs for ${records.length.toLocaleString()} records`);
+        
         for (let i = 0; i < records.length; i++) {
             if (used.has(i)) continue;
             
-            const currentStr = this.getComparisonString(records[i]);
+            const currentStr = values[i];
             if (!currentStr) continue; // Skip empty values
             
             const group = {
@@ -270,23 +329,34 @@ class CSVDeduplicator {
                 comparisonValue: currentStr
             };
             
-            for (let j = i + 1; j < records.length; j++) {
-                if (used.has(j)) continue;
+            const compareWith = (j) => {
+                if (used.has(j)) return;
                 
-                const candidateStr = this.getComparisonString(records[j]);
-                if (!candidateStr) continue;
+                const candidateStr = values[j];
+                if (!candidateStr) return;
                 
-                const sim = this.calculateSimilarity(currentStr, candidateStr);
+                const { similarity: sim, columnScores } = this.compareRecords(records[i], records[j]);
                 
                 if (sim >= this.config.threshold) {
                     group.duplicates.push({
                         record: records[j],
                         index: j,
                         similarity: sim,
+                        columnScores,
                         comparisonValue: candidateStr
                     });
                     used.add(j);
                 }
+            };
+            
+            if (candidates) {
+                for (const j of candidates.get(i) || []) {
+                    compareWith(j);
+                }
+            } else {
+                for (let j = i + 1; j < records.length; j++) {
+                    compareWith(j);
+                }
             }
             
             if (group.duplicates.length > 0) {
@@ -361,32 +431,32 @@ class CSVDeduplicator {
         return formatted;
     }
 
-    // Send to AI API for deduplication decisions
+    // Send to AI provider for deduplication decisions
     async sendToAI(potentialDuplicatesXML, uniqueColumns) {
+        const config = loadConfig();
         try {
-            if (!this.config.email || !this.config.apiKey) {
+            // The hosted API needs credentials, a local provider does not
+            const provider = ensureScheduled(this.provider || createProvider({ email: this.config.email, apiKey: this.config.apiKey }), getRequestSettings(config));
+            if (provider.requiresAuth && (!this.config.email || !this.config.apiKey)) {
                 throw new Error('Email and API key are required for AI processing');
             }
 
-            const response = await axios.post(`${API_BASE_URL}/api/dedupe/process`, {
+            const response = await provider.dedupe({
                 potentialDuplicates: potentialDuplicatesXML,
                 uniqueColumns: uniqueColumns.map(col => col.originalName),
                 model: this.config.model
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Email': this.config.email,
-                    'X-API-Key': this.config.apiKey
-                },
-                timeout: 300000 // 5 minute timeout
             });
 
-            if (response.data && response.data.result) {
-                return { success: true, result: response.data.result };
+            if (response && response.result) {
+                return { success: true, result: response.result };
             } else {
                 return { success: false, error: 'Invalid response from AI API' };
             }
         } catch (error) {
+            // A reached budget is reported by the caller, not as an API failure
+            if (error instanceof BudgetExceededError) {
+                throw error;
+            }
             console.error('AI API Error:', error);
             if (error.response) {
                 return { 
@@ -475,15 +545,80 @@ class CSVDeduplicator {
         }
     }
 
-    // Generate cleaned dataset based on AI decisions
-    generateCleanedData(records, indicesToRemove) {
+    // Build a golden record for every group that kept exactly one row, keyed by the kept row index
+    buildMergedRecords(duplicateGroups, indicesToRemove, headers) {
+        const mergedRecords = new Map();
+        if (!this.config.merge) {
+            return mergedRecords;
+        }
+        
         const removedSet = new Set(indicesToRemove);
-        const cleanedRecords = records.filter((_, index) => !removedSet.has(index));
+        const columnMapping = getColumnMapping() || {};
+        const rules = resolveColumnRules(headers, this.config.survivorship, columnMapping);
+        const recencyColumn = resolveRecencyColumn(headers, this.config.survivorship, columnMapping);
+        
+        duplicateGroups.forEach((group, groupIndex) => {
+            const members = [group.representative, ...group.duplicates];
+            const kept = members.filter(member => !removedSet.has(member.index));
+            if (kept.length !== 1) {
+                return; // No single survivor (the AI kept several rows or none) - nothing to merge into
+            }
+            
+            // Survivor first so ties go to the row the AI chose; ids are 1-based like the AI input
+            const ordered = [kept[0], ...members.filter(member => member !== kept[0])]
+                .map(member => ({ id: member.index + 1, row: member.record }));
+            const { row, sources } = mergeGroup(ordered, headers, { rules, recencyColumn });
+            
+            const survivorId = kept[0].index + 1;
+            const filledFields = headers.filter(header => sources[header] !== survivorId);
+            this.stats.fieldsFilled += filledFields.length;
+            
+            mergedRecords.set(kept[0].index, {
+                group: groupIndex + 1,
+                row,
+                survivor: survivorId,
+                sourceRows: ordered.map(member => member.id).sort((a, b) => a - b),
+                fields: Object.fromEntries(filledFields.map(header => [header, sources[header]]))
+            });
+        });
+        
+        this.stats.recordsMerged = mergedRecords.size;
+        return mergedRecords;
+    }
+
+    // Stream the input to the output, dropping the removed row indices and writing golden records
+    // in place of their survivors
+    async writeCleanedData(inputPath, outputPath, headers, indicesToRemove, mergedRecords = new Map()) {
+        const removedSet = new Set(indicesToRemove);
+        const writer = createCsvRowWriter(outputPath, headers);
+        let index = 0;
+        this.lineage = [];
+        
+        try {
+            for await (const row of readCsvRows(inputPath, { skipEmptyLines: true })) {
+                if (!removedSet.has(index)) {
+                    const merged = mergedRecords.get(index);
+                    await writer.writeRow(merged ? merged.row : row);
+                    if (merged) {
+                        this.lineage.push({
+                            outputRow: writer.rowCount,
+                            group: merged.group,
+                            survivor: merged.survivor,
+                            sourceRows: merged.sourceRows,
+                            fields: merged.fields
+                        });
+                    }
+                }
+                index++;
+            }
+        } finally {
+            await writer.close();
+        }
         
         this.stats.duplicatesRemoved = indicesToRemove.length;
-        this.stats.finalCount = cleanedRecords.length;
+        this.stats.finalCount = writer.rowCount;
         
-        return cleanedRecords;
+        return writer.rowCount;
     }
 
     // Generate duplicate report
@@ -492,8 +627,15 @@ class CSVDeduplicator {
         report += '====================================\n\n';
         report += `Configuration:\n`;
         report += `- Unique Columns: ${this.config.uniqueColumns.map(col => col.originalName).join(', ')}\n`;
+        report += `- Column Comparators:\n`;
+        this.config.uniqueColumns.forEach(col => {
+            const tolerance = col.comparator === 'numeric' ? `, tolerance ${col.tolerance}` : col.comparator === 'date' ? `, tolerance ${col.toleranceDays} days` : '';
+            report += `    ${col.originalName}: ${col.comparator} (weight ${col.weight}, threshold ${col.threshold}${tolerance})\n`;
+        });
         report += `- Threshold: ${this.config.threshold}\n`;
         report += `- Strategy: ${this.config.strategy}\n`;
+        report += `- Blocking: ${this.stats.blocking || this.config.blocking} (${this.stats.candidatePairs} candidate pairs)\n`;
+        report += `- Merge: ${this.config.merge ? `survivorship (default rule: ${this.config.survivorship.default || 'prefer_non_empty'})` : 'disabled (duplicates are dropped)'}\n`;
         report += `- AI Model: ${this.config.model || 'default'}\n`;
         report += `- Show Input Only: ${this.config.showInput}\n\n`;
         
@@ -501,6 +643,7 @@ class CSVDeduplicator {
         report += `- Original Records: ${this.stats.originalCount}\n`;
         report += `- Potential Duplicate Groups Found: ${duplicateGroups.length}\n`;
         report += `- Records Removed by AI: ${this.stats.duplicatesRemoved}\n`;
+        report += `- Records Merged: ${this.stats.recordsMerged} (${this.stats.fieldsFilled} fields taken from removed rows)\n`;
         report += `- Final Record Count: ${this.stats.finalCount}\n`;
         report += `- Deduplication Rate: ${((this.stats.duplicatesRemoved / this.stats.originalCount) * 100).toFixed(2)}%\n\n`;
         
@@ -514,6 +657,11 @@ class CSVDeduplicator {
                 report += `Potential Duplicates:\n`;
                 group.duplicates.forEach((dup, dupIndex) => {
                     report += `  ${dupIndex + 1}. ${JSON.stringify(dup.record)} (Similarity: ${(dup.similarity * 100).toFixed(2)}%)\n`;
+                    const columnScores = Object.entries(dup.columnScores || {})
+                        .map(([column, score]) => `${column}: ${score === null ? 'n/a' : (score * 100).toFixed(2) + '%'}`);
+                    if (columnScores.length > 0) {
+                        report += `     Column scores: ${columnScores.join(', ')}\n`;
+                    }
                 });
                 report += '\n';
             });
@@ -525,53 +673,56 @@ class CSVDeduplicator {
         
         report += `Records Removed: ${indicesToRemove.join(', ')}\n`;
         
+        if (this.lineage.length > 0) {
+            report += '\nMerged Records:\n';
+            report += '===============\n';
+            this.lineage.forEach(entry => {
+                report += `Output row ${entry.outputRow} (group ${entry.group}): survivor ID ${entry.survivor}, source IDs ${entry.sourceRows.join(', ')}\n`;
+                Object.entries(entry.fields).forEach(([column, id]) => {
+                    report += `    ${column} <- ID ${id}\n`;
+                });
+            });
+        }
+        
         return report;
     }
+}
 
-    // Convert records back to CSV
-    toCSV(records, headers) {
-        if (records.length === 0) return '';
-        
-        const csvLines = [headers.join(',')];
-        
-        records.forEach(record => {
-            const line = headers.map(header => {
-                let value = record[header] || '';
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-                    value = '"' + value.replace(/"/g, '""') + '"';
-                }
-                return value;
-            }).join(',');
-            csvLines.push(line);
+/**
+ * Stream the CSV keeping only the unique column values used for matching
+ */
+async function readMatchingRecords(filePath, uniqueColumns) {
+    let headers = [];
+    const records = [];
+    
+    for await (const row of readCsvRows(filePath, { skipEmptyLines: true, onHeaders: (headerList) => { headers = headerList; } })) {
+        const record = {};
+        uniqueColumns.forEach(col => {
+            record[col.originalName] = row[col.originalName];
         });
-        
-        return csvLines.join('\n');
+        records.push(record);
     }
+    
+    return { records, headers };
 }
 
 /**
- * Read CSV file and return array of objects with headers
+ * Replace the slim matching records in duplicate groups with the full CSV rows
  */
-function readCSV(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        let headers = null;
-        
-        fs.createReadStream(filePath)
-            .pipe(csv({ skipEmptyLines: true }))
-            .on('headers', (headerList) => {
-                headers = headerList;
-            })
-            .on('data', (data) => {
-                results.push(data);
-            })
-            .on('end', () => {
-                resolve({ data: results, headers });
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
+async function hydrateDuplicateGroups(filePath, duplicateGroups) {
+    const members = new Map();
+    duplicateGroups.forEach(group => {
+        members.set(group.representative.index, group.representative);
+        group.duplicates.forEach(dup => members.set(dup.index, dup));
     });
+    
+    let index = 0;
+    for await (const row of readCsvRows(filePath, { skipEmptyLines: true })) {
+        if (members.has(index)) {
+            members.get(index).record = row;
+        }
+        index++;
+    }
 }
 
 /**
@@ -579,8 +730,26 @@ function readCSV(filePath) {
  */
 async function main(options = {}) {
     try {
-        // Get unique columns from column mapping
-        const uniqueColumns = getUniqueColumns();
+        // Columns to compare: the dedupe config's, or the unique columns from column mapping
+        let dedupeConfig;
+        if (options.dedupeConfig) {
+            validateDedupeConfig(options.dedupeConfig, 'options');
+            dedupeConfig = { ...options.dedupeConfig, _path: 'options' };
+        } else {
+            dedupeConfig = loadDedupeConfig(options.configPath);
+        }
+        const survivorship = {
+            ...(dedupeConfig?.survivorship || {}),
+            ...(options.mergeRule ? { default: options.mergeRule } : {})
+        };
+        const survivorshipErrors = validateSurvivorshipConfig(survivorship);
+        if (survivorshipErrors.length > 0) {
+            throw new Error(`Invalid merge rules: ${survivorshipErrors.join('; ')}`);
+        }
+        if (dedupeConfig) {
+            console.log(`📄 Using dedupe config: ${dedupeConfig._path}`);
+        }
+        const uniqueColumns = getComparisonColumns(getUniqueColumns(), dedupeConfig, options.strategy || 'levenshtein');
         
         // Check if there are any unique columns
         if (uniqueColumns.length === 0) {
@@ -602,21 +771,19 @@ async function main(options = {}) {
         console.log(`🔍 Found ${uniqueColumns.length} unique column(s) for AI-powered deduplication:`);
         uniqueColumns.forEach(col => {
             const status = col.isExcluded ? ' (excluded from final output)' : '';
-            console.log(`   - ${col.originalName} → ${col.mappedName}${status}`);
+            console.log(`   - ${col.originalName} → ${col.mappedName} [${col.comparator}, weight ${col.weight}]${status}`);
         });
 
-        // Ensure output directory exists
-        if (!fs.existsSync(outputsDir)) {
-            fs.mkdirSync(outputsDir, { recursive: true });
-        }
+        // Resolving the paths also creates the output directory
+        const { INPUT_CSV_PATH, OUTPUT_CSV_PATH, DEDUPE_LOG_PATH, DEDUPE_REPORT_PATH, DEDUPE_LINEAGE_PATH } = getPaths();
 
         // Check if input file exists
         if (!fs.existsSync(INPUT_CSV_PATH)) {
             throw new Error(`Input CSV file not found: ${INPUT_CSV_PATH}`);
         }
 
-        // Read CSV data
-        const { data: records, headers } = await readCSV(INPUT_CSV_PATH);
+        // Read only the unique column values; full rows are streamed again when needed
+        const { records, headers } = await readMatchingRecords(INPUT_CSV_PATH, uniqueColumns);
         
         if (records.length === 0) {
             throw new Error('No data found in CSV file');
@@ -625,6 +792,8 @@ async function main(options = {}) {
         // Initialize deduplicator with unique columns
         const deduplicator = new CSVDeduplicator({
             ...options,
+            threshold: options.threshold ?? dedupeConfig?.threshold,
+            survivorship,
             uniqueColumns: uniqueColumns
         });
         
@@ -639,8 +808,8 @@ async function main(options = {}) {
             fs.writeFileSync(DEDUPE_REPORT_PATH, reportContent, 'utf-8');
             
             // Copy input to output since no changes needed
-            const originalCSV = deduplicator.toCSV(records, headers);
-            fs.writeFileSync(OUTPUT_CSV_PATH, originalCSV, 'utf-8');
+            await deduplicator.writeCleanedData(INPUT_CSV_PATH, OUTPUT_CSV_PATH, headers, []);
+            fs.writeFileSync(DEDUPE_LINEAGE_PATH, JSON.stringify({ input: INPUT_CSV_PATH, output: OUTPUT_CSV_PATH, merged: [] }, null, 2), 'utf-8');
             
             return {
                 success: true,
@@ -658,6 +827,9 @@ async function main(options = {}) {
             };
         }
         
+        // Load the full rows for group members only
+        await hydrateDuplicateGroups(INPUT_CSV_PATH, duplicateGroups);
+        
         console.log(`🤖 Found ${duplicateGroups.length} potential duplicate groups.`);
         
         // Format for AI processing
@@ -738,8 +910,19 @@ async function main(options = {}) {
         // Write log with successful results
         writeLog(aiResult.result, indicesToRemove);
         
-        // Generate cleaned data
-        const cleanedRecords = deduplicator.generateCleanedData(records, indicesToRemove);
+        // Merge each group into its survivor, then stream the cleaned CSV without the removed rows
+        const mergedRecords = deduplicator.buildMergedRecords(duplicateGroups, indicesToRemove, headers);
+        await deduplicator.writeCleanedData(INPUT_CSV_PATH, OUTPUT_CSV_PATH, headers, indicesToRemove, mergedRecords);
+        
+        // Lineage: which source rows (1-based IDs in the input) fed each merged output row
+        fs.writeFileSync(DEDUPE_LINEAGE_PATH, JSON.stringify({
+            input: INPUT_CSV_PATH,
+            output: OUTPUT_CSV_PATH,
+            merged: deduplicator.lineage
+        }, null, 2), 'utf-8');
+        if (mergedRecords.size > 0) {
+            console.log(`🧬 Merged ${mergedRecords.size} duplicate group(s) into golden records (${deduplicator.stats.fieldsFilled} fields filled from removed rows)`);
+        }
         
         // Generate report
         const reportContent = deduplicator.generateReport(duplicateGroups, aiResult.result, indicesToRemove);
@@ -747,10 +930,6 @@ async function main(options = {}) {
         // Write report
         fs.writeFileSync(DEDUPE_REPORT_PATH, reportContent, 'utf-8');
 
-        // Write cleaned CSV
-        const cleanedCSV = deduplicator.toCSV(cleanedRecords, headers);
-        fs.writeFileSync(OUTPUT_CSV_PATH, cleanedCSV, 'utf-8');
-
         return {
             success: true,
             skipped: false,
@@ -758,7 +937,8 @@ async function main(options = {}) {
             uniqueColumns: uniqueColumns.map(col => col.originalName),
             duplicateGroups: duplicateGroups.length,
             outputPath: OUTPUT_CSV_PATH,
-            reportPath: DEDUPE_REPORT_PATH
+            reportPath: DEDUPE_REPORT_PATH,
+            lineagePath: DEDUPE_LINEAGE_PATH
         };
 
     } catch (error) {
@@ -771,9 +951,12 @@ export {
     main,
     CSVDeduplicator,
     loadConfig,
-    readCSV,
     getUniqueColumns,
+    getComparisonColumns,
+    loadDedupeConfig,
     getColumnMapping,
     createMappedHeaders,
-    quoteCsvHeader
+    quoteCsvHeader,
+    readMatchingRecords,
+    hydrateDuplicateGroups
 }; 
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Character encoding detection for text input.
+ *
+ * Legacy exports often arrive as Windows-1252, Latin-1 or UTF-16 rather than UTF-8.
+ * detectEncoding looks at the start of a file and picks, in this order:
+ * - the encoding named by a byte order mark (UTF-8, UTF-16 or UTF-32)
+ * - UTF-16 without a BOM, when every other byte is zero
+ * - UTF-8, when the sample is valid UTF-8 (plain ASCII included)
+ * - the single-byte code page whose decoding reads most like text: windows-1252
+ *   (a superset of Latin-1 for printable characters) or windows-1251 (Cyrillic)
+ *
+ * Readers decode with iconv-lite, which turns bytes the encoding can't decode into U+FFFD,
+ * so undecodable sequences can be found in the decoded values afterwards.
+ */
+
+import fs from 'fs';
+import iconv from 'iconv-lite';
+
+const AUTO_ENCODING = 'auto';
+
+// Bytes read from the start of a file to detect its encoding
+const SAMPLE_BYTES = 64 * 1024;
+
+const BYTE_ORDER_MARKS = [
+    { encoding: 'utf-32le', bytes: [0xFF, 0xFE, 0x00, 0x00] },
+    { encoding: 'utf-32be', bytes: [0x00, 0x00, 0xFE, 0xFF] },
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+const SINGLE_BYTE_ENCODINGS = ['windows-1252', 'windows-1251'];
+
+// iconv-lite decodes bytes it can't map to the replacement character
+const UNDECODABLE = '\uFFFD';
+
+function readSample(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SAMPLE_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function isUtf8(sample) {
+    try {
+        // stream: true lets a character cut off at the end of the sample pass
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * UTF-16 without a BOM: text that is mostly ASCII has a zero in every other byte
+ */
+function detectUtf16(sample) {
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs < 2) {
+        return null;
+    }
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (sample[i] === 0) evenZeros++;
+        if (sample[i + 1] === 0) oddZeros++;
+    }
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+        return 'utf-16le';
+    }
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * How much a decoding reads like text (higher is better). Undecodable bytes and control
+ * characters count against it, as do words that mix ASCII letters with Cyrillic ("cafй")
+ * and long words made only of accented Latin letters ("ïðèâåò").
+ */
+function scoreDecoding(text) {
+    let score = 0;
+    for (const char of text) {
+        if (char === UNDECODABLE || /[\x80-\x9F]/.test(char)) {
+            score -= 5;
+        }
+    }
+    for (const word of text.match(/\p{L}+/gu) || []) {
+        if (!/[^\x00-\x7F]/.test(word)) continue;
+        const ascii = /[A-Za-z]/.test(word);
+        if (ascii && /\p{Script=Cyrillic}/u.test(word)) {
+            score -= 2;
+        } else if (!ascii && word.length >= 3 && /^\p{Script=Latin}+$/u.test(word)) {
+            score -= 2;
+        } else {
+            score += 1;
+        }
+    }
+    return score;
+}
+
+/**
+ * Detect the encoding of a text file. Returns { encoding, reason } where encoding is an iconv-lite name.
+ */
+function detectEncoding(filePath) {
+    const sample = readSample(filePath);
+
+    const bom = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, i) => sample[i] === byte));
+    if (bom) {
+        return { encoding: bom.encoding, reason: 'byte order mark' };
+    }
+
+    const utf16 = detectUtf16(sample);
+    if (utf16) {
+        return { encoding: utf16, reason: 'zero bytes between characters' };
+    }
+
+    if (isUtf8(sample)) {
+        return { encoding: 'utf-8', reason: sample.some(byte => byte > 0x7F) ? 'valid UTF-8' : 'plain ASCII' };
+    }
+
+    const ranked = SINGLE_BYTE_ENCODINGS
+        .map(encoding => ({ encoding, score: scoreDecoding(iconv.decode(sample, encoding)) }))
+        .sort((a, b) => b.score - a.score);
+    return { encoding: ranked[0].encoding, reason: 'not valid UTF-8' };
+}
+
+/**
+ * True when options.encoding asks for detection (not set, or 'auto')
+ */
+function isAutoEncoding(encoding) {
+    return !encoding || String(encoding).toLowerCase() === AUTO_ENCODING;
+}
+
+/**
+ * The columns of a row whose values hold undecodable sequences
+ */
+function findUndecodable(row) {
+    return Object.keys(row).filter(column => typeof row[column] === 'string' && row[column].includes(UNDECODABLE));
+}
+
+export {
+    AUTO_ENCODING,
+    UNDECODABLE,
+    detectEncoding,
+    isAutoEncoding,
+    findUndecodable
+};
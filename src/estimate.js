@@ -0,0 +1,287 @@
+/**
+ * Dry-run cost estimation for `dbclean run --estimate`.
+ *
+ * Walks the pipeline without calling any AI endpoint: preclean runs into a
+ * temporary directory, the architect sample is read, dedupe candidate groups
+ * are found with the configured blocking, and each column's invalid values are
+ * split into batches exactly as the cleaner would. Tokens are counted with
+ * countTokens (~4 characters per token), so totals are approximate.
+ *
+ * Dedupe and cleaner need a column mapping to know which columns are unique and
+ * which values fail validation. The mapping from a previous architect run is used
+ * when there is one; otherwise the cleaner estimate is an upper bound (every
+ * non-empty value sent for cleaning) and dedupe cannot be estimated.
+ *
+ * Prices come from loadModelPrices (see budget.js): model_prices in dbclean.yaml,
+ * then the provider's model list, then settings/model_prices.json.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { cleanCSV } from './preclean.js';
+import { getFirstCSVRows } from './architect.js';
+import { CSVDeduplicator, loadDedupeConfig, getUniqueColumns, getComparisonColumns, readMatchingRecords, hydrateDuplicateGroups } from './dedupe.js';
+import {
+    TOKEN_LIMIT,
+    MAX_BATCHES,
+    arrayToCsv,
+    planColumnBatches,
+    splitIntoBatches,
+    collectColumnData,
+    collapseDistinctValues,
+    resolveRuleOptions,
+    extractSchemaDesign,
+    extractSemanticDiff,
+    extractColumnSchema,
+    extractScopedSemanticDiff
+} from './cleaner.js';
+import { ARCHITECT_OUTPUT_FORMAT, buildArchitectMessages, buildCleanerMessages, buildDedupeMessages } from './prompts.js';
+import { readCsvRows } from './csvstream.js';
+import { PROMPT_TOKENS, countTokens, requestTokens, loadModelPrices, resolveModelName } from './budget.js';
+import { applyTransforms } from './transforms.js';
+import { loadUserRules } from './userrules.js';
+import { loadConfig } from './project.js';
+
+// Approximate size of one column in the architect's <schema_json> reply
+const SCHEMA_TOKENS_PER_COLUMN = 60;
+
+// <group_N></group_N> tags around each kept dedupe row
+const GROUP_TAG_TOKENS = 8;
+
+function estimateArchitect(sampleCsv, customInstructions, provider) {
+    const messages = buildArchitectMessages({ userData: sampleCsv, customInstructions });
+    const columnCount = Math.max(0, sampleCsv.split('\n')[0].split(',').length - 1);
+    return {
+        calls: 1,
+        inputTokens: requestTokens(provider, messages, sampleCsv + (customInstructions || '') + ARCHITECT_OUTPUT_FORMAT),
+        // The reply repeats the sample rows as the semantic diff, plus the schema
+        outputTokens: countTokens(sampleCsv) + columnCount * SCHEMA_TOKENS_PER_COLUMN,
+        note: null
+    };
+}
+
+async function estimateDedupe(csvPath, dedupeOptions, hasMapping, provider) {
+    const dedupeConfig = loadDedupeConfig(dedupeOptions.configPath);
+    if (!hasMapping && !dedupeConfig?.columns) {
+        return { calls: 0, inputTokens: 0, outputTokens: 0, note: 'unknown until the architect marks unique columns' };
+    }
+
+    const uniqueColumns = getComparisonColumns(hasMapping ? getUniqueColumns() : [], dedupeConfig, dedupeOptions.strategy || 'levenshtein');
+    if (uniqueColumns.length === 0) {
+        return { calls: 0, inputTokens: 0, outputTokens: 0, note: 'no unique columns - dedupe is skipped' };
+    }
+
+    const { records, headers } = await readMatchingRecords(csvPath, uniqueColumns);
+    const deduplicator = new CSVDeduplicator({
+        ...dedupeOptions,
+        threshold: dedupeOptions.threshold || dedupeConfig?.threshold,
+        uniqueColumns
+    });
+    const groups = deduplicator.findPotentialDuplicates(records);
+    if (groups.length === 0) {
+        return { calls: 0, inputTokens: 0, outputTokens: 0, note: 'no candidate groups' };
+    }
+
+    await hydrateDuplicateGroups(csvPath, groups);
+    const potentialDuplicates = deduplicator.formatPotentialDuplicatesForAI(groups, headers);
+    const columnNames = uniqueColumns.map(col => col.originalName);
+    const memberCount = groups.reduce((count, group) => count + 1 + group.duplicates.length, 0);
+    const dataTokens = countTokens(potentialDuplicates);
+
+    return {
+        calls: 1,
+        inputTokens: requestTokens(provider, buildDedupeMessages({ potentialDuplicates, uniqueColumns: columnNames }), potentialDuplicates + columnNames.join(',')),
+        // One kept row per group
+        outputTokens: Math.ceil(dataTokens / memberCount) * groups.length + GROUP_TAG_TOKENS * groups.length,
+        note: `${groups.length} candidate group(s)${hasMapping ? '' : ', columns from the dedupe config'}`
+    };
+}
+
+/**
+ * Cleaner estimate from a column mapping: the distinct values that fail each column's regex
+ * and that the built-in and custom rules can't fix, batched as the cleaner batches them
+ */
+async function estimateCleanerFromMapping(csvPath, columnMapping, architectOutput, provider, ruleOptions, userRules = null) {
+    const schemaDesign = architectOutput ? extractSchemaDesign(architectOutput) : '';
+    const semanticDiff = architectOutput ? extractSemanticDiff(architectOutput) : '';
+    const columns = Object.entries(columnMapping)
+        .filter(([, columnInfo]) => !columnInfo.isExcluded)
+        .map(([originalColumnName, columnInfo]) => ({
+            originalColumnName,
+            columnName: columnInfo.name,
+            index: columnInfo.index,
+            regex: columnInfo.regex,
+            columnRules: userRules?.forColumn(columnInfo, originalColumnName) || null
+        }))
+        .filter(column => column.regex !== '^.*$' || column.columnRules);
+    const { columnData } = await collectColumnData(csvPath, columns);
+
+    const estimate = { calls: 0, inputTokens: 0, outputTokens: 0, note: null };
+    let invalidValues = 0;
+    let rulesFixed = 0;
+    let distinctValues = 0;
+    for (const { originalColumnName, columnName, index, columnRules } of columns) {
+        let { invalidData, ruleFixes } = columnData.get(originalColumnName);
+        invalidValues += invalidData.length;
+        rulesFixed += ruleFixes.length;
+        if (ruleOptions) {
+            const { fixed, residual } = applyTransforms(invalidData, columnMapping[originalColumnName], { ...ruleOptions, columnRules });
+            rulesFixed += fixed.length;
+            invalidData = residual;
+        }
+        invalidData = collapseDistinctValues(invalidData, columnName).distinct;
+        distinctValues += invalidData.length;
+        if (invalidData.length === 0) continue;
+
+        const columnSchema = schemaDesign ? extractColumnSchema(schemaDesign, columnName) : JSON.stringify(columnMapping[originalColumnName]);
+        const scopedSemanticDiff = semanticDiff ? extractScopedSemanticDiff(semanticDiff, columnName, index) : '';
+        const { numBatches } = planColumnBatches(invalidData, columnSchema, scopedSemanticDiff);
+        for (const batch of splitIntoBatches(invalidData, numBatches)) {
+            const batchCsv = arrayToCsv(batch);
+            estimate.calls++;
+            estimate.inputTokens += requestTokens(
+                provider,
+                buildCleanerMessages({ columnData: batchCsv, columnSchema, scopedSemanticDiff }),
+                `Schema: ${columnSchema}\nSemantic Diff: ${scopedSemanticDiff}\nData: ${batchCsv}`
+            );
+            // One "ID,value" line back per row
+            estimate.outputTokens += countTokens(batchCsv);
+        }
+    }
+    estimate.note = `${invalidValues} values fail validation${rulesFixed > 0 ? `, ${rulesFixed} fixed by rules` : ''}, ${distinctValues} distinct sent to the AI (previous column mapping)`;
+    return estimate;
+}
+
+/**
+ * Upper bound without a column mapping: every non-empty value of every column is sent for cleaning
+ */
+async function estimateCleanerUpperBound(csvPath, provider) {
+    const columnChars = new Map();
+    let rowCount = 0;
+    for await (const row of readCsvRows(csvPath)) {
+        rowCount++;
+        for (const [column, value] of Object.entries(row)) {
+            if (value === undefined || String(value).trim() === '') continue;
+            // Each value is sent as an "ID,value" CSV line
+            columnChars.set(column, (columnChars.get(column) || 0) + String(rowCount).length + String(value).length + 2);
+        }
+    }
+
+    const promptTokens = provider.name === 'local' ? countTokens(buildCleanerMessages({ columnData: '', columnSchema: '', scopedSemanticDiff: '' })[0].content) : PROMPT_TOKENS;
+    const estimate = { calls: 0, inputTokens: 0, outputTokens: 0, note: 'upper bound - no column mapping yet, assumes every value needs cleaning' };
+    for (const chars of columnChars.values()) {
+        const dataTokens = Math.ceil(chars / 4);
+        const batches = Math.min(MAX_BATCHES, Math.ceil(dataTokens / (TOKEN_LIMIT - promptTokens)));
+        estimate.calls += batches;
+        estimate.inputTokens += dataTokens + batches * promptTokens;
+        estimate.outputTokens += dataTokens;
+    }
+    return estimate;
+}
+
+/**
+ * Estimate one AI step (architect, dedupe or cleaner) on the given CSV.
+ *
+ * options = { provider, model, csvPath, prices, sampleSize, customInstructions,
+ *             dedupeOptions, columnMappingPath, architectOutputPath, rules }
+ *
+ * Returns { step, model, calls, inputTokens, outputTokens, cost, note }
+ * where cost is null when the model's price is unknown.
+ */
+async function estimateStep(step, options) {
+    const { provider, csvPath } = options;
+    const hasMapping = fs.existsSync(options.columnMappingPath);
+
+    let estimate;
+    switch (step) {
+        case 'architect':
+            estimate = estimateArchitect(await getFirstCSVRows(csvPath, options.sampleSize), options.customInstructions, provider);
+            break;
+        case 'dedupe':
+            estimate = await estimateDedupe(csvPath, options.dedupeOptions || {}, hasMapping, provider);
+            break;
+        case 'cleaner':
+            if (hasMapping) {
+                const columnMapping = JSON.parse(fs.readFileSync(options.columnMappingPath, 'utf-8'));
+                const architectOutput = fs.existsSync(options.architectOutputPath) ? fs.readFileSync(options.architectOutputPath, 'utf-8') : null;
+                estimate = await estimateCleanerFromMapping(csvPath, columnMapping, architectOutput, provider, resolveRuleOptions({ rules: options.rules }), await loadUserRules(loadConfig()));
+            } else {
+                estimate = await estimateCleanerUpperBound(csvPath, provider);
+            }
+            break;
+        default:
+            throw new Error(`Cannot estimate step '${step}'`);
+    }
+
+    const model = resolveModelName(provider, options.model);
+    const price = (options.prices || {})[model];
+    const cost = estimate.calls === 0 ? 0 : price ? (estimate.inputTokens * price.input + estimate.outputTokens * price.output) / 1e6 : null;
+    return { step, model, ...estimate, cost };
+}
+
+/**
+ * Estimate the tokens and cost of a pipeline run without calling any AI endpoint.
+ *
+ * options = {
+ *   provider, models: { architect, dedupe, cleaner }, skip: { preclean, architect, dedupe, cleaner },
+ *   originalCsvPath, cleanedCsvPath, excludeColumns, inputOptions, textOptions, sampleSize, customInstructions,
+ *   dedupeOptions, columnMappingPath, architectOutputPath, rules, priceTablePath, projectPrices
+ * }
+ *
+ * Returns { steps: [estimateStep results], totals, models }.
+ */
+async function estimateRun(options) {
+    const { provider, skip = {} } = options;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dbclean-estimate-'));
+
+    try {
+        // Preclean is local and free; run it into a scratch file so the real outputs are left alone
+        let csvPath = options.cleanedCsvPath;
+        if (!skip.preclean) {
+            csvPath = path.join(tempDir, path.basename(options.cleanedCsvPath));
+            const inputOptions = { ...options.inputOptions, outputsDir: tempDir };
+            if (!await cleanCSV(options.originalCsvPath, csvPath, options.excludeColumns, inputOptions, options.textOptions)) {
+                throw new Error('Preclean failed');
+            }
+        } else if (!fs.existsSync(csvPath)) {
+            throw new Error(`Cleaned CSV not found: ${csvPath}`);
+        }
+
+        const prices = await loadModelPrices(options);
+        const steps = [];
+        for (const step of ['architect', 'dedupe', 'cleaner']) {
+            if (!skip[step]) {
+                steps.push(await estimateStep(step, { ...options, csvPath, prices, model: options.models[step] }));
+            }
+        }
+
+        const totals = steps.reduce((sum, step) => ({
+            calls: sum.calls + step.calls,
+            inputTokens: sum.inputTokens + step.inputTokens,
+            outputTokens: sum.outputTokens + step.outputTokens,
+            cost: sum.cost + (step.cost || 0)
+        }), { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+        // Per-model subtotals, for runs that use different models per step
+        const models = {};
+        for (const step of steps) {
+            const model = models[step.model] || (models[step.model] = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, priced: true });
+            model.calls += step.calls;
+            model.inputTokens += step.inputTokens;
+            model.outputTokens += step.outputTokens;
+            model.cost += step.cost || 0;
+            model.priced = model.priced && step.cost !== null;
+        }
+        totals.priced = Object.values(models).every(model => model.priced);
+
+        return { steps, totals, models };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+export {
+    estimateRun,
+    estimateStep
+};
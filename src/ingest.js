@@ -0,0 +1,367 @@
+/**
+ * Format-aware input readers for preclean.
+ *
+ * Every supported input format is read as a stream of row objects keyed by
+ * header, the same shape readCsvRows produces, so preclean can normalize any of
+ * them into the internal CSV table the later stages consume:
+ * - csv:     comma (or options.delimiter) separated text
+ * - tsv:     tab separated text
+ * - jsonl:   one JSON object per line (NDJSON); nested values are kept as JSON text
+ * - xlsx:    one sheet of an Excel workbook (options.sheet, name or 1-based number)
+ * - parquet: Apache Parquet, read one row group at a time
+ *
+ * Text formats accept options.encoding (any encoding iconv-lite knows, e.g. latin1, win1252, utf16le);
+ * without one, or with 'auto', the encoding is detected from the file (see encoding.js).
+ * Text is always decoded to UTF-8: options.onEncoding is called with { encoding, detected, reason }
+ * before the headers, and options.onUndecodable with { row, column, value } for every value
+ * holding bytes the encoding could not decode (row 0 is the header row).
+ * Delimited rows with the wrong number of fields or broken quoting are repaired where
+ * possible; options.onMalformed is called with { line, reason, record, repaired } for each
+ * (see rowrepair.js), and rows that can't be repaired are left out.
+ * Blank and repeated headers are renamed so no column is lost when rows are keyed by header
+ * (see disambiguateHeaders); onHeaders gets the new names, then the headers as read.
+ * Instead of a file, options.source may name a database to read a table or query from
+ * (see database.js and readSourceRows).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream';
+import iconv from 'iconv-lite';
+import { readSheet } from 'read-excel-file/node';
+import { asyncBufferFromFile, parquetMetadataAsync, parquetSchema, parquetReadObjects } from 'hyparquet';
+import { readRecords, repairRecords } from './rowrepair.js';
+import { UNDECODABLE, detectEncoding, isAutoEncoding, findUndecodable } from './encoding.js';
+import { parseConnectionString, readDatabaseRows } from './database.js';
+
+const INPUT_FORMATS = ['csv', 'tsv', 'jsonl', 'xlsx', 'parquet'];
+
+const FORMAT_EXTENSIONS = {
+    '.csv': 'csv',
+    '.txt': 'csv',
+    '.tsv': 'tsv',
+    '.tab': 'tsv',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.xlsx': 'xlsx',
+    '.parquet': 'parquet'
+};
+
+/**
+ * Resolve the input format from options.format or the file extension (csv when unknown)
+ */
+function detectInputFormat(filePath, format = null) {
+    const name = format ? String(format).toLowerCase() : FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()] || 'csv';
+    if (!INPUT_FORMATS.includes(name)) {
+        throw new Error(`Unknown input format '${format}'. Available: ${INPUT_FORMATS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Check input options before any file is read. Returns a list of errors (empty when valid).
+ */
+function validateInputOptions(options = {}) {
+    const errors = [];
+    if (options.format && !INPUT_FORMATS.includes(String(options.format).toLowerCase())) {
+        errors.push(`unknown input format '${options.format}'. Available: ${INPUT_FORMATS.join(', ')}`);
+    }
+    if (!isAutoEncoding(options.encoding) && !iconv.encodingExists(options.encoding)) {
+        errors.push(`unknown encoding '${options.encoding}'`);
+    }
+    if (options.delimiter !== undefined && options.delimiter !== null && unescapeDelimiter(options.delimiter).length !== 1) {
+        errors.push(`delimiter must be a single character, got '${options.delimiter}'`);
+    }
+    if (options.source) {
+        try {
+            parseConnectionString(options.source);
+        } catch (error) {
+            errors.push(error.message.charAt(0).toLowerCase() + error.message.slice(1));
+        }
+        if (!options.table && !options.query) {
+            errors.push('a database source needs a table or a query');
+        }
+        if (options.table && options.query) {
+            errors.push('a database source takes a table or a query, not both');
+        }
+    } else if (options.table || options.query) {
+        errors.push('a source table or query needs a source connection string');
+    }
+    return errors;
+}
+
+/**
+ * Input options from the command line, falling back to steps.preclean in dbclean.yaml.
+ * A source given on the command line replaces the table or query from dbclean.yaml too.
+ */
+function resolveInputOptions(options = {}, settings = {}) {
+    const table = options.sourceTable || options.table;
+    const query = options.sourceQuery || options.query;
+    const fromSettings = !options.source && !table && !query;
+    const resolved = {
+        format: options.format || settings.format,
+        delimiter: options.delimiter || settings.delimiter,
+        encoding: options.encoding || settings.encoding,
+        sheet: options.sheet ?? settings.sheet,
+        source: options.source || settings.source,
+        table: fromSettings ? settings.table : table,
+        query: fromSettings ? settings.query : query
+    };
+    return Object.fromEntries(Object.entries(resolved).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Allow delimiters to be written as \t on the command line
+function unescapeDelimiter(delimiter) {
+    return String(delimiter) === '\\t' || String(delimiter).toLowerCase() === 'tab' ? '\t' : String(delimiter);
+}
+
+/**
+ * The encoding to read a text file with: options.encoding, or the one detected from the file
+ */
+function resolveEncoding(filePath, options) {
+    if (!isAutoEncoding(options.encoding)) {
+        if (!iconv.encodingExists(options.encoding)) {
+            throw new Error(`Unknown encoding '${options.encoding}'`);
+        }
+        options.onEncoding?.({ encoding: options.encoding, detected: false, reason: 'given' });
+        return options.encoding;
+    }
+    const { encoding, reason } = detectEncoding(filePath);
+    options.onEncoding?.({ encoding, detected: true, reason });
+    return encoding;
+}
+
+/**
+ * Open a file as a text stream decoded to UTF-8 (dropping any byte order mark)
+ */
+function openTextStream(filePath, encoding) {
+    return pipeline(fs.createReadStream(filePath), iconv.decodeStream(encoding), () => {});
+}
+
+/**
+ * Report the values of decoded rows that hold undecodable bytes, as they pass
+ */
+async function* reportUndecodable(rows, onUndecodable) {
+    let rowNumber = 0;
+    for await (const row of rows) {
+        rowNumber++;
+        if (onUndecodable) {
+            for (const column of findUndecodable(row)) {
+                onUndecodable({ row: rowNumber, column, value: row[column] });
+            }
+        }
+        yield row;
+    }
+}
+
+function reportUndecodableHeaders(headers, onUndecodable) {
+    for (const column of headers.filter(header => header.includes(UNDECODABLE))) {
+        onUndecodable?.({ row: 0, column, value: column });
+    }
+}
+
+/**
+ * Make a header row safe to key rows by: blank headers become column_<n> (1-based position)
+ * and repeats of a header get _2, _3, ... (skipping names already in the row).
+ * Returns { headers, renames } with renames = [{ index, from, to, reason }].
+ */
+function disambiguateHeaders(headers) {
+    const named = headers.map((header, i) => (String(header ?? '').trim() === '' ? `column_${i + 1}` : String(header)));
+    const taken = new Set(named);
+    const seen = new Set();
+    const renames = [];
+
+    const unique = named.map((name, i) => {
+        let result = name;
+        if (seen.has(name)) {
+            let n = 2;
+            while (taken.has(`${name}_${n}`) || seen.has(`${name}_${n}`)) n++;
+            result = `${name}_${n}`;
+        }
+        seen.add(result);
+        if (result !== headers[i]) {
+            renames.push({ index: i, from: headers[i] ?? '', to: result, reason: name !== headers[i] ? 'blank header' : 'duplicate header' });
+        }
+        return result;
+    });
+    return { headers: unique, renames };
+}
+
+/**
+ * Turn a cell value from a typed format into the text stored in the CSV table
+ */
+function toCellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? '' : value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value, (key, nested) => (typeof nested === 'bigint' ? nested.toString() : nested));
+    }
+    return String(value);
+}
+
+function toRowObject(headers, values) {
+    const row = {};
+    headers.forEach((header, i) => {
+        row[header] = toCellText(values[i]);
+    });
+    return row;
+}
+
+async function* readDelimitedRows(filePath, separator, options) {
+    const { onHeaders, onUndecodable, onMalformed } = options;
+    const encoding = resolveEncoding(filePath, options);
+    const records = readRecords(openTextStream(filePath, encoding), separator);
+
+    const first = await records.next();
+    if (first.done) {
+        return;
+    }
+    const rawHeaders = first.value.fields;
+    const { headers } = disambiguateHeaders(rawHeaders);
+    reportUndecodableHeaders(rawHeaders, onUndecodable);
+    onHeaders?.(headers, rawHeaders);
+
+    async function* rows() {
+        for await (const fields of repairRecords(records, headers, separator, onMalformed)) {
+            yield toRowObject(headers, fields);
+        }
+    }
+    yield* reportUndecodable(rows(), onUndecodable);
+}
+
+async function* readJsonLines(filePath, encoding) {
+    const lines = readline.createInterface({ input: openTextStream(filePath, encoding), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Line ${lineNumber} is not a JSON object`);
+        }
+        yield record;
+    }
+}
+
+async function* readJsonlRows(filePath, options) {
+    // Records may have different keys, so a first pass collects every header in order of appearance
+    const encoding = resolveEncoding(filePath, options);
+    const headerSet = new Set();
+    for await (const record of readJsonLines(filePath, encoding)) {
+        Object.keys(record).forEach(key => headerSet.add(key));
+    }
+    const keys = [...headerSet];
+    const { headers } = disambiguateHeaders(keys);
+    reportUndecodableHeaders(keys, options.onUndecodable);
+    options.onHeaders?.(headers, keys);
+
+    async function* rows() {
+        for await (const record of readJsonLines(filePath, encoding)) {
+            yield toRowObject(headers, keys.map(key => record[key]));
+        }
+    }
+    yield* reportUndecodable(rows(), options.onUndecodable);
+}
+
+async function* readXlsxRows(filePath, options) {
+    const sheet = options.sheet === undefined || options.sheet === null ? 1
+        : /^\d+$/.test(String(options.sheet)) ? Number(options.sheet) : String(options.sheet);
+
+    let data;
+    try {
+        data = await readSheet(filePath, sheet);
+    } catch (error) {
+        throw new Error(`Could not read sheet '${sheet}' of ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    const [headerRow = [], ...rows] = data;
+    const rawHeaders = headerRow.map(toCellText);
+    const { headers } = disambiguateHeaders(rawHeaders);
+    options.onHeaders?.(headers, rawHeaders);
+
+    for (const values of rows) {
+        if (values.every(value => value === null || value === undefined || value === '')) continue;
+        yield toRowObject(headers, values);
+    }
+}
+
+async function* readParquetRows(filePath, options) {
+    const file = await asyncBufferFromFile(filePath);
+    const metadata = await parquetMetadataAsync(file);
+    const headers = parquetSchema(metadata).children.map(child => child.element.name);
+    options.onHeaders?.(headers);
+
+    // One row group at a time keeps memory bounded by the row group size
+    let rowStart = 0;
+    for (const rowGroup of metadata.row_groups) {
+        const rowEnd = rowStart + Number(rowGroup.num_rows);
+        const records = await parquetReadObjects({ file, metadata, rowStart, rowEnd });
+        for (const record of records) {
+            yield toRowObject(headers, headers.map(header => record[header]));
+        }
+        rowStart = rowEnd;
+    }
+}
+
+/**
+ * Stream the table or query of a database source (options = { source, table, query, onHeaders })
+ * as row objects keyed by column name, with values as readInputRows would give them.
+ */
+async function* readSourceRows(options = {}) {
+    let headers = [];
+    const onHeaders = (headerList) => {
+        headers = headerList;
+        options.onHeaders?.(headerList);
+    };
+    for await (const record of readDatabaseRows(options.source, { table: options.table, query: options.query, onHeaders })) {
+        yield toRowObject(headers, headers.map(header => record[header]));
+    }
+}
+
+/**
+ * Stream an input file of any supported format as row objects keyed by header.
+ * options = { format?, delimiter?, encoding?, sheet?, onHeaders?, onEncoding?, onUndecodable?, onMalformed? }
+ * onHeaders is called with the header list before the first row.
+ */
+async function* readInputRows(filePath, options = {}) {
+    const format = detectInputFormat(filePath, options.format);
+
+    switch (format) {
+        case 'csv':
+            yield* readDelimitedRows(filePath, options.delimiter ? unescapeDelimiter(options.delimiter) : ',', options);
+            break;
+        case 'tsv':
+            yield* readDelimitedRows(filePath, options.delimiter ? unescapeDelimiter(options.delimiter) : '\t', options);
+            break;
+        case 'jsonl':
+            yield* readJsonlRows(filePath, options);
+            break;
+        case 'xlsx':
+            yield* readXlsxRows(filePath, options);
+            break;
+        case 'parquet':
+            yield* readParquetRows(filePath, options);
+            break;
+    }
+}
+
+export {
+    INPUT_FORMATS,
+    detectInputFormat,
+    disambiguateHeaders,
+    validateInputOptions,
+    resolveInputOptions,
+    readInputRows,
+    readSourceRows
+};
@@ -9,16 +9,21 @@
  * 3. Runs an Isolation Forest to detect and remove outliers.
  * 4. Splits the cleaned data into training, validation, and test sets.
  * 5. Saves the output as train.csv, validate.csv, and test.csv.
+ *
+ * Only the numerical values are kept in memory for the Isolation Forest; the
+ * split files are written by streaming the stitched data a second time. Rows are
+ * assigned to splits at random but keep their original order within each file.
  */
 
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import { createObjectCsvWriter } from 'csv-writer';
 import chalk from 'chalk';
 import { IsolationForest } from 'isolation-forest';
+import { readCsvRows, createCsvRowWriter } from './csvstream.js';
+import { resolveOutputFormat, describeInvalidValues, writeTypedOutput } from './output.js';
+import { loadConfig, getWorkspacePaths } from './project.js';
 
 // --- Configuration ---
 const TRAIN_RATIO = 0.70;
@@ -26,79 +31,63 @@ const VALIDATE_RATIO = 0.15;
 const TEST_RATIO = 0.15;
 const ANOMALY_THRESHOLD = 0.7; // See isolation-forest docs for tuning
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// --- Path and Config Loading ---
-function loadConfig() {
-    try {
-        const possiblePaths = [
-            path.join(process.cwd(), 'config.json'),
-            path.join(__dirname, '..', 'config.json'),
-        ];
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                const config = JSON.parse(configContent);
-                config._configPath = configPath;
-                return config;
-            }
-        }
-        throw new Error('config.json not found');
-    } catch (error) {
-        console.log(chalk.yellow(`⚠️  Warning: Could not load config.json: ${error.message}. Using default paths.`));
-        return {};
-    }
-}
-
-const config = loadConfig();
-
-// Configure paths using working directory for outputs
-const workingDir = process.cwd();
-const dataDir = path.join(workingDir, config.data_dir || 'data');
-const outputsDir = path.join(workingDir, config.outputs_dir || 'outputs');
-
-// Ensure directories exist
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-if (!fs.existsSync(outputsDir)) {
-    fs.mkdirSync(outputsDir, { recursive: true });
-}
-
-const stitchedCsvPath = path.join(dataDir, config.data_stitched_file_path || 'data_stitched.csv');
-const columnMappingPath = path.join(outputsDir, config.outputs_column_mapping_file || 'column_mapping.json');
 
 // --- Helper Functions ---
 
 /**
- * Reads a CSV file into an array of objects.
+ * Streams the stitched CSV once, keeping only the numerical values of each row.
  */
-async function readCsv(filePath) {
+async function readNumericalData(filePath, numericalColumns) {
     if (!fs.existsSync(filePath)) {
         throw new Error(`File not found: ${filePath}`);
     }
-    const results = [];
-    return new Promise((resolve, reject) => {
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (data) => results.push(data))
-            .on('end', () => resolve(results))
-            .on('error', reject);
-    });
+    const numericalData = [];
+    const rowIdentifiers = [];
+    for await (const row of readCsvRows(filePath)) {
+        const record = {};
+        numericalColumns.forEach(colName => {
+            // Ensure value is a number, default to 0 if missing or invalid
+            const val = parseFloat(row[colName]);
+            record[colName] = isNaN(val) ? 0 : val;
+        });
+        numericalData.push(record);
+        // Find a unique identifier if possible (e.g., an ID column if one exists)
+        rowIdentifiers.push(row.ID || row.id || null);
+    }
+    return { numericalData, rowIdentifiers };
 }
 
 /**
- * Writes an array of objects to a CSV file.
+ * Streams the stitched CSV a second time, writing each row to the split it was assigned to.
+ * Splits with no rows are not written.
  */
-async function writeCsv(filePath, data) {
-    if (data.length === 0) {
-        console.log(chalk.yellow(`No data to write for ${path.basename(filePath)}.`));
-        return;
+async function writeSplits(filePath, assignments, splitPaths, splitSizes) {
+    const writers = [];
+    let headers = [];
+    let index = 0;
+    try {
+        for await (const row of readCsvRows(filePath, { onHeaders: (headerList) => { headers = headerList; } })) {
+            const split = assignments[index++];
+            if (split < 0) {
+                continue;
+            }
+            if (!writers[split]) {
+                writers[split] = createCsvRowWriter(splitPaths[split], headers);
+            }
+            await writers[split].writeRow(row);
+        }
+    } finally {
+        for (const writer of writers) {
+            if (writer) {
+                await writer.close();
+            }
+        }
     }
-    const headers = Object.keys(data[0]).map(id => ({ id, title: id }));
-    const csvWriter = createObjectCsvWriter({ path: filePath, header: headers });
-    await csvWriter.writeRecords(data);
+    splitPaths.forEach((splitPath, split) => {
+        if (splitSizes[split] === 0) {
+            console.log(chalk.yellow(`No data to write for ${path.basename(splitPath)}.`));
+        }
+    });
 }
 
 /**
@@ -114,15 +103,21 @@ function shuffleArray(array) {
 
 // --- Main Logic ---
 
-export async function main() {
+/**
+ * Detect outliers and split the stitched data.
+ * options.outputFormat also writes the splits as parquet, jsonl, xlsx or sqlite.
+ */
+export async function main(options = {}) {
+    const config = loadConfig();
     console.log(chalk.blue('🚀 Starting Isosplit process...'));
 
     try {
-        // 1. Load data and column mapping
-        console.log(`📖 Loading stitched data from: ${stitchedCsvPath}`);
-        const allData = await readCsv(stitchedCsvPath);
-        console.log(chalk.green(`✅ Loaded ${allData.length} rows.`));
+        const outputFormat = resolveOutputFormat(options.outputFormat);
+        const { dataDir, outputsDir } = getWorkspacePaths(config);
+        const stitchedCsvPath = path.join(dataDir, config.data_stitched_file_path || 'data_stitched.csv');
+        const columnMappingPath = path.join(outputsDir, config.outputs_column_mapping_file || 'column_mapping.json');
 
+        // 1. Load column mapping
         console.log(`📖 Loading column mapping from: ${columnMappingPath}`);
         const columnMapping = JSON.parse(fs.readFileSync(columnMappingPath, 'utf-8'));
         
@@ -137,16 +132,10 @@ export async function main() {
         }
         console.log(chalk.cyan(`🔍 Found ${numericalColumns.length} numerical columns for analysis: ${numericalColumns.join(', ')}`));
 
-        // 3. Prepare data for Isolation Forest (array of objects with only numerical data)
-        const numericalData = allData.map(row => {
-            const record = {};
-            numericalColumns.forEach(colName => {
-                // Ensure value is a number, default to 0 if missing or invalid
-                const val = parseFloat(row[colName]);
-                record[colName] = isNaN(val) ? 0 : val;
-            });
-            return record;
-        });
+        // 3. Load numerical data for Isolation Forest (array of objects with only numerical data)
+        console.log(`📖 Loading stitched data from: ${stitchedCsvPath}`);
+        const { numericalData, rowIdentifiers } = await readNumericalData(stitchedCsvPath, numericalColumns);
+        console.log(chalk.green(`✅ Loaded ${numericalData.length} rows.`));
 
         // 4. Run Isolation Forest
         console.log('🌲 Training Isolation Forest to detect outliers...');
@@ -165,10 +154,7 @@ export async function main() {
             console.log(chalk.cyan('--- Detected Outlier Details ---'));
             outliers.forEach(outlier => {
                 const outlierData = numericalData[outlier.index];
-                const originalRow = allData[outlier.index];
-                
-                // Find a unique identifier if possible (e.g., an ID column if one exists)
-                const rowIdentifier = originalRow.ID || originalRow.id || `Row Index ${outlier.index}`;
+                const rowIdentifier = rowIdentifiers[outlier.index] || `Row Index ${outlier.index}`;
 
                 console.log(
                     chalk.red(`  [${rowIdentifier}]`),
@@ -180,23 +166,32 @@ export async function main() {
         }
 
         // 5. Remove outliers
-        const cleanedData = allData.filter((_, index) => !outliers.some(o => o.index === index));
-        console.log(chalk.green(`🧹 Removed outliers. Remaining data: ${cleanedData.length} rows.`));
+        const outlierIndices = new Set(outliers.map(o => o.index));
+        const keptIndices = [];
+        for (let index = 0; index < numericalData.length; index++) {
+            if (!outlierIndices.has(index)) {
+                keptIndices.push(index);
+            }
+        }
+        console.log(chalk.green(`🧹 Removed outliers. Remaining data: ${keptIndices.length} rows.`));
 
         // 6. Shuffle and split data
         console.log('🔀 Shuffling and splitting data...');
-        shuffleArray(cleanedData);
+        shuffleArray(keptIndices);
 
-        const trainSize = Math.floor(cleanedData.length * TRAIN_RATIO);
-        const validateSize = Math.floor(cleanedData.length * VALIDATE_RATIO);
+        const trainSize = Math.floor(keptIndices.length * TRAIN_RATIO);
+        const validateSize = Math.floor(keptIndices.length * VALIDATE_RATIO);
+        const splitSizes = [trainSize, validateSize, keptIndices.length - trainSize - validateSize];
 
-        const trainData = cleanedData.slice(0, trainSize);
-        const validateData = cleanedData.slice(trainSize, trainSize + validateSize);
-        const testData = cleanedData.slice(trainSize + validateSize);
+        // Assign each row to a split: 0 = train, 1 = validate, 2 = test, -1 = outlier
+        const assignments = new Int8Array(numericalData.length).fill(-1);
+        keptIndices.forEach((rowIndex, position) => {
+            assignments[rowIndex] = position < trainSize ? 0 : position < trainSize + validateSize ? 1 : 2;
+        });
         
-        console.log(`   - Training set:   ${trainData.length} rows`);
-        console.log(`   - Validation set: ${validateData.length} rows`);
-        console.log(`   - Test set:       ${testData.length} rows`);
+        console.log(`   - Training set:   ${splitSizes[0]} rows`);
+        console.log(`   - Validation set: ${splitSizes[1]} rows`);
+        console.log(`   - Test set:       ${splitSizes[2]} rows`);
 
         // 7. Save the split files
         const trainPath = path.join(dataDir, 'train.csv');
@@ -204,14 +199,25 @@ export async function main() {
         const testPath = path.join(dataDir, 'test.csv');
 
         console.log('💾 Saving split files...');
-        await writeCsv(trainPath, trainData);
-        await writeCsv(validatePath, validateData);
-        await writeCsv(testPath, testData);
+        await writeSplits(stitchedCsvPath, assignments, [trainPath, validatePath, testPath], splitSizes);
 
         console.log(chalk.green(`✅ Split files saved successfully:`));
         console.log(`   - ${trainPath}`);
         console.log(`   - ${validatePath}`);
         console.log(`   - ${testPath}`);
+
+        // 8. Typed copies of the splits that have rows
+        if (outputFormat !== 'csv') {
+            console.log(`💾 Writing ${outputFormat} split files...`);
+            for (const splitPath of [trainPath, validatePath, testPath].filter((_, split) => splitSizes[split] > 0)) {
+                const output = await writeTypedOutput(splitPath, outputFormat, columnMapping);
+                console.log(`   - ${output.outputPath}`);
+                const invalid = describeInvalidValues(output, outputFormat);
+                if (invalid) {
+                    console.log(chalk.yellow(`   ⚠️  ${invalid}`));
+                }
+            }
+        }
         
         console.log(chalk.green('\n🎉 Isosplit process completed successfully!'));
         return true;
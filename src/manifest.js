@@ -0,0 +1,184 @@
+/**
+ * Run manifest for resumable pipelines.
+ *
+ * Records, for each pipeline step, a content hash of its inputs, the options it
+ * ran with, its outputs and its status. `dbclean run --resume` uses it to skip
+ * steps whose inputs and outputs are unchanged since they last completed.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash a file with SHA-256, streaming its contents
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Hash a file or directory. Directories hash the names and contents of their files;
+ * missing paths hash to null.
+ */
+async function hashPath(targetPath) {
+    let stats;
+    try {
+        stats = await fsp.stat(targetPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    if (!stats.isDirectory()) {
+        return hashFile(targetPath);
+    }
+
+    const hash = crypto.createHash('sha256');
+    const entries = (await fsp.readdir(targetPath)).sort();
+    for (const entry of entries) {
+        const entryHash = await hashPath(path.join(targetPath, entry));
+        hash.update(`${entry}\0${entryHash}\n`);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Hash a list of paths into an object keyed by path (relative to the working directory when inside it)
+ */
+async function hashPaths(paths) {
+    const hashes = {};
+    for (const targetPath of paths) {
+        const relativePath = path.relative(process.cwd(), targetPath);
+        const key = relativePath && !relativePath.startsWith('..') ? relativePath : path.resolve(targetPath);
+        hashes[key] = await hashPath(targetPath);
+    }
+    return hashes;
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class RunManifest {
+    constructor(manifestPath, data = null) {
+        this.manifestPath = manifestPath;
+        this.data = data || {
+            version: MANIFEST_VERSION,
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            steps: {}
+        };
+    }
+
+    /**
+     * Load an existing manifest, or start an empty one if it is missing or unreadable
+     */
+    static async load(manifestPath) {
+        try {
+            const data = JSON.parse(await fsp.readFile(manifestPath, 'utf-8'));
+            if (data.version === MANIFEST_VERSION && data.steps) {
+                return new RunManifest(manifestPath, data);
+            }
+        } catch (error) {
+            // Missing or corrupt manifest - start fresh
+        }
+        return new RunManifest(manifestPath);
+    }
+
+    get isEmpty() {
+        return Object.keys(this.data.steps).length === 0;
+    }
+
+    getStep(name) {
+        return this.data.steps[name] || null;
+    }
+
+    /**
+     * Check whether a step last ran against the same inputs and options.
+     * step = { inputs: [paths], outputs: [paths], options: {} }
+     */
+    async matchesInputs(name, step) {
+        const entry = this.getStep(name);
+        if (!entry) {
+            return false;
+        }
+        if (!sameJson(entry.options || {}, step.options || {})) {
+            return false;
+        }
+        return sameJson(entry.inputs, await hashPaths(step.inputs));
+    }
+
+    /**
+     * Check whether a step completed with the same inputs and options and its outputs are untouched
+     */
+    async isUpToDate(name, step) {
+        const entry = this.getStep(name);
+        if (!entry || entry.status !== 'completed') {
+            return false;
+        }
+        if (!await this.matchesInputs(name, step)) {
+            return false;
+        }
+        return sameJson(entry.outputs, await hashPaths(step.outputs));
+    }
+
+    /**
+     * Record that a step has started, hashing its inputs
+     */
+    async start(name, step) {
+        this.data.steps[name] = {
+            status: 'running',
+            inputs: await hashPaths(step.inputs),
+            options: step.options || {},
+            outputs: {},
+            startedAt: new Date().toISOString(),
+            completedAt: null,
+            error: null
+        };
+        await this.save();
+    }
+
+    /**
+     * Record that a step completed, hashing its outputs
+     */
+    async complete(name, step) {
+        const entry = this.data.steps[name];
+        entry.status = 'completed';
+        entry.outputs = await hashPaths(step.outputs);
+        entry.completedAt = new Date().toISOString();
+        await this.save();
+    }
+
+    /**
+     * Record that a step failed
+     */
+    async fail(name, error = null) {
+        const entry = this.data.steps[name];
+        if (!entry) {
+            return;
+        }
+        entry.status = 'failed';
+        entry.error = error ? (error.message || String(error)) : null;
+        await this.save();
+    }
+
+    async save() {
+        this.data.updatedAt = new Date().toISOString();
+        await fsp.mkdir(path.dirname(this.manifestPath), { recursive: true });
+        await fsp.writeFile(this.manifestPath, JSON.stringify(this.data, null, 2), 'utf-8');
+    }
+}
+
+export {
+    RunManifest,
+    hashPath
+};
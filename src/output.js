@@ -0,0 +1,344 @@
+/**
+ * Typed output writers for the stitched dataset and the isosplit splits.
+ *
+ * The pipeline always works on CSV files. When another output format is asked
+ * for, the finished CSV is streamed into a typed copy next to it, using the
+ * dataType the architect inferred for each column in column_mapping.json:
+ * - csv:     the CSV as written (no copy)
+ * - jsonl:   one JSON object per row; ints, floats and booleans as JSON values, dates as ISO text
+ * - parquet: typed columns (INT64, DOUBLE, BOOLEAN, DATE, TIMESTAMP), one row group per batch
+ * - xlsx:    one sheet with number, boolean and date cells (built in memory)
+ * - sqlite:  one table named after the file, with INTEGER / REAL / TEXT columns
+ *
+ * Values that don't parse as their column type are kept as text, except in
+ * parquet where a column holds a single type and such values become null.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { ParquetWriter, fileWriter } from 'hyparquet-writer';
+import writeExcelFile from 'write-excel-file/node';
+import { readCsvRows } from './csvstream.js';
+
+const OUTPUT_FORMATS = ['csv', 'parquet', 'jsonl', 'xlsx', 'sqlite'];
+
+const OUTPUT_EXTENSIONS = {
+    csv: '.csv',
+    parquet: '.parquet',
+    jsonl: '.jsonl',
+    xlsx: '.xlsx',
+    sqlite: '.sqlite'
+};
+
+// Rows per parquet row group and per sqlite transaction
+const BATCH_SIZE = 10000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 't'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'f'];
+
+const THOUSANDS_GROUPED = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+// A UTC offset after a time (10:00Z, 10:00+02:00) or a zone name the Date parser knows
+const HAS_TIMEZONE = /\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}(:?\d{2})?)$|\b(UTC|GMT|[ECMP][SD]T)\b/i;
+
+/**
+ * Validate an output format name (csv when none is given)
+ */
+function resolveOutputFormat(format) {
+    const name = format ? String(format).toLowerCase() : 'csv';
+    if (!OUTPUT_FORMATS.includes(name)) {
+        throw new Error(`Unknown output format '${format}'. Available: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Map each CSV header (original or mapped column name) to its column_mapping.json dataType
+ */
+function columnTypesFromMapping(headers, columnMapping = {}) {
+    const byName = new Map();
+    for (const [originalName, column] of Object.entries(columnMapping)) {
+        byName.set(originalName, column.dataType);
+        if (column.name) {
+            byName.set(column.name, column.dataType);
+        }
+    }
+    return headers.map(header => byName.get(header) || 'string');
+}
+
+/**
+ * Drop the commas of well-formed thousands groups (1,234,567.89). Any other comma is kept,
+ * so a decimal comma (3,14) fails to parse instead of being read as a bigger number.
+ */
+function stripThousands(value) {
+    return THOUSANDS_GROUPED.test(value) ? value.replace(/,/g, '') : value;
+}
+
+/**
+ * Parse a date or datetime to a timestamp. Values without a timezone are read as UTC, so their
+ * wall-clock time comes back out of toISOString unchanged whatever the machine's timezone.
+ */
+function parseDateTime(value) {
+    if (HAS_TIMEZONE.test(value)) {
+        return Date.parse(value);
+    }
+    const time = Date.parse(`${value}Z`);
+    return isNaN(time) ? Date.parse(`${value} UTC`) : time;
+}
+
+/**
+ * Parse a CSV value as the given data type.
+ * Returns { value, valid }: value is null for empty cells and the original text when invalid.
+ */
+function coerceValue(text, dataType) {
+    if (text === undefined || text === null || String(text).trim() === '') {
+        return { value: null, valid: true };
+    }
+    const value = String(text).trim();
+
+    switch (dataType) {
+        case 'int': {
+            const digits = stripThousands(value);
+            const number = Number(digits);
+            return Number.isSafeInteger(number) && /^[+-]?\d+$/.test(digits) ? { value: number, valid: true } : { value: text, valid: false };
+        }
+        case 'float': {
+            const number = Number(stripThousands(value));
+            return Number.isFinite(number) ? { value: number, valid: true } : { value: text, valid: false };
+        }
+        case 'boolean': {
+            const lower = value.toLowerCase();
+            if (TRUE_VALUES.includes(lower)) return { value: true, valid: true };
+            if (FALSE_VALUES.includes(lower)) return { value: false, valid: true };
+            return { value: text, valid: false };
+        }
+        case 'date':
+        case 'datetime': {
+            const time = parseDateTime(value);
+            return isNaN(time) ? { value: text, valid: false } : { value: new Date(time), valid: true };
+        }
+        default:
+            return { value: text, valid: true };
+    }
+}
+
+function formatDate(date, dataType) {
+    return dataType === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+}
+
+function createJsonlWriter(outputPath, headers, types) {
+    const stream = fs.createWriteStream(outputPath, { encoding: 'utf-8' });
+    return {
+        async writeRow(values) {
+            const record = {};
+            headers.forEach((header, i) => {
+                const value = values[i];
+                record[header] = value instanceof Date ? formatDate(value, types[i]) : value;
+            });
+            if (!stream.write(JSON.stringify(record) + '\n')) {
+                await once(stream, 'drain');
+            }
+        },
+        async close() {
+            stream.end();
+            await once(stream, 'finish');
+        }
+    };
+}
+
+const PARQUET_TYPES = {
+    int: { type: 'INT64' },
+    float: { type: 'DOUBLE' },
+    boolean: { type: 'BOOLEAN' },
+    date: { type: 'INT32', converted_type: 'DATE' },
+    datetime: { type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' }
+};
+
+function createParquetWriter(outputPath, headers, types) {
+    const schema = [
+        { name: 'root', num_children: headers.length },
+        ...headers.map((header, i) => ({
+            name: header,
+            repetition_type: 'OPTIONAL',
+            ...(PARQUET_TYPES[types[i]] || { type: 'BYTE_ARRAY', converted_type: 'UTF8' })
+        }))
+    ];
+    const writer = new ParquetWriter({ writer: fileWriter(outputPath), schema });
+    let columns = headers.map(() => []);
+
+    const flush = () => {
+        if (columns[0].length === 0) return;
+        writer.write({
+            columnData: headers.map((header, i) => ({ name: header, data: columns[i] })),
+            rowGroupSize: BATCH_SIZE
+        });
+        columns = headers.map(() => []);
+    };
+
+    return {
+        async writeRow(values, valid) {
+            values.forEach((value, i) => {
+                // A parquet column holds one type, so values that don't parse are left out
+                const typed = valid[i] ? value : types[i] in PARQUET_TYPES ? null : value;
+                columns[i].push(types[i] === 'int' && typed !== null ? BigInt(typed) : typed);
+            });
+            if (columns[0].length >= BATCH_SIZE) {
+                flush();
+            }
+        },
+        async close() {
+            flush();
+            writer.finish();
+        }
+    };
+}
+
+function createXlsxWriter(outputPath, headers, types) {
+    const sheetName = path.basename(outputPath, path.extname(outputPath)).slice(0, 31);
+    const rows = [headers.map(header => ({ value: header, fontWeight: 'bold' }))];
+    return {
+        async writeRow(values) {
+            rows.push(values.map((value, i) => {
+                if (value instanceof Date) {
+                    return { value, type: Date, format: types[i] === 'date' ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm:ss' };
+                }
+                return value === null ? null : { value };
+            }));
+        },
+        async close() {
+            await writeExcelFile([{ data: rows, sheet: sheetName }]).toFile(outputPath);
+        }
+    };
+}
+
+const SQLITE_TYPES = { int: 'INTEGER', float: 'REAL', boolean: 'INTEGER' };
+
+/**
+ * The native sqlite module is loaded on the first write, so a failed native build only
+ * breaks the sqlite format
+ */
+function createSqliteWriter(outputPath, headers, types) {
+    const table = path.basename(outputPath, path.extname(outputPath));
+    const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+
+    let opening = null;
+    const open = () => {
+        opening = opening || (async () => {
+            const { default: Database } = await import('better-sqlite3');
+            const db = new Database(outputPath);
+            db.exec(`DROP TABLE IF EXISTS ${quote(table)}`);
+            db.exec(`CREATE TABLE ${quote(table)} (${headers.map((header, i) => `${quote(header)} ${SQLITE_TYPES[types[i]] || 'TEXT'}`).join(', ')})`);
+
+            const insert = db.prepare(`INSERT INTO ${quote(table)} VALUES (${headers.map(() => '?').join(', ')})`);
+            const insertBatch = db.transaction(batch => {
+                for (const values of batch) {
+                    insert.run(values);
+                }
+            });
+            return { db, insertBatch };
+        })();
+        return opening;
+    };
+    let batch = [];
+
+    return {
+        async writeRow(values) {
+            const { insertBatch } = await open();
+            batch.push(values.map((value, i) => {
+                if (value instanceof Date) return formatDate(value, types[i]);
+                if (typeof value === 'boolean') return value ? 1 : 0;
+                return value;
+            }));
+            if (batch.length >= BATCH_SIZE) {
+                insertBatch(batch);
+                batch = [];
+            }
+        },
+        async close() {
+            const { db, insertBatch } = await open();
+            insertBatch(batch);
+            db.close();
+        }
+    };
+}
+
+const WRITERS = {
+    jsonl: createJsonlWriter,
+    parquet: createParquetWriter,
+    xlsx: createXlsxWriter,
+    sqlite: createSqliteWriter
+};
+
+/**
+ * Describe values that did not match their column type, or null when there were none
+ */
+function describeInvalidValues(output, format) {
+    if (!output.invalidValues) {
+        return null;
+    }
+    return `${output.invalidValues} values did not match their column type and were ${format === 'parquet' ? 'written as null' : 'kept as text'}`;
+}
+
+/**
+ * Path of the typed copy of a CSV file
+ */
+function outputPathFor(csvPath, format) {
+    const parsed = path.parse(csvPath);
+    return path.join(parsed.dir, parsed.name + OUTPUT_EXTENSIONS[resolveOutputFormat(format)]);
+}
+
+/**
+ * Stream a CSV file into a typed file of the given format next to it.
+ * Returns { outputPath, rowCount, invalidValues } (the CSV itself for csv).
+ */
+async function writeTypedOutput(csvPath, format, columnMapping = {}) {
+    const name = resolveOutputFormat(format);
+    if (name === 'csv') {
+        return { outputPath: csvPath, rowCount: null, invalidValues: 0 };
+    }
+
+    const outputPath = outputPathFor(csvPath, name);
+    let headers = [];
+    let types = [];
+    let writer = null;
+    let rowCount = 0;
+    let invalidValues = 0;
+
+    const openWriter = (headerList) => {
+        headers = headerList;
+        types = columnTypesFromMapping(headers, columnMapping);
+        writer = WRITERS[name](outputPath, headers, types);
+    };
+
+    try {
+        for await (const row of readCsvRows(csvPath, { onHeaders: openWriter })) {
+            const values = [];
+            const valid = [];
+            headers.forEach((header, i) => {
+                const coerced = coerceValue(row[header], types[i]);
+                values.push(coerced.value);
+                valid.push(coerced.valid);
+                if (!coerced.valid) invalidValues++;
+            });
+            await writer.writeRow(values, valid);
+            rowCount++;
+        }
+    } finally {
+        if (writer) {
+            await writer.close();
+        }
+    }
+
+    return { outputPath, rowCount, invalidValues };
+}
+
+export {
+    OUTPUT_FORMATS,
+    resolveOutputFormat,
+    columnTypesFromMapping,
+    coerceValue,
+    outputPathFor,
+    describeInvalidValues,
+    writeTypedOutput
+};
@@ -0,0 +1,438 @@
+/**
+ * Programmatic API for embedding the dbclean pipeline in other Node services.
+ *
+ *   import { createPipeline } from '@dbclean/cli';
+ *
+ *   const pipeline = createPipeline({ provider: 'local', endpoint: 'http://localhost:8080' });
+ *   pipeline.on('step:complete', ({ step }) => ...);
+ *   const result = await pipeline.run({ rows });
+ *
+ * Every run works in its own workspace directory (a temporary one that is removed
+ * afterwards unless options.workDir is given), so runs never touch the working
+ * directory and several can run at once. Console output of the steps is turned
+ * into 'log' events instead of being printed, unless options.console is set.
+ *
+ * Events:
+ * - step:start    { step }
+ * - step:complete { step, durationMs }
+ * - step:skip     { step }
+ * - log           { step, level, message }
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import { EventEmitter } from 'events';
+import { pipeline as streamPipeline } from 'stream/promises';
+import { cleanCSV } from './preclean.js';
+import { resolveTextOptions, validateTextOptions } from './unicode.js';
+import { main as runArchitect } from './architect.js';
+import { main as runDedupe } from './dedupe.js';
+import { main as runCleaner } from './cleaner.js';
+import { main as runStitcher } from './stitcher.js';
+import { main as runIsosplit } from './isosplit.js';
+import { createProvider } from './providers.js';
+import { Budget, checkModelPrices, describeUnpriced, withBudget } from './budget.js';
+import { Scheduler, withScheduler } from './scheduler.js';
+import { ResponseCache, withCache } from './cache.js';
+import { readCsvRows, createCsvRowWriter } from './csvstream.js';
+import { detectInputFormat, resolveInputOptions, validateInputOptions } from './ingest.js';
+import { loadConfig, getStepSettings, getProjectModel, getProjectInstructions, getRequestSettings, getCacheSettings, runInWorkspace, outsideWorkspace, getWorkspace } from './project.js';
+
+const PIPELINE_STEPS = ['preclean', 'architect', 'dedupe', 'cleaner', 'stitcher', 'isosplit'];
+
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error'];
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+
+// Console methods as they were before routeConsole() replaced them
+const originalConsole = {};
+
+/**
+ * Send console output made inside a pipeline workspace to the workspace's onLog
+ * callback. Output from anywhere else still goes to the console.
+ */
+function routeConsole() {
+    if (Object.keys(originalConsole).length > 0) {
+        return;
+    }
+    for (const level of CONSOLE_LEVELS) {
+        originalConsole[level] = console[level];
+        console[level] = (...args) => {
+            const workspace = getWorkspace();
+            if (!workspace) {
+                originalConsole[level].apply(console, args);
+            } else if (workspace.onLog) {
+                workspace.onLog(level, util.format(...args).replace(ANSI_PATTERN, ''));
+            }
+        };
+    }
+}
+
+/**
+ * Read a CSV file into { headers, rows }, or null when it does not exist
+ */
+async function readCsvFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    let headers = [];
+    const rows = [];
+    for await (const row of readCsvRows(filePath, { onHeaders: list => { headers = list; } })) {
+        rows.push(row);
+    }
+    return { headers, rows };
+}
+
+async function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(await fsp.readFile(filePath, 'utf-8'));
+}
+
+/**
+ * Put the run input where preclean can read it and return its path.
+ * input = { rows, headers? } | { stream, format? } | { filePath } | { source, table?, query? }
+ * Rows are written as CSV, streams are saved to the workspace and files are read in place.
+ * Database sources are read by preclean itself, so they have no path (null).
+ */
+async function writeInput(input, dataDir) {
+    if (input.source) {
+        return null;
+    }
+    if (Array.isArray(input.rows)) {
+        if (input.rows.length === 0) {
+            throw new Error('Pipeline input has no rows');
+        }
+        const csvPath = path.join(dataDir, 'data.csv');
+        const headers = input.headers || Object.keys(input.rows[0]);
+        const writer = createCsvRowWriter(csvPath, headers);
+        for (const row of input.rows) {
+            await writer.writeRow(row);
+        }
+        await writer.close();
+        return csvPath;
+    }
+    if (input.stream) {
+        const inputPath = path.join(dataDir, `data.${detectInputFormat('', input.format)}`);
+        await streamPipeline(input.stream, fs.createWriteStream(inputPath));
+        return inputPath;
+    }
+    if (input.filePath) {
+        return path.resolve(input.filePath);
+    }
+    throw new Error('Pipeline input needs rows, stream, filePath or source');
+}
+
+class Pipeline extends EventEmitter {
+    /**
+     * options:
+     * - provider, endpoint, email, apiKey: AI provider (see providers.js), or provider as an instance
+     * - model, models { architect, cleaner, dedupe }: AI models per step
+     * - sampleSize, instructions, excludeColumns: architect and preclean settings
+     * - unicode, unicodeColumns { column: policy }: how preclean treats non-ASCII characters (see unicode.js)
+     * - dedupe { threshold, strategy, blocking, blockingWindow, merge, mergeRule, config, configPath }
+     * - skip: steps to skip ('preclean', 'architect', 'dedupe', 'cleaner', 'isosplit')
+     * - outputFormat: also write typed parquet, jsonl, xlsx or sqlite files (useful with workDir)
+     * - sink, sinkTable: also write the stitched data into a database table (see database.js)
+     * - maxCost, maxTokens: stop before AI requests would go over this budget (see budget.js)
+     * - concurrency, requestsPerMinute, maxRetries: AI request scheduling (see scheduler.js)
+     * - rules: false to send every invalid value to the AI without trying the built-in cleaning rules (see transforms.js)
+     * - cache: false to send every AI request instead of reusing cached responses (see cache.js)
+     * - workDir: keep the workspace in this directory instead of a temporary one
+     * - projectDir: where to look for dbclean.yaml (default: the working directory when the pipeline is created)
+     * - console: also print step output to the console
+     *
+     * Anything not given falls back to dbclean.yaml, as in the CLI.
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.projectDir = path.resolve(options.projectDir || process.cwd());
+        // Report an invalid dbclean.yaml here rather than partway through a run
+        loadConfig(this.projectDir);
+
+        const unknownSkips = (options.skip || []).filter(step => !PIPELINE_STEPS.includes(step) || step === 'stitcher');
+        if (unknownSkips.length > 0) {
+            throw new Error(`Cannot skip '${unknownSkips.join("', '")}'. Skippable steps: ${PIPELINE_STEPS.filter(step => step !== 'stitcher').join(', ')}`);
+        }
+    }
+
+    /**
+     * Emit an event outside the workspace, so console output from listeners is not captured
+     */
+    notify(event, payload) {
+        outsideWorkspace(() => this.emit(event, payload));
+    }
+
+    isSkipped(step) {
+        const config = loadConfig(this.projectDir);
+        return (this.options.skip || []).includes(step) || Boolean(getStepSettings(config, step).skip);
+    }
+
+    createProvider() {
+        const config = loadConfig(this.projectDir);
+        const { provider, endpoint, email, apiKey } = this.options;
+        if (provider && typeof provider === 'object') {
+            return provider;
+        }
+        const projectProvider = config.project.provider || {};
+        return createProvider({
+            provider: provider || projectProvider.name,
+            endpoint: endpoint || projectProvider.endpoint,
+            email,
+            apiKey
+        });
+    }
+
+    async createBudget(provider) {
+        const config = loadConfig(this.projectDir);
+        const settings = config.project.budget || {};
+        const maxCost = this.options.maxCost ?? settings.max_cost;
+        const priceFile = config.settings_model_prices_file_path || 'model_prices.json';
+        const { prices, unpriced } = await checkModelPrices({
+            provider,
+            models: ['architect', 'dedupe', 'cleaner'].filter(step => !this.isSkipped(step)).map(step => this.modelFor(step)),
+            priceTablePath: path.join(config._settingsDir, priceFile),
+            projectPrices: config.project.model_prices
+        });
+        if (maxCost != null && unpriced.length > 0) {
+            console.warn(`⚠️  ${describeUnpriced(unpriced, `settings/${priceFile}`)}`);
+        }
+        return new Budget({
+            maxCost,
+            maxTokens: this.options.maxTokens ?? settings.max_tokens,
+            prices
+        });
+    }
+
+    createScheduler() {
+        const config = loadConfig(this.projectDir);
+        const settings = getRequestSettings(config);
+        return new Scheduler({
+            concurrency: this.options.concurrency ?? settings.concurrency,
+            requestsPerMinute: this.options.requestsPerMinute ?? settings.requestsPerMinute,
+            maxRetries: this.options.maxRetries ?? settings.maxRetries
+        });
+    }
+
+    modelFor(step) {
+        const config = loadConfig(this.projectDir);
+        return this.options.models?.[step] || this.options.model || getProjectModel(config, step);
+    }
+
+    dedupeOptions(provider) {
+        const config = loadConfig(this.projectDir);
+        const settings = getStepSettings(config, 'dedupe');
+        const dedupe = this.options.dedupe || {};
+        return {
+            threshold: dedupe.threshold ?? settings.threshold,
+            strategy: dedupe.strategy || settings.strategy,
+            blocking: dedupe.blocking || settings.blocking,
+            blockingWindow: dedupe.blockingWindow || settings.blocking_window,
+            merge: dedupe.merge ?? settings.merge ?? true,
+            mergeRule: dedupe.mergeRule || settings.merge_rule,
+            dedupeConfig: dedupe.config,
+            configPath: dedupe.configPath,
+            model: this.modelFor('dedupe'),
+            provider
+        };
+    }
+
+    /**
+     * Run one step, emitting progress events. Steps report failure by returning
+     * false or null, which is turned into an error.
+     */
+    async step(workspace, name, fn) {
+        if (name !== 'stitcher' && this.isSkipped(name)) {
+            this.notify('step:skip', { step: name });
+            return null;
+        }
+
+        workspace.step = name;
+        this.notify('step:start', { step: name });
+        const started = Date.now();
+
+        const result = await fn();
+        if (result === false || result === null) {
+            throw new Error(`Pipeline step '${name}' failed`);
+        }
+
+        workspace.durations[name] = Date.now() - started;
+        this.notify('step:complete', { step: name, durationMs: workspace.durations[name] });
+        return result;
+    }
+
+    /**
+     * Run the pipeline on input ({ rows, headers? } | { stream } | { filePath } | { source, table?, query? }).
+     * Streams and files may set format, delimiter, encoding and sheet as for `dbclean preclean`.
+     * Resolves to { headers, rows, mapping, changes, dedupe, splits, sink, stats, workDir }.
+     */
+    async run(input = {}) {
+        routeConsole();
+
+        const keepWorkspace = Boolean(this.options.workDir);
+        const dir = keepWorkspace
+            ? path.resolve(this.options.workDir)
+            : await fsp.mkdtemp(path.join(os.tmpdir(), 'dbclean-'));
+
+        const workspace = {
+            dir,
+            projectDir: this.projectDir,
+            interactive: false,
+            step: null,
+            durations: {},
+            results: {},
+            onLog: (level, message) => {
+                this.notify('log', { step: workspace.step, level, message });
+                if (this.options.console) {
+                    originalConsole[level].call(console, message);
+                }
+            }
+        };
+
+        try {
+            return await runInWorkspace(workspace, () => this.runSteps(workspace, input));
+        } finally {
+            if (!keepWorkspace) {
+                await fsp.rm(dir, { recursive: true, force: true });
+            }
+        }
+    }
+
+    async runSteps(workspace, input) {
+        const config = loadConfig(this.projectDir);
+        const dataDir = path.join(workspace.dir, 'data');
+        const outputsDir = path.join(workspace.dir, 'outputs');
+        await fsp.mkdir(dataDir, { recursive: true });
+        await fsp.mkdir(outputsDir, { recursive: true });
+
+        const inputOptions = resolveInputOptions(input, getStepSettings(config, 'preclean'));
+        const inputErrors = validateInputOptions(inputOptions);
+        if (inputErrors.length > 0) {
+            throw new Error(`Invalid input options: ${inputErrors.join('; ')}`);
+        }
+
+        const precleanSettings = getStepSettings(config, 'preclean');
+        const textOptions = resolveTextOptions({ unicode: this.options.unicode }, {
+            ...precleanSettings,
+            unicode_columns: { ...precleanSettings.unicode_columns, ...this.options.unicodeColumns }
+        });
+        const textErrors = validateTextOptions(textOptions);
+        if (textErrors.length > 0) {
+            throw new Error(`Invalid unicode options: ${textErrors.join('; ')}`);
+        }
+
+        const inputPath = await writeInput(input, dataDir);
+        const cleanedCsvPath = path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
+
+        // Every run tracks its AI usage, and stops at its budget when one is set;
+        // all steps share one scheduler, so concurrency and rate limits hold across the run
+        const baseProvider = this.createProvider();
+        const budget = await this.createBudget(baseProvider);
+        const scheduled = withScheduler(withBudget(baseProvider, budget), this.createScheduler());
+        const cacheSettings = getCacheSettings(config);
+        const cache = this.options.cache !== false && cacheSettings.enabled ? new ResponseCache(cacheSettings.dir) : null;
+        const provider = cache ? withCache(scheduled, cache) : scheduled;
+
+        // Without preclean the input is used as the cleaned CSV as-is
+        const precleaned = await this.step(workspace, 'preclean', () => cleanCSV(
+            inputPath,
+            cleanedCsvPath,
+            this.options.excludeColumns || config.project.exclude_columns || null,
+            inputOptions,
+            textOptions
+        ));
+        if (precleaned === null) {
+            if (!inputPath || detectInputFormat(inputPath, inputOptions.format) !== 'csv') {
+                throw new Error('Skipping preclean needs CSV input');
+            }
+            await fsp.copyFile(inputPath, cleanedCsvPath);
+        }
+
+        await this.step(workspace, 'architect', async () => {
+            const instructions = this.options.instructions ?? getProjectInstructions(config)?.text ?? null;
+            const sampleSize = this.options.sampleSize || getStepSettings(config, 'architect').sample_size || 5;
+            await runArchitect(sampleSize, instructions, null, null, this.modelFor('architect'), provider);
+            return true;
+        });
+
+        const dedupe = await this.step(workspace, 'dedupe', async () => {
+            const result = await runDedupe(this.dedupeOptions(provider));
+            return result.success ? result : null;
+        });
+
+        await this.step(workspace, 'cleaner', () => runCleaner(null, null, this.modelFor('cleaner'), provider, false, { rules: this.options.rules }));
+        const outputFormat = this.options.outputFormat || config.project.output_format;
+        const stitcherSettings = getStepSettings(config, 'stitcher');
+        const sink = this.options.sink || stitcherSettings.sink;
+        const sinkTable = this.options.sinkTable || (this.options.sink ? undefined : stitcherSettings.table);
+        await this.step(workspace, 'stitcher', () => runStitcher({ outputFormat, sink, sinkTable }));
+        const isosplit = await this.step(workspace, 'isosplit', () => runIsosplit({ outputFormat }));
+
+        const stitched = await readCsvFile(path.join(dataDir, config.data_stitched_file_path || 'data_stitched.csv'));
+        const mapping = await readJsonFile(path.join(outputsDir, config.outputs_column_mapping_file || 'column_mapping.json'));
+        const changes = workspace.results.changes || [];
+
+        let splits = null;
+        if (isosplit) {
+            splits = {};
+            for (const name of ['train', 'validate', 'test']) {
+                splits[name] = (await readCsvFile(path.join(dataDir, `${name}.csv`)))?.rows || [];
+            }
+        }
+
+        let dedupeResult = null;
+        if (dedupe) {
+            const lineage = dedupe.lineagePath ? await readJsonFile(dedupe.lineagePath) : null;
+            dedupeResult = {
+                skipped: dedupe.skipped,
+                stats: dedupe.stats,
+                uniqueColumns: dedupe.uniqueColumns,
+                lineage
+            };
+        }
+
+        const inputRows = (await readCsvFile(cleanedCsvPath)).rows.length;
+
+        return {
+            headers: stitched.headers,
+            rows: stitched.rows,
+            mapping,
+            changes,
+            dedupe: dedupeResult,
+            splits,
+            sink: workspace.results.sink || null,
+            stats: {
+                inputRows,
+                outputRows: stitched.rows.length,
+                duplicatesRemoved: dedupe?.stats?.duplicatesRemoved || 0,
+                changesApplied: changes.filter(change => change.needsChange).length,
+                flaggedValues: changes.filter(change => change.isFlagged).length,
+                repairedRows: workspace.results.malformedRows?.repaired || 0,
+                quarantinedRows: workspace.results.malformedRows?.quarantined || 0,
+                usage: { ...budget.spent },
+                cachedResponses: cache ? cache.hits : 0,
+                durations: workspace.durations
+            },
+            workDir: this.options.workDir ? workspace.dir : null
+        };
+    }
+}
+
+/**
+ * Create a pipeline (see Pipeline for options)
+ */
+function createPipeline(options = {}) {
+    return new Pipeline(options);
+}
+
+export {
+    PIPELINE_STEPS,
+    Pipeline,
+    createPipeline
+};
@@ -1,52 +1,25 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import { createObjectCsvWriter } from 'csv-writer';
 import { program } from 'commander';
+import { readCsvRows, createCsvRowWriter } from './csvstream.js';
+import { INPUT_FORMATS, detectInputFormat, disambiguateHeaders, validateInputOptions, resolveInputOptions, readInputRows, readSourceRows } from './ingest.js';
+import { describeConnection } from './database.js';
+import { DEFAULT_UNICODE_POLICY, UNICODE_POLICIES, transliterateChar, resolveTextOptions, collectUnicodeColumn, validateTextOptions, policyForColumn } from './unicode.js';
+import { loadConfig, getStepSettings, getWorkspacePaths, recordWorkspaceResult } from './project.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load configuration from config.json
-function loadConfig() {
-    try {
-        // Try multiple possible config locations
-        const possiblePaths = [
-            // Relative to current working directory
-            path.join(process.cwd(), 'config.json'),
-            // Relative to the script location
-            path.join(__dirname, '..', 'config.json'),
-            // In case it's in the same directory as the script
-            path.join(__dirname, 'config.json')
-        ];
-        
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                return JSON.parse(configContent);
-            }
-        }
-        
-        throw new Error('config.json not found in any expected location');
-    } catch (error) {
-        console.log(`⚠️  Warning: Could not load config.json: ${error.message}`);
-        // Return default values if config.json doesn't exist
-        return {
-            settings__dir: "settings",
-            settings_exclude_columns_file_path: "exclude_columns.txt",
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-        };
-    }
-}
-
-const config = loadConfig();
 
 /**
- * Load excluded column names from a text file
+ * Load excluded column names from a text file, or take them from a list (exclude_columns in dbclean.yaml)
  */
 function loadExcludedColumns(excludeFilePath) {
+    if (Array.isArray(excludeFilePath)) {
+        const excludedColumns = new Set(excludeFilePath.map(column => column.trim()).filter(column => column));
+        if (excludedColumns.size > 0) {
+            console.log(`  🚫 Excluding columns: ${Array.from(excludedColumns).sort().join(', ')}`);
+        }
+        return excludedColumns;
+    }
+    
     if (!excludeFilePath || !fs.existsSync(excludeFilePath)) {
         return new Set();
     }
@@ -74,10 +47,86 @@ function loadExcludedColumns(excludeFilePath) {
     }
 }
 
+// Typographic punctuation replaced with its ASCII form under every unicode policy
+const PUNCTUATION = {
+    // Quotes and apostrophes - expanded list
+    '\u2018': "'",  // left single quotation mark
+    '\u2019': "'",  // right single quotation mark
+    '\u201C': '"',  // left double quotation mark
+    '\u201D': '"',  // right double quotation mark
+    '′': "'",  // prime
+    '‵': "'",  // reversed prime
+    '`': "'",  // grave accent
+    '″': '"',  // double prime
+    '‶': '"',  // reversed double prime
+    '‴': '"',  // triple prime
+    '‷': '"',  // reversed triple prime
+    '‹': '<',  // single left-pointing angle quotation mark
+    '›': '>',  // single right-pointing angle quotation mark
+    '«': '<<',  // left-pointing double angle quotation mark
+    '»': '>>',  // right-pointing double angle quotation mark
+
+    // Dashes and ellipsis
+    '–': '-',  // en dash
+    '—': '-',  // em dash
+    '…': '...',  // ellipsis
+};
+
+// Symbols spelled out in ASCII, unless the unicode policy keeps them
+const SYMBOLS = {
+    '°': ' degrees',  // degree symbol
+    '×': 'x',  // multiplication sign
+    '÷': '/',  // division sign
+    '±': '+/-',  // plus-minus sign
+    '≤': '<=',  // less than or equal
+    '≥': '>=',  // greater than or equal
+    '≠': '!=',  // not equal
+    '≈': '~',  // approximately equal
+    '∞': 'infinity',  // infinity
+    '√': 'sqrt',  // square root
+    '²': '^2',  // squared
+    '³': '^3',  // cubed
+    '¼': '1/4',  // fractions
+    '½': '1/2',
+    '¾': '3/4',
+    '⅓': '1/3',
+    '⅔': '2/3',
+    '⅕': '1/5',
+    '⅖': '2/5',
+    '⅗': '3/5',
+    '⅘': '4/5',
+    '⅙': '1/6',
+    '⅚': '5/6',
+    '⅐': '1/7',
+    '⅛': '1/8',
+    '⅜': '3/8',
+    '⅝': '5/8',
+    '⅞': '7/8',
+    '⅑': '1/9',
+    '⅒': '1/10',
+};
+
+const charClass = (chars) => new RegExp(`[${chars.map(char => char.replace(/[\\\]^-]/g, '\\$&')).join('')}]`, 'g');
+const PUNCTUATION_PATTERN = charClass(Object.keys(PUNCTUATION));
+const SYMBOLS_PATTERN = charClass(Object.keys(SYMBOLS));
+
+// Never valid in cleaned text: control characters, zero-width spaces, byte order marks,
+// unpaired surrogates and noncharacters
+const INVALID_CHARS = /[\p{Cc}\u200B\uFEFF\uFFFE\uFFFF\uD800-\uDFFF]/gu;
+
+function countChange(counts, rule, amount = 1) {
+    if (counts && amount > 0) {
+        counts[rule] = (counts[rule] || 0) + amount;
+    }
+}
+
 /**
- * Clean text by removing newlines, replacing special characters, and handling non-UTF8 chars
+ * Clean text by removing newlines, replacing special characters, and handling non-ASCII characters
+ * according to a unicode policy (strip, keep or transliterate - see unicode.js).
+ * When counts is given, the number of characters each rule changed is added to it
+ * (whitespace, punctuation, symbols, normalized, transliterated, removed).
  */
-function cleanText(text) {
+function cleanText(text, policy = DEFAULT_UNICODE_POLICY, counts = null) {
     if (text === null || text === undefined || text === '') {
         return text;
     }
@@ -85,220 +134,380 @@ function cleanText(text) {
     // Convert to string if not already
     text = String(text);
     
-    // Remove newlines and replace with spaces
-    text = text.replace(/\n+/g, ' ');
-    text = text.replace(/\r+/g, ' ');
-    text = text.replace(/\t+/g, ' ');
-    
-    // Remove multiple spaces
-    text = text.replace(/\s+/g, ' ');
+    // Replace newlines, tabs and runs of whitespace with single spaces
+    text = text.replace(/\s+/g, (match) => {
+        countChange(counts, 'whitespace', match === ' ' ? 0 : match.length - (match.startsWith(' ') ? 1 : 0));
+        return ' ';
+    });
     
     // Strip leading/trailing whitespace
+    const untrimmedLength = text.length;
     text = text.trim();
+    countChange(counts, 'whitespace', untrimmedLength - text.length);
     
     // Handle special characters by replacing them with closest ASCII equivalents
-    const replacements = {
-        // Quotes and apostrophes - expanded list
-        '\u2018': "'",  // left single quotation mark
-        '\u2019': "'",  // right single quotation mark
-        '\u201C': '"',  // left double quotation mark
-        '\u201D': '"',  // right double quotation mark
-        '′': "'",  // prime
-        '‵': "'",  // reversed prime
-        '`': "'",  // grave accent
-        '″': '"',  // double prime
-        '‶': '"',  // reversed double prime
-        '‴': '"',  // triple prime
-        '‷': '"',  // reversed triple prime
-        '‹': '<',  // single left-pointing angle quotation mark
-        '›': '>',  // single right-pointing angle quotation mark
-        '«': '<<',  // left-pointing double angle quotation mark
-        '»': '>>',  // right-pointing double angle quotation mark
-        
-        // Other special characters
-        '–': '-',  // en dash
-        '—': '-',  // em dash
-        '…': '...',  // ellipsis
-        '°': ' degrees',  // degree symbol
-        '×': 'x',  // multiplication sign
-        '÷': '/',  // division sign
-        '±': '+/-',  // plus-minus sign
-        '≤': '<=',  // less than or equal
-        '≥': '>=',  // greater than or equal
-        '≠': '!=',  // not equal
-        '≈': '~',  // approximately equal
-        '∞': 'infinity',  // infinity
-        '√': 'sqrt',  // square root
-        '²': '^2',  // squared
-        '³': '^3',  // cubed
-        '¼': '1/4',  // fractions
-        '½': '1/2',
-        '¾': '3/4',
-        '⅓': '1/3',
-        '⅔': '2/3',
-        '⅕': '1/5',
-        '⅖': '2/5',
-        '⅗': '3/5',
-        '⅘': '4/5',
-        '⅙': '1/6',
-        '⅚': '5/6',
-        '⅐': '1/7',
-        '⅛': '1/8',
-        '⅜': '3/8',
-        '⅝': '5/8',
-        '⅞': '7/8',
-        '⅑': '1/9',
-        '⅒': '1/10',
-    };
-    
-    for (const [specialChar, replacement] of Object.entries(replacements)) {
-        text = text.replace(new RegExp(specialChar.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), replacement);
+    text = text.replace(PUNCTUATION_PATTERN, (char) => {
+        countChange(counts, 'punctuation');
+        return PUNCTUATION[char];
+    });
+    if (policy !== 'keep') {
+        text = text.replace(SYMBOLS_PATTERN, (char) => {
+            countChange(counts, 'symbols');
+            return SYMBOLS[char];
+        });
     }
     
     // Handle escaped quotes that might occur during CSV processing
     // Replace multiple consecutive quotes with single quotes
-    text = text.replace(/"{2,}/g, '"');  // Multiple quotes become single quote
-    text = text.replace(/'{2,}/g, "'");  // Multiple apostrophes become single apostrophe
+    text = text.replace(/"{2,}|'{2,}/g, (match) => {  // Multiple quotes or apostrophes become one
+        countChange(counts, 'punctuation', match.length - 1);
+        return match[0];
+    });
     
-    // Remove any remaining non-ASCII characters that might cause issues
-    // Keep only printable ASCII characters and common punctuation
-    text = text.replace(/[^\x20-\x7E]/g, '');
+    if (policy === 'strip') {
+        // Remove any remaining non-ASCII characters that might cause issues
+        // Keep only printable ASCII characters and common punctuation
+        return text.replace(/[^\x20-\x7E]+/g, (match) => {
+            countChange(counts, 'removed', [...match].length);
+            return '';
+        });
+    }
+    
+    // Keep valid Unicode in its composed (NFC) form
+    text = text.replace(INVALID_CHARS, (char) => {
+        countChange(counts, 'removed');
+        return '';
+    });
+    const normalized = text.normalize('NFC');
+    if (normalized !== text) {
+        countChange(counts, 'normalized', Math.max(1, text.length - normalized.length));
+        text = normalized;
+    }
+    
+    if (policy === 'transliterate') {
+        text = text.replace(/[^\x00-\x7F]/gu, (char) => {
+            const ascii = transliterateChar(char);
+            if (ascii === null) {
+                return char;
+            }
+            countChange(counts, 'transliterated');
+            return ascii;
+        });
+    }
     
     return text;
 }
 
 /**
- * Read CSV file and return array of objects
+ * Headers whose output name differs from the input, as [{ column, original, name, reason }]
+ * (column is 1-based). rowKeys are the names rows were keyed by, cleaned the headers after
+ * cleanText and final the unique output names.
  */
-function readCSV(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        let headers = null;
-        
-        fs.createReadStream(filePath)
-            .pipe(csv({ skipEmptyLines: true }))
-            .on('headers', (headerList) => {
-                headers = headerList;
-            })
-            .on('data', (data) => {
-                results.push(data);
-            })
-            .on('end', () => {
-                resolve({ data: results, headers });
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
-    });
+function describeHeaderRenames(original, rowKeys, cleaned, final) {
+    return original
+        .map((header, i) => {
+            let reason = 'cleaned';
+            if (String(header ?? '').trim() === '') {
+                reason = 'blank header';
+            } else if (rowKeys[i] !== header) {
+                reason = 'duplicate header';
+            } else if (cleaned[i].trim() === '') {
+                reason = 'blank after cleaning';
+            } else if (cleaned[i] !== final[i]) {
+                reason = 'same as another header after cleaning';
+            }
+            return { column: i + 1, original: header ?? '', name: final[i], reason };
+        })
+        .filter(rename => rename.original !== rename.name);
+}
+
+function getHeaderRenamesPath(outputsDir) {
+    const config = loadConfig();
+    return path.join(outputsDir, config.outputs_header_renames_file || 'header_renames.json');
 }
 
 /**
- * Write CSV file from array of objects
+ * Header renames recorded by the last preclean in outputsDir (empty when there were none)
  */
-async function writeCSV(filePath, data, headers) {
-    const csvWriter = createObjectCsvWriter({
-        path: filePath,
-        header: headers.map(h => ({ id: h, title: h }))
-    });
-    
-    await csvWriter.writeRecords(data);
+function loadHeaderRenames(outputsDir) {
+    const filePath = getHeaderRenamesPath(outputsDir);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8')).renames || [];
+    } catch (error) {
+        console.log(`⚠️  Warning: Could not read header renames from ${filePath}: ${error.message}`);
+        return [];
+    }
 }
 
 /**
- * Clean the CSV file by applying text cleaning to all string columns
+ * Writers for repaired and quarantined rows in outputsDir. Files from an earlier run are removed,
+ * and new ones are only created once there is a row to write.
  */
-async function cleanCSV(inputPath, outputPath = null, excludeFilePath = null) {
-    console.log(`🔧 Starting to clean CSV file: ${inputPath}`);
+function createMalformedLog(outputsDir) {
+    const config = loadConfig();
+    const repairsPath = path.join(outputsDir, config.outputs_row_repairs_file || 'row_repairs.csv');
+    const quarantinePath = path.join(outputsDir, config.outputs_quarantine_file || 'quarantine.csv');
+    for (const filePath of [repairsPath, quarantinePath]) {
+        fs.rmSync(filePath, { force: true });
+    }
+
+    let repairsWriter = null;
+    let quarantineWriter = null;
+    const log = {
+        repairsPath,
+        quarantinePath,
+        repaired: 0,
+        quarantined: 0,
+        async write(issues) {
+            for (const { line, reason, record, repaired } of issues) {
+                if (repaired) {
+                    repairsWriter = repairsWriter || createCsvRowWriter(repairsPath, ['line', 'repair', 'record']);
+                    await repairsWriter.writeRow([line, reason, record]);
+                    log.repaired++;
+                } else {
+                    quarantineWriter = quarantineWriter || createCsvRowWriter(quarantinePath, ['line', 'reason', 'record']);
+                    await quarantineWriter.writeRow([line, reason, record]);
+                    log.quarantined++;
+                }
+            }
+        },
+        async close() {
+            await repairsWriter?.close();
+            await quarantineWriter?.close();
+        }
+    };
+    return log;
+}
+
+/**
+ * Count the rows in the repair and quarantine files of the last preclean in outputsDir
+ */
+async function countMalformedRows(outputsDir) {
+    const config = loadConfig();
+    const counts = {
+        repairsPath: path.join(outputsDir, config.outputs_row_repairs_file || 'row_repairs.csv'),
+        quarantinePath: path.join(outputsDir, config.outputs_quarantine_file || 'quarantine.csv'),
+        repaired: 0,
+        quarantined: 0
+    };
+    for (const [key, filePath] of [['repaired', counts.repairsPath], ['quarantined', counts.quarantinePath]]) {
+        if (fs.existsSync(filePath)) {
+            for await (const _ of readCsvRows(filePath)) {
+                counts[key]++;
+            }
+        }
+    }
+    return counts;
+}
+
+/**
+ * List values that held bytes the input encoding could not decode (replaced with U+FFFD)
+ */
+function reportUndecodable(undecodable, encoding, limit = 20) {
+    console.log(`⚠️  ${undecodable.length} values had bytes that could not be decoded as ${encoding.encoding}:`);
+    for (const { row, column, value } of undecodable.slice(0, limit)) {
+        console.log(`  ${row === 0 ? 'header' : `row ${row}`}, column '${column}': ${JSON.stringify(value)}`);
+    }
+    if (undecodable.length > limit) {
+        console.log(`  ... and ${undecodable.length - limit} more`);
+    }
+    if (encoding.detected) {
+        console.log(`  💡 If the file uses another encoding, set it with --encoding (e.g. --encoding win1252)`);
+    }
+}
+
+/**
+ * Clean the input file by applying text cleaning to all string columns and write it as CSV.
+ * The input may be any format readInputRows supports (inputOptions = { format, delimiter, encoding, sheet }),
+ * or a database table or query when inputOptions.source is set (inputPath is then ignored).
+ * Text input is converted to UTF-8 from its given or detected encoding, and values holding
+ * undecodable bytes are listed by row and column. Malformed csv and tsv rows are repaired where
+ * possible and listed in row_repairs.csv; the rest are left out and written to quarantine.csv,
+ * both in the outputs folder (or inputOptions.outputsDir). Headers that are blank, repeated or the
+ * same as another after cleaning are renamed (Phone, Phone_2, column_7), and every header that
+ * changed is recorded in header_renames.json there.
+ * textOptions = { unicode, unicodeColumns } picks the unicode policy for all columns and per column.
+ * Rows are streamed from input to output, so memory use does not grow with file size.
+ */
+async function cleanCSV(inputPath, outputPath = null, excludeFilePath = null, inputOptions = {}, textOptions = {}) {
+    const config = loadConfig();
+    const source = inputOptions.source
+        ? `${describeConnection(inputOptions.source)} (${inputOptions.table ? `table ${inputOptions.table}` : 'query'})`
+        : null;
+    console.log(`🔧 Starting to clean ${source ? `database source: ${source}` : `CSV file: ${inputPath}`}`);
     
     // Load excluded columns
     const excludedColumns = loadExcludedColumns(excludeFilePath);
     
     try {
-        // Read the CSV file
-        const { data, headers } = await readCSV(inputPath);
-        console.log(`📊 Loaded CSV with ${data.length} rows and ${headers.length} columns`);
+        if (source && outputPath === null) {
+            throw new Error("An output path is needed when reading from a database source.");
+        }
         
-        // Clean column names using the same cleaning function
-        const originalHeaders = [...headers];
-        const cleanedHeaders = headers.map(cleanText);
-        console.log(`  ✅ Cleaned ${cleanedHeaders.length} column headers`);
+        // Always create a separate cleaned file, never modify the original
+        if (outputPath === null) {
+            const inputFile = path.parse(inputPath);
+            outputPath = path.join(inputFile.dir, `${inputFile.name}_cleaned.csv`);
+        }
         
-        // Check if any excluded columns exist in the dataset and remove them
-        const existingExcluded = new Set(
-            cleanedHeaders.filter(header => excludedColumns.has(header))
-        );
+        // Ensure we're not overwriting the original file
+        if (!source && path.resolve(outputPath) === path.resolve(inputPath)) {
+            throw new Error("Cannot overwrite original file. Please specify a different output path.");
+        }
         
-        let finalHeaders = cleanedHeaders;
-        let finalData = data;
+        const textErrors = validateTextOptions(textOptions);
+        if (textErrors.length > 0) {
+            throw new Error(`Invalid unicode options: ${textErrors.join('; ')}`);
+        }
         
-        if (existingExcluded.size > 0) {
-            console.log(`  🚫 Found ${existingExcluded.size} excluded columns in dataset: ${Array.from(existingExcluded).sort().join(', ')}`);
-            console.log(`  🗑️  Removing excluded columns from output...`);
+        const format = source ? 'database' : detectInputFormat(inputPath, inputOptions.format);
+        if (format !== 'csv') {
+            console.log(`📥 Reading ${format.toUpperCase()} input`);
+        }
+        
+        // The output is opened once the header row is known, before any rows are streamed
+        let finalHeaders = [];
+        let sourceHeaders = [];
+        let existingExcluded = new Set();
+        let changedByColumn = [];
+        let policies = [];
+        const charCounts = {};
+        let headerRenames = [];
+        let encoding = null;
+        const undecodable = [];
+        const malformed = [];
+        const outputsDir = inputOptions.outputsDir || getWorkspacePaths(config).outputsDir;
+        const headerRenamesPath = getHeaderRenamesPath(outputsDir);
+        fs.rmSync(headerRenamesPath, { force: true });
+        const quarantine = createMalformedLog(outputsDir);
+        let writer = null;
+        
+        const encodingFound = (found) => {
+            encoding = found;
+            if (found.detected) {
+                console.log(`🔍 Detected encoding: ${found.encoding} (${found.reason})`);
+            } else {
+                console.log(`🔍 Reading as ${found.encoding}`);
+            }
+        };
+        
+        const openOutput = (headers, rawHeaders = headers) => {
+            console.log(`📊 Streaming CSV with ${headers.length} columns`);
             
-            // Filter out excluded columns
-            finalHeaders = cleanedHeaders.filter(header => !existingExcluded.has(header));
+            // Clean column names using the same cleaning function, with each column's unicode policy,
+            // then rename headers that are blank or the same as another one after cleaning
+            const originalHeaders = [...rawHeaders];
+            const cleanedText = headers.map((header, i) => cleanText(header, policyForColumn(textOptions, rawHeaders[i], header)));
+            const { headers: cleanedHeaders } = disambiguateHeaders(cleanedText);
+            console.log(`  ✅ Cleaned ${cleanedHeaders.length} column headers`);
+            headerRenames = describeHeaderRenames(originalHeaders, headers, cleanedText, cleanedHeaders);
+            for (const { column, original, name, reason } of headerRenames.filter(rename => rename.reason !== 'cleaned')) {
+                console.log(`  🏷️  Column ${column} '${original}' renamed to '${name}' (${reason})`);
+            }
             
-            // Remove excluded columns from data
-            finalData = data.map(row => {
-                const newRow = {};
-                finalHeaders.forEach((header, index) => {
-                    const originalHeader = originalHeaders[cleanedHeaders.indexOf(header)];
-                    newRow[header] = row[originalHeader];
-                });
-                return newRow;
-            });
+            // Check if any excluded columns exist in the dataset and remove them
+            existingExcluded = new Set(
+                cleanedHeaders.filter(header => excludedColumns.has(header))
+            );
             
-            console.log(`  ✅ Removed ${existingExcluded.size} excluded columns`);
-        } else {
-            // Just rename columns if no exclusions
-            finalData = data.map(row => {
-                const newRow = {};
-                finalHeaders.forEach((header, index) => {
-                    newRow[header] = row[originalHeaders[index]];
+            // Pair each output column with the row key it reads from
+            const kept = cleanedHeaders.map((header, i) => i).filter(i => !existingExcluded.has(cleanedHeaders[i]));
+            finalHeaders = kept.map(i => cleanedHeaders[i]);
+            sourceHeaders = kept.map(i => headers[i]);
+            
+            if (existingExcluded.size > 0) {
+                console.log(`  🚫 Found ${existingExcluded.size} excluded columns in dataset: ${Array.from(existingExcluded).sort().join(', ')}`);
+                console.log(`  🗑️  Removing excluded columns from output...`);
+            }
+            
+            changedByColumn = new Array(finalHeaders.length).fill(0);
+            policies = kept.map(i => policyForColumn(textOptions, originalHeaders[i], cleanedHeaders[i]));
+            
+            const unknownColumns = Object.keys(textOptions.unicodeColumns || {}).filter(column => !originalHeaders.includes(column) && !cleanedHeaders.includes(column));
+            if (unknownColumns.length > 0) {
+                console.log(`  ⚠️  Unicode policy set for columns not in the input: ${unknownColumns.join(', ')}`);
+            }
+            const defaultPolicy = textOptions.unicode || DEFAULT_UNICODE_POLICY;
+            const overrides = finalHeaders
+                .map((header, index) => `${header}: ${policies[index]}`)
+                .filter((override, index) => policies[index] !== defaultPolicy);
+            if (defaultPolicy !== DEFAULT_UNICODE_POLICY || overrides.length > 0) {
+                console.log(`  🔤 Unicode: ${defaultPolicy}${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''}`);
+            }
+            
+            writer = createCsvRowWriter(outputPath, finalHeaders);
+        };
+        
+        // Clean all remaining string columns row by row
+        try {
+            const rows = source
+                ? readSourceRows({ ...inputOptions, onHeaders: openOutput })
+                : readInputRows(inputPath, { ...inputOptions, onHeaders: openOutput, onEncoding: encodingFound, onUndecodable: (issue) => undecodable.push(issue), onMalformed: (issue) => malformed.push(issue) });
+            for await (const row of rows) {
+                const values = sourceHeaders.map((sourceHeader, index) => {
+                    const originalValue = row[sourceHeader];
+                    const cleanedValue = cleanText(originalValue, policies[index], charCounts);
+                    if (originalValue !== cleanedValue) {
+                        changedByColumn[index]++;
+                    }
+                    return cleanedValue;
                 });
-                return newRow;
-            });
+                await writer.writeRow(values);
+                await quarantine.write(malformed.splice(0));
+            }
+            await quarantine.write(malformed.splice(0));
+        } finally {
+            if (writer) {
+                await writer.close();
+            }
+            await quarantine.close();
+        }
+        
+        if (!writer) {
+            throw new Error('Input has no header row');
+        }
+        
+        if (headerRenames.length > 0) {
+            fs.writeFileSync(headerRenamesPath, JSON.stringify({ renames: headerRenames }, null, 2), 'utf-8');
+            console.log(`  📝 Header renames saved to: ${headerRenamesPath}`);
+        }
+        
+        if (existingExcluded.size > 0) {
+            console.log(`  ✅ Removed ${existingExcluded.size} excluded columns`);
         }
         
-        // Clean all remaining string columns
         let cleanedCount = 0;
-        finalHeaders.forEach(column => {
-            let changed = 0;
-            finalData.forEach(row => {
-                const originalValue = row[column];
-                const cleanedValue = cleanText(originalValue);
-                if (originalValue !== cleanedValue) {
-                    row[column] = cleanedValue;
-                    changed++;
-                }
-            });
-            
+        finalHeaders.forEach((column, index) => {
+            const changed = changedByColumn[index];
             if (changed > 0) {
                 console.log(`  ✅ Cleaned column '${column}': ${changed} values modified`);
                 cleanedCount += changed;
             }
         });
         
-        // Always create a separate cleaned file, never modify the original
-        if (outputPath === null) {
-            const inputFile = path.parse(inputPath);
-            outputPath = path.join(inputFile.dir, `${inputFile.name}_cleaned${inputFile.ext}`);
-        }
-        
-        // Ensure we're not overwriting the original file
-        if (path.resolve(outputPath) === path.resolve(inputPath)) {
-            throw new Error("Cannot overwrite original file. Please specify a different output path.");
-        }
-        
-        // Save the cleaned CSV to the new location
-        await writeCSV(outputPath, finalData, finalHeaders);
         console.log(`💾 Saved cleaned CSV to: ${outputPath}`);
-        console.log(`📊 Final CSV contains ${finalHeaders.length} columns and ${finalData.length} rows`);
+        console.log(`📊 Final CSV contains ${finalHeaders.length} columns and ${writer.rowCount} rows`);
         console.log(`🎯 Total values cleaned: ${cleanedCount}`);
+        if (Object.keys(charCounts).length > 0) {
+            console.log(`🔤 Characters changed: ${Object.entries(charCounts).map(([rule, count]) => `${rule} ${count}`).join(', ')}`);
+        }
         if (existingExcluded.size > 0) {
             console.log(`🗑️  Total columns removed: ${existingExcluded.size}`);
         }
-        console.log(`🛡️  Original file preserved: ${inputPath}`);
+        if (undecodable.length > 0) {
+            reportUndecodable(undecodable, encoding);
+        }
+        if (quarantine.repaired > 0) {
+            console.log(`🩹 Repaired ${quarantine.repaired} malformed rows (see ${quarantine.repairsPath})`);
+        }
+        if (quarantine.quarantined > 0) {
+            console.log(`🚧 Quarantined ${quarantine.quarantined} rows that could not be repaired: ${quarantine.quarantinePath}`);
+        }
+        recordWorkspaceResult('malformedRows', { repaired: quarantine.repaired, quarantined: quarantine.quarantined });
+        console.log(`🛡️  Original ${source ? 'data' : 'file'} preserved: ${source || inputPath}`);
         
         return outputPath;
         
@@ -312,6 +521,7 @@ async function cleanCSV(inputPath, outputPath = null, excludeFilePath = null) {
  * Main function to handle command line arguments and execute cleaning
  */
 async function main() {
+    const config = loadConfig();
     program
         .name('preclean')
         .description('Clean CSV data by removing newlines, replacing special characters, and handling non-UTF8 chars.')
@@ -320,7 +530,16 @@ async function main() {
     program
         .option('--input <path>', 'Input CSV file path (default: data/data.csv)')
         .option('--output <path>', 'Output CSV file path (default: data/data_cleaned.csv)')
-        .option('--exclude <path>', 'Path to text file containing column names to exclude from cleaning (default: settings/exclude_columns.txt)');
+        .option('--exclude <path>', 'Path to text file containing column names to exclude from cleaning (default: settings/exclude_columns.txt)')
+        .option('--format <format>', `Input format: ${INPUT_FORMATS.join('|')} (default: from the file extension)`)
+        .option('--delimiter <char>', 'Field delimiter for csv input (use \\t for tabs)')
+        .option('--encoding <name>', 'Text encoding of csv, tsv and jsonl input (default: detected from the file)')
+        .option('--sheet <name|number>', 'Sheet to read from xlsx input (default: the first sheet)')
+        .option('--source <connection>', 'Read the input from a database instead of a file (sqlite:<file>, postgres://..., mysql://...)')
+        .option('--source-table <table>', 'Table to read from the source database')
+        .option('--source-query <sql>', 'Query to read from the source database')
+        .option('--unicode <policy>', `How to treat non-ASCII characters: ${UNICODE_POLICIES.join('|')} (default: ${DEFAULT_UNICODE_POLICY})`)
+        .option('--unicode-column <column=policy>', 'Unicode policy for one column (repeatable)', collectUnicodeColumn);
 
     program.parse();
     const options = program.opts();
@@ -329,29 +548,50 @@ async function main() {
     const dataDir = config.data_dir || 'data';
     const originalCsvPath = options.input || path.join(dataDir, 'data.csv');
     const cleanedCsvPath = options.output || path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
-    const excludeFilePath = options.exclude || path.join(config.settings__dir || 'settings', config.settings_exclude_columns_file_path || 'exclude_columns.txt');
+    const excludeFilePath = options.exclude || config.project.exclude_columns || path.join(config._settingsDir, config.settings_exclude_columns_file_path || 'exclude_columns.txt');
+    const inputOptions = resolveInputOptions(options, getStepSettings(config, 'preclean'));
+    const textOptions = resolveTextOptions(options, getStepSettings(config, 'preclean'));
+
+    const inputErrors = validateInputOptions(inputOptions);
+    if (inputErrors.length > 0) {
+        console.log(`❌ Invalid input options: ${inputErrors.join('; ')}`);
+        return false;
+    }
+    const textErrors = validateTextOptions(textOptions);
+    if (textErrors.length > 0) {
+        console.log(`❌ Invalid unicode options: ${textErrors.join('; ')}`);
+        return false;
+    }
 
     // Check if input file exists
-    if (!fs.existsSync(originalCsvPath)) {
+    if (!inputOptions.source && !fs.existsSync(originalCsvPath)) {
         console.log(`❌ Input CSV file not found: ${originalCsvPath}`);
         console.log("Please ensure the data.csv file exists in the data/ directory.");
         return false;
     }
 
-    console.log(`🛡️  Original file will be preserved: ${originalCsvPath}`);
+    if (inputOptions.source) {
+        console.log(`🗄️  Reading from database: ${describeConnection(inputOptions.source)}`);
+    } else {
+        console.log(`🛡️  Original file will be preserved: ${originalCsvPath}`);
+    }
     console.log(`📝 Cleaned file will be created: ${cleanedCsvPath}`);
-    if (fs.existsSync(excludeFilePath)) {
+    if (Array.isArray(excludeFilePath)) {
+        console.log(`📋 Using exclude_columns from ${config._projectPath || 'the environment'}`);
+    } else if (fs.existsSync(excludeFilePath)) {
         console.log(`📋 Using exclude file: ${excludeFilePath}`);
     } else {
         console.log(`📋 No exclude file found at: ${excludeFilePath} (will clean all columns)`);
     }
 
     // Clean the CSV and save to separate file
-    const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeFilePath);
+    const cleanedPath = await cleanCSV(originalCsvPath, cleanedCsvPath, excludeFilePath, inputOptions, textOptions);
 
     if (cleanedPath) {
         console.log(`\n✅ Successfully cleaned CSV data!`);
-        console.log(`📁 Original file (unchanged): ${originalCsvPath}`);
+        if (!inputOptions.source) {
+            console.log(`📁 Original file (unchanged): ${originalCsvPath}`);
+        }
         console.log(`📁 Cleaned file (new): ${cleanedPath}`);
         console.log("\n🔄 You can now run architect.js with the cleaned data.");
         return true;
@@ -366,8 +606,8 @@ export {
     loadExcludedColumns,
     cleanText,
     cleanCSV,
-    readCSV,
-    writeCSV
+    countMalformedRows,
+    loadHeaderRenames
 };
 
 // Run main function if this file is executed directly
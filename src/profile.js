@@ -0,0 +1,540 @@
+/**
+ * Local data profiling: per-column statistics of the input, computed without any API calls.
+ *
+ * For every column the profile reports:
+ * - missing values as the cleaner's isEmptyValue sees them, split into null markers
+ *   (null, NULL, NaN, undefined) and empty text
+ * - distinct values and the most frequent ones
+ * - the inferred type, named like the architect's dataType (int, float, boolean, date,
+ *   datetime or string; empty when every value is missing). At least TYPE_SHARE of the
+ *   non-empty values must have the type, the others are listed as mismatches
+ * - min, max and mean of the numeric values, and the earliest and latest dates
+ * - value lengths: min, max, mean and how many values fall in each length range
+ * - character-class patterns: uppercase letters become A, lowercase letters a and digits 9,
+ *   other characters are kept ("AB-1234" reads "AA-9999", "Jane Doe" reads "Aaaa Aaa")
+ *
+ * profileData prints a summary and writes the full report as JSON and HTML.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { readInputRows, readSourceRows } from './ingest.js';
+import { describeConnection } from './database.js';
+import { isEmptyValue } from './cleaner.js';
+
+// Distinct values and patterns tracked per column; past these, counts are lower bounds
+const DISTINCT_LIMIT = 100000;
+const PATTERN_LIMIT = 1000;
+
+// Characters of a value that make up its pattern
+const PATTERN_LENGTH = 40;
+
+// Most frequent values and patterns reported per column
+const TOP_VALUES = 10;
+
+// Share of the non-empty values that must have a type for the column to get it
+const TYPE_SHARE = 0.95;
+
+// Values kept as examples of each type, to show the ones that don't fit the column type
+const TYPE_EXAMPLES = 5;
+
+const LENGTH_BUCKETS = [[1, 1], [2, 3], [4, 7], [8, 15], [16, 31], [32, 63], [64, Infinity]];
+
+const INTEGER = /^[+-]?(\d{1,3}(,\d{3})+|\d+)$/;
+const DECIMAL = /^[+-]?((\d{1,3}(,\d{3})+|\d+)(\.\d+)?|\.\d+)([eE][+-]?\d+)?$/;
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no'];
+const DATE_PART = '(\\d{4}-\\d{2}-\\d{2}|\\d{4}/\\d{1,2}/\\d{1,2}|\\d{1,2}[/.-]\\d{1,2}[/.-](\\d{4}|\\d{2}))';
+const DATE = new RegExp(`^${DATE_PART}$`);
+const DATETIME = new RegExp(`^${DATE_PART}[T ]\\d{1,2}:\\d{2}(:\\d{2}(\\.\\d+)?)?( ?[AaPp][Mm])?(Z| ?[+-]\\d{2}:?\\d{2})?$`);
+
+/**
+ * Type of a single non-empty value
+ */
+function valueType(text) {
+    if (INTEGER.test(text)) return 'int';
+    if (DECIMAL.test(text)) return 'float';
+    if (BOOLEAN_WORDS.includes(text.toLowerCase())) return 'boolean';
+    if (DATE.test(text)) return 'date';
+    if (DATETIME.test(text)) return 'datetime';
+    return 'string';
+}
+
+/**
+ * The types a column of the given type accepts
+ */
+function acceptedTypes(type) {
+    switch (type) {
+        case 'float': return ['int', 'float'];
+        case 'datetime': return ['date', 'datetime'];
+        case 'string': return ['int', 'float', 'boolean', 'date', 'datetime', 'string'];
+        default: return [type];
+    }
+}
+
+/**
+ * Column type from the count of each value type: the narrowest type that covers TYPE_SHARE of the values
+ */
+function inferType(types, nonEmpty) {
+    if (nonEmpty === 0) {
+        return 'empty';
+    }
+    const candidates = ['int', 'float', 'boolean', 'date', 'datetime'];
+    const share = (type) => acceptedTypes(type).reduce((sum, name) => sum + (types[name] || 0), 0) / nonEmpty;
+    return candidates.find(type => share(type) >= TYPE_SHARE) || 'string';
+}
+
+/**
+ * Character-class pattern of a value: A for uppercase letters, a for lowercase, 9 for digits
+ */
+function valuePattern(text) {
+    const chars = [...text];
+    const pattern = chars.slice(0, PATTERN_LENGTH).map(char => {
+        if (/\p{Lu}/u.test(char)) return 'A';
+        if (/\p{L}/u.test(char)) return 'a';
+        if (/\p{Nd}/u.test(char)) return '9';
+        return char;
+    }).join('');
+    return chars.length > PATTERN_LENGTH ? `${pattern}…` : pattern;
+}
+
+/**
+ * Count a key, unless the map already holds limit other keys. Returns false when the key was not counted.
+ */
+function countKey(counts, key, limit) {
+    const count = counts.get(key);
+    if (count !== undefined) {
+        counts.set(key, count + 1);
+        return true;
+    }
+    if (counts.size >= limit) {
+        return false;
+    }
+    counts.set(key, 1);
+    return true;
+}
+
+function round(number, digits = 4) {
+    return Number(number.toFixed(digits));
+}
+
+function topEntries(counts, top, total, key) {
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, top)
+        .map(([value, count]) => ({ [key]: value, count, share: round(count / total) }));
+}
+
+/**
+ * Running statistics of one column
+ */
+class ColumnProfile {
+    constructor(name, originalHeader = name) {
+        this.name = name;
+        this.originalHeader = originalHeader;
+        this.nulls = 0;
+        this.empty = 0;
+        this.values = new Map();
+        this.valuesCapped = false;
+        this.patterns = new Map();
+        this.patternsCapped = false;
+        this.types = {};
+        this.examples = {};
+        this.numbers = { count: 0, min: Infinity, max: -Infinity, sum: 0 };
+        this.dates = { count: 0, min: null, max: null };
+        this.lengths = { min: Infinity, max: 0, sum: 0, buckets: LENGTH_BUCKETS.map(() => 0) };
+    }
+
+    add(value) {
+        if (isEmptyValue(value)) {
+            if (typeof value === 'string' && value.trim() === '') {
+                this.empty++;
+            } else {
+                this.nulls++;
+            }
+            return;
+        }
+
+        const text = String(value);
+        if (!countKey(this.values, text, DISTINCT_LIMIT)) this.valuesCapped = true;
+        if (!countKey(this.patterns, valuePattern(text), PATTERN_LIMIT)) this.patternsCapped = true;
+
+        const trimmed = text.trim();
+        const type = valueType(trimmed);
+        this.types[type] = (this.types[type] || 0) + 1;
+        const examples = this.examples[type] || (this.examples[type] = []);
+        if (examples.length < TYPE_EXAMPLES && !examples.includes(text)) {
+            examples.push(text);
+        }
+
+        if (type === 'int' || type === 'float') {
+            const number = Number(trimmed.replace(/,/g, ''));
+            this.numbers.count++;
+            this.numbers.sum += number;
+            this.numbers.min = Math.min(this.numbers.min, number);
+            this.numbers.max = Math.max(this.numbers.max, number);
+        } else if (type === 'date' || type === 'datetime') {
+            // Bare ISO dates are read as UTC, as output.js does; dates Date.parse can't read have no order
+            const time = /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? Date.parse(`${trimmed}T00:00:00Z`) : Date.parse(trimmed);
+            if (!isNaN(time)) {
+                this.dates.count++;
+                if (!this.dates.min || time < this.dates.min.time) this.dates.min = { time, text: trimmed };
+                if (!this.dates.max || time > this.dates.max.time) this.dates.max = { time, text: trimmed };
+            }
+        }
+
+        const length = text.length;
+        this.lengths.sum += length;
+        this.lengths.min = Math.min(this.lengths.min, length);
+        this.lengths.max = Math.max(this.lengths.max, length);
+        this.lengths.buckets[LENGTH_BUCKETS.findIndex(([, max]) => length <= max)]++;
+    }
+
+    /**
+     * The column's section of the report, for a file of rowCount rows
+     */
+    summarize(rowCount, top = TOP_VALUES) {
+        const missing = this.nulls + this.empty;
+        const nonEmpty = rowCount - missing;
+        const inferredType = inferType(this.types, nonEmpty);
+        const accepted = acceptedTypes(inferredType);
+        const mismatched = Object.keys(this.types).filter(type => !accepted.includes(type));
+
+        return {
+            name: this.name,
+            ...(this.originalHeader !== this.name ? { originalHeader: this.originalHeader } : {}),
+            inferredType,
+            missing: {
+                count: missing,
+                rate: rowCount > 0 ? round(missing / rowCount) : 0,
+                nulls: this.nulls,
+                empty: this.empty
+            },
+            distinct: {
+                count: this.values.size,
+                capped: this.valuesCapped,
+                unique: nonEmpty > 0 && !this.valuesCapped && this.values.size === nonEmpty
+            },
+            topValues: topEntries(this.values, top, nonEmpty, 'value'),
+            types: this.types,
+            typeMismatches: {
+                count: mismatched.reduce((sum, type) => sum + this.types[type], 0),
+                examples: mismatched.flatMap(type => this.examples[type]).slice(0, TYPE_EXAMPLES)
+            },
+            numeric: this.numbers.count > 0 ? {
+                count: this.numbers.count,
+                min: this.numbers.min,
+                max: this.numbers.max,
+                mean: round(this.numbers.sum / this.numbers.count)
+            } : null,
+            dates: this.dates.count > 0 ? {
+                count: this.dates.count,
+                min: this.dates.min.text,
+                max: this.dates.max.text
+            } : null,
+            lengths: nonEmpty > 0 ? {
+                min: this.lengths.min,
+                max: this.lengths.max,
+                mean: round(this.lengths.sum / nonEmpty, 2),
+                distribution: Object.fromEntries(LENGTH_BUCKETS.map(([min, max], i) => [
+                    max === Infinity ? `${min}+` : min === max ? `${min}` : `${min}-${max}`,
+                    this.lengths.buckets[i]
+                ]))
+            } : null,
+            patterns: {
+                distinct: this.patterns.size,
+                capped: this.patternsCapped,
+                top: topEntries(this.patterns, top, nonEmpty, 'pattern')
+            }
+        };
+    }
+}
+
+function formatCount(count) {
+    return count.toLocaleString('en-US');
+}
+
+function formatShare(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+function shorten(text, length = 30) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Range of a column as text: numbers for numeric columns, dates for date columns
+ */
+function describeRange(column) {
+    if (column.numeric && (column.inferredType === 'int' || column.inferredType === 'float')) {
+        return `${column.numeric.min} to ${column.numeric.max}, mean ${column.numeric.mean}`;
+    }
+    if (column.dates && (column.inferredType === 'date' || column.inferredType === 'datetime')) {
+        return `${column.dates.min} to ${column.dates.max}`;
+    }
+    return null;
+}
+
+function printProfile(report) {
+    console.log(chalk.cyan(`\n📊 ${report.input}: ${formatCount(report.rows)} rows, ${report.columns.length} columns`));
+    for (const column of report.columns) {
+        console.log(chalk.bold(`\n  ${column.name}`) + chalk.yellow(`  ${column.inferredType}`) +
+            (column.originalHeader !== undefined ? chalk.gray(`  (input header '${column.originalHeader}')`) : ''));
+
+        const { missing, distinct, lengths } = column;
+        const facts = [
+            `missing ${formatShare(missing.rate)} (${formatCount(missing.nulls)} null, ${formatCount(missing.empty)} empty)`,
+            `${distinct.capped ? 'over ' : ''}${formatCount(distinct.count)} distinct${distinct.unique ? ' (unique)' : ''}`
+        ];
+        if (lengths) {
+            facts.push(lengths.min === lengths.max ? `length ${lengths.min}` : `length ${lengths.min}-${lengths.max}`);
+        }
+        console.log(chalk.gray(`     ${facts.join(' · ')}`));
+
+        const range = describeRange(column);
+        if (range) {
+            console.log(chalk.gray(`     range: ${range}`));
+        }
+        if (column.topValues.length > 0 && !distinct.unique) {
+            const values = column.topValues.slice(0, 3).map(({ value, count }) => `"${shorten(value)}" ×${formatCount(count)}`);
+            console.log(chalk.gray(`     top: ${values.join(', ')}`));
+        }
+        if (column.patterns.top.length > 0) {
+            const patterns = column.patterns.top.slice(0, 3).map(({ pattern, share }) => `${shorten(pattern)} ${formatShare(share)}`);
+            console.log(chalk.gray(`     patterns: ${patterns.join(', ')}`));
+        }
+        if (column.typeMismatches.count > 0) {
+            const examples = column.typeMismatches.examples.map(value => `"${shorten(value)}"`).join(', ');
+            console.log(chalk.yellow(`     ⚠️  ${formatCount(column.typeMismatches.count)} values are not ${column.inferredType}: ${examples}`));
+        }
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function shareTable(title, rows, key) {
+    if (rows.length === 0) {
+        return '';
+    }
+    const body = rows.map(row => `
+                <tr>
+                    <td><code>${escapeHtml(row[key])}</code></td>
+                    <td>${formatCount(row.count)}</td>
+                    <td><div class="bar"><div class="bar-value" style="width: ${(row.share * 100).toFixed(1)}%"></div></div> ${formatShare(row.share)}</td>
+                </tr>`).join('');
+    return `
+            <h4>${title}</h4>
+            <table>
+                <tr><th>${key === 'value' ? 'Value' : 'Pattern'}</th><th>Count</th><th>Share of non-empty values</th></tr>${body}
+            </table>`;
+}
+
+function columnSection(column, rowCount) {
+    const { missing, distinct, lengths } = column;
+    const cards = [
+        ['Type', column.inferredType],
+        ['Missing', `${formatShare(missing.rate)}<br><small>${formatCount(missing.nulls)} null, ${formatCount(missing.empty)} empty</small>`],
+        ['Distinct', `${distinct.capped ? 'over ' : ''}${formatCount(distinct.count)}${distinct.unique ? '<br><small>unique</small>' : ''}`],
+        ['Non-empty', formatCount(rowCount - missing.count)]
+    ];
+    const range = describeRange(column);
+    if (range) {
+        cards.push(['Range', escapeHtml(range)]);
+    }
+    if (lengths) {
+        cards.push(['Length', `${lengths.min}-${lengths.max}<br><small>mean ${lengths.mean}</small>`]);
+    }
+
+    const distribution = lengths ? `
+            <h4>Length distribution</h4>
+            <table>
+                <tr><th>Length</th><th>Values</th></tr>${Object.entries(lengths.distribution).map(([range, count]) => `
+                <tr><td>${range}</td><td>${formatCount(count)}</td></tr>`).join('')}
+            </table>` : '';
+    const mismatches = column.typeMismatches.count > 0 ? `
+            <p class="warning">⚠️ ${formatCount(column.typeMismatches.count)} values are not ${column.inferredType}: ${column.typeMismatches.examples.map(value => `<code>${escapeHtml(value)}</code>`).join(', ')}</p>` : '';
+    const original = column.originalHeader !== undefined ? ` <small>(input header '${escapeHtml(column.originalHeader)}')</small>` : '';
+
+    return `
+        <div class="container">
+            <h3>${escapeHtml(column.name)}${original}</h3>
+            <div class="stats-grid">${cards.map(([label, value]) => `
+                <div class="stat-card"><h4>${label}</h4><div class="stat-value">${value}</div></div>`).join('')}
+            </div>${mismatches}${shareTable('Top values', column.topValues, 'value')}${shareTable('Patterns', column.patterns.top, 'pattern')}${distribution}
+        </div>`;
+}
+
+function renderHtml(report) {
+    const overview = report.columns.map(column => `
+                <tr>
+                    <td>${escapeHtml(column.name)}</td>
+                    <td>${column.inferredType}</td>
+                    <td>${formatShare(column.missing.rate)}</td>
+                    <td>${column.distinct.capped ? 'over ' : ''}${formatCount(column.distinct.count)}</td>
+                    <td><code>${escapeHtml(column.patterns.top[0]?.pattern ?? '')}</code></td>
+                </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Data Profile - ${escapeHtml(report.input)}</title>
+    <style>
+        :root {
+            --primary: #2563eb;
+            --warning: #ca8a04;
+            --bg-light: #f8fafc;
+            --text-dark: #1e293b;
+        }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+            line-height: 1.6;
+            color: var(--text-dark);
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 2rem;
+            background: var(--bg-light);
+        }
+        .container {
+            background: white;
+            border-radius: 8px;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            padding: 2rem;
+            margin-bottom: 2rem;
+        }
+        h1, h2, h3 {
+            color: var(--primary);
+            margin-top: 0;
+        }
+        .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+            gap: 1rem;
+            margin: 1rem 0;
+        }
+        .stat-card {
+            padding: 1rem;
+            border-radius: 6px;
+            border: 1px solid #e2e8f0;
+        }
+        .stat-card h4 {
+            margin: 0;
+        }
+        .stat-value {
+            font-size: 1.25rem;
+            font-weight: bold;
+            color: var(--primary);
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 1rem;
+        }
+        th, td {
+            text-align: left;
+            padding: 0.4rem 0.6rem;
+            border-bottom: 1px solid #e2e8f0;
+        }
+        .bar {
+            display: inline-block;
+            width: 120px;
+            height: 8px;
+            background: #e2e8f0;
+            border-radius: 4px;
+            vertical-align: middle;
+        }
+        .bar-value {
+            height: 100%;
+            border-radius: 4px;
+            background: var(--primary);
+        }
+        .warning {
+            color: var(--warning);
+        }
+        code {
+            white-space: pre;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Data Profile</h1>
+        <p><strong>${escapeHtml(report.input)}</strong>: ${formatCount(report.rows)} rows, ${report.columns.length} columns${report.encoding ? `, ${escapeHtml(report.encoding)}` : ''}</p>
+        <p><small>Generated ${escapeHtml(report.generatedAt)}</small></p>
+        <table>
+            <tr><th>Column</th><th>Type</th><th>Missing</th><th>Distinct</th><th>Top pattern</th></tr>${overview}
+        </table>
+    </div>${report.columns.map(column => columnSection(column, report.rows)).join('')}
+</body>
+</html>`;
+}
+
+/**
+ * Profile an input file or database source and write the report.
+ * options = { inputPath, inputOptions, profilePath, profileHtmlPath, top }
+ * inputOptions are those of readInputRows, or { source, table, query } for a database.
+ */
+async function profileData(options) {
+    const { inputPath, inputOptions = {}, profilePath, profileHtmlPath, top = TOP_VALUES } = options;
+    const profiles = [];
+    let encoding = null;
+    const malformedRows = { repaired: 0, quarantined: 0 };
+
+    const onHeaders = (headers, rawHeaders = headers) => {
+        headers.forEach((header, i) => profiles.push(new ColumnProfile(header, rawHeaders[i])));
+    };
+    const rows = inputOptions.source
+        ? readSourceRows({ ...inputOptions, onHeaders })
+        : readInputRows(inputPath, {
+            ...inputOptions,
+            onHeaders,
+            onEncoding: (found) => { encoding = found.encoding; },
+            onMalformed: ({ repaired }) => { malformedRows[repaired ? 'repaired' : 'quarantined']++; }
+        });
+
+    console.log(chalk.blue('📊 Profiling columns...'));
+    let rowCount = 0;
+    for await (const row of rows) {
+        rowCount++;
+        for (const profile of profiles) {
+            profile.add(row[profile.name]);
+        }
+    }
+
+    const report = {
+        input: inputOptions.source ? describeConnection(inputOptions.source) : path.basename(inputPath),
+        rows: rowCount,
+        encoding,
+        malformedRows,
+        generatedAt: new Date().toISOString(),
+        columns: profiles.map(profile => profile.summarize(rowCount, top))
+    };
+
+    printProfile(report);
+    if (malformedRows.repaired + malformedRows.quarantined > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${malformedRows.repaired} malformed rows were repaired and ${malformedRows.quarantined} left out (run preclean for the details)`));
+    }
+
+    fs.writeFileSync(profilePath, JSON.stringify(report, null, 2), 'utf-8');
+    fs.writeFileSync(profileHtmlPath, renderHtml(report), 'utf-8');
+    console.log(chalk.green(`\n✅ Profile saved to: ${profilePath}`));
+    console.log(chalk.green(`✅ Profile report saved to: ${profileHtmlPath}`));
+
+    return { ...report, profilePath, profileHtmlPath };
+}
+
+export {
+    TOP_VALUES,
+    valueType,
+    inferType,
+    valuePattern,
+    ColumnProfile,
+    profileData
+};
@@ -0,0 +1,495 @@
+/**
+ * Project configuration.
+ *
+ * Settings come from, in increasing order of precedence:
+ * 1. the bundled config.json (file names and defaults)
+ * 2. a dbclean.yaml project file, found by walking up from the working directory
+ *    (or named by DBCLEAN_PROJECT)
+ * 3. DBCLEAN_<SECTION>__<KEY> environment variables, e.g. DBCLEAN_MODELS__CLEANER=gpt-4o
+ *    or DBCLEAN_STEPS__DEDUPE__THRESHOLD=0.9
+ * 4. command line options, applied by each command
+ *
+ * Relative paths in dbclean.yaml are resolved against the directory holding it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+import { PROVIDER_NAMES } from './providers.js';
+import { BLOCKING_STRATEGIES } from './blocking.js';
+import { COMPARATOR_NAMES } from './comparators.js';
+import { SURVIVORSHIP_RULES } from './survivorship.js';
+import { INPUT_FORMATS, validateInputOptions } from './ingest.js';
+import { OUTPUT_FORMATS } from './output.js';
+import { UNICODE_POLICIES } from './unicode.js';
+import { parseConnectionString } from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_FILE_NAMES = ['dbclean.yaml', 'dbclean.yml'];
+const PROJECT_VERSION = 1;
+const ENV_PREFIX = 'DBCLEAN_';
+const ENV_PROJECT = 'DBCLEAN_PROJECT';
+
+const DEFAULT_CONFIG = {
+    settings__dir: "settings",
+    settings_exclude_columns_file_path: "exclude_columns.txt",
+    settings_instructions_file_path: "instructions.txt",
+    settings_dedupe_config_file_path: "dedupe_config.json",
+    input_file_path: "data.csv",
+    data_dir: "data",
+    data_cleaned_file_path: "data_cleaned.csv",
+    data_deduped_file_path: "data_deduped.csv",
+    data_stitched_file_path: "data_stitched.csv",
+    outputs_dir: "outputs",
+    outputs_cleaned_columns_dir: "cleaned_columns",
+    outputs_architect_output_file: "architect_output.txt",
+    outputs_cleaner_changes_analysis_file: "cleaner_changes_analysis.html",
+    outputs_column_mapping_file: "column_mapping.json",
+    outputs_run_manifest_file: "run_manifest.json",
+    outputs_dedupe_lineage_file: "dedupe_lineage.json",
+    outputs_row_repairs_file: "row_repairs.csv",
+    outputs_quarantine_file: "quarantine.csv",
+    outputs_header_renames_file: "header_renames.json",
+    outputs_profile_file: "profile.json",
+    outputs_profile_html_file: "profile.html"
+};
+
+const step = (properties = {}) => ({
+    type: 'object',
+    additionalProperties: false,
+    properties: { skip: { type: 'boolean' }, ...properties }
+});
+
+const PROJECT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        version: { const: PROJECT_VERSION },
+        paths: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                input: { type: 'string', minLength: 1 },
+                data_dir: { type: 'string', minLength: 1 },
+                outputs_dir: { type: 'string', minLength: 1 },
+                settings_dir: { type: 'string', minLength: 1 },
+                cache_dir: { type: 'string', minLength: 1 }
+            }
+        },
+        // AI response cache, as --no-cache (see cache.js)
+        cache: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: { type: 'boolean' }
+            }
+        },
+        provider: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                name: { enum: PROVIDER_NAMES },
+                endpoint: { type: 'string', minLength: 1 },
+                // Request scheduling, as --concurrency and --requests-per-minute
+                concurrency: { type: 'integer', minimum: 1 },
+                requests_per_minute: { type: 'number', exclusiveMinimum: 0 },
+                max_retries: { type: 'integer', minimum: 0 }
+            }
+        },
+        models: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                default: { type: 'string', minLength: 1 },
+                architect: { type: 'string', minLength: 1 },
+                cleaner: { type: 'string', minLength: 1 },
+                dedupe: { type: 'string', minLength: 1 }
+            }
+        },
+        // Spending limits, as --max-cost, --max-tokens and --confirm-above
+        budget: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                max_cost: { type: 'number', exclusiveMinimum: 0 },
+                max_tokens: { type: 'integer', minimum: 1 },
+                confirm_above: { type: 'number', minimum: 0 }
+            }
+        },
+        // USD per million tokens, for run --estimate and budgets
+        model_prices: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['input', 'output'],
+                properties: {
+                    input: { type: 'number', minimum: 0 },
+                    output: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        instructions: { type: 'string' },
+        instructions_file: { type: 'string', minLength: 1 },
+        exclude_columns: { type: 'array', items: { type: 'string' } },
+        rules_file: { type: 'string', pattern: '\\.(m?js|ya?ml)$' },
+        output_format: { enum: OUTPUT_FORMATS },
+        steps: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                preclean: step({
+                    format: { enum: INPUT_FORMATS },
+                    delimiter: { type: 'string', minLength: 1 },
+                    encoding: { type: 'string', minLength: 1 },
+                    sheet: { type: ['string', 'integer'] },
+                    source: { type: 'string', minLength: 1 },
+                    table: { type: 'string', minLength: 1 },
+                    query: { type: 'string', minLength: 1 },
+                    unicode: { enum: UNICODE_POLICIES },
+                    unicode_columns: { type: 'object', additionalProperties: { enum: UNICODE_POLICIES } }
+                }),
+                architect: step({
+                    sample_size: { type: 'integer', minimum: 1 }
+                }),
+                dedupe: step({
+                    threshold: { type: 'number', minimum: 0, maximum: 1 },
+                    strategy: { enum: COMPARATOR_NAMES },
+                    blocking: { enum: BLOCKING_STRATEGIES },
+                    blocking_window: { type: 'integer', minimum: 2 },
+                    merge: { type: 'boolean' },
+                    merge_rule: { enum: SURVIVORSHIP_RULES },
+                    config: { type: 'string', minLength: 1 },
+                    columns: { type: 'object' },
+                    survivorship: { type: 'object' }
+                }),
+                cleaner: step({
+                    rules: { type: 'boolean' },
+                    phone_country_code: { type: ['string', 'integer'], pattern: '^\\+?\\d{1,3}$', minimum: 1, maximum: 999 }
+                }),
+                // Stitcher always runs, so it has no skip setting
+                stitcher: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        sink: { type: 'string', minLength: 1 },
+                        table: { type: 'string', minLength: 1 }
+                    }
+                },
+                isosplit: step()
+            }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateProjectDocument = ajv.compile(PROJECT_SCHEMA);
+
+// Loaded configurations, by the directory dbclean.yaml was looked up from
+const loadedConfigs = new Map();
+
+// Pipeline workspace of the current async call chain (see runInWorkspace)
+const workspaceStorage = new AsyncLocalStorage();
+
+/**
+ * Find dbclean.yaml in the given directory or its parents (DBCLEAN_PROJECT wins)
+ */
+function findProjectFile(startDir = process.cwd()) {
+    if (process.env[ENV_PROJECT]) {
+        return path.resolve(process.env[ENV_PROJECT]);
+    }
+
+    let dir = path.resolve(startDir);
+    while (true) {
+        for (const name of PROJECT_FILE_NAMES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Apply DBCLEAN_<SECTION>__<KEY> environment variables to a project document.
+ * Values are parsed as YAML scalars, so numbers and booleans keep their type.
+ */
+function applyEnvOverrides(document, env = process.env) {
+    const overridden = [];
+    for (const [name, value] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX) || name === ENV_PROJECT || !name.includes('__')) {
+            continue;
+        }
+        const keys = name.slice(ENV_PREFIX.length).toLowerCase().split('__');
+        let target = document;
+        keys.slice(0, -1).forEach(key => {
+            if (typeof target[key] !== 'object' || target[key] === null) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = YAML.parse(value);
+        overridden.push(name);
+    }
+    return overridden;
+}
+
+/**
+ * Validate a project document. Returns a list of human-readable errors (empty when valid).
+ */
+function validateProject(document, projectDir) {
+    if (!validateProjectDocument(document)) {
+        return validateProjectDocument.errors.map(error => {
+            const where = error.instancePath || '/';
+            if (error.keyword === 'additionalProperties') {
+                return `${where} has unknown setting '${error.params.additionalProperty}'`;
+            }
+            if (error.keyword === 'enum') {
+                return `${where} must be one of: ${error.params.allowedValues.join(', ')}`;
+            }
+            return `${where} ${error.message}`;
+        });
+    }
+
+    const errors = [];
+    if (document.instructions !== undefined && document.instructions_file !== undefined) {
+        errors.push('/ sets both instructions and instructions_file - use one');
+    }
+    if (document.instructions_file && !fs.existsSync(path.resolve(projectDir, document.instructions_file))) {
+        errors.push(`/instructions_file '${document.instructions_file}' does not exist`);
+    }
+    if (document.rules_file && !fs.existsSync(path.resolve(projectDir, document.rules_file))) {
+        errors.push(`/rules_file '${document.rules_file}' does not exist`);
+    }
+    const dedupeConfig = document.steps?.dedupe?.config;
+    if (dedupeConfig && !fs.existsSync(path.resolve(projectDir, dedupeConfig))) {
+        errors.push(`/steps/dedupe/config '${dedupeConfig}' does not exist`);
+    }
+    for (const error of validateInputOptions(document.steps?.preclean)) {
+        errors.push(`/steps/preclean ${error}`);
+    }
+    const sink = document.steps?.stitcher?.sink;
+    if (sink) {
+        try {
+            parseConnectionString(sink);
+        } catch (error) {
+            errors.push(`/steps/stitcher/sink ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Load config.json from startDir or the package, falling back to the built-in defaults
+ */
+function loadBundledConfig(startDir) {
+    const possiblePaths = [
+        path.join(startDir, 'config.json'),
+        path.join(__dirname, '..', 'config.json')
+    ];
+
+    for (const configPath of possiblePaths) {
+        if (fs.existsSync(configPath)) {
+            try {
+                const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+                return { ...DEFAULT_CONFIG, ...config, _configPath: configPath };
+            } catch (error) {
+                console.log(`⚠️  Warning: Could not load ${configPath}: ${error.message}`);
+            }
+        }
+    }
+
+    return { ...DEFAULT_CONFIG, _configPath: null };
+}
+
+/**
+ * Load and validate the project configuration. Throws with every problem found
+ * when dbclean.yaml (or an environment override) is invalid.
+ */
+function loadProjectConfig(startDir = process.cwd()) {
+    const config = loadBundledConfig(path.resolve(startDir));
+    const projectPath = findProjectFile(startDir);
+    const projectDir = projectPath ? path.dirname(projectPath) : path.resolve(startDir);
+
+    let document = {};
+    if (projectPath) {
+        if (!fs.existsSync(projectPath)) {
+            throw new Error(`Project file not found: ${projectPath}`);
+        }
+        const parsed = YAML.parseDocument(fs.readFileSync(projectPath, 'utf-8'));
+        if (parsed.errors.length > 0) {
+            throw new Error(`Invalid ${projectPath}:\n${parsed.errors.map(error => `  - ${error.message}`).join('\n')}`);
+        }
+        document = parsed.toJS() || {};
+    }
+
+    const overridden = applyEnvOverrides(document);
+    const errors = validateProject(document, projectDir);
+    if (errors.length > 0) {
+        const source = projectPath || 'environment overrides';
+        throw new Error(`Invalid ${source}${overridden.length > 0 ? ` (with ${overridden.join(', ')})` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    // Package settings stay the default; a project can point at its own settings folder
+    const settingsDir = document.paths?.settings_dir
+        ? path.resolve(projectDir, document.paths.settings_dir)
+        : path.resolve(config._configPath ? path.dirname(config._configPath) : path.join(__dirname, '..'), config.settings__dir || 'settings');
+
+    const paths = document.paths || {};
+    return {
+        ...config,
+        // Without a project file, data and outputs stay relative to the working directory
+        data_dir: paths.data_dir ? path.resolve(projectDir, paths.data_dir) : projectPath ? path.resolve(projectDir, config.data_dir) : config.data_dir,
+        outputs_dir: paths.outputs_dir ? path.resolve(projectDir, paths.outputs_dir) : projectPath ? path.resolve(projectDir, config.outputs_dir) : config.outputs_dir,
+        input_file_path: paths.input ? path.resolve(projectDir, paths.input) : projectPath ? path.resolve(projectDir, config.input_file_path) : config.input_file_path,
+        _settingsDir: settingsDir,
+        _projectPath: projectPath,
+        _projectDir: projectDir,
+        _envOverrides: overridden,
+        project: document
+    };
+}
+
+/**
+ * Load the configuration for a directory once: by default the pipeline workspace's project
+ * directory, else the working directory. Throws when the project file is invalid.
+ */
+function loadConfig(startDir = getWorkspace()?.projectDir || process.cwd()) {
+    const dir = path.resolve(startDir);
+    if (!loadedConfigs.has(dir)) {
+        loadedConfigs.set(dir, loadProjectConfig(dir));
+    }
+    return loadedConfigs.get(dir);
+}
+
+/**
+ * Settings for one pipeline step from dbclean.yaml (empty when not configured)
+ */
+function getStepSettings(config, name) {
+    return config.project?.steps?.[name] || {};
+}
+
+/**
+ * Model for a step from dbclean.yaml: the step's own model, else the default one
+ */
+function getProjectModel(config, name) {
+    const models = config.project?.models || {};
+    return models[name] || models.default || null;
+}
+
+/**
+ * Request scheduler settings from dbclean.yaml's provider section (see scheduler.js)
+ */
+function getRequestSettings(config) {
+    const provider = config.project?.provider || {};
+    return {
+        concurrency: provider.concurrency,
+        requestsPerMinute: provider.requests_per_minute,
+        maxRetries: provider.max_retries
+    };
+}
+
+/**
+ * Response cache settings from dbclean.yaml: { enabled, dir } (dir is null for the default location)
+ */
+function getCacheSettings(config) {
+    const dir = config.project?.paths?.cache_dir;
+    return {
+        enabled: config.project?.cache?.enabled !== false,
+        dir: dir ? path.resolve(config._projectDir, dir) : null
+    };
+}
+
+/**
+ * Custom instructions from dbclean.yaml (inline text or instructions_file), or null.
+ * Returns { text, source }.
+ */
+function getProjectInstructions(config) {
+    const project = config.project || {};
+    if (project.instructions !== undefined) {
+        return { text: project.instructions.trim(), source: config._projectPath || 'environment' };
+    }
+    if (project.instructions_file) {
+        const filePath = path.resolve(config._projectDir, project.instructions_file);
+        return { text: fs.readFileSync(filePath, 'utf-8').trim(), source: filePath };
+    }
+    return null;
+}
+
+/**
+ * Run fn inside a pipeline workspace: every step it calls reads and writes under
+ * workspace.dir instead of the configured data and outputs directories.
+ * workspace = { dir, projectDir?, onLog?, interactive? }; projectDir is where loadConfig looks for dbclean.yaml
+ */
+function runInWorkspace(workspace, fn) {
+    return workspaceStorage.run(workspace, fn);
+}
+
+/**
+ * Run fn outside any pipeline workspace (e.g. callbacks into the caller's code)
+ */
+function outsideWorkspace(fn) {
+    return workspaceStorage.exit(fn);
+}
+
+/**
+ * The current pipeline workspace, or null outside runInWorkspace
+ */
+function getWorkspace() {
+    return workspaceStorage.getStore() || null;
+}
+
+/**
+ * Hand a typed result from a step to the pipeline running it (no-op outside a workspace)
+ */
+function recordWorkspaceResult(name, value) {
+    const workspace = getWorkspace();
+    if (workspace) {
+        workspace.results = { ...workspace.results, [name]: value };
+    }
+}
+
+/**
+ * Data and outputs directories for the current run, created if missing
+ */
+function getWorkspacePaths(config) {
+    const workspace = getWorkspace();
+    const workingDir = workspace ? workspace.dir : process.cwd();
+    const dataDir = workspace ? path.join(workspace.dir, 'data') : path.resolve(workingDir, config.data_dir || 'data');
+    const outputsDir = workspace ? path.join(workspace.dir, 'outputs') : path.resolve(workingDir, config.outputs_dir || 'outputs');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.mkdirSync(outputsDir, { recursive: true });
+
+    return { workingDir, dataDir, outputsDir };
+}
+
+export {
+    PROJECT_FILE_NAMES,
+    PROJECT_SCHEMA,
+    findProjectFile,
+    applyEnvOverrides,
+    validateProject,
+    loadProjectConfig,
+    loadConfig,
+    getStepSettings,
+    getProjectModel,
+    getRequestSettings,
+    getCacheSettings,
+    getProjectInstructions,
+    runInWorkspace,
+    outsideWorkspace,
+    getWorkspace,
+    recordWorkspaceResult,
+    getWorkspacePaths
+};
@@ -0,0 +1,160 @@
+/**
+ * Prompts used when running against a local OpenAI-compatible model.
+ *
+ * The hosted DBClean API keeps its prompts server-side, but is sent the architect's
+ * output contract (ARCHITECT_OUTPUT_FORMAT, with the JSON Schema of <schema_json>) and
+ * repair message, so both providers ask for the same reply. The prompts mirror the
+ * output contract the rest of the pipeline parses:
+ * - architect: <schema_json> document (see schema.js) and a <semantic_diff>
+ * - cleaner:   <semantic_diff> with one "ID,value" line per input row
+ * - dedupe:    <group_N> blocks containing the single row to keep
+ */
+
+import { ARCHITECT_SCHEMA } from './schema.js';
+
+// What the architect must reply with, for both providers; the pipeline parses and validates exactly this
+const ARCHITECT_OUTPUT_FORMAT = `Respond with exactly two sections and nothing else:
+
+<schema_json>
+{"columns": [ ...one object per original column (excluding ID), in the same order as the input columns... ]}
+</schema_json>
+
+<semantic_diff>
+...one line per sample row: ID followed by the corrected value for every column, in the same order...
+</semantic_diff>
+
+Each object in "columns" has these fields:
+- "source_column": the exact header of the input column it describes. Every input column except ID appears exactly once.
+- "name": a concise snake_case column name, unique across columns.
+- "type": one of "string", "int", "float", "boolean", "date", "datetime".
+- "description": a short description.
+- "example": a valid example value in the standardized format.
+- "regex": a regular expression that validates standardized values, starting with ^ and ending with $. Use ^.*$ for free text.
+- "nullable": true if the column may be empty.
+- "unique": true when the column identifies a real-world entity and can be used to detect duplicate records (emails, phone numbers, national IDs, full names).
+- "excluded": true when the column carries no analytical value or should not be cleaned (free-form notes, raw blobs).
+
+<schema_json> must contain only valid JSON: no comments, no trailing commas, and backslashes in regexes escaped as \\\\.
+
+Rules for <semantic_diff>:
+- Write values as CSV, quoting any value that contains a comma or a double quote.
+- Keep the ID of every row unchanged.
+- If a value cannot be fixed confidently, keep it and prefix the whole line with \`\`\`FLAGGED: <short reason>\`\`\`.
+
+The <schema_json> document must validate against this JSON Schema:
+${JSON.stringify(ARCHITECT_SCHEMA)}`;
+
+const ARCHITECT_SYSTEM_PROMPT = `You are a senior data architect. You receive a sample of rows from a messy CSV file inside <user_data> tags. The first column, ID, is a row identifier you must not change.
+
+Design a clean, standardized schema for the data and correct the sample rows to fit it.
+
+${ARCHITECT_OUTPUT_FORMAT}`;
+
+const CLEANER_SYSTEM_PROMPT = `You are a meticulous data cleaning assistant. You receive the schema for a single column, examples of already-corrected values, and the distinct values that fail the column's validation regex. Each row holds one distinct value: its ID is the value's key and its count is the number of records that have it, so a correction applies to all of them.
+
+Correct every value so it matches the schema's data_type, data_example and data_regex. Do not invent data: if a value is meaningless or cannot be recovered, return an empty value.
+
+Respond with exactly one section and nothing else:
+
+<semantic_diff>
+ID,corrected_value
+...
+</semantic_diff>
+
+Rules:
+- Return one line for every input row, keyed by its unchanged ID. Do not return the count.
+- Quote the corrected value with double quotes if it contains a comma or a double quote.`;
+
+const DEDUPE_SYSTEM_PROMPT = `You are a data deduplication expert. You receive groups of records inside <potential_duplicates> tags that a fuzzy matcher considers likely duplicates. The first line is the CSV header, the first column is the record ID.
+
+For each group decide whether the records describe the same real-world entity.
+
+Respond with one block per input group, using the same group numbers:
+
+<group_N>
+...the single full CSV row (starting with its ID) that should be KEPT...
+</group_N>
+
+Rules:
+- If the records in a group are duplicates, keep the most complete and most recent-looking record.
+- If the records are NOT duplicates, return the group block empty: <group_N></group_N>.
+- Do not output anything outside the group blocks.`;
+
+/**
+ * Build chat messages for the architect step.
+ * repair = { previousResponse, errors } asks the model to fix a reply that failed schema validation.
+ */
+function buildArchitectMessages({ userData, customInstructions, repair = null }) {
+    let userContent = `<user_data>\n${userData}\n</user_data>`;
+    if (customInstructions) {
+        userContent += `\n\n<custom_instructions>\n${customInstructions}\n</custom_instructions>`;
+    }
+
+    const messages = [
+        { role: 'system', content: ARCHITECT_SYSTEM_PROMPT },
+        { role: 'user', content: userContent }
+    ];
+
+    if (repair) {
+        messages.push(
+            { role: 'assistant', content: repair.previousResponse },
+            { role: 'user', content: buildArchitectRepairMessage(repair.errors) }
+        );
+    }
+
+    return messages;
+}
+
+/**
+ * Describe schema validation errors so the model can correct its previous reply
+ */
+function buildArchitectRepairMessage(errors) {
+    return [
+        'Your <schema_json> failed validation:',
+        ...errors.map(error => `- ${error}`),
+        '',
+        'Respond again with both the corrected <schema_json> and the <semantic_diff> sections, following the original instructions exactly.'
+    ].join('\n');
+}
+
+/**
+ * Build chat messages for a cleaner column batch
+ */
+function buildCleanerMessages({ columnData, columnSchema, scopedSemanticDiff }) {
+    const userContent = [
+        `<column_schema>\n${columnSchema}\n</column_schema>`,
+        `<corrected_examples>\n${scopedSemanticDiff}\n</corrected_examples>`,
+        `<column_data>\n${columnData}\n</column_data>`
+    ].join('\n\n');
+
+    return [
+        { role: 'system', content: CLEANER_SYSTEM_PROMPT },
+        { role: 'user', content: userContent }
+    ];
+}
+
+/**
+ * Build chat messages for dedupe decisions
+ */
+function buildDedupeMessages({ potentialDuplicates, uniqueColumns }) {
+    const userContent = [
+        `Columns used for matching: ${(uniqueColumns || []).join(', ')}`,
+        potentialDuplicates
+    ].join('\n\n');
+
+    return [
+        { role: 'system', content: DEDUPE_SYSTEM_PROMPT },
+        { role: 'user', content: userContent }
+    ];
+}
+
+export {
+    ARCHITECT_OUTPUT_FORMAT,
+    ARCHITECT_SYSTEM_PROMPT,
+    CLEANER_SYSTEM_PROMPT,
+    DEDUPE_SYSTEM_PROMPT,
+    buildArchitectMessages,
+    buildArchitectRepairMessage,
+    buildCleanerMessages,
+    buildDedupeMessages
+};
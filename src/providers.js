@@ -0,0 +1,202 @@
+/**
+ * AI provider backends for the architect, cleaner and dedupe steps.
+ *
+ * - dbclean: the hosted DBClean API (prompts live server-side, credit billing)
+ * - local:   any OpenAI-compatible chat completions server (llama.cpp, Ollama, vLLM, ...)
+ *            driven by the prompts in prompts.js, so no data leaves the machine
+ *
+ * Every provider exposes architect(), cleaner() and dedupe(), each resolving to
+ * { result, usage } where result is the raw model text, and listModels().
+ * listModelEntries() returns the raw model list, which may include pricing.
+ */
+
+import axios from 'axios';
+import { ARCHITECT_OUTPUT_FORMAT, buildArchitectMessages, buildArchitectRepairMessage, buildCleanerMessages, buildDedupeMessages } from './prompts.js';
+import { ARCHITECT_SCHEMA } from './schema.js';
+
+// API Configuration
+const API_BASE_URL = process.env.DBCLEAN_API_URL || 'https://dbclean-api.dbcleandev.workers.dev';
+const DEFAULT_LOCAL_ENDPOINT = 'http://localhost:8080';
+const PROVIDER_NAMES = ['dbclean', 'local'];
+
+const REQUEST_TIMEOUT = 300000; // 5 minute timeout
+
+/**
+ * Name of a model list entry, which is either a plain name or an object with an id
+ */
+function modelName(entry) {
+    return typeof entry === 'string' ? entry : entry.id || entry.name;
+}
+
+class DBCleanProvider {
+    constructor(options = {}) {
+        this.name = 'dbclean';
+        this.requiresAuth = true;
+        this.baseUrl = options.endpoint || API_BASE_URL;
+        this.email = options.email || null;
+        this.apiKey = options.apiKey || null;
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.email && this.apiKey) {
+            headers['X-Email'] = this.email;
+            headers['X-API-Key'] = this.apiKey;
+        }
+
+        return headers;
+    }
+
+    async post(route, payload) {
+        const response = await axios.post(`${this.baseUrl}${route}`, payload, {
+            headers: this.getHeaders(),
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data || {};
+    }
+
+    async architect({ userData, sampleSize, customInstructions = null, model = null, repair = null }) {
+        const data = await this.post('/api/architect/process', {
+            userData,
+            sampleSize,
+            customInstructions: customInstructions || null,
+            model: model || null,
+            // The same output contract and JSON Schema the local prompts carry
+            schemaFormat: 'json',
+            outputFormat: ARCHITECT_OUTPUT_FORMAT,
+            schema: ARCHITECT_SCHEMA,
+            repair: repair ? { ...repair, message: buildArchitectRepairMessage(repair.errors) } : undefined
+        });
+        return {
+            result: data.result || data.response || JSON.stringify(data),
+            usage: data.usage || null
+        };
+    }
+
+    async cleaner({ columnData, columnSchema, scopedSemanticDiff, model = null }) {
+        const data = await this.post('/api/cleaner/process', {
+            columnData,
+            columnSchema,
+            scopedSemanticDiff,
+            model
+        });
+        return { result: data.result, usage: data.usage || null };
+    }
+
+    async dedupe({ potentialDuplicates, uniqueColumns, model = null }) {
+        const data = await this.post('/api/dedupe/process', {
+            potentialDuplicates,
+            uniqueColumns,
+            model
+        });
+        return { result: data.result, usage: data.usage || null };
+    }
+
+    async listModelEntries() {
+        const response = await axios.get(`${this.baseUrl}/api/models`);
+        return response.data.models || [];
+    }
+
+    async listModels() {
+        return (await this.listModelEntries()).map(modelName);
+    }
+}
+
+class LocalProvider {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.requiresAuth = false;
+        // Requests add /v1 themselves, so an endpoint copied with /v1 on the end is accepted too
+        this.baseUrl = (options.endpoint || process.env.DBCLEAN_LOCAL_ENDPOINT || DEFAULT_LOCAL_ENDPOINT).replace(/\/+$/, '').replace(/\/v1$/, '');
+        this.defaultModel = options.model || process.env.DBCLEAN_LOCAL_MODEL || 'local-model';
+        this.apiKey = options.localApiKey || process.env.DBCLEAN_LOCAL_API_KEY || null;
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        // Most local servers ignore this, but some (vLLM, LiteLLM) are configured with a key
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return headers;
+    }
+
+    async chat(messages, model = null) {
+        const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, {
+            model: model || this.defaultModel,
+            messages,
+            temperature: 0
+        }, {
+            headers: this.getHeaders(),
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Invalid response from local model: missing choices[0].message.content');
+        }
+
+        const usage = response.data.usage ? {
+            input_tokens: response.data.usage.prompt_tokens || 0,
+            output_tokens: response.data.usage.completion_tokens || 0,
+            total_tokens: response.data.usage.total_tokens || 0,
+            cost_usd: 0
+        } : null;
+
+        return { result: content, usage };
+    }
+
+    async architect({ userData, customInstructions = null, model = null, repair = null }) {
+        return this.chat(buildArchitectMessages({ userData, customInstructions, repair }), model);
+    }
+
+    async cleaner({ columnData, columnSchema, scopedSemanticDiff, model = null }) {
+        return this.chat(buildCleanerMessages({ columnData, columnSchema, scopedSemanticDiff }), model);
+    }
+
+    async dedupe({ potentialDuplicates, uniqueColumns, model = null }) {
+        return this.chat(buildDedupeMessages({ potentialDuplicates, uniqueColumns }), model);
+    }
+
+    async listModelEntries() {
+        const response = await axios.get(`${this.baseUrl}/v1/models`, { headers: this.getHeaders() });
+        return response.data?.data || [];
+    }
+
+    async listModels() {
+        return (await this.listModelEntries()).map(modelName);
+    }
+}
+
+/**
+ * Create an AI provider by name ('dbclean' or 'local')
+ */
+function createProvider(options = {}) {
+    const name = options.provider || process.env.DBCLEAN_PROVIDER || 'dbclean';
+
+    switch (name) {
+        case 'dbclean':
+            return new DBCleanProvider(options);
+        case 'local':
+            return new LocalProvider(options);
+        default:
+            throw new Error(`Unknown provider '${name}'. Available providers: ${PROVIDER_NAMES.join(', ')}`);
+    }
+}
+
+export {
+    API_BASE_URL,
+    DEFAULT_LOCAL_ENDPOINT,
+    PROVIDER_NAMES,
+    DBCleanProvider,
+    LocalProvider,
+    createProvider,
+    modelName
+};
@@ -0,0 +1,357 @@
+/**
+ * Malformed row detection and repair for delimited input (csv, tsv).
+ *
+ * csv-parser accepts ragged rows and unbalanced quotes without a word, shifting values into
+ * the wrong columns. Preclean reads delimited input with readRecords instead, which keeps
+ * each record's raw text and starting line, and passes the records through repairRecords:
+ *
+ * - trailing delimiters:     extra fields that are all empty are dropped
+ * - unquoted delimiter:      one extra group of fields is joined back into a single value, when
+ *                            exactly one column can take it without breaking a numeric column
+ *                            (or exactly one of them reads like "Smith, John")
+ * - line break inside value: a short record is joined with the next one when together they
+ *                            have the right number of fields
+ * - missing trailing fields: any other short record is padded with empty values, unless that
+ *                            leaves a value in a numeric column that isn't a number
+ * - unbalanced quote:        a record whose quote swallowed the following lines is split back
+ *                            into lines, reading quotes only when they close on the same line
+ *
+ * Records that can't be repaired are reported as quarantined and left out of the output.
+ */
+
+const QUOTE = '"';
+
+// States of the record tokenizer
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+// Non-empty values a column needs before its profile is trusted, and the share of them
+// that must be numbers for the column to count as numeric
+const PROFILE_MIN_VALUES = 3;
+const NUMERIC_SHARE = 0.9;
+
+const NUMERIC = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+// Line breaks a quoted value may span before its quote is taken as unclosed, so a stray quote
+// can't pull the rest of the file into one record
+const MAX_QUOTED_LINES = 100;
+
+/**
+ * Split a text stream into records: { line, raw, fields, problem }, where line is the line the
+ * record starts on, raw its text and problem 'unclosed quote' or 'text after closing quote'
+ * (null for well-formed records). Quotes only open a field at its start; elsewhere they are
+ * kept as text. A quoted value still open after MAX_QUOTED_LINES line breaks ends the record
+ * there as an unclosed quote, and reading resumes on the next line. Blank lines are skipped.
+ */
+async function* readRecords(chunks, separator = ',') {
+    let state = FIELD_START;
+    let fields = [];
+    let field = '';
+    let raw = '';
+    let problem = null;
+    let line = 1;
+    let startLine = 1;
+    let pendingCR = false;
+    let quotedLines = 0;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        state = FIELD_START;
+    };
+    const endRecord = () => {
+        const record = { line: startLine, raw, fields, problem };
+        fields = [];
+        raw = '';
+        problem = null;
+        startLine = line;
+        return record;
+    };
+
+    for await (const chunk of chunks) {
+        for (const char of String(chunk)) {
+            // A lone \r (old Mac line ending) ends the line too
+            if (pendingCR) {
+                pendingCR = false;
+                if (char !== '\n') {
+                    line++;
+                    endField();
+                    const record = endRecord();
+                    if (record.raw !== '') yield record;
+                }
+            }
+
+            if (state === QUOTED) {
+                if (char === '\n' && ++quotedLines > MAX_QUOTED_LINES) {
+                    line++;
+                    problem = 'unclosed quote';
+                    endField();
+                    yield endRecord();
+                    continue;
+                }
+                if (char === QUOTE) {
+                    state = QUOTE_IN_QUOTED;
+                } else {
+                    field += char;
+                    if (char === '\n') line++;
+                }
+                raw += char;
+                continue;
+            }
+
+            if (state === QUOTE_IN_QUOTED) {
+                if (char === QUOTE) {
+                    // An escaped quote ("")
+                    field += QUOTE;
+                    raw += char;
+                    state = QUOTED;
+                    continue;
+                }
+                state = UNQUOTED;
+                if (char !== separator && char !== '\n' && char !== '\r') {
+                    problem = problem || 'text after closing quote';
+                }
+            }
+
+            if (char === '\r') {
+                pendingCR = true;
+                continue;
+            }
+            if (char === '\n') {
+                line++;
+                endField();
+                const record = endRecord();
+                if (record.raw !== '') yield record;
+                continue;
+            }
+
+            raw += char;
+            if (char === separator) {
+                endField();
+            } else if (state === FIELD_START && char === QUOTE) {
+                state = QUOTED;
+                quotedLines = 0;
+            } else {
+                field += char;
+                state = UNQUOTED;
+            }
+        }
+    }
+
+    if (state === QUOTED) {
+        problem = 'unclosed quote';
+    }
+    if (raw !== '') {
+        endField();
+        yield endRecord();
+    }
+}
+
+/**
+ * Split one line into fields, honoring a quoted field only when it closes on the same line
+ */
+function splitLine(text, separator) {
+    const fields = [];
+    let i = 0;
+    while (i <= text.length) {
+        if (text[i] === QUOTE) {
+            let value = '';
+            let j = i + 1;
+            let closed = false;
+            while (j < text.length) {
+                if (text[j] === QUOTE && text[j + 1] === QUOTE) {
+                    value += QUOTE;
+                    j += 2;
+                } else if (text[j] === QUOTE) {
+                    closed = j + 1 === text.length || text[j + 1] === separator;
+                    break;
+                } else {
+                    value += text[j++];
+                }
+            }
+            if (closed) {
+                fields.push(value);
+                i = j + 2;
+                continue;
+            }
+        }
+        const end = text.indexOf(separator, i);
+        fields.push(text.slice(i, end === -1 ? text.length : end));
+        if (end === -1) break;
+        i = end + 1;
+    }
+    return fields;
+}
+
+/**
+ * Repairs malformed records of one file, learning which columns are numeric from its good rows
+ */
+class RowRepairer {
+    constructor(headers, separator) {
+        this.headers = headers;
+        this.separator = separator;
+        this.profiles = headers.map(() => ({ values: 0, numeric: 0 }));
+    }
+
+    get expected() {
+        return this.headers.length;
+    }
+
+    learn(fields) {
+        fields.forEach((value, i) => {
+            if (value.trim() === '') return;
+            this.profiles[i].values++;
+            if (NUMERIC.test(value.trim())) this.profiles[i].numeric++;
+        });
+    }
+
+    isNumericColumn(i) {
+        const profile = this.profiles[i];
+        return profile.values >= PROFILE_MIN_VALUES && profile.numeric >= profile.values * NUMERIC_SHARE;
+    }
+
+    fits(fields) {
+        return fields.every((value, i) => !this.isNumericColumn(i) || value.trim() === '' || NUMERIC.test(value.trim()));
+    }
+
+    /**
+     * Split a record whose quote ran over line ends back into one row per line. Lines that
+     * still don't fit are quarantined on their own; null when no line fits.
+     */
+    splitAtLines(record) {
+        const outcomes = record.raw.split(/\r\n|\r|\n/)
+            .map((raw, i) => ({ line: record.line + i, raw, fields: splitLine(raw, this.separator) }))
+            .filter(({ raw }) => raw !== '')
+            .map(({ line, raw, fields }) => (fields.length === this.expected && this.fits(fields)
+                ? { line, raw, fields, repair: 'unbalanced quote' }
+                : { line, raw, reason: `expected ${this.expected} fields, found ${fields.length} (unbalanced quote)` }));
+        return outcomes.some(outcome => outcome.fields) ? outcomes : null;
+    }
+
+    /**
+     * Join the extra fields of a long record back into the one column they can belong to.
+     * When several columns could take them, the one where each joined delimiter is followed
+     * by a space (as in "Smith, John") wins.
+     */
+    joinExtraFields(fields) {
+        const extra = fields.length - this.expected;
+        if (fields.slice(this.expected).every(value => value === '')) {
+            return { fields: fields.slice(0, this.expected), repair: 'trailing delimiters' };
+        }
+        const candidates = [];
+        for (let i = 0; i < this.expected; i++) {
+            if (this.isNumericColumn(i)) continue;
+            const joined = [...fields.slice(0, i), fields.slice(i, i + extra + 1).join(this.separator), ...fields.slice(i + extra + 1)];
+            if (this.fits(joined)) {
+                const spaced = fields.slice(i + 1, i + extra + 1).every(value => /^\s/.test(value));
+                candidates.push({ fields: joined, repair: `unquoted delimiter in ${this.headers[i]}`, spaced });
+            }
+        }
+        const spaced = candidates.filter(candidate => candidate.spaced);
+        const [chosen] = candidates.length === 1 ? candidates : spaced.length === 1 ? spaced : [];
+        return chosen ? { fields: chosen.fields, repair: chosen.repair } : null;
+    }
+
+    /**
+     * What becomes of a record, as a list of outcomes { line, raw, fields, repair } for rows
+     * (repair is null for well-formed records) and { line, raw, reason } for quarantined ones
+     */
+    check(record) {
+        const { line, raw, fields, problem } = record;
+        if (fields.length === this.expected && !problem) {
+            return [{ line, raw, fields, repair: null }];
+        }
+
+        const split = /[\r\n]/.test(raw) || problem === 'unclosed quote' ? this.splitAtLines(record) : null;
+        if (split) {
+            return split;
+        }
+        if (fields.length === this.expected) {
+            return [this.fits(fields) ? { line, raw, fields, repair: problem } : { line, raw, reason: problem }];
+        }
+        if (fields.length > this.expected) {
+            const joined = this.joinExtraFields(fields);
+            if (joined) {
+                return [{ line, raw, ...joined }];
+            }
+        }
+        if (fields.length < this.expected) {
+            const padded = [...fields, ...new Array(this.expected - fields.length).fill('')];
+            if (this.fits(padded)) {
+                return [{ line, raw, fields: padded, repair: problem ? `missing trailing fields (${problem})` : 'missing trailing fields' }];
+            }
+        }
+        return [{ line, raw, reason: `expected ${this.expected} fields, found ${fields.length}${problem ? ` (${problem})` : ''}` }];
+    }
+
+    /**
+     * Join a short record with the next one when a line break split a value in two
+     */
+    joinBrokenLine(record, next) {
+        if (record.problem || next.problem || record.fields.length + next.fields.length - 1 !== this.expected) {
+            return null;
+        }
+        const last = record.fields.length - 1;
+        const fields = [...record.fields.slice(0, last), `${record.fields[last]}\n${next.fields[0]}`, ...next.fields.slice(1)];
+        return this.fits(fields) ? { fields, repair: `line break inside ${this.headers[last]}` } : null;
+    }
+}
+
+/**
+ * Turn records (from readRecords, after the header record) into rows of fields.
+ * onMalformed is called with { line, reason, record, repaired } for each record that was
+ * repaired (reason says how) or quarantined (left out).
+ */
+async function* repairRecords(records, headers, separator, onMalformed) {
+    const repairer = new RowRepairer(headers, separator);
+    let pending = null;
+
+    const resolve = (record) => {
+        const rows = [];
+        for (const { line, raw, fields, repair, reason } of repairer.check(record)) {
+            if (!fields) {
+                onMalformed?.({ line, reason, record: raw, repaired: false });
+                continue;
+            }
+            if (repair) {
+                onMalformed?.({ line, reason: repair, record: raw, repaired: true });
+            } else {
+                repairer.learn(fields);
+            }
+            rows.push(fields);
+        }
+        return rows;
+    };
+
+    for await (const record of records) {
+        if (pending) {
+            const joined = repairer.joinBrokenLine(pending, record);
+            const held = pending;
+            pending = null;
+            if (joined) {
+                onMalformed?.({ line: held.line, reason: joined.repair, record: `${held.raw}\n${record.raw}`, repaired: true });
+                yield joined.fields;
+                continue;
+            }
+            yield* resolve(held);
+        }
+        // A short record waits for the next one, which may hold the rest of its last value
+        if (record.fields.length < headers.length && !record.problem) {
+            pending = record;
+            continue;
+        }
+        yield* resolve(record);
+    }
+    if (pending) {
+        yield* resolve(pending);
+    }
+}
+
+export {
+    readRecords,
+    splitLine,
+    RowRepairer,
+    repairRecords
+};
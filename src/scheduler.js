@@ -0,0 +1,214 @@
+/**
+ * Request scheduler for AI providers.
+ *
+ * withScheduler() wraps a provider so its architect, cleaner and dedupe requests run
+ * through one Scheduler, which
+ * - keeps at most `concurrency` requests in flight and queues the rest,
+ * - spaces requests with a token bucket when `requestsPerMinute` is set,
+ * - retries rate limits (429), server errors (5xx), timeouts and dropped connections
+ *   with exponential backoff and full jitter, up to `maxRetries` times,
+ * - honors Retry-After, pausing every queued request until it has passed.
+ *
+ * Other errors (bad requests, authentication, a reached budget) fail immediately.
+ */
+
+import chalk from 'chalk';
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+const AI_METHODS = ['architect', 'cleaner', 'dedupe'];
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network errors worth another attempt; ECONNREFUSED is left out since the server is simply not there
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isRetryableError(error) {
+    const status = error?.response?.status;
+    if (status) {
+        return RETRYABLE_STATUSES.includes(status);
+    }
+    if (TRANSIENT_ERROR_CODES.includes(error?.code)) {
+        return true;
+    }
+    // Providers that wrap HTTP errors in plain Errors
+    return /\b429\b|rate limit|too many requests/i.test(error?.message || '');
+}
+
+/**
+ * Milliseconds asked for by a Retry-After header (seconds or an HTTP date), or null
+ */
+function retryAfterMs(error) {
+    const header = error?.response?.headers?.['retry-after'];
+    if (header === undefined || header === null || header === '') {
+        return null;
+    }
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function describeError(error) {
+    const status = error?.response?.status;
+    return status ? `HTTP ${status}` : error?.code || error?.message || String(error);
+}
+
+/**
+ * Token bucket allowing `ratePerMinute` requests per minute with bursts of up to `capacity`
+ */
+class TokenBucket {
+    constructor(ratePerMinute, capacity = 1) {
+        this.interval = 60000 / ratePerMinute;
+        this.capacity = Math.max(1, capacity);
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / this.interval);
+        this.updatedAt = now;
+    }
+
+    async take() {
+        while (true) {
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - this.tokens) * this.interval));
+        }
+    }
+}
+
+class Scheduler {
+    constructor({ concurrency, requestsPerMinute, maxRetries, baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS } = {}) {
+        this.concurrency = concurrency ?? DEFAULT_CONCURRENCY;
+        this.maxRetries = maxRetries ?? DEFAULT_MAX_RETRIES;
+        if (!(Number.isInteger(this.concurrency) && this.concurrency > 0)) {
+            throw new Error(`Invalid concurrency ${concurrency}: must be a positive whole number`);
+        }
+        if (!(Number.isInteger(this.maxRetries) && this.maxRetries >= 0)) {
+            throw new Error(`Invalid maxRetries ${maxRetries}: must be a whole number of 0 or more`);
+        }
+        if (requestsPerMinute !== undefined && requestsPerMinute !== null && !(requestsPerMinute > 0)) {
+            throw new Error(`Invalid requestsPerMinute ${requestsPerMinute}: must be a positive number`);
+        }
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.bucket = requestsPerMinute ? new TokenBucket(requestsPerMinute, Math.min(this.concurrency, requestsPerMinute)) : null;
+        this.active = 0;
+        this.waiting = [];
+        this.pausedUntil = 0;
+    }
+
+    async acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+        // release() hands its slot straight to the next waiting request
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After when the server sent one, otherwise
+     * exponential backoff with full jitter
+     */
+    retryDelay(error, attempt) {
+        const requested = retryAfterMs(error);
+        if (requested !== null) {
+            return Math.min(requested, this.maxDelayMs) + Math.random() * this.baseDelayMs;
+        }
+        return Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    }
+
+    /**
+     * Run a request, waiting for a free slot and the rate limit, and retrying transient failures
+     */
+    async run(task, label = 'request') {
+        await this.acquire();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                // A rate limit response pauses every request, not just the one that got it
+                while (Date.now() < this.pausedUntil) {
+                    await sleep(this.pausedUntil - Date.now());
+                }
+                if (this.bucket) {
+                    await this.bucket.take();
+                }
+
+                try {
+                    return await task();
+                } catch (error) {
+                    if (attempt >= this.maxRetries || !isRetryableError(error)) {
+                        throw error;
+                    }
+                    const delay = this.retryDelay(error, attempt);
+                    if (error?.response?.status === 429 || retryAfterMs(error) !== null) {
+                        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                    }
+                    console.log(chalk.yellow(`⏸️  ${label} failed (${describeError(error)}) - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.maxRetries})`));
+                    await sleep(delay);
+                }
+            }
+        } finally {
+            this.release();
+        }
+    }
+}
+
+/**
+ * Wrap a provider so its architect, cleaner and dedupe requests go through the scheduler
+ */
+function withScheduler(provider, scheduler) {
+    const scheduled = Object.create(provider);
+    for (const method of AI_METHODS) {
+        scheduled[method] = (payload) => scheduler.run(() => provider[method](payload), `${method} request`);
+    }
+    scheduled.scheduler = scheduler;
+    return scheduled;
+}
+
+/**
+ * The provider itself when it already has a scheduler (shared by the steps of a run),
+ * otherwise the provider wrapped in a new one with the given settings
+ */
+function ensureScheduled(provider, settings = {}) {
+    return provider.scheduler ? provider : withScheduler(provider, new Scheduler(settings));
+}
+
+export {
+    AI_METHODS,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    Scheduler,
+    TokenBucket,
+    isRetryableError,
+    retryAfterMs,
+    withScheduler,
+    ensureScheduled
+};
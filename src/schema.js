@@ -0,0 +1,268 @@
+/**
+ * Structured schema documents returned by the architect.
+ *
+ * The architect replies with a <schema_json> section holding a JSON document that
+ * describes every source column. It is validated against ARCHITECT_SCHEMA (JSON
+ * Schema) plus a few checks JSON Schema can't express (every source column mapped
+ * exactly once, regexes compile), then turned into column_mapping.json and the
+ * legacy <schema_design> CSV that cleaner still reads.
+ */
+
+import Ajv from 'ajv';
+import { formatCsvValue, readQuotedCsvValue } from './csvstream.js';
+
+const DATA_TYPES = ['string', 'int', 'float', 'boolean', 'date', 'datetime'];
+
+const SCHEMA_DESIGN_HEADER = 'data_title,data_type,data_description,data_example,data_regex';
+
+const ARCHITECT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    required: ['columns'],
+    properties: {
+        columns: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['source_column', 'name', 'type', 'regex', 'nullable', 'unique', 'excluded'],
+                properties: {
+                    source_column: { type: 'string', minLength: 1 },
+                    name: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+                    type: { type: 'string', enum: DATA_TYPES },
+                    description: { type: 'string' },
+                    example: { type: ['string', 'number', 'boolean', 'null'] },
+                    regex: { type: 'string', pattern: '^\\^' },
+                    nullable: { type: 'boolean' },
+                    unique: { type: 'boolean' },
+                    excluded: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+// Type names older <schema_design> replies use for the DATA_TYPES
+const DESIGN_TYPE_ALIASES = {
+    integer: 'int',
+    number: 'float',
+    decimal: 'float',
+    double: 'float',
+    bool: 'boolean',
+    timestamp: 'datetime'
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateArchitectSchemaDocument = ajv.compile(ARCHITECT_SCHEMA);
+
+/**
+ * Extract the JSON document from an architect response.
+ * Returns { found, document, errors } - found is false when the response has no <schema_json> section.
+ */
+function extractSchemaJson(responseText) {
+    const match = responseText.match(/<schema_json>\s*([\s\S]*?)\s*<\/schema_json>/);
+    if (!match) {
+        return { found: false, document: null, errors: ['Missing <schema_json> section'] };
+    }
+
+    // Models often wrap JSON in a markdown code fence
+    const jsonText = match[1].replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        return { found: true, document: JSON.parse(jsonText), errors: [] };
+    } catch (error) {
+        return { found: true, document: null, errors: [`<schema_json> is not valid JSON: ${error.message}`] };
+    }
+}
+
+/**
+ * Validate a schema document against ARCHITECT_SCHEMA and the source columns.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+function validateSchemaDocument(document, sourceColumns) {
+    if (!validateArchitectSchemaDocument(document)) {
+        return validateArchitectSchemaDocument.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    }
+
+    const errors = [];
+    const seenSources = new Set();
+    const seenNames = new Set();
+
+    document.columns.forEach((column, i) => {
+        if (!sourceColumns.includes(column.source_column)) {
+            errors.push(`/columns/${i}/source_column '${column.source_column}' is not a column of the input data`);
+        } else if (seenSources.has(column.source_column)) {
+            errors.push(`/columns/${i}/source_column '${column.source_column}' is described more than once`);
+        }
+        seenSources.add(column.source_column);
+
+        if (seenNames.has(column.name)) {
+            errors.push(`/columns/${i}/name '${column.name}' is used more than once`);
+        }
+        seenNames.add(column.name);
+
+        try {
+            new RegExp(column.regex);
+        } catch (error) {
+            errors.push(`/columns/${i}/regex is not a valid regular expression: ${error.message}`);
+        }
+    });
+
+    for (const sourceColumn of sourceColumns) {
+        if (!seenSources.has(sourceColumn)) {
+            errors.push(`source column '${sourceColumn}' is missing from columns`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Lowercase snake_case form of a column name, for matching <schema_design> rows to source columns
+ */
+function normalizeColumnName(name) {
+    return String(name)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Split a <schema_design> row into its four leading CSV fields and the unquoted regex after them
+ */
+function splitDesignRow(row) {
+    const fields = [];
+    let rest = row;
+    while (fields.length < 4) {
+        const quoted = rest.startsWith('"') ? readQuotedCsvValue(rest) : null;
+        if (quoted) {
+            fields.push(quoted.value);
+            rest = quoted.rest;
+        } else {
+            const comma = rest.indexOf(',');
+            fields.push(comma === -1 ? rest : rest.slice(0, comma));
+            rest = comma === -1 ? '' : rest.slice(comma);
+        }
+        if (!rest.startsWith(',')) {
+            return null;
+        }
+        rest = rest.slice(1);
+    }
+    return [...fields, rest.trim()];
+}
+
+/**
+ * Build a schema document from the legacy <schema_design> CSV of an architect response.
+ * Rows are matched to source columns by name (data_title against the snake_case source
+ * header), never by position. Returns { found, document, errors } like extractSchemaJson;
+ * errors lists rows that match no column, and validateSchemaDocument finds the rest.
+ */
+function schemaDesignToDocument(responseText, sourceColumns) {
+    const match = responseText.match(/<schema_design>\s*([\s\S]*?)\s*<\/schema_design>/);
+    if (!match) {
+        return { found: false, document: null, errors: ['Missing <schema_json> section'] };
+    }
+
+    const bySourceName = new Map(sourceColumns.map(sourceColumn => [normalizeColumnName(sourceColumn), sourceColumn]));
+    const columns = [];
+    const errors = [];
+    for (const line of match[1].split('\n')) {
+        let row = line.trim();
+        if (!row || row === SCHEMA_DESIGN_HEADER) {
+            continue;
+        }
+        const excluded = row.startsWith('```EXCLUDE```');
+        const unique = row.startsWith('```UNIQUE```');
+        row = row.replace(/^```(EXCLUDE|UNIQUE)```/, '');
+
+        const fields = splitDesignRow(row);
+        if (!fields) {
+            errors.push(`<schema_design> row '${row}' is not a valid CSV row`);
+            continue;
+        }
+        const [title, dataType, description, example, regex] = fields;
+        const sourceColumn = bySourceName.get(normalizeColumnName(title));
+        if (!sourceColumn) {
+            errors.push(`<schema_design> row '${title}' matches no source column by name`);
+            continue;
+        }
+        const type = dataType.trim().toLowerCase();
+        columns.push({
+            source_column: sourceColumn,
+            name: normalizeColumnName(title),
+            type: DESIGN_TYPE_ALIASES[type] || type,
+            description,
+            example,
+            regex,
+            nullable: true,
+            unique,
+            excluded
+        });
+    }
+
+    return { found: true, document: { columns }, errors };
+}
+
+/**
+ * Order schema columns by the position of their source column
+ */
+function orderBySource(document, sourceColumns) {
+    return sourceColumns
+        .map(sourceColumn => document.columns.find(column => column.source_column === sourceColumn))
+        .filter(Boolean);
+}
+
+/**
+ * Build column_mapping.json entries from a validated schema document.
+ * Columns are matched to the data by source column name, not by position.
+ */
+function schemaToColumnMapping(document, sourceColumns) {
+    const columnMapping = {};
+
+    sourceColumns.forEach((sourceColumn, i) => {
+        const column = document.columns.find(entry => entry.source_column === sourceColumn);
+        if (!column) {
+            return;
+        }
+        columnMapping[sourceColumn] = {
+            name: column.name,
+            isExcluded: column.excluded,
+            unique: column.unique,
+            nullable: column.nullable,
+            index: i + 1, // 1-based indexing
+            dataType: column.type,
+            description: column.description || '',
+            example: column.example === undefined || column.example === null ? '' : String(column.example),
+            regex: column.regex
+        };
+    });
+
+    return columnMapping;
+}
+
+/**
+ * Render a schema document as the <schema_design> CSV consumed by cleaner
+ */
+function schemaToDesignCsv(document, sourceColumns) {
+    const lines = [SCHEMA_DESIGN_HEADER];
+
+    for (const column of orderBySource(document, sourceColumns)) {
+        const prefix = column.excluded ? '```EXCLUDE```' : column.unique ? '```UNIQUE```' : '';
+        const example = column.example === undefined || column.example === null ? '' : String(column.example);
+        // The regex stays unquoted as the last field, where readers of <schema_design> find it by its leading ^
+        lines.push(prefix + [column.name, column.type, column.description || '', example].map(formatCsvValue).join(',') + ',' + column.regex);
+    }
+
+    return lines.join('\n');
+}
+
+export {
+    ARCHITECT_SCHEMA,
+    DATA_TYPES,
+    extractSchemaJson,
+    schemaDesignToDocument,
+    validateSchemaDocument,
+    schemaToColumnMapping,
+    schemaToDesignCsv
+};
@@ -4,74 +4,27 @@
  * Stitcher module for creating the final stitched CSV.
  * 
  * This module:
- * 1. Duplicates data_cleaned.csv as data_stitched.csv
+ * 1. Streams data_cleaned.csv (or data_deduped.csv) into data_stitched.csv
  * 2. Renames headers using column_mapping.json
  * 3. Replaces architect-processed rows with semantic_diff data
  * 4. Applies cleaner changes to specific columns
  * 5. Leaves remaining data unchanged for now
+ *
+ * Architect and cleaner patches are loaded up front and applied by row ID while
+ * rows stream through, so the dataset itself is never held in memory.
  */
 
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import { createObjectCsvWriter } from 'csv-writer';
 import chalk from 'chalk';
 import open from 'open';
+import { readCsvRows, readCsvHeaders, readQuotedCsvValue, createCsvRowWriter } from './csvstream.js';
+import { resolveOutputFormat, describeInvalidValues, writeTypedOutput } from './output.js';
+import { describeConnection, writeDatabaseRows } from './database.js';
+import { loadConfig, getWorkspacePaths, getWorkspace, recordWorkspaceResult } from './project.js';
+import { loadUserRules } from './userrules.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load configuration from config.json (same logic as architect.js)
-function loadConfig() {
-    try {
-        const possiblePaths = [
-            path.join(process.cwd(), 'config.json'),
-            path.join(__dirname, '..', 'config.json'),
-            path.join(__dirname, 'config.json')
-        ];
-        
-        for (const configPath of possiblePaths) {
-            if (fs.existsSync(configPath)) {
-                const configContent = fs.readFileSync(configPath, 'utf-8');
-                const config = JSON.parse(configContent);
-                config._configPath = configPath;
-                return config;
-            }
-        }
-        
-        throw new Error('config.json not found in any expected location');
-    } catch (error) {
-        console.log(chalk.yellow(`⚠️  Warning: Could not load config.json: ${error.message}`));
-        return {
-            data_dir: "data",
-            data_cleaned_file_path: "data_cleaned.csv",
-            data_deduped_file_path: "data_deduped.csv",
-            data_stitched_file_path: "data_stitched.csv",
-            settings__dir: "settings",
-            outputs_dir: "outputs",
-            outputs_architect_output_file: "architect_output.txt",
-            outputs_column_mapping_file: "column_mapping.json",
-            outputs_cleaned_columns_dir: "cleaned_columns"
-        };
-    }
-}
-
-const config = loadConfig();
-
-// Configure paths using working directory for outputs
-const workingDir = process.cwd();
-const dataDir = path.join(workingDir, config.data_dir || 'data');
-const outputsDir = path.join(workingDir, config.outputs_dir || 'outputs');
-
-// Ensure directories exist
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
-if (!fs.existsSync(outputsDir)) {
-    fs.mkdirSync(outputsDir, { recursive: true });
-}
 
 /**
  * Load column mapping from JSON file
@@ -188,6 +141,23 @@ function extractSemanticDiffFromCleanerOutput(filePath) {
     }
 }
 
+/**
+ * Read a quoted corrected value that starts on lines[lineIndex] and may continue over the next lines
+ * (the cleaner writes values holding line breaks that way).
+ * Returns { value, lastLine }, or null when it isn't a well-formed CSV value.
+ */
+function readQuotedDiffValue(text, lines, lineIndex) {
+    let lastLine = lineIndex;
+    let quoted = readQuotedCsvValue(text);
+    // A line starting with a row ID begins the next change, so an unclosed quote stops there
+    while (!quoted && lastLine + 1 < lines.length && !/^\d+,/.test(lines[lastLine + 1].trim())) {
+        lastLine++;
+        text += `\n${lines[lastLine]}`;
+        quoted = readQuotedCsvValue(text);
+    }
+    return quoted && quoted.rest.trim() === '' ? { value: quoted.value, lastLine } : null;
+}
+
 /**
  * Parse semantic_diff to extract row IDs, corrected values, flagged status, and flag reason
  */
@@ -195,8 +165,8 @@ function parseSemanticDiffChanges(semanticDiff) {
     const changes = [];
 
     const lines = semanticDiff.split('\n');
-    for (const line of lines) {
-        const trimmedLine = line.trim();
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const trimmedLine = lines[lineIndex].trim();
         if (!trimmedLine) continue;
 
         // Skip lines that indicate existing data
@@ -213,8 +183,13 @@ function parseSemanticDiffChanges(semanticDiff) {
                     const rowId = parseInt(trimmedLine.substring(0, commaIdx));
                     let correctedValue = trimmedLine.substring(commaIdx + 1);
 
-                    // Remove quotes if present (we'll add them back if needed)
-                    if (correctedValue.startsWith('"') && correctedValue.endsWith('"')) {
+                    // A quoted value may hold escaped quotes and continue over the next lines;
+                    // quotes that don't form a CSV value are just removed
+                    const quoted = correctedValue.startsWith('"') ? readQuotedDiffValue(correctedValue, lines, lineIndex) : null;
+                    if (quoted) {
+                        correctedValue = quoted.value;
+                        lineIndex = quoted.lastLine;
+                    } else if (correctedValue.startsWith('"') && correctedValue.endsWith('"')) {
                         correctedValue = correctedValue.slice(1, -1);
                     }
 
@@ -237,12 +212,30 @@ function parseSemanticDiffChanges(semanticDiff) {
  * Extract column name from cleaner output filename
  */
 function getColumnNameFromFilename(filename) {
-    // Remove _output.txt or _batch_X_output.txt suffix
+    // Remove _output.txt, _batch_X_output.txt or .rules_output.txt (built-in rule fixes) suffix
     let name = filename.replace('_output.txt', '');
-    name = name.replace(/_batch_\d+$/, '');
+    name = name.replace(/_batch_\d+$/, '').replace(/\.rules$/, '');
     return name;
 }
 
+/**
+ * Rows behind each value the cleaner sent to the AI, from <column>.values.json next to its outputs:
+ * a Map from the value key the AI saw to the IDs of every row with that value. Null when the file is missing.
+ */
+function loadValueGroups(cleanerOutputDir, columnName) {
+    const groupsPath = path.join(cleanerOutputDir, `${columnName}.values.json`);
+    if (!fs.existsSync(groupsPath)) {
+        return null;
+    }
+    try {
+        const { groups } = JSON.parse(fs.readFileSync(groupsPath, 'utf-8'));
+        return new Map(Object.entries(groups).map(([key, rowIds]) => [parseInt(key), rowIds.map(id => parseInt(id))]));
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not read ${groupsPath}: ${error.message}`));
+        return null;
+    }
+}
+
 /**
  * Find the column index by the new column name
  */
@@ -255,44 +248,6 @@ function findColumnIndexByNewName(columnMapping, newName) {
     return -1;
 }
 
-/**
- * Read CSV file and return as array of objects
- */
-async function readCsvFile(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (data) => results.push(data))
-            .on('end', () => resolve(results))
-            .on('error', reject);
-    });
-}
-
-/**
- * Convert array of objects to CSV string
- */
-function arrayToCsv(data) {
-    if (data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvLines = [headers.join(',')];
-    
-    for (const row of data) {
-        const values = headers.map(header => {
-            let value = row[header] || '';
-            // Escape quotes and wrap in quotes if contains comma or quote
-            if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-                value = '"' + value.replace(/"/g, '""') + '"';
-            }
-            return value;
-        });
-        csvLines.push(values.join(','));
-    }
-    
-    return csvLines.join('\n');
-}
-
 /**
  * Check if a value is empty/null/undefined (from cleaner.js)
  */
@@ -325,11 +280,11 @@ function testRegexMatch(value, regex) {
 }
 
 /**
- * Validate all data against regex patterns and return statistics
+ * Create an incremental regex validator that accumulates statistics row by row.
+ * Columns with a custom validate rule (see userrules.js) are checked against it too.
  */
-function validateDataAgainstRegex(data, columnMapping) {
-    const results = {};
-    const dataHeaders = data.length > 0 ? Object.keys(data[0]) : [];
+function createRegexValidator(columnMapping, headers, userRules = null) {
+    const columns = [];
     
     // For each column in the mapping
     for (const [originalColumnName, columnInfo] of Object.entries(columnMapping)) {
@@ -340,94 +295,112 @@ function validateDataAgainstRegex(data, columnMapping) {
             continue;
         }
         
-        // Skip columns with catch-all regex
-        if (regex === '^.*$') {
+        // Skip columns with catch-all regex, unless a custom rule validates them
+        const columnRules = userRules?.forColumn(columnInfo, originalColumnName);
+        if (regex === '^.*$' && !columnRules?.hasValidator) {
             continue;
         }
         
-        // Find the column in the data by its new name
+        // Find the column in the data by its position
         const columnIndex = index - 1; // Convert to 0-based
-        if (columnIndex < 0 || columnIndex >= dataHeaders.length) {
+        if (columnIndex < 0 || columnIndex >= headers.length) {
             continue;
         }
         
-        const columnHeader = dataHeaders[columnIndex];
-        
-        let validCount = 0;
-        let invalidCount = 0;
-        let emptyCount = 0;
-        const invalidRows = [];
-        
-        for (const [idx, row] of data.entries()) {
-            const value = row[columnHeader];
-            
-            if (isEmptyValue(value)) {
-                emptyCount++;
-                validCount++; // Empty values are considered valid
-            } else if (testRegexMatch(value, regex)) {
-                validCount++;
-            } else {
-                invalidCount++;
-                invalidRows.push({ rowId: idx + 1, value });
-            }
-        }
-        
-        const totalCount = data.length;
-        const validPercentage = totalCount > 0 ? (validCount / totalCount * 100).toFixed(2) : 0;
-        const invalidPercentage = totalCount > 0 ? (invalidCount / totalCount * 100).toFixed(2) : 0;
-        
-        results[columnName] = {
+        columns.push({
+            columnName,
             originalColumnName,
-            columnHeader,
+            columnIndex,
+            columnHeader: headers[columnIndex],
             regex,
-            totalCount,
-            validCount,
-            invalidCount,
-            emptyCount,
-            validPercentage: parseFloat(validPercentage),
-            invalidPercentage: parseFloat(invalidPercentage),
-            invalidRows
-        };
+            columnRules,
+            validCount: 0,
+            invalidCount: 0,
+            emptyCount: 0,
+            invalidRows: []
+        });
     }
     
-    return results;
+    let totalCount = 0;
+    
+    return {
+        addRow(values, rowId) {
+            totalCount++;
+            for (const column of columns) {
+                const value = values[column.columnIndex];
+                
+                if (isEmptyValue(value)) {
+                    column.emptyCount++;
+                    column.validCount++; // Empty values are considered valid
+                } else if (!testRegexMatch(value, column.regex)) {
+                    column.invalidCount++;
+                    column.invalidRows.push({ rowId, value });
+                } else {
+                    const reason = column.columnRules?.invalidReason(value, String(rowId));
+                    if (reason) {
+                        column.invalidCount++;
+                        column.invalidRows.push({ rowId, value, reason });
+                    } else {
+                        column.validCount++;
+                    }
+                }
+            }
+        },
+        
+        getResults() {
+            const results = {};
+            for (const column of columns) {
+                const validPercentage = totalCount > 0 ? (column.validCount / totalCount * 100).toFixed(2) : 0;
+                const invalidPercentage = totalCount > 0 ? (column.invalidCount / totalCount * 100).toFixed(2) : 0;
+                
+                results[column.columnName] = {
+                    originalColumnName: column.originalColumnName,
+                    columnHeader: column.columnHeader,
+                    regex: column.regex,
+                    totalCount,
+                    validCount: column.validCount,
+                    invalidCount: column.invalidCount,
+                    emptyCount: column.emptyCount,
+                    validPercentage: parseFloat(validPercentage),
+                    invalidPercentage: parseFloat(invalidPercentage),
+                    invalidRows: column.invalidRows
+                };
+            }
+            return results;
+        }
+    };
 }
 
 /**
- * Apply cleaner changes to the DataFrame and create analysis log
+ * Load cleaner output files and index their changes by row ID.
+ * Returns null when there are no cleaner outputs to apply.
  */
-async function applyCleanerChanges(data, columnMapping) {
-    
-    // Paths
+function loadCleanerChanges(columnMapping, headers) {
+    const config = loadConfig();
+    const { outputsDir } = getWorkspacePaths(config);
     const cleanerOutputDir = path.join(outputsDir, config.outputs_cleaned_columns_dir || 'cleaned_columns', 'outputs');
-    const htmlOutputPath = path.join(outputsDir, config.outputs_cleaner_changes_analysis_file || 'cleaner_changes_analysis.html');
     
-    console.log(chalk.blue('🧹 Applying cleaner column changes...'));
-    
-    // Run regex validation BEFORE applying cleaner changes
-    console.log(chalk.blue('🔍 Running regex validation on pre-cleaner data...'));
-    const preCleanerValidation = validateDataAgainstRegex(data, columnMapping);
-    console.log(chalk.green(`✅ Pre-cleaner validation completed for ${Object.keys(preCleanerValidation).length} columns`));
+    console.log(chalk.blue('🧹 Loading cleaner column changes...'));
     
     // Get all cleaner output files
     if (!fs.existsSync(cleanerOutputDir)) {
         console.log(chalk.yellow(`⚠️  Cleaner output directory not found: ${cleanerOutputDir}`));
         console.log('   Skipping cleaner changes application');
-        return true; // Not an error, just no cleaner outputs to apply
+        return null; // Not an error, just no cleaner outputs to apply
     }
     
     const outputFiles = fs.readdirSync(cleanerOutputDir).filter(f => f.endsWith('_output.txt'));
     if (outputFiles.length === 0) {
         console.log(chalk.yellow('⚠️  No cleaner output files found'));
         console.log('   Skipping cleaner changes application');
-        return true;
+        return null;
     }
     
     console.log(chalk.green(`✅ Found ${outputFiles.length} cleaner output files`));
     
-    // Analyze each file and collect changes
-    const allChanges = [];
-    let totalApplied = 0;
+    const changesByRow = new Map();
+    const appliedByFile = new Map();
+    const valueGroupsByColumn = new Map();
     
     for (const filename of outputFiles.sort()) {
         const filePath = path.join(cleanerOutputDir, filename);
@@ -442,14 +415,11 @@ async function applyCleanerChanges(data, columnMapping) {
             continue;
         }
         
-        if (columnIndex >= data[0] ? Object.keys(data[0]).length : 0) {
+        if (columnIndex >= headers.length) {
             console.log(chalk.yellow(`⚠️  Column index ${columnIndex} out of range`));
             continue;
         }
         
-        const columnHeaders = data.length > 0 ? Object.keys(data[0]) : [];
-        const columnHeader = columnHeaders[columnIndex];
-        
         // Extract semantic diff
         const semanticDiff = extractSemanticDiffFromCleanerOutput(filePath);
         if (!semanticDiff) {
@@ -464,63 +434,88 @@ async function applyCleanerChanges(data, columnMapping) {
             continue;
         }
         
-        console.log(chalk.green(`✅ Found ${changes.length} changes in ${filename}`));
+        // AI outputs are keyed by distinct value; fan each correction out to every row with that value
+        if (!valueGroupsByColumn.has(columnName)) {
+            valueGroupsByColumn.set(columnName, loadValueGroups(cleanerOutputDir, columnName));
+        }
+        const valueGroups = filename.endsWith('.rules_output.txt') ? null : valueGroupsByColumn.get(columnName);
+        const rowCount = valueGroups ? changes.reduce((count, { rowId }) => count + (valueGroups.get(rowId)?.length || 0), 0) : changes.length;
         
-        // Apply changes to data and collect for analysis
-        let changesApplied = 0;
-        for (const change of changes) {
-            const { rowId, correctedValue } = change;
-            const dataIndex = rowId - 1; // Convert to 0-based
-            
-            if (dataIndex >= 0 && dataIndex < data.length) {
-                const currentValue = data[dataIndex][columnHeader] || '';
-                
-                // Remove quotes from corrected_value for comparison and application
-                let cleanCorrectedValue = correctedValue;
-                if (cleanCorrectedValue.startsWith('"') && cleanCorrectedValue.endsWith('"')) {
-                    cleanCorrectedValue = cleanCorrectedValue.slice(1, -1);
+        console.log(chalk.green(`✅ Found ${changes.length} changes in ${filename}${valueGroups ? ` (for ${rowCount} rows)` : ''}`));
+        appliedByFile.set(filename, 0);
+        
+        for (const { rowId, correctedValue } of changes) {
+            const targetRowIds = valueGroups ? valueGroups.get(rowId) : [rowId];
+            if (!targetRowIds) {
+                console.log(chalk.yellow(`⚠️  Unknown value key ${rowId} in ${filename}, skipping`));
+                continue;
+            }
+            for (const targetRowId of targetRowIds) {
+                if (!changesByRow.has(targetRowId)) {
+                    changesByRow.set(targetRowId, []);
                 }
-                
-                const needsChange = String(currentValue) !== cleanCorrectedValue;
-                
-                const changeInfo = {
+                changesByRow.get(targetRowId).push({
                     filename,
                     columnName,
-                    columnHeader,
+                    columnHeader: headers[columnIndex],
                     columnIndex,
-                    rowId,
-                    currentValue: String(currentValue),
-                    correctedValue: cleanCorrectedValue,
-                    isFlagged: false, // will be updated later
-                    flagReason: '',   // will be updated later
-                    needsChange,
-                    unableToFix: false // will be updated later
-                };
-                
-                allChanges.push(changeInfo);
-                
-                // Apply the change if needed
-                if (changeInfo.needsChange) {
-                    data[dataIndex][columnHeader] = cleanCorrectedValue;
-                    changesApplied++;
-                    console.log(chalk.green(`  ✅ Applied Row ${rowId}: '${currentValue}' → '${cleanCorrectedValue}'`));
-                } else {
-                    console.log(chalk.white(`  ⚪ Row ${rowId}: Already correct ('${currentValue}')`));
-                }
-            } else {
-                console.log(chalk.yellow(`  ⚠️  Row ${rowId} out of range`));
+                    correctedValue
+                });
             }
         }
-        
-        totalApplied += changesApplied;
-        console.log(chalk.blue(`📊 Applied ${changesApplied} changes from ${filename}`));
     }
+    
+    return { changesByRow, appliedByFile };
+}
 
-    // Run regex validation AFTER applying cleaner changes
-    console.log(chalk.blue('\n🔍 Running regex validation on post-cleaner data...'));
-    const postCleanerValidation = validateDataAgainstRegex(data, columnMapping);
-    console.log(chalk.green(`✅ Post-cleaner validation completed for ${Object.keys(postCleanerValidation).length} columns`));
+/**
+ * Apply the cleaner changes for a single row and record them for the analysis report
+ */
+function applyCleanerChangesToRow(values, rowId, cleanerChanges, allChanges) {
+    const rowChanges = cleanerChanges.changesByRow.get(rowId);
+    if (!rowChanges) {
+        return;
+    }
+    
+    for (const change of rowChanges) {
+        const currentValue = values[change.columnIndex] || '';
+        const needsChange = String(currentValue) !== change.correctedValue;
+        
+        allChanges.push({
+            filename: change.filename,
+            columnName: change.columnName,
+            columnHeader: change.columnHeader,
+            columnIndex: change.columnIndex,
+            rowId,
+            currentValue: String(currentValue),
+            correctedValue: change.correctedValue,
+            isFlagged: false, // will be updated later
+            flagReason: '',   // will be updated later
+            needsChange,
+            unableToFix: false // will be updated later
+        });
+        
+        // Apply the change if needed
+        if (needsChange) {
+            values[change.columnIndex] = change.correctedValue;
+            cleanerChanges.appliedByFile.set(change.filename, cleanerChanges.appliedByFile.get(change.filename) + 1);
+            console.log(chalk.green(`  ✅ Applied Row ${rowId}: '${currentValue}' → '${change.correctedValue}'`));
+        } else {
+            console.log(chalk.white(`  ⚪ Row ${rowId}: Already correct ('${currentValue}')`));
+        }
+    }
+    
+    cleanerChanges.changesByRow.delete(rowId);
+}
 
+/**
+ * Flag rows that still fail validation and write the cleaner analysis report
+ */
+async function writeCleanerAnalysis(allChanges, preCleanerValidation, postCleanerValidation, columnMapping, headers) {
+    const config = loadConfig();
+    const { outputsDir } = getWorkspacePaths(config);
+    const htmlOutputPath = path.join(outputsDir, config.outputs_cleaner_changes_analysis_file || 'cleaner_changes_analysis.html');
+    
     // --- NEW: Flagging logic based on post-cleaner validation ---
     console.log(chalk.blue('\n🚩 Flagging rows that fail regex validation...'));
 
@@ -531,7 +526,7 @@ async function applyCleanerChanges(data, columnMapping) {
             const key = `${invalidRow.rowId}:${columnName}`;
             invalidRowMap.set(key, {
                 value: invalidRow.value,
-                reason: `Value '${invalidRow.value}' does not match regex: ${validationResult.regex}`
+                reason: invalidRow.reason || `Value '${invalidRow.value}' does not match regex: ${validationResult.regex}`
             });
         }
     }
@@ -557,8 +552,7 @@ async function applyCleanerChanges(data, columnMapping) {
             const columnIndex = findColumnIndexByNewName(columnMapping, columnName);
             if (columnIndex === -1) continue;
 
-            const columnHeaders = data.length > 0 ? Object.keys(data[0]) : [];
-            const columnHeader = columnHeaders[columnIndex];
+            const columnHeader = headers[columnIndex];
 
             allChanges.push({
                 filename: 'N/A (Regex Validation)',
@@ -577,6 +571,8 @@ async function applyCleanerChanges(data, columnMapping) {
     }
     // --- END of new logic ---
 
+    recordWorkspaceResult('changes', allChanges);
+
     // Write HTML report
     console.log(chalk.blue(`\n📝 Writing analysis report...`));
     
@@ -1162,8 +1158,10 @@ async function applyCleanerChanges(data, columnMapping) {
  * Create the stitched CSV by following the recommended approach
  */
 async function createStitchedCsv() {
+    const config = loadConfig();
     
     // File paths
+    const { dataDir, outputsDir } = getWorkspacePaths(config);
     const cleanedCsvFile = path.join(dataDir, config.data_cleaned_file_path || 'data_cleaned.csv');
     const dedupedCsvFile = path.join(dataDir, config.data_deduped_file_path || 'data_deduped.csv');
     const stitchedCsvFile = path.join(dataDir, config.data_stitched_file_path || 'data_stitched.csv');
@@ -1184,10 +1182,10 @@ async function createStitchedCsv() {
         console.log(chalk.blue('📖 Loading data_cleaned.csv...'));
     }
     
-    let data;
+    let dataHeaders;
     try {
-        data = await readCsvFile(inputCsvFile);
-        console.log(chalk.green(`✅ Loaded ${data.length} rows from ${inputDescription}`));
+        dataHeaders = await readCsvHeaders(inputCsvFile);
+        console.log(chalk.green(`✅ Opened ${inputDescription} for streaming`));
     } catch (error) {
         console.log(chalk.red(`❌ Error loading ${inputDescription}: ${error.message}`));
         return false;
@@ -1202,7 +1200,6 @@ async function createStitchedCsv() {
     }
     
     console.log(chalk.blue('🔄 Analyzing column order...'));
-    const dataHeaders = data.length > 0 ? Object.keys(data[0]) : [];
     console.log(chalk.blue(`📊 CSV has ${dataHeaders.length} columns`));
     console.log(chalk.blue(`📊 Mapping has ${Object.keys(columnMapping).length} entries`));
     
@@ -1223,8 +1220,8 @@ async function createStitchedCsv() {
     // Use positional mapping based on index - rename ALL columns (don't skip excluded ones)
     let renamedCount = 0;
     
-    // Create mapping from old headers to new headers
-    const headerMapping = {};
+    // Stitched headers keep the input column order, renamed by position
+    const stitchedHeaders = [...dataHeaders];
     
     for (const [originalHeader, columnInfo] of sortedMapping) {
         const index = columnInfo.index - 1; // Convert to 0-based
@@ -1235,11 +1232,10 @@ async function createStitchedCsv() {
             const isExcluded = columnInfo.isExcluded || false;
             
             if (actualColumn === originalHeader) {
-                // Perfect match
-                headerMapping[actualColumn] = newName;
+                // Perfect match; columns preclean renamed also show their header in the input
                 const status = isExcluded ? "EXCLUDED" : "INCLUDED";
-                console.log(chalk.green(`  ✅ Renamed [${index + 1}] '${actualColumn}' → '${newName}' (${status})`));
-                renamedCount++;
+                const inputHeader = columnInfo.originalHeader !== undefined ? ` (input header '${columnInfo.originalHeader}')` : '';
+                console.log(chalk.green(`  ✅ Renamed [${index + 1}] '${actualColumn}'${inputHeader} → '${newName}' (${status})`));
             } else {
                 // Position mismatch - use position-based mapping
                 console.log(chalk.yellow(`  ⚠️  Position mismatch at index ${index + 1}:`));
@@ -1247,27 +1243,17 @@ async function createStitchedCsv() {
                 console.log(`      Found: '${actualColumn}'`);
                 const status = isExcluded ? "EXCLUDED" : "INCLUDED";
                 console.log(`      Using position-based mapping → '${newName}' (${status})`);
-                headerMapping[actualColumn] = newName;
-                renamedCount++;
             }
+            stitchedHeaders[index] = newName;
+            renamedCount++;
         } else {
             console.log(chalk.red(`  ❌ Index ${index + 1} out of range for column '${originalHeader}'`));
         }
     }
     
-    // Apply header renaming to data
-    for (const row of data) {
-        for (const [oldHeader, newHeader] of Object.entries(headerMapping)) {
-            if (row.hasOwnProperty(oldHeader)) {
-                row[newHeader] = row[oldHeader];
-                delete row[oldHeader];
-            }
-        }
-    }
-    
     console.log(chalk.green(`\n✅ Renamed ${renamedCount} columns (including excluded ones)`));
     
-    // Step 3: Extract and apply architect semantic diff
+    // Step 3: Extract architect semantic diff
     console.log(chalk.blue('📖 Extracting semantic diff from architect output...'));
     const semanticDiff = extractSemanticDiffFromArchitect(architectOutputFile);
     if (!semanticDiff) {
@@ -1279,99 +1265,175 @@ async function createStitchedCsv() {
     const correctedRows = parseArchitectSemanticDiff(semanticDiff);
     console.log(chalk.green(`✅ Found ${Object.keys(correctedRows).length} corrected rows from architect`));
     
-    // Step 4: Apply architect corrections (replace first x rows)
-    console.log(chalk.blue('🔄 Applying architect corrections...'));
-    let rowsUpdated = 0;
+    // Custom validate rules flag values the regex alone would accept
+    let userRules;
+    try {
+        userRules = await loadUserRules(config);
+    } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return false;
+    }
+    if (userRules) {
+        console.log(chalk.blue(`📏 Custom rules loaded from: ${userRules.source}`));
+    }
+    
+    // Step 4: Load cleaner changes, indexed by row ID
+    console.log(chalk.blue('\n' + '='.repeat(50)));
+    const cleanerChanges = loadCleanerChanges(columnMapping, stitchedHeaders);
+    const allChanges = [];
+    const preCleanerValidator = createRegexValidator(columnMapping, stitchedHeaders, userRules);
+    const postCleanerValidator = createRegexValidator(columnMapping, stitchedHeaders, userRules);
     
-    const newDataHeaders = data.length > 0 ? Object.keys(data[0]) : [];
+    // Step 5: Stream rows, applying architect corrections and cleaner changes on the fly
+    console.log(chalk.blue('\n🔄 Applying architect corrections and cleaner changes...'));
+    console.log(chalk.blue('💾 Saving stitched CSV...'));
+    let rowsUpdated = 0;
+    let rowCount = 0;
     
-    for (const [rowId, correctedData] of Object.entries(correctedRows)) {
-        // Convert 1-based row ID to 0-based array index
-        const dataIndex = parseInt(rowId) - 1;
+    try {
+        const writer = createCsvRowWriter(stitchedCsvFile, stitchedHeaders);
         
-        if (dataIndex >= 0 && dataIndex < data.length) {
-            // Apply corrections - architect data should match all CSV columns
-            if (correctedData.length === newDataHeaders.length) {
-                for (let i = 0; i < correctedData.length; i++) {
-                    data[dataIndex][newDataHeaders[i]] = correctedData[i];
-                }
-                rowsUpdated++;
-                console.log(chalk.green(`✅ Updated row ${rowId} with ${correctedData.length} values`));
-            } else if (correctedData.length < newDataHeaders.length) {
-                // Apply partial corrections and pad with existing values
-                for (let i = 0; i < correctedData.length; i++) {
-                    data[dataIndex][newDataHeaders[i]] = correctedData[i];
+        try {
+            for await (const row of readCsvRows(inputCsvFile)) {
+                rowCount++;
+                const rowId = rowCount; // 1-based row ID
+                const values = dataHeaders.map(header => row[header] || '');
+                
+                // Apply architect corrections - architect data should match all CSV columns
+                const correctedData = correctedRows[rowId];
+                if (correctedData) {
+                    const count = Math.min(correctedData.length, values.length);
+                    for (let i = 0; i < count; i++) {
+                        values[i] = correctedData[i];
+                    }
+                    rowsUpdated++;
+                    if (correctedData.length === values.length) {
+                        console.log(chalk.green(`✅ Updated row ${rowId} with ${correctedData.length} values`));
+                    } else if (correctedData.length < values.length) {
+                        console.log(chalk.green(`✅ Updated row ${rowId} with ${correctedData.length} values (partial)`));
+                    } else {
+                        console.log(chalk.green(`✅ Updated row ${rowId} with ${values.length} values (truncated from ${correctedData.length})`));
+                    }
                 }
-                rowsUpdated++;
-                console.log(chalk.green(`✅ Updated row ${rowId} with ${correctedData.length} values (partial)`));
-            } else {
-                // More corrected data than columns - truncate
-                for (let i = 0; i < newDataHeaders.length; i++) {
-                    data[dataIndex][newDataHeaders[i]] = correctedData[i];
+                
+                // Validate before and after applying cleaner changes
+                if (cleanerChanges) {
+                    preCleanerValidator.addRow(values, rowId);
+                    applyCleanerChangesToRow(values, rowId, cleanerChanges, allChanges);
+                    postCleanerValidator.addRow(values, rowId);
                 }
-                rowsUpdated++;
-                console.log(chalk.green(`✅ Updated row ${rowId} with ${newDataHeaders.length} values (truncated from ${correctedData.length})`));
+                
+                await writer.writeRow(values);
             }
+        } finally {
+            await writer.close();
         }
+    } catch (error) {
+        console.log(chalk.red(`❌ Error saving stitched CSV: ${error.message}`));
+        return false;
     }
     
     console.log(chalk.green(`✅ Updated ${rowsUpdated} rows with architect corrections`));
     
-    // Step 5: Apply cleaner changes
-    console.log(chalk.blue('\n' + '='.repeat(50)));
-    const cleanerSuccess = await applyCleanerChanges(data, columnMapping);
-    if (!cleanerSuccess) {
-        console.log(chalk.yellow('⚠️  Warning: Cleaner changes application had issues, but continuing...'));
-    }
-    
-    // Step 6: Save the stitched CSV
-    console.log(chalk.blue('💾 Saving stitched CSV...'));
-    try {
-        const csvContent = arrayToCsv(data);
-        await fsp.writeFile(stitchedCsvFile, csvContent, 'utf-8');
-        console.log(chalk.green(`✅ Stitched CSV saved to: ${stitchedCsvFile}`));
-        console.log(chalk.blue(`📊 Final CSV has ${data.length} rows and ${data.length > 0 ? Object.keys(data[0]).length : 0} columns`));
+    if (cleanerChanges) {
+        // Anything left over refers to rows beyond the end of the data
+        for (const rowId of cleanerChanges.changesByRow.keys()) {
+            console.log(chalk.yellow(`  ⚠️  Row ${rowId} out of range`));
+        }
+        for (const [filename, applied] of cleanerChanges.appliedByFile) {
+            console.log(chalk.blue(`📊 Applied ${applied} changes from ${filename}`));
+        }
         
-        // Add HTML report URL at the end and open it
-        const htmlOutputPath = path.join(outputsDir, config.outputs_cleaner_changes_analysis_file || 'cleaner_changes_analysis.html');
-        const fileUrl = `file://${htmlOutputPath}`;
-        console.log(chalk.blue(`\n🌐 Opening analysis report in your browser...`));
-        console.log(chalk.cyan(fileUrl));
+        const preCleanerValidation = preCleanerValidator.getResults();
+        console.log(chalk.green(`✅ Pre-cleaner validation completed for ${Object.keys(preCleanerValidation).length} columns`));
+        const postCleanerValidation = postCleanerValidator.getResults();
+        console.log(chalk.green(`✅ Post-cleaner validation completed for ${Object.keys(postCleanerValidation).length} columns`));
         
-        try {
-            await open(fileUrl);
-            console.log(chalk.green('✅ Report opened in browser'));
-        } catch (error) {
-            console.log(chalk.yellow(`⚠️  Could not automatically open the report: ${error.message}`));
-            console.log(chalk.yellow('   Please open the URL above manually in your browser'));
+        const cleanerSuccess = await writeCleanerAnalysis(allChanges, preCleanerValidation, postCleanerValidation, columnMapping, stitchedHeaders);
+        if (!cleanerSuccess) {
+            console.log(chalk.yellow('⚠️  Warning: Cleaner changes application had issues, but continuing...'));
         }
-        
+    }
+    
+    console.log(chalk.green(`✅ Stitched CSV saved to: ${stitchedCsvFile}`));
+    console.log(chalk.blue(`📊 Final CSV has ${rowCount} rows and ${stitchedHeaders.length} columns`));
+    
+    // Add HTML report URL at the end and open it
+    const htmlOutputPath = path.join(outputsDir, config.outputs_cleaner_changes_analysis_file || 'cleaner_changes_analysis.html');
+    const fileUrl = `file://${htmlOutputPath}`;
+
+    // Pipelines run without a browser
+    const workspace = getWorkspace();
+    if (workspace && !workspace.interactive) {
+        console.log(chalk.blue(`\n🌐 Analysis report: ${fileUrl}`));
         return true;
+    }
+
+    console.log(chalk.blue(`\n🌐 Opening analysis report in your browser...`));
+    console.log(chalk.cyan(fileUrl));
+    
+    try {
+        await open(fileUrl);
+        console.log(chalk.green('✅ Report opened in browser'));
     } catch (error) {
-        console.log(chalk.red(`❌ Error saving stitched CSV: ${error.message}`));
-        return false;
+        console.log(chalk.yellow(`⚠️  Could not automatically open the report: ${error.message}`));
+        console.log(chalk.yellow('   Please open the URL above manually in your browser'));
     }
+    
+    return true;
 }
 
 /**
- * Main function to run the stitcher process
+ * Main function to run the stitcher process.
+ * options.outputFormat also writes the stitched data as parquet, jsonl, xlsx or sqlite.
+ * options.sink (a connection string) also writes it into the options.sinkTable table of a database.
  */
-export async function main() {
+export async function main(options = {}) {
+    const config = loadConfig();
     try {
+        const outputFormat = resolveOutputFormat(options.outputFormat);
+        
         // Show configuration info
-        if (config._configPath) {
+        if (config._projectPath) {
+            console.log(chalk.gray(`📋 Project config loaded from: ${config._projectPath}`));
+        } else if (config._configPath) {
             console.log(chalk.gray(`📋 Config loaded from: ${config._configPath}`));
         } else {
             console.log(chalk.yellow('📋 Using default configuration (config.json not found)'));
         }
         
-        // Create output directories if they don't exist
-        await fsp.mkdir(dataDir, { recursive: true });
-        await fsp.mkdir(outputsDir, { recursive: true });
-        
         // Run the stitching process
         const success = await createStitchedCsv();
         
+        if (success && (outputFormat !== 'csv' || options.sink)) {
+            const { dataDir, outputsDir } = getWorkspacePaths(config);
+            const stitchedCsvFile = path.join(dataDir, config.data_stitched_file_path || 'data_stitched.csv');
+            const columnMapping = loadColumnMapping(path.join(outputsDir, config.outputs_column_mapping_file || 'column_mapping.json'));
+            
+            if (outputFormat !== 'csv') {
+                console.log(chalk.blue(`\n💾 Writing ${outputFormat} output with column types from column_mapping.json...`));
+                const output = await writeTypedOutput(stitchedCsvFile, outputFormat, columnMapping);
+                console.log(chalk.green(`✅ ${outputFormat} output saved to: ${output.outputPath} (${output.rowCount} rows)`));
+                const invalid = describeInvalidValues(output, outputFormat);
+                if (invalid) {
+                    console.log(chalk.yellow(`⚠️  ${invalid}`));
+                }
+            }
+            
+            if (options.sink) {
+                console.log(chalk.blue(`\n🗄️  Writing stitched data to ${describeConnection(options.sink)}...`));
+                const sink = await writeDatabaseRows(options.sink, stitchedCsvFile, columnMapping, { table: options.sinkTable });
+                if (sink.created) {
+                    console.log(chalk.green(`✅ Created table ${sink.table} from column_mapping.json`));
+                }
+                console.log(chalk.green(`✅ Inserted ${sink.rowCount} rows into ${sink.table}`));
+                if (sink.invalidValues > 0) {
+                    console.log(chalk.yellow(`⚠️  ${sink.invalidValues} values did not match their column type and were written as NULL`));
+                }
+                recordWorkspaceResult('sink', sink);
+            }
+        }
+        
         if (success) {
             console.log(chalk.green('\n🎉 Stitcher process completed successfully!'));
             return true;
@@ -0,0 +1,161 @@
+/**
+ * Survivorship rules for dedupe.
+ *
+ * Instead of dropping the rows the AI marks as duplicates, each duplicate group is
+ * merged into a single golden record. Every column picks its value from the group
+ * with one of these rules:
+ * - prefer_non_empty: the survivor's value, or the first non-empty value of the other rows
+ * - most_complete:    the value from the row with the most non-empty fields
+ * - most_recent:      the value from the row with the latest date in the recency column
+ * - longest:          the longest value
+ * - majority:         the most common value (ties go to the survivor, then row order)
+ *
+ * Empty values never win over a non-empty one.
+ */
+
+const SURVIVORSHIP_RULES = ['prefer_non_empty', 'most_complete', 'most_recent', 'longest', 'majority'];
+
+const DEFAULT_RULE = 'prefer_non_empty';
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+function countFilled(row) {
+    return Object.values(row).filter(value => !isBlank(value)).length;
+}
+
+function parseTimestamp(value) {
+    if (isBlank(value)) return null;
+    const time = Date.parse(String(value).trim());
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Validate a survivorship config:
+ * { "default": "<rule>", "recencyColumn": "<column>", "columns": { "<column>": "<rule>" } }
+ * Returns a list of errors (empty when valid).
+ */
+function validateSurvivorshipConfig(survivorship = {}) {
+    const errors = [];
+    const check = (rule, where) => {
+        if (!SURVIVORSHIP_RULES.includes(rule)) {
+            errors.push(`unknown survivorship rule '${rule}' for ${where}. Available: ${SURVIVORSHIP_RULES.join(', ')}`);
+        }
+    };
+
+    if (survivorship.default !== undefined) {
+        check(survivorship.default, 'default');
+    }
+    for (const [column, rule] of Object.entries(survivorship.columns || {})) {
+        check(rule, `column '${column}'`);
+    }
+
+    const usesRecency = survivorship.default === 'most_recent' || Object.values(survivorship.columns || {}).includes('most_recent');
+    if (usesRecency && !survivorship.recencyColumn) {
+        errors.push(`'most_recent' needs a recencyColumn`);
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve the rule for every header. Column keys may be original or mapped names.
+ */
+function resolveColumnRules(headers, survivorship = {}, columnMapping = {}) {
+    const defaultRule = survivorship.default || DEFAULT_RULE;
+    const configured = survivorship.columns || {};
+
+    const rules = {};
+    headers.forEach(header => {
+        const mappedName = columnMapping[header]?.name;
+        rules[header] = configured[header] || (mappedName && configured[mappedName]) || defaultRule;
+    });
+    return rules;
+}
+
+/**
+ * Resolve the recency column (original or mapped name) to a header
+ */
+function resolveRecencyColumn(headers, survivorship = {}, columnMapping = {}) {
+    const name = survivorship.recencyColumn;
+    if (!name) return null;
+    if (headers.includes(name)) return name;
+    return headers.find(header => columnMapping[header]?.name === name) || null;
+}
+
+/**
+ * Pick the member whose value survives for one column.
+ * members = [{ id, row }] with the survivor first.
+ */
+function pickMember(rule, header, members, context) {
+    const filled = members.filter(member => !isBlank(member.row[header]));
+    if (filled.length === 0) {
+        return members[0];
+    }
+
+    switch (rule) {
+        case 'most_complete':
+            return filled.reduce((best, member) => (context.filledCounts.get(member.id) > context.filledCounts.get(best.id) ? member : best));
+
+        case 'most_recent': {
+            // Rows without a parsable date lose to any dated row
+            return filled.reduce((best, member) => {
+                const time = context.timestamps.get(member.id);
+                const bestTime = context.timestamps.get(best.id);
+                return time !== null && (bestTime === null || time > bestTime) ? member : best;
+            });
+        }
+
+        case 'longest':
+            return filled.reduce((best, member) => (String(member.row[header]).trim().length > String(best.row[header]).trim().length ? member : best));
+
+        case 'majority': {
+            const counts = new Map();
+            filled.forEach(member => {
+                const key = String(member.row[header]).trim();
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+            return filled.reduce((best, member) => (counts.get(String(member.row[header]).trim()) > counts.get(String(best.row[header]).trim()) ? member : best));
+        }
+
+        case 'prefer_non_empty':
+        default:
+            return filled[0];
+    }
+}
+
+/**
+ * Merge a duplicate group into a golden record.
+ * members = [{ id, row }] with the survivor (the row the AI kept) first.
+ * Returns { row, sources } where sources maps each header to the id its value came from.
+ */
+function mergeGroup(members, headers, options = {}) {
+    const rules = options.rules || {};
+    const recencyColumn = options.recencyColumn || null;
+
+    const context = {
+        filledCounts: new Map(members.map(member => [member.id, countFilled(member.row)])),
+        timestamps: new Map(members.map(member => [member.id, recencyColumn ? parseTimestamp(member.row[recencyColumn]) : null]))
+    };
+
+    const row = {};
+    const sources = {};
+    headers.forEach(header => {
+        const rule = rules[header] || DEFAULT_RULE;
+        const member = pickMember(rule === 'most_recent' && !recencyColumn ? DEFAULT_RULE : rule, header, members, context);
+        row[header] = member.row[header] ?? '';
+        sources[header] = member.id;
+    });
+
+    return { row, sources };
+}
+
+export {
+    SURVIVORSHIP_RULES,
+    DEFAULT_RULE,
+    validateSurvivorshipConfig,
+    resolveColumnRules,
+    resolveRecencyColumn,
+    mergeGroup
+};
@@ -0,0 +1,322 @@
+/**
+ * Deterministic fixes for values that fail their column's regex.
+ *
+ * Before the cleaner sends a column's invalid values to the AI, each one is run through
+ * the built-in rules that apply to the column (by dataType, or by name for phone
+ * numbers). A rule proposes candidate values; the first candidate that passes the
+ * column's regex replaces the original. The regex is the only judge, so a rule can never
+ * turn a value into one the column would reject, and values no rule can fix are left
+ * for the AI.
+ *
+ * Rules, tried in this order:
+ * - trim:    surrounding and repeated whitespace, zero-width characters (every column)
+ * - case:    upper, lower or title case (string)
+ * - boolean: yes/no, y/n, true/false, t/f, on/off, 1/0 (boolean)
+ * - number:  currency symbols and codes, thousands separators, decimal commas, (negative) (int, float)
+ * - date:    ISO, slashed, dotted, compact and month-name dates, reformatted (date, datetime).
+ *            Slashed dates that could be either day or month first are left alone.
+ * - phone:   separators and brackets removed or reformatted, E.164 with the country code
+ *            in phoneCountryCode when a number has none (columns whose name or description has a word like phone, tel, mobile or fax)
+ */
+
+const TRUE_WORDS = ['true', 't', 'yes', 'y', '1', 'on'];
+const FALSE_WORDS = ['false', 'f', 'no', 'n', '0', 'off'];
+const TRUE_CANDIDATES = ['true', 'TRUE', 'True', '1', 'Y', 'y', 'yes', 'Yes', 'YES', 'T'];
+const FALSE_CANDIDATES = ['false', 'FALSE', 'False', '0', 'N', 'n', 'no', 'No', 'NO', 'F'];
+
+const CURRENCY_CODES = /^(USD|EUR|GBP|JPY|CAD|AUD|CHF|INR|CNY)\s*|\s*(USD|EUR|GBP|JPY|CAD|AUD|CHF|INR|CNY)$/i;
+const CURRENCY_SYMBOLS = /[$€£¥₹₩₽¢]/g;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words of a column name or description that mark a phone number column
+const PHONE_WORDS = new Set(['phone', 'phones', 'telephone', 'tel', 'mobile', 'cell', 'cellphone', 'fax', 'phonenumber', 'msisdn']);
+
+/**
+ * Whether a column holds phone numbers, by whole words of its name and description
+ * ("mobilePhone", "fax_no", but not "hotel" or "cancellation")
+ */
+function isPhoneColumn(column) {
+    const words = `${column.name} ${column.description || ''}`
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/);
+    return words.some(word => PHONE_WORDS.has(word));
+}
+
+function pad(number, width = 2) {
+    return String(number).padStart(width, '0');
+}
+
+function titleCase(text) {
+    return text.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Parse a formatted number (currency, separators, accounting negatives) into plain decimal
+ * text such as "-1234.5", or null. Every digit is kept, however long the number.
+ */
+function parseNumber(text) {
+    let value = text.replace(CURRENCY_CODES, '').replace(CURRENCY_SYMBOLS, '').trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(value)) {
+        negative = true;
+        value = value.slice(1, -1);
+    } else if (/^[^-]+-$/.test(value)) {
+        negative = true;
+        value = value.slice(0, -1);
+    }
+    value = value.replace(/[\s'_\u00a0\u202f]/g, '');
+    if (!/^[+-]?[\d.,]*\d[\d.,]*$/.test(value)) {
+        return null;
+    }
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both present: whichever comes last is the decimal separator
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        value = value.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+        if (/^[+-]?\d{1,3}(,\d{3})+$/.test(value)) {
+            value = value.replace(/,/g, '');
+        } else if (value.indexOf(',') === lastComma) {
+            value = value.replace(',', '.');
+        } else {
+            return null;
+        }
+    } else if (lastDot !== -1 && value.indexOf('.') !== lastDot) {
+        if (!/^[+-]?\d{1,3}(\.\d{3})+$/.test(value)) {
+            return null;
+        }
+        value = value.replace(/\./g, '');
+    }
+
+    // Rebuild the number from its digits rather than through Number(), which would round long ones
+    const [integer, fraction = ''] = value.replace(/^[+-]/, '').split('.');
+    const digits = integer.replace(/^0+(?=\d)/, '') || '0';
+    const decimals = fraction.replace(/0+$/, '');
+    const plain = decimals ? `${digits}.${decimals}` : digits;
+    return (negative || value.startsWith('-')) && /[1-9]/.test(plain) ? `-${plain}` : plain;
+}
+
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Order of day and month in a slashed date: 'mdy', 'dmy' or null when it can't be told
+ */
+function slashOrder(first, second) {
+    if (first > 12 && second <= 12) return 'dmy';
+    if (second > 12 && first <= 12) return 'mdy';
+    return first === second ? 'mdy' : null;
+}
+
+/**
+ * Parse a date or date-time, or null when the format is unknown or ambiguous.
+ * Returns { year, month, day, time } with time as 'HH:MM:SS' or null.
+ */
+function parseDate(text) {
+    const timePart = '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?\\s*(?:Z)?)?';
+    let year, month, day, hour, minute, second;
+    let match;
+
+    if ((match = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${timePart}$`)))) {
+        [, year, month, day, hour, minute, second] = match;
+    } else if ((match = text.match(new RegExp(`^(\\d{1,2})([/.-])(\\d{1,2})\\2(\\d{4})${timePart}$`)))) {
+        const [, first, separator, secondPart, fullYear] = match;
+        [hour, minute, second] = match.slice(5);
+        // Dotted dates are day first; slashed ones only when the values give it away
+        const order = separator === '.' ? 'dmy' : slashOrder(Number(first), Number(secondPart));
+        if (!order) {
+            return null;
+        }
+        [month, day] = order === 'mdy' ? [first, secondPart] : [secondPart, first];
+        year = fullYear;
+    } else if ((match = text.match(/^([A-Za-z]{3,})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/))) {
+        [, month, day, year] = match;
+        month = MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+    } else if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([A-Za-z]{3,})\.?,? (\d{4})$/))) {
+        [, day, month, year] = match;
+        month = MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+    } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        [, year, month, day] = match;
+    } else {
+        return null;
+    }
+
+    [year, month, day] = [Number(year), Number(month), Number(day)];
+    if (!month || !validDate(year, month, day)) {
+        return null;
+    }
+    let time = null;
+    if (hour !== undefined) {
+        if (Number(hour) > 23 || Number(minute) > 59 || Number(second || 0) > 59) {
+            return null;
+        }
+        time = `${pad(hour)}:${minute}:${pad(second || 0)}`;
+    }
+    return { year, month, day, time };
+}
+
+/**
+ * Order the column's own example uses for slashed dates, if it shows one
+ */
+function exampleOrder(example) {
+    const match = String(example ?? '').match(/^(\d{1,2})\/(\d{1,2})\/\d{4}/);
+    return match ? slashOrder(Number(match[1]), Number(match[2])) : null;
+}
+
+function dateCandidates(date, column) {
+    const { year, month, day } = date;
+    const iso = `${year}-${pad(month)}-${pad(day)}`;
+    const candidates = [iso, `${year}/${pad(month)}/${pad(day)}`, `${pad(day)}.${pad(month)}.${year}`, `${year}${pad(month)}${pad(day)}`];
+
+    // Slashed output needs the column's order, from its example (or none when day and month are equal)
+    const order = exampleOrder(column.example) || (day === month ? 'mdy' : null);
+    if (order === 'mdy') {
+        candidates.push(`${pad(month)}/${pad(day)}/${year}`, `${month}/${day}/${year}`);
+    } else if (order === 'dmy') {
+        candidates.push(`${pad(day)}/${pad(month)}/${year}`, `${day}/${month}/${year}`);
+    }
+
+    if (column.dataType === 'datetime') {
+        const time = date.time || '00:00:00';
+        return [`${iso} ${time}`, `${iso}T${time}`, `${iso}T${time}Z`, `${iso} ${time.slice(0, 5)}`, ...candidates];
+    }
+    return candidates;
+}
+
+function phoneCandidates(text, options) {
+    if (!/^[\d\s()+.\-/]+$/.test(text)) {
+        return [];
+    }
+    let digits = text.replace(/[^\d+]/g, '');
+    if (digits.startsWith('00')) {
+        digits = `+${digits.slice(2)}`;
+    }
+    if (digits.lastIndexOf('+') > 0) {
+        return [];
+    }
+
+    const candidates = [];
+    if (digits.startsWith('+')) {
+        candidates.push(digits, digits.slice(1));
+    } else {
+        const countryCode = options.phoneCountryCode ? String(options.phoneCountryCode).replace(/^\+/, '') : null;
+        if (countryCode) {
+            // National numbers drop their trunk prefix 0 in E.164
+            const national = digits.startsWith(countryCode) && digits.length > 10 ? digits.slice(countryCode.length) : digits.replace(/^0/, '');
+            candidates.push(`+${countryCode}${national}`);
+        }
+        candidates.push(digits);
+        if (digits.length === 10) {
+            candidates.push(`(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`, `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`, `${digits.slice(0, 3)}.${digits.slice(3, 6)}.${digits.slice(6)}`);
+        }
+    }
+    return candidates;
+}
+
+const RULES = [
+    {
+        name: 'case',
+        appliesTo: (column) => column.dataType === 'string',
+        candidates: (text) => [text.toUpperCase(), text.toLowerCase(), titleCase(text)]
+    },
+    {
+        name: 'boolean',
+        appliesTo: (column) => column.dataType === 'boolean',
+        candidates: (text) => {
+            const word = text.toLowerCase();
+            return TRUE_WORDS.includes(word) ? TRUE_CANDIDATES : FALSE_WORDS.includes(word) ? FALSE_CANDIDATES : [];
+        }
+    },
+    {
+        name: 'number',
+        appliesTo: (column) => column.dataType === 'int' || column.dataType === 'float',
+        candidates: (text, column) => {
+            const number = parseNumber(text);
+            if (number === null) {
+                return [];
+            }
+            if (column.dataType === 'int') {
+                return number.includes('.') ? [] : [number];
+            }
+            // Rounding to two decimals goes through Number(), so only where it is exact
+            const exact = Math.abs(Number(number)) <= Number.MAX_SAFE_INTEGER;
+            return exact ? [number, Number(number).toFixed(2)] : [number];
+        }
+    },
+    {
+        name: 'date',
+        appliesTo: (column) => column.dataType === 'date' || column.dataType === 'datetime',
+        candidates: (text, column) => {
+            const date = parseDate(text);
+            return date ? dateCandidates(date, column) : [];
+        }
+    },
+    {
+        name: 'phone',
+        appliesTo: (column) => isPhoneColumn(column) && column.dataType !== 'date' && column.dataType !== 'datetime',
+        candidates: (text, column, options) => phoneCandidates(text, options)
+    }
+];
+
+const RULE_NAMES = ['trim', ...RULES.map(rule => rule.name)];
+
+/**
+ * Try the built-in rules on each invalid value of a column.
+ *
+ * invalidData is the cleaner's list of { ID, [column.name]: value }; column is the
+ * column mapping entry ({ name, dataType, regex, example, description }).
+ * options = { phoneCountryCode, columnRules } where columnRules (see userrules.js) adds
+ * the column's own validate rule to the regex.
+ *
+ * Returns { fixed: [{ ID, original, value, rule }], residual } where residual holds the
+ * entries of invalidData that still need the AI.
+ */
+function applyTransforms(invalidData, column, options = {}) {
+    let regex;
+    try {
+        regex = new RegExp(column.regex);
+    } catch (error) {
+        return { fixed: [], residual: invalidData };
+    }
+    const rules = RULES.filter(rule => rule.appliesTo(column));
+    const fixed = [];
+    const residual = [];
+
+    for (const entry of invalidData) {
+        const original = String(entry[column.name] ?? '');
+        const accepts = (candidate) => regex.test(candidate) && !options.columnRules?.invalidReason(candidate, entry.ID);
+        const trimmed = original.replace(/[\u200b-\u200d\ufeff]/g, '').trim().replace(/\s+/g, ' ');
+        let fix = null;
+        if (trimmed !== original && trimmed !== '' && accepts(trimmed)) {
+            fix = { value: trimmed, rule: 'trim' };
+        }
+        for (const rule of rules) {
+            if (fix || trimmed === '') break;
+            const value = rule.candidates(trimmed, column, options).find(candidate => candidate !== original && accepts(candidate));
+            if (value !== undefined) {
+                fix = { value, rule: rule.name };
+            }
+        }
+
+        if (fix) {
+            fixed.push({ ID: entry.ID, original, ...fix });
+        } else {
+            residual.push(entry);
+        }
+    }
+    return { fixed, residual };
+}
+
+export {
+    RULE_NAMES,
+    parseNumber,
+    parseDate,
+    applyTransforms
+};
@@ -0,0 +1,104 @@
+/**
+ * How preclean treats characters outside printable ASCII.
+ *
+ * Policies:
+ * - strip:         remove every non-ASCII character (the original behavior; "José" becomes "Jos")
+ * - keep:          keep valid Unicode, NFC normalized; only control characters, unpaired
+ *                  surrogates and zero-width spaces are removed
+ * - transliterate: replace accented and special Latin letters with ASCII ("José Müller" becomes
+ *                  "Jose Muller", "ß" becomes "ss"); characters with no ASCII equivalent
+ *                  (CJK, Arabic, ...) are kept as with keep
+ *
+ * The policy can be set for all columns and overridden per column.
+ */
+
+const UNICODE_POLICIES = ['strip', 'keep', 'transliterate'];
+const DEFAULT_UNICODE_POLICY = 'strip';
+
+// Letters that don't decompose into an ASCII letter plus accents
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'ẞ': 'SS',
+    'æ': 'ae', 'Æ': 'AE',
+    'œ': 'oe', 'Œ': 'OE',
+    'ø': 'o', 'Ø': 'O',
+    'đ': 'd', 'Đ': 'D',
+    'ð': 'd', 'Ð': 'D',
+    'ł': 'l', 'Ł': 'L',
+    'þ': 'th', 'Þ': 'Th',
+    'ħ': 'h', 'Ħ': 'H',
+    'ı': 'i',
+    'ŋ': 'ng', 'Ŋ': 'NG'
+};
+
+const PRINTABLE_ASCII = /^[\x20-\x7E]+$/;
+
+/**
+ * ASCII spelling of a single character, or null when it has none
+ */
+function transliterateChar(char) {
+    if (TRANSLITERATIONS[char]) {
+        return TRANSLITERATIONS[char];
+    }
+    // Compatibility decomposition splits off accents (é -> e + ́) and unfolds forms like ﬁ and Ａ
+    const decomposed = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    return decomposed && PRINTABLE_ASCII.test(decomposed) ? decomposed : null;
+}
+
+/**
+ * Text options from the command line, falling back to steps.preclean in dbclean.yaml:
+ * { unicode, unicodeColumns } where unicodeColumns maps column names to their own policy.
+ * Command line columns are given as "column=policy".
+ */
+function resolveTextOptions(options = {}, settings = {}) {
+    const unicodeColumns = { ...(settings.unicode_columns || {}) };
+    for (const assignment of options.unicodeColumn || []) {
+        const separator = assignment.lastIndexOf('=');
+        unicodeColumns[separator > 0 ? assignment.slice(0, separator).trim() : assignment] = separator > 0 ? assignment.slice(separator + 1).trim() : '';
+    }
+    return {
+        unicode: options.unicode || settings.unicode || DEFAULT_UNICODE_POLICY,
+        unicodeColumns
+    };
+}
+
+/**
+ * Commander parser for the repeatable --unicode-column option
+ */
+function collectUnicodeColumn(value, previous = []) {
+    return [...previous, value];
+}
+
+/**
+ * List what is wrong with text options (empty when they are valid)
+ */
+function validateTextOptions(textOptions = {}) {
+    const errors = [];
+    if (textOptions.unicode && !UNICODE_POLICIES.includes(textOptions.unicode)) {
+        errors.push(`unknown unicode policy '${textOptions.unicode}'. Available: ${UNICODE_POLICIES.join(', ')}`);
+    }
+    for (const [column, policy] of Object.entries(textOptions.unicodeColumns || {})) {
+        if (!UNICODE_POLICIES.includes(policy)) {
+            errors.push(`unknown unicode policy '${policy}' for column '${column}' (use column=${UNICODE_POLICIES.join('|')})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Policy for a column, looked up by its original header, then its cleaned header
+ */
+function policyForColumn(textOptions = {}, ...names) {
+    const columns = textOptions.unicodeColumns || {};
+    const name = names.find(name => columns[name] !== undefined);
+    return name !== undefined ? columns[name] : (textOptions.unicode || DEFAULT_UNICODE_POLICY);
+}
+
+export {
+    UNICODE_POLICIES,
+    DEFAULT_UNICODE_POLICY,
+    transliterateChar,
+    resolveTextOptions,
+    collectUnicodeColumn,
+    validateTextOptions,
+    policyForColumn
+};
@@ -0,0 +1,334 @@
+/**
+ * User-defined cleaning rules.
+ *
+ * A team can keep its own per-column fixes in settings/rules.yaml or settings/rules.js
+ * (or the file named by rules_file in dbclean.yaml). Columns are keyed by their new name
+ * from column_mapping.json or by their original header:
+ *
+ *   columns:
+ *     state:
+ *       map: { california: CA, calif: CA }         # lookup table, matched ignoring case and spaces
+ *       replace: [{ pattern: '\.', with: '' }]     # regex replacements (flags default to g)
+ *       validate: { values: [CA, NY], message: Not a state we ship to }   # or pattern
+ *       after: { map: { ... }, replace: [ ... ] }  # applied to the AI's corrected values
+ *
+ * rules.js exports the same object (as its default export), where transform, validate and
+ * after may also be functions called with (value, { column, id }). transform and after
+ * return the new value (null or undefined for no change); validate returns true, false or
+ * a message saying why the value is invalid.
+ *
+ * map, replace and transform run on every value of the column before the built-in rules
+ * and the AI. Their result is kept only when it passes the column's regex and validate;
+ * values that validate rejects are sent to the cleaner even when they match the regex,
+ * and the stitcher flags those still rejected after cleaning.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import YAML from 'yaml';
+
+const RULES_FILE_NAMES = ['rules.js', 'rules.mjs', 'rules.yaml', 'rules.yml'];
+
+const COLUMN_KEYS = ['map', 'replace', 'transform', 'validate', 'after'];
+const VALIDATE_KEYS = ['pattern', 'values', 'message'];
+const AFTER_KEYS = ['map', 'replace'];
+
+const loadedRules = new Map();
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lookupKey(value) {
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * List what is wrong with a rules definition (empty when it is valid)
+ */
+function validateRulesDefinition(definition) {
+    if (!isPlainObject(definition) || !isPlainObject(definition.columns)) {
+        return ['must have a columns object, keyed by column name'];
+    }
+
+    const errors = [];
+    const checkMap = (where, map) => {
+        if (!isPlainObject(map)) {
+            errors.push(`${where} must be an object of value: replacement pairs`);
+            return;
+        }
+        for (const [from, to] of Object.entries(map)) {
+            if (typeof to !== 'string' && typeof to !== 'number') {
+                errors.push(`${where}/${from} must be a string or a number`);
+            }
+        }
+    };
+    const checkReplace = (where, replace) => {
+        if (!Array.isArray(replace)) {
+            errors.push(`${where} must be a list of { pattern, with } replacements`);
+            return;
+        }
+        replace.forEach((replacement, i) => {
+            if (!isPlainObject(replacement) || typeof replacement.pattern !== 'string' || typeof replacement.with !== 'string') {
+                errors.push(`${where}/${i} must have a pattern and a with string`);
+                return;
+            }
+            try {
+                new RegExp(replacement.pattern, replacement.flags ?? 'g');
+            } catch (error) {
+                errors.push(`${where}/${i} ${error.message}`);
+            }
+        });
+    };
+
+    for (const [column, rules] of Object.entries(definition.columns)) {
+        const where = `/columns/${column}`;
+        if (!isPlainObject(rules)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        for (const key of Object.keys(rules).filter(key => !COLUMN_KEYS.includes(key))) {
+            errors.push(`${where} has unknown setting '${key}'`);
+        }
+        if (rules.map !== undefined) checkMap(`${where}/map`, rules.map);
+        if (rules.replace !== undefined) checkReplace(`${where}/replace`, rules.replace);
+        if (rules.transform !== undefined && typeof rules.transform !== 'function') {
+            errors.push(`${where}/transform must be a function (rules.js only)`);
+        }
+        if (rules.validate !== undefined && typeof rules.validate !== 'function') {
+            if (!isPlainObject(rules.validate)) {
+                errors.push(`${where}/validate must be a function or an object with pattern or values`);
+            } else {
+                for (const key of Object.keys(rules.validate).filter(key => !VALIDATE_KEYS.includes(key))) {
+                    errors.push(`${where}/validate has unknown setting '${key}'`);
+                }
+                if (rules.validate.pattern === undefined && rules.validate.values === undefined) {
+                    errors.push(`${where}/validate needs a pattern or values`);
+                }
+                if (rules.validate.pattern !== undefined) {
+                    try {
+                        new RegExp(rules.validate.pattern);
+                    } catch (error) {
+                        errors.push(`${where}/validate/pattern ${error.message}`);
+                    }
+                }
+                if (rules.validate.values !== undefined && !Array.isArray(rules.validate.values)) {
+                    errors.push(`${where}/validate/values must be a list`);
+                }
+            }
+        }
+        if (rules.after !== undefined && typeof rules.after !== 'function') {
+            if (!isPlainObject(rules.after)) {
+                errors.push(`${where}/after must be a function or an object with map or replace`);
+            } else {
+                for (const key of Object.keys(rules.after).filter(key => !AFTER_KEYS.includes(key))) {
+                    errors.push(`${where}/after has unknown setting '${key}'`);
+                }
+                if (rules.after.map !== undefined) checkMap(`${where}/after/map`, rules.after.map);
+                if (rules.after.replace !== undefined) checkReplace(`${where}/after/replace`, rules.after.replace);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Turn map, replace and transform settings into a list of named steps, applied in that order
+ */
+function compileSteps({ map, replace, transform }) {
+    const steps = [];
+    if (map) {
+        const table = new Map(Object.entries(map).map(([from, to]) => [lookupKey(from), String(to)]));
+        steps.push({ rule: 'map', apply: (value) => table.get(lookupKey(value)) ?? null });
+    }
+    if (replace) {
+        const replacements = replace.map(({ pattern, with: replacement, flags }) => ({ regex: new RegExp(pattern, flags ?? 'g'), replacement }));
+        steps.push({ rule: 'replace', apply: (value) => replacements.reduce((result, { regex, replacement }) => result.replace(regex, replacement), value) });
+    }
+    if (transform) {
+        steps.push({ rule: 'transform', apply: transform });
+    }
+    return steps;
+}
+
+function compileValidator(validate) {
+    if (!validate) {
+        return null;
+    }
+    if (typeof validate === 'function') {
+        return validate;
+    }
+    const regex = validate.pattern !== undefined ? new RegExp(validate.pattern) : null;
+    const allowed = validate.values ? new Set(validate.values.map(String)) : null;
+    return (value) => {
+        if (regex && !regex.test(value)) {
+            return validate.message || `Value '${value}' does not match ${validate.pattern}`;
+        }
+        if (allowed && !allowed.has(value)) {
+            return validate.message || `Value '${value}' is not one of the allowed values`;
+        }
+        return true;
+    };
+}
+
+/**
+ * The rules for one column, bound to that column's mapping entry
+ */
+class ColumnRules {
+    constructor(rules, columnInfo, originalColumnName) {
+        this.column = {
+            name: columnInfo.name,
+            originalName: originalColumnName,
+            dataType: columnInfo.dataType,
+            regex: columnInfo.regex
+        };
+        this.steps = compileSteps(rules);
+        this.afterSteps = typeof rules.after === 'function'
+            ? [{ rule: 'after', apply: rules.after }]
+            : compileSteps(rules.after || {});
+        this.validator = compileValidator(rules.validate);
+    }
+
+    get hasTransforms() {
+        return this.steps.length > 0;
+    }
+
+    get hasValidator() {
+        return this.validator !== null;
+    }
+
+    get hasAfter() {
+        return this.afterSteps.length > 0;
+    }
+
+    runSteps(steps, value, id) {
+        let result = String(value);
+        const applied = [];
+        for (const { rule, apply } of steps) {
+            let next;
+            try {
+                next = apply(result, { column: this.column, id });
+            } catch (error) {
+                throw new Error(`Rule '${rule}' for column ${this.column.name} failed on row ${id}: ${error.message}`);
+            }
+            if (next !== null && next !== undefined && String(next) !== result) {
+                result = String(next);
+                applied.push(rule);
+            }
+        }
+        return applied.length > 0 ? { value: result, rule: applied.join('+') } : null;
+    }
+
+    /**
+     * The value after map, replace and transform: { value, rule }, or null when unchanged
+     */
+    transform(value, id) {
+        return this.runSteps(this.steps, value, id);
+    }
+
+    /**
+     * A corrected value from the AI after the column's after rules: { value, rule }, or null when unchanged
+     */
+    after(value, id) {
+        return this.runSteps(this.afterSteps, value, id);
+    }
+
+    /**
+     * Why validate rejects a value, or null when it passes (or the column has no validator)
+     */
+    invalidReason(value, id) {
+        if (!this.validator) {
+            return null;
+        }
+        let outcome;
+        try {
+            outcome = this.validator(String(value), { column: this.column, id });
+        } catch (error) {
+            throw new Error(`Rule 'validate' for column ${this.column.name} failed on row ${id}: ${error.message}`);
+        }
+        if (outcome === true || outcome === undefined || outcome === null) {
+            return null;
+        }
+        return typeof outcome === 'string' ? outcome : `Value '${value}' was rejected by the validate rule`;
+    }
+}
+
+class UserRules {
+    constructor(definition, source = null) {
+        const errors = validateRulesDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid rules${source ? ` in ${source}` : ''}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        }
+        this.source = source;
+        this.columns = definition.columns;
+    }
+
+    get columnNames() {
+        return Object.keys(this.columns);
+    }
+
+    /**
+     * Rules for a column (by its new name, else its original header), or null
+     */
+    forColumn(columnInfo, originalColumnName) {
+        const rules = this.columns[columnInfo.name] || this.columns[originalColumnName];
+        return rules ? new ColumnRules(rules, columnInfo, originalColumnName) : null;
+    }
+}
+
+/**
+ * Path of the rules file: rules_file from dbclean.yaml, else the first rules.js, rules.mjs,
+ * rules.yaml or rules.yml in the settings folder. Null when there is none.
+ */
+function findRulesFile(config) {
+    if (config.project?.rules_file) {
+        return path.resolve(config._projectDir, config.project.rules_file);
+    }
+    for (const name of RULES_FILE_NAMES) {
+        const filePath = path.join(config._settingsDir, name);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load and validate the rules file. Resolves to UserRules, or null when there is no rules file;
+ * rejects when the file can't be read or its rules are invalid.
+ */
+async function loadUserRules(config) {
+    const filePath = findRulesFile(config);
+    if (!filePath) {
+        return null;
+    }
+    // Keyed by modification time too, so an edited file is loaded again in long-running processes
+    const key = `${filePath}?${fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0}`;
+    if (!loadedRules.has(key)) {
+        loadedRules.set(key, (async () => {
+            let definition;
+            if (/\.m?js$/.test(filePath)) {
+                const module = await import(`${pathToFileURL(filePath).href}?${key.split('?')[1]}`);
+                definition = module.default ?? module;
+            } else {
+                const parsed = YAML.parseDocument(fs.readFileSync(filePath, 'utf-8'));
+                if (parsed.errors.length > 0) {
+                    throw new Error(`Invalid ${filePath}:\n${parsed.errors.map(error => `  - ${error.message}`).join('\n')}`);
+                }
+                definition = parsed.toJS() || {};
+            }
+            return new UserRules(definition, filePath);
+        })());
+    }
+    return loadedRules.get(key);
+}
+
+export {
+    RULES_FILE_NAMES,
+    validateRulesDefinition,
+    ColumnRules,
+    UserRules,
+    findRulesFile,
+    loadUserRules
+};